@@ -0,0 +1,112 @@
+/**
+ * Local OpenID Connect issuer for tests
+ * Serves discovery, JWKS, an auto-consenting authorization endpoint and a
+ * token endpoint that enforces client credentials and PKCE, then issues
+ * RS256 ID tokens for whichever account is set as `issuer.account`.
+ */
+
+import { createHash, generateKeyPairSync, randomBytes } from 'crypto';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+
+/**
+ * Start an issuer on a random local port
+ * @param {object} options
+ * @param {string} options.clientId
+ * @param {string} options.clientSecret
+ * @returns {Promise<object>} { url, account, close() }
+ */
+export async function startMockIssuer({ clientId, clientSecret }) {
+  const { privateKey, publicKey } = generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+  });
+  const kid = 'mock-key';
+  const grants = new Map();
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  const issuer = {
+    url: null,
+    account: {
+      sub: 'mock-subject',
+      email: 'oidc@example.com',
+      email_verified: true,
+      name: 'OIDC Bambi',
+    },
+  };
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer: issuer.url,
+      authorization_endpoint: `${issuer.url}/authorize`,
+      token_endpoint: `${issuer.url}/token`,
+      jwks_uri: `${issuer.url}/jwks`,
+      response_types_supported: ['code'],
+      code_challenge_methods_supported: ['S256'],
+    });
+  });
+
+  app.get('/jwks', (req, res) => {
+    res.json({
+      keys: [{ ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256' }],
+    });
+  });
+
+  app.get('/authorize', (req, res) => {
+    const { client_id, redirect_uri, state, nonce, code_challenge } = req.query;
+    if (client_id !== clientId) {
+      return res.status(400).send('unknown client');
+    }
+
+    const code = randomBytes(16).toString('hex');
+    grants.set(code, {
+      redirectUri: redirect_uri,
+      nonce,
+      codeChallenge: code_challenge,
+      account: { ...issuer.account },
+    });
+
+    const callback = new URL(redirect_uri);
+    callback.searchParams.set('code', code);
+    callback.searchParams.set('state', state);
+    res.redirect(callback.toString());
+  });
+
+  app.post('/token', (req, res) => {
+    const grant = grants.get(req.body.code);
+    grants.delete(req.body.code);
+
+    const verifierChallenge = createHash('sha256')
+      .update(req.body.code_verifier || '')
+      .digest('base64url');
+
+    if (
+      req.body.client_id !== clientId ||
+      req.body.client_secret !== clientSecret ||
+      !grant ||
+      grant.redirectUri !== req.body.redirect_uri ||
+      grant.codeChallenge !== verifierChallenge
+    ) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+
+    res.json({
+      access_token: randomBytes(16).toString('hex'),
+      token_type: 'Bearer',
+      id_token: jwt.sign({ ...grant.account, nonce: grant.nonce }, privateKey, {
+        algorithm: 'RS256',
+        keyid: kid,
+        issuer: issuer.url,
+        audience: clientId,
+        expiresIn: '5m',
+      }),
+    });
+  });
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  issuer.url = `http://127.0.0.1:${server.address().port}`;
+  issuer.close = () => new Promise(resolve => server.close(resolve));
+  return issuer;
+}
@@ -0,0 +1,127 @@
+/**
+ * Software WebAuthn authenticator for tests
+ * Produces real ES256 registration ("none" attestation) and assertion
+ * responses, so passkey verification runs end to end without a browser.
+ */
+
+import { createHash, generateKeyPairSync, randomBytes, sign } from 'crypto';
+import { isoBase64URL, isoCBOR } from '@simplewebauthn/server/helpers';
+
+const FLAG_USER_PRESENT = 0x01;
+const FLAG_USER_VERIFIED = 0x04;
+const FLAG_ATTESTED_CREDENTIAL = 0x40;
+
+const sha256 = data => createHash('sha256').update(data).digest();
+const encode = bytes => isoBase64URL.fromBuffer(new Uint8Array(bytes));
+
+/**
+ * Create an authenticator holding one P-256 credential
+ * @param {object} options
+ * @param {string} options.origin - Origin reported in client data
+ * @param {boolean} [options.userVerified=true] - Set the UV flag
+ */
+export function createSoftwareAuthenticator({ origin, userVerified = true }) {
+  const { privateKey, publicKey } = generateKeyPairSync('ec', {
+    namedCurve: 'P-256',
+  });
+  const jwk = publicKey.export({ format: 'jwk' });
+  const rawId = randomBytes(16);
+
+  const cosePublicKey = isoCBOR.encode(
+    new Map([
+      [1, 2], // kty: EC2
+      [3, -7], // alg: ES256
+      [-1, 1], // crv: P-256
+      [-2, isoBase64URL.toBuffer(jwk.x)],
+      [-3, isoBase64URL.toBuffer(jwk.y)],
+    ])
+  );
+
+  const authenticator = {
+    id: encode(rawId),
+    counter: 0,
+    userHandle: null,
+  };
+
+  function authenticatorData(rpId, attested) {
+    const flags =
+      FLAG_USER_PRESENT |
+      (userVerified ? FLAG_USER_VERIFIED : 0) |
+      (attested ? FLAG_ATTESTED_CREDENTIAL : 0);
+    const counter = Buffer.alloc(4);
+    counter.writeUInt32BE(authenticator.counter);
+
+    const parts = [sha256(rpId), Buffer.from([flags]), counter];
+    if (attested) {
+      const idLength = Buffer.alloc(2);
+      idLength.writeUInt16BE(rawId.length);
+      parts.push(Buffer.alloc(16), idLength, rawId, Buffer.from(cosePublicKey));
+    }
+    return Buffer.concat(parts);
+  }
+
+  function clientData(type, challenge) {
+    return Buffer.from(
+      JSON.stringify({ type, challenge, origin, crossOrigin: false })
+    );
+  }
+
+  /**
+   * Answer registration options (navigator.credentials.create)
+   */
+  authenticator.register = options => {
+    authenticator.userHandle = options.user.id;
+    const attestationObject = isoCBOR.encode(
+      new Map([
+        ['fmt', 'none'],
+        ['attStmt', new Map()],
+        ['authData', new Uint8Array(authenticatorData(options.rp.id, true))],
+      ])
+    );
+
+    return {
+      id: authenticator.id,
+      rawId: authenticator.id,
+      type: 'public-key',
+      response: {
+        clientDataJSON: encode(
+          clientData('webauthn.create', options.challenge)
+        ),
+        attestationObject: encode(attestationObject),
+        transports: ['internal'],
+      },
+      authenticatorAttachment: 'platform',
+      clientExtensionResults: {},
+    };
+  };
+
+  /**
+   * Answer authentication options (navigator.credentials.get)
+   */
+  authenticator.authenticate = options => {
+    authenticator.counter++;
+    const authData = authenticatorData(options.rpId, false);
+    const clientDataJSON = clientData('webauthn.get', options.challenge);
+    const signature = sign(
+      'sha256',
+      Buffer.concat([authData, sha256(clientDataJSON)]),
+      privateKey
+    );
+
+    return {
+      id: authenticator.id,
+      rawId: authenticator.id,
+      type: 'public-key',
+      response: {
+        clientDataJSON: encode(clientDataJSON),
+        authenticatorData: encode(authData),
+        signature: encode(signature),
+        userHandle: authenticator.userHandle,
+      },
+      authenticatorAttachment: 'platform',
+      clientExtensionResults: {},
+    };
+  };
+
+  return authenticator;
+}
@@ -1,83 +1,324 @@
-import Stripe from 'stripe';
 import jwt from 'jsonwebtoken';
-
-const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+import { userRepository } from '../services/user-repository.js';
+import { logger, trackSecurityEvent } from '../services/telemetry.js';
+import { hasPermission } from '../services/rbac.js';
+import { sessionDevice } from '../services/session-store.js';
+import {
+  decodeAccessToken,
+  isTokenRevoked,
+} from '../services/token-service.js';
+import { isApiKey, authenticateApiKey } from '../services/api-keys.js';
+import { resolvePlan, lowestTierWith } from '../services/plans.js';
+import { currentTerms, hasAcceptedCurrentTerms } from '../services/consent.js';
 
 /**
- * Middleware to verify user has active Stripe subscription
+ * Middleware factory requiring a plan entitlement, e.g.
+ * requireEntitlement('video:hd'). Access comes from an active subscription
+ * (its price's tier) or complimentary access from an invite.
+ * @param {string|Function} [entitlement] - Entitlement name, or a function of
+ *   the request returning one; omit to accept any plan
  */
-export async function requireSubscription(req, res, next) {
-  try {
-    // Check if user is authenticated
-    if (!req.session.user) {
-      return res.status(401).json({ 
-        error: 'Authentication required',
-        redirectTo: '/auth/login'
-      });
+export function requireEntitlement(entitlement) {
+  return async (req, res, next) => {
+    try {
+      // Check if user is authenticated
+      if (!req.session.user) {
+        return res.status(401).json({
+          error: 'Authentication required',
+          redirectTo: '/auth/login',
+        });
+      }
+
+      // Premium content is only served to verified addresses
+      if (!req.session.user.emailVerified) {
+        return res.status(403).json({
+          error: 'Email verification required',
+          redirectTo: '/auth/verify-email/resend',
+        });
+      }
+
+      const { id, stripeCustomerId } = req.session.user;
+      const access = await resolvePlan({ userId: id, stripeCustomerId });
+
+      // A failed or suspended payment explains the denial (see
+      // loadBillingNotice)
+      const billingNotice = res.locals?.billingNotice;
+
+      if (!access) {
+        return res.status(403).json({
+          error: stripeCustomerId
+            ? 'Active subscription required'
+            : 'No Stripe customer ID found',
+          hasAccess: false,
+          redirectTo: '/stripe/plans',
+          ...(billingNotice && { billingNotice }),
+        });
+      }
+
+      const required =
+        typeof entitlement === 'function' ? entitlement(req) : entitlement;
+      if (required && !access.plan.entitlements.includes(required)) {
+        return res.status(403).json({
+          error: 'Your plan does not include this content',
+          entitlement: required,
+          currentTier: access.tier,
+          requiredTier: lowestTierWith(required),
+          redirectTo: '/stripe/plans',
+          ...(billingNotice && { billingNotice }),
+        });
+      }
+
+      // Attach subscription and plan info to request
+      req.subscription = access.subscription;
+      req.plan = access.plan;
+      next();
+    } catch (error) {
+      console.error('Subscription verification error:', error);
+      res.status(500).json({ error: 'Subscription verification failed' });
     }
+  };
+}
+
+/**
+ * Middleware to verify user has any active plan
+ */
+export const requireSubscription = requireEntitlement();
 
-    const { stripeCustomerId } = req.session.user;
+/**
+ * Middleware to require acceptance of the current terms and age attestation
+ * Runs after authentication; publishing a new TERMS_VERSION sends every user
+ * back through /auth/terms before premium content is served again.
+ */
+export async function requireCurrentTerms(req, res, next) {
+  const userId = req.session?.user?.id || req.user?.id;
+  if (!userId) {
+    return res.status(401).json({
+      error: 'Authentication required',
+      redirectTo: '/auth/login',
+    });
+  }
 
-    if (!stripeCustomerId) {
+  try {
+    if (!(await hasAcceptedCurrentTerms(userId))) {
+      const terms = currentTerms();
       return res.status(403).json({
-        error: 'No Stripe customer ID found',
-        redirectTo: '/stripe/subscribe'
+        error: 'Acceptance of the current terms is required',
+        termsVersion: terms.version,
+        termsUrl: terms.url,
+        redirectTo: '/auth/terms',
       });
     }
-
-    // Check for active subscription
-    const subscriptions = await stripe.subscriptions.list({
-      customer: stripeCustomerId,
-      status: 'active',
-      limit: 1
+    next();
+  } catch (error) {
+    logger.error('Terms acceptance check error', {
+      error: error.message,
+      userId,
     });
+    res.status(500).json({ error: 'Terms verification failed' });
+  }
+}
 
-    if (subscriptions.data.length === 0) {
-      return res.status(403).json({
-        error: 'Active subscription required',
-        hasAccess: false,
-        redirectTo: '/stripe/subscribe'
+/**
+ * Authenticate a personal API key
+ * The caller is limited to the key's scopes (see requirePermission)
+ */
+async function authenticateWithApiKey(req, res, next, key) {
+  try {
+    const result = await authenticateApiKey(key, req.ip);
+
+    if (!result) {
+      trackSecurityEvent('api_key_rejected', 'low', {
+        prefix: key.split('_').slice(0, 2).join('_'),
+        ip: req.ip,
       });
+      return res.status(401).json({ error: 'Invalid or expired API key' });
     }
 
-    // Attach subscription info to request
-    req.subscription = subscriptions.data[0];
+    const { user, apiKey } = result;
+    req.user = {
+      id: user.id,
+      email: user.email,
+      stripeCustomerId: user.stripeCustomerId,
+      role: user.role,
+      apiKeyId: apiKey.id,
+      scopes: apiKey.scopes,
+    };
     next();
   } catch (error) {
-    console.error('Subscription verification error:', error);
-    res.status(500).json({ error: 'Subscription verification failed' });
+    next(error);
   }
 }
 
 /**
- * Middleware to verify JWT token for API access
+ * Middleware to verify JWT token or personal API key for API access
+ * Rejects tokens on the revocation list (logout, password change, ...)
  */
-export function requireAuth(req, res, next) {
+export async function requireAuth(req, res, next) {
   const token = req.headers.authorization?.replace('Bearer ', '');
 
   if (!token) {
     return res.status(401).json({ error: 'No token provided' });
   }
 
+  if (isApiKey(token)) {
+    return authenticateWithApiKey(req, res, next, token);
+  }
+
+  let decoded;
+  try {
+    decoded = decodeAccessToken(token);
+  } catch {
+    return res.status(401).json({ error: 'Invalid or expired token' });
+  }
+
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (await isTokenRevoked(decoded.jti)) {
+      return res.status(401).json({ error: 'Token has been revoked' });
+    }
+
     req.user = decoded;
     next();
   } catch (error) {
-    return res.status(401).json({ error: 'Invalid or expired token' });
+    next(error);
   }
 }
 
 /**
- * Middleware to check if user owns content or has admin role
+ * Middleware to drop sessions invalidated by a credential change
+ * Compares the session's version with the user's current session version
+ * and refreshes the session's email verification state
+ */
+export async function verifySessionVersion(req, res, next) {
+  const sessionUser = req.session?.user;
+  if (!sessionUser) {
+    return next();
+  }
+
+  try {
+    const user = await userRepository.findById(sessionUser.id);
+
+    if (!user || user.sessionVersion !== (sessionUser.sessionVersion ?? 0)) {
+      logger.info('Invalidated session dropped', {
+        userId: sessionUser.id,
+        ip: req.ip,
+      });
+      delete req.session.user;
+    } else {
+      sessionUser.emailVerified = Boolean(user.emailVerifiedAt);
+      sessionUser.role = user.role;
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Middleware recording the device and IP behind a logged-in session
+ * Shown to the user in their active session list
+ */
+export function recordSessionDevice(req, res, next) {
+  const sessionUser = req.session?.user;
+  if (!sessionUser) {
+    return next();
+  }
+
+  const current = sessionDevice(req);
+  const { device } = req.session;
+
+  // Only touch the session when something changed, to avoid needless saves
+  if (device?.userAgent !== current.userAgent || device?.ip !== current.ip) {
+    req.session.device = current;
+  }
+
+  next();
+}
+
+/**
+ * Middleware accepting either a logged-in session or a bearer token
+ * Bearer tokens are verified by requireAuth; sessions pass straight through
+ */
+export function requireSessionOrToken(req, res, next) {
+  if (req.headers.authorization) {
+    return requireAuth(req, res, next);
+  }
+
+  if (!req.session?.user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  next();
+}
+
+/**
+ * Whether the caller's role grants a permission
+ * API key callers are further limited to the key's scopes
+ */
+function callerHasPermission(req, role, permission) {
+  const scopes = req.user?.scopes;
+  return (
+    hasPermission(role, permission) && (!scopes || scopes.includes(permission))
+  );
+}
+
+/**
+ * Middleware factory requiring a permission from the caller's role
+ * Works for session users and JWT callers (mount after requireAuth or
+ * requireSessionOrToken). The role is read from the user record so
+ * role changes apply immediately.
+ * @param {string} permission - e.g. 'video:upload'
+ */
+export function requirePermission(permission) {
+  return async (req, res, next) => {
+    const userId = req.user?.id || req.session?.user?.id;
+
+    if (!userId) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    try {
+      const user = await userRepository.findById(userId);
+      if (!user) {
+        return res.status(401).json({ error: 'Authentication required' });
+      }
+
+      if (!callerHasPermission(req, user.role, permission)) {
+        trackSecurityEvent('permission_denied', 'medium', {
+          userId,
+          role: user.role,
+          permission,
+          apiKeyId: req.user?.apiKeyId,
+          path: req.originalUrl,
+        });
+        return res.status(403).json({
+          error: 'Forbidden: insufficient permissions',
+          permission,
+        });
+      }
+
+      req.role = user.role;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+/**
+ * Middleware to check if user owns content or may manage any content
  */
 export function requireOwnership(req, res, next) {
   const userId = req.session.user?.id || req.user?.id;
+  const role = req.session.user?.role || req.user?.role;
   const resourceOwnerId = req.params.userId || req.body.userId;
 
-  if (userId !== resourceOwnerId && req.session.user?.role !== 'admin') {
-    return res.status(403).json({ 
-      error: 'Forbidden: You do not have permission to access this resource' 
+  if (
+    userId !== resourceOwnerId &&
+    !callerHasPermission(req, role, 'content:manage')
+  ) {
+    return res.status(403).json({
+      error: 'Forbidden: You do not have permission to access this resource',
     });
   }
 
@@ -86,12 +327,16 @@ export function requireOwnership(req, res, next) {
 
 /**
  * Generate signed JWT for video access
+ * @param {string} videoId
+ * @param {string} userId
+ * @param {object} [grant] - What the token allows: { collection, quality,
+ *   streamId, streamLimit }
  */
-export function generateVideoToken(videoId, userId) {
+export function generateVideoToken(videoId, userId, grant = {}) {
   const expires = Math.floor(Date.now() / 1000) + 3600; // 1 hour
-  
+
   return jwt.sign(
-    { videoId, userId, expires },
+    { videoId, userId, expires, ...grant },
     process.env.VIDEO_SIGNING_KEY || process.env.JWT_SECRET,
     { expiresIn: '1h' }
   );
@@ -101,7 +346,8 @@ export function generateVideoToken(videoId, userId) {
  * Verify video access token
  */
 export function verifyVideoToken(req, res, next) {
-  const token = req.query.token || req.headers.authorization?.replace('Bearer ', '');
+  const token =
+    req.query.token || req.headers.authorization?.replace('Bearer ', '');
 
   if (!token) {
     return res.status(401).json({ error: 'Video access token required' });
@@ -109,10 +355,10 @@ export function verifyVideoToken(req, res, next) {
 
   try {
     const decoded = jwt.verify(
-      token, 
+      token,
       process.env.VIDEO_SIGNING_KEY || process.env.JWT_SECRET
     );
-    
+
     if (decoded.expires < Math.floor(Date.now() / 1000)) {
       return res.status(401).json({ error: 'Video access token expired' });
     }
@@ -18,6 +18,8 @@ jest.unstable_mockModule('stripe', () => ({
 
 describe('Authentication Middleware', () => {
   let requireSubscription,
+    requireEntitlement,
+    requireCurrentTerms,
     requireAuth,
     requireOwnership,
     generateVideoToken,
@@ -26,6 +28,8 @@ describe('Authentication Middleware', () => {
   beforeAll(async () => {
     const auth = await import('./auth.js');
     requireSubscription = auth.requireSubscription;
+    requireEntitlement = auth.requireEntitlement;
+    requireCurrentTerms = auth.requireCurrentTerms;
     requireAuth = auth.requireAuth;
     requireOwnership = auth.requireOwnership;
     generateVideoToken = auth.generateVideoToken;
@@ -37,6 +41,12 @@ describe('Authentication Middleware', () => {
   });
 
   describe('requireSubscription', () => {
+    beforeEach(async () => {
+      // Start each case with an empty entitlement cache
+      const { forgetCustomer } = await import('../services/entitlements.js');
+      await forgetCustomer('cus_123');
+    });
+
     it('should reject unauthenticated requests', async () => {
       const req = { session: {} };
       const res = {
@@ -54,9 +64,41 @@ describe('Authentication Middleware', () => {
       expect(next).not.toHaveBeenCalled();
     });
 
+    it('should reject users with unverified email', async () => {
+      const req = {
+        session: {
+          user: {
+            id: 'user123',
+            stripeCustomerId: 'cus_123',
+            emailVerified: false,
+          },
+        },
+      };
+      const res = {
+        status: jest.fn().mockReturnThis(),
+        json: jest.fn(),
+      };
+      const next = jest.fn();
+
+      await requireSubscription(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ error: 'Email verification required' })
+      );
+      expect(mockStripe.subscriptions.list).not.toHaveBeenCalled();
+      expect(next).not.toHaveBeenCalled();
+    });
+
     it('should reject users without Stripe customer ID', async () => {
       const req = {
-        session: { user: { id: 'user123', email: 'test@example.com' } },
+        session: {
+          user: {
+            id: 'user123',
+            email: 'test@example.com',
+            emailVerified: true,
+          },
+        },
       };
       const res = {
         status: jest.fn().mockReturnThis(),
@@ -81,6 +123,7 @@ describe('Authentication Middleware', () => {
           user: {
             id: 'user123',
             stripeCustomerId: 'cus_123',
+            emailVerified: true,
           },
         },
       };
@@ -94,8 +137,8 @@ describe('Authentication Middleware', () => {
 
       expect(mockStripe.subscriptions.list).toHaveBeenCalledWith({
         customer: 'cus_123',
-        status: 'active',
-        limit: 1,
+        status: 'all',
+        limit: 100,
       });
       expect(res.status).toHaveBeenCalledWith(403);
       expect(res.json).toHaveBeenCalledWith(
@@ -107,6 +150,7 @@ describe('Authentication Middleware', () => {
     it('should allow users with active subscription', async () => {
       const mockSubscription = {
         id: 'sub_123',
+        customer: 'cus_123',
         status: 'active',
         current_period_end: 1234567890,
       };
@@ -120,6 +164,7 @@ describe('Authentication Middleware', () => {
           user: {
             id: 'user123',
             stripeCustomerId: 'cus_123',
+            emailVerified: true,
           },
         },
       };
@@ -133,10 +178,10 @@ describe('Authentication Middleware', () => {
 
       expect(mockStripe.subscriptions.list).toHaveBeenCalledWith({
         customer: 'cus_123',
-        status: 'active',
-        limit: 1,
+        status: 'all',
+        limit: 100,
       });
-      expect(req.subscription).toEqual(mockSubscription);
+      expect(req.subscription).toMatchObject(mockSubscription);
       expect(next).toHaveBeenCalled();
       expect(res.status).not.toHaveBeenCalled();
     });
@@ -151,6 +196,7 @@ describe('Authentication Middleware', () => {
           user: {
             id: 'user123',
             stripeCustomerId: 'cus_123',
+            emailVerified: true,
           },
         },
       };
@@ -168,6 +214,239 @@ describe('Authentication Middleware', () => {
       );
       expect(next).not.toHaveBeenCalled();
     });
+
+    it('should serve repeat checks from the local cache', async () => {
+      mockStripe.subscriptions.list.mockResolvedValue({
+        data: [{ id: 'sub_cached', customer: 'cus_123', status: 'active' }],
+      });
+      const req = () => ({
+        session: {
+          user: {
+            id: 'user123',
+            stripeCustomerId: 'cus_123',
+            emailVerified: true,
+          },
+        },
+      });
+      const res = {
+        status: jest.fn().mockReturnThis(),
+        json: jest.fn(),
+      };
+      const next = jest.fn();
+
+      await requireSubscription(req(), res, next);
+      await requireSubscription(req(), res, next);
+
+      expect(mockStripe.subscriptions.list).toHaveBeenCalledTimes(1);
+      expect(next).toHaveBeenCalledTimes(2);
+    });
+
+    it('should fall back to cached state when Stripe is unreachable', async () => {
+      const { recordSubscription } = await import(
+        '../services/entitlements.js'
+      );
+      const { getDatabase } = await import('../services/database.js');
+      await recordSubscription({
+        id: 'sub_stale',
+        customer: 'cus_123',
+        status: 'active',
+      });
+      getDatabase()
+        .prepare(
+          "INSERT INTO entitlement_syncs (customer_id, synced_at) VALUES ('cus_123', 0)"
+        )
+        .run();
+      mockStripe.subscriptions.list.mockRejectedValue(
+        new Error('Stripe API error')
+      );
+
+      const req = {
+        session: {
+          user: {
+            id: 'user123',
+            stripeCustomerId: 'cus_123',
+            emailVerified: true,
+          },
+        },
+      };
+      const res = {
+        status: jest.fn().mockReturnThis(),
+        json: jest.fn(),
+      };
+      const next = jest.fn();
+
+      await requireSubscription(req, res, next);
+
+      expect(mockStripe.subscriptions.list).toHaveBeenCalled();
+      expect(req.subscription.id).toBe('sub_stale');
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should allow complimentary access granted by an invite', async () => {
+      const { userRepository } = await import('../services/user-repository.js');
+      const user = await userRepository.create({
+        email: 'complimentary@example.com',
+        name: 'Comp Bambi',
+        complimentaryTier: 'supporter',
+        complimentaryUntil: Date.now() + 86400000,
+      });
+
+      const req = {
+        session: {
+          user: { id: user.id, emailVerified: true },
+        },
+      };
+      const res = {
+        status: jest.fn().mockReturnThis(),
+        json: jest.fn(),
+      };
+      const next = jest.fn();
+
+      await requireSubscription(req, res, next);
+
+      expect(mockStripe.subscriptions.list).not.toHaveBeenCalled();
+      expect(req.subscription).toEqual(
+        expect.objectContaining({ complimentary: true, tier: 'supporter' })
+      );
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should ignore expired complimentary access', async () => {
+      const { userRepository } = await import('../services/user-repository.js');
+      const user = await userRepository.create({
+        email: 'lapsed@example.com',
+        name: 'Lapsed Bambi',
+        complimentaryTier: 'supporter',
+        complimentaryUntil: Date.now() - 1000,
+      });
+
+      const req = {
+        session: {
+          user: { id: user.id, emailVerified: true },
+        },
+      };
+      const res = {
+        status: jest.fn().mockReturnThis(),
+        json: jest.fn(),
+      };
+      const next = jest.fn();
+
+      await requireSubscription(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(next).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('requireEntitlement', () => {
+    it('should only allow plans that include the entitlement', async () => {
+      const { userRepository } = await import('../services/user-repository.js');
+      const supporter = await userRepository.create({
+        email: 'supporter-tier@example.com',
+        name: 'Supporter',
+        complimentaryTier: 'supporter',
+      });
+      const devotee = await userRepository.create({
+        email: 'devotee-tier@example.com',
+        name: 'Devotee',
+        complimentaryTier: 'devotee',
+      });
+      const requireHd = requireEntitlement('video:hd');
+
+      const denied = {
+        status: jest.fn().mockReturnThis(),
+        json: jest.fn(),
+      };
+      const deniedNext = jest.fn();
+      await requireHd(
+        { session: { user: { id: supporter.id, emailVerified: true } } },
+        denied,
+        deniedNext
+      );
+      expect(denied.status).toHaveBeenCalledWith(403);
+      expect(denied.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          entitlement: 'video:hd',
+          currentTier: 'supporter',
+          requiredTier: 'devotee',
+        })
+      );
+      expect(deniedNext).not.toHaveBeenCalled();
+
+      const req = {
+        session: { user: { id: devotee.id, emailVerified: true } },
+      };
+      const next = jest.fn();
+      await requireHd(req, { status: jest.fn() }, next);
+      expect(next).toHaveBeenCalled();
+      expect(req.plan.id).toBe('devotee');
+    });
+  });
+
+  describe('requireCurrentTerms', () => {
+    let user;
+
+    beforeAll(async () => {
+      const { userRepository } = await import('../services/user-repository.js');
+      user = await userRepository.create({
+        email: 'terms@example.com',
+        name: 'Terms Bambi',
+      });
+    });
+
+    afterEach(() => {
+      delete process.env.TERMS_VERSION;
+    });
+
+    function call(req) {
+      const res = {
+        status: jest.fn().mockReturnThis(),
+        json: jest.fn(),
+      };
+      const next = jest.fn();
+      return requireCurrentTerms(req, res, next).then(() => ({ res, next }));
+    }
+
+    it('should reject unauthenticated requests', async () => {
+      const { res, next } = await call({ session: {} });
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should send users who have not accepted to the terms', async () => {
+      const { res, next } = await call({ session: { user: { id: user.id } } });
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          termsVersion: '1',
+          redirectTo: '/auth/terms',
+        })
+      );
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should allow users who accepted the current terms', async () => {
+      const { recordConsent } = await import('../services/consent.js');
+      await recordConsent(user.id, { source: 'registration' });
+
+      const { next } = await call({ session: { user: { id: user.id } } });
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should ask again after the terms version changes', async () => {
+      process.env.TERMS_VERSION = '2';
+
+      const { res, next } = await call({
+        session: {},
+        user: { id: user.id },
+      });
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(next).not.toHaveBeenCalled();
+    });
   });
 
   describe('requireAuth', () => {
@@ -208,10 +487,147 @@ describe('Authentication Middleware', () => {
     });
   });
 
+  describe('requireAuth with issued tokens', () => {
+    let issueTokenPair, revokeAccessToken, user;
+
+    beforeAll(async () => {
+      ({ issueTokenPair, revokeAccessToken } = await import(
+        '../services/token-service.js'
+      ));
+      const { userRepository } = await import('../services/user-repository.js');
+      user = await userRepository.create({
+        email: 'middleware@example.com',
+        name: 'Middleware Bambi',
+      });
+    });
+
+    it('should accept valid access tokens', async () => {
+      const { accessToken } = await issueTokenPair(user);
+      const req = { headers: { authorization: `Bearer ${accessToken}` } };
+      const res = {
+        status: jest.fn().mockReturnThis(),
+        json: jest.fn(),
+      };
+      const next = jest.fn();
+
+      await requireAuth(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+      expect(req.user.id).toBe(user.id);
+    });
+
+    it('should reject revoked access tokens', async () => {
+      const { accessToken } = await issueTokenPair(user);
+      const jwt = (await import('jsonwebtoken')).default;
+      await revokeAccessToken(jwt.decode(accessToken), 'logout');
+
+      const req = { headers: { authorization: `Bearer ${accessToken}` } };
+      const res = {
+        status: jest.fn().mockReturnThis(),
+        json: jest.fn(),
+      };
+      const next = jest.fn();
+
+      await requireAuth(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ error: 'Token has been revoked' })
+      );
+      expect(next).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('requireAuth with API keys', () => {
+    let createApiKey, revokeApiKey, requirePermission, user;
+
+    /**
+     * Run a middleware against a bearer credential
+     */
+    async function run(middleware, key, req = {}) {
+      Object.assign(req, {
+        headers: { authorization: `Bearer ${key}` },
+        ip: '10.0.0.5',
+      });
+      const res = {
+        status: jest.fn().mockReturnThis(),
+        json: jest.fn(),
+      };
+      const next = jest.fn();
+      await middleware(req, res, next);
+      return { req, res, next };
+    }
+
+    beforeAll(async () => {
+      ({ createApiKey, revokeApiKey } = await import(
+        '../services/api-keys.js'
+      ));
+      ({ requirePermission } = await import('./auth.js'));
+      const { userRepository } = await import('../services/user-repository.js');
+      user = await userRepository.create({
+        email: 'apikey-middleware@example.com',
+        name: 'Scripted Bambi',
+        role: 'OPERATOR',
+      });
+    });
+
+    it('should accept API keys and expose their scopes', async () => {
+      const { key, apiKey } = await createApiKey(user.id, {
+        name: 'uploader',
+        scopes: ['video:upload'],
+      });
+
+      const { req, next } = await run(requireAuth, key);
+
+      expect(next).toHaveBeenCalled();
+      expect(req.user).toMatchObject({
+        id: user.id,
+        role: 'OPERATOR',
+        apiKeyId: apiKey.id,
+        scopes: ['video:upload'],
+      });
+    });
+
+    it('should limit API key callers to the key scopes', async () => {
+      const { key } = await createApiKey(user.id, {
+        name: 'reader',
+        scopes: ['content:read'],
+      });
+      const { req } = await run(requireAuth, key);
+
+      const allowed = await run(requirePermission('content:read'), key, req);
+      expect(allowed.next).toHaveBeenCalled();
+
+      // The role grants video:upload, but the key does not
+      const denied = await run(requirePermission('video:upload'), key, req);
+      expect(denied.res.status).toHaveBeenCalledWith(403);
+    });
+
+    it('should reject revoked, expired and tampered keys', async () => {
+      const { key, apiKey } = await createApiKey(user.id, {
+        name: 'short-lived',
+        scopes: ['content:read'],
+      });
+      const tampered = `${key.slice(0, -1)}${key.endsWith('A') ? 'B' : 'A'}`;
+      expect(
+        (await run(requireAuth, tampered)).res.status
+      ).toHaveBeenCalledWith(401);
+
+      await revokeApiKey(user.id, apiKey.id);
+      const { res, next } = await run(requireAuth, key);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ error: 'Invalid or expired API key' })
+      );
+      expect(next).not.toHaveBeenCalled();
+    });
+  });
+
   describe('requireOwnership', () => {
     it('should allow user to access own resources', () => {
       const req = {
-        session: { user: { id: 'user123', role: 'user' } },
+        session: { user: { id: 'user123', role: 'OBSERVER' } },
         params: { userId: 'user123' },
       };
       const res = {
@@ -228,7 +644,7 @@ describe('Authentication Middleware', () => {
 
     it('should reject user accessing other resources', () => {
       const req = {
-        session: { user: { id: 'user123', role: 'user' } },
+        session: { user: { id: 'user123', role: 'OBSERVER' } },
         params: { userId: 'user456' },
       };
       const res = {
@@ -246,9 +662,9 @@ describe('Authentication Middleware', () => {
       expect(next).not.toHaveBeenCalled();
     });
 
-    it('should allow admin to access any resources', () => {
+    it('should allow content managers to access any resources', () => {
       const req = {
-        session: { user: { id: 'admin123', role: 'admin' } },
+        session: { user: { id: 'admin123', role: 'SUPERVISOR' } },
         params: { userId: 'user456' },
       };
       const res = {
@@ -0,0 +1,24 @@
+/// Billing notice banner
+/// While a subscription payment is outstanding, premium pages show a banner
+/// (views/partials/billing-notice.ejs) pointing the user at their billing.
+import { getOpenCase } from '../services/dunning.js';
+import { logger } from '../services/telemetry.js';
+
+/**
+ * Expose the user's open dunning case to views as billingNotice
+ * A failed lookup only loses the banner, never the page.
+ */
+export async function loadBillingNotice(req, res, next) {
+  const customerId = req.session?.user?.stripeCustomerId;
+  if (customerId) {
+    try {
+      res.locals.billingNotice = await getOpenCase(customerId);
+    } catch (error) {
+      logger.warn('Billing notice lookup failed', {
+        error: error.message,
+        customerId,
+      });
+    }
+  }
+  next();
+}
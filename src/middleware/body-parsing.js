@@ -0,0 +1,23 @@
+/// Request body parsing
+/// Signature-verified endpoints must see the exact bytes that were signed,
+/// so they receive the untouched raw body (a Buffer) and the JSON and form
+/// parsers used by the rest of the app skip them.
+import express from 'express';
+
+/// Endpoints whose handlers verify a signature over the raw body
+export const RAW_BODY_PATHS = ['/stripe/webhook'];
+
+/**
+ * Body parsers for the whole app, raw-body endpoints first
+ * @returns {express.Router}
+ */
+export function createBodyParsers() {
+  const parsers = express.Router();
+
+  // Any content type: a signature check must not depend on the header
+  parsers.use(RAW_BODY_PATHS, express.raw({ type: () => true, limit: '1mb' }));
+  parsers.use(express.json());
+  parsers.use(express.urlencoded({ extended: true }));
+
+  return parsers;
+}
@@ -1,6 +1,7 @@
 /// 🛡️ OWASP A03: Injection Prevention - Input Validation Middleware
 /// Law: Validate and sanitize ALL user inputs before processing
 import { body, param, query, validationResult } from 'express-validator';
+import { isValidTier } from '../services/plans.js';
 
 /**
  * Validation middleware that checks express-validator results
@@ -44,6 +45,24 @@ export const validators = {
       'Password must be 8+ characters with uppercase, lowercase, number, and special character'
     ),
 
+  /**
+   * Display name validation (optional, for profile updates)
+   */
+  displayName: body('name')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be 1-100 characters'),
+
+  /**
+   * Optional email validation (for profile updates)
+   */
+  optionalEmail: body('email')
+    .optional()
+    .isEmail()
+    .withMessage('Valid email address required'),
+
   /**
    * Username validation (alphanumeric only)
    */
@@ -113,6 +132,60 @@ export const validators = {
     .matches(/^price_[a-zA-Z0-9]+$/)
     .withMessage('Invalid Stripe price ID'),
 
+  /**
+   * Subscription checkout (a promotion code is optional)
+   */
+  checkout: [
+    body('priceId')
+      .matches(/^price_[a-zA-Z0-9]+$/)
+      .withMessage('Invalid Stripe price ID'),
+    body('promotionCode')
+      .optional({ values: 'falsy' })
+      .isString()
+      .trim()
+      .matches(/^[A-Za-z0-9_-]{1,64}$/)
+      .withMessage('Invalid promotion code'),
+  ],
+
+  /**
+   * Promotion code check, optionally against the plan price it is for
+   */
+  promotionCode: [
+    body('code')
+      .isString()
+      .trim()
+      .matches(/^[A-Za-z0-9_-]{1,64}$/)
+      .withMessage('Invalid promotion code'),
+    body('priceId')
+      .optional()
+      .matches(/^price_[a-zA-Z0-9]+$/)
+      .withMessage('Invalid Stripe price ID'),
+  ],
+
+  /**
+   * Stripe subscription ID validation
+   */
+  subscriptionId: body('subscriptionId')
+    .matches(/^sub_[a-zA-Z0-9]+$/)
+    .withMessage('Invalid Stripe subscription ID'),
+
+  /**
+   * Plan switch (prorationDate pins the charge to a previewed amount)
+   */
+  planChange: [
+    body('subscriptionId')
+      .matches(/^sub_[a-zA-Z0-9]+$/)
+      .withMessage('Invalid Stripe subscription ID'),
+    body('priceId')
+      .matches(/^price_[a-zA-Z0-9]+$/)
+      .withMessage('Invalid Stripe price ID'),
+    body('prorationDate')
+      .optional({ values: 'null' })
+      .isInt({ min: 1 })
+      .toInt()
+      .withMessage('Proration date must be a Unix timestamp'),
+  ],
+
   /**
    * Positive integer validation
    */
@@ -130,6 +203,33 @@ export const validators = {
     .toInt()
     .withMessage('Amount must be at least 100 cents ($1.00)'),
 
+  /**
+   * Donation details beyond validators.amount: a cap, the currency, and
+   * what to show on the supporter wall
+   */
+  donation: [
+    body('amount')
+      .isInt({ max: 1000000 })
+      .withMessage('Amount must be at most 1000000 cents ($10,000)'),
+    body('currency')
+      .optional()
+      .isIn(['usd', 'eur', 'gbp'])
+      .withMessage('Currency must be usd, eur or gbp'),
+    body('displayName')
+      .optional({ values: 'falsy' })
+      .isString()
+      .trim()
+      .isLength({ max: 50 })
+      .withMessage('Display name must be at most 50 characters'),
+    body('message')
+      .optional({ values: 'falsy' })
+      .isString()
+      .trim()
+      .isLength({ max: 280 })
+      .withMessage('Message must be at most 280 characters'),
+    body('anonymous').optional().isBoolean().toBoolean(),
+  ],
+
   /**
    * Safe JSON validation
    */
@@ -174,6 +274,82 @@ export const validators = {
   role: body('role')
     .isIn(['COMMANDER', 'SUPERVISOR', 'OPERATOR', 'OBSERVER'])
     .withMessage('Invalid agent role'),
+
+  /**
+   * API key creation (scopes are permission names)
+   */
+  apiKey: [
+    body('name')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Name must be 1-100 characters'),
+    body('scopes')
+      .isArray({ min: 1 })
+      .withMessage('At least one scope is required'),
+    body('scopes.*').isString().withMessage('Scopes must be strings'),
+    body('expiresInDays')
+      .optional({ values: 'null' })
+      .isInt({ min: 1, max: 365 })
+      .toInt()
+      .withMessage('Expiry must be 1-365 days'),
+  ],
+
+  /**
+   * Webhook event listing filter
+   */
+  webhookEventFilter: [
+    query('status')
+      .optional()
+      .isIn([
+        'received',
+        'processing',
+        'processed',
+        'ignored',
+        'failed',
+        'dead',
+      ])
+      .withMessage('Invalid event status'),
+    query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+  ],
+
+  /**
+   * Registration mode
+   */
+  registrationMode: body('mode')
+    .isIn(['open', 'invite-only', 'closed'])
+    .withMessage('Mode must be open, invite-only or closed'),
+
+  /**
+   * Invite creation (the label doubles as a metric label, so keep it short)
+   */
+  invite: [
+    body('label')
+      .isString()
+      .trim()
+      .matches(/^[a-z0-9][a-z0-9_-]{0,63}$/)
+      .withMessage('Label must be 1-64 lowercase letters, digits, - or _'),
+    body('maxUses')
+      .optional({ values: 'null' })
+      .isInt({ min: 1, max: 10000 })
+      .toInt()
+      .withMessage('Max uses must be 1-10000'),
+    body('expiresInDays')
+      .optional({ values: 'null' })
+      .isInt({ min: 1, max: 365 })
+      .toInt()
+      .withMessage('Expiry must be 1-365 days'),
+    body('complimentaryTier')
+      .optional({ values: 'null' })
+      .isString()
+      .custom(isValidTier)
+      .withMessage('Complimentary tier must be a plan in the catalog'),
+    body('complimentaryDays')
+      .optional({ values: 'null' })
+      .isInt({ min: 1, max: 3650 })
+      .toInt()
+      .withMessage('Complimentary days must be 1-3650'),
+  ],
 };
 
 /**
@@ -3,7 +3,7 @@
 import rateLimit from 'express-rate-limit';
 import RedisStore from 'rate-limit-redis';
 import Redis from 'ioredis';
-import { logger } from '../services/logger.js';
+import { logger, rateLimitHitsTotal } from '../services/telemetry.js';
 
 /**
  * Create Redis client for distributed rate limiting
@@ -56,8 +56,10 @@ function createRateLimiter(options) {
     message: { error: options.message },
     standardHeaders: true, // Return rate limit info in `RateLimit-*` headers
     legacyHeaders: false, // Disable `X-RateLimit-*` headers
+    skipSuccessfulRequests: Boolean(options.skipSuccessfulRequests),
     skip: req => process.env.NODE_ENV === 'test', // Skip in tests
     handler: (req, res) => {
+      rateLimitHitsTotal.inc({ route: req.baseUrl + (req.route?.path ?? '') });
       logger.warn('Rate limit exceeded', {
         ip: req.ip,
         path: req.path,
@@ -83,11 +85,23 @@ function createRateLimiter(options) {
 }
 
 /// 🛡️ Strict rate limit for authentication endpoints (OWASP A07)
+/// Only failed attempts count, so legitimate logins never lock out an IP
 export const authLimiter = createRateLimiter({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 5, // 5 attempts per 15 minutes
+  max: 5, // 5 failed attempts per 15 minutes
   message: 'Too many authentication attempts. Please try again in 15 minutes.',
   prefix: 'rl:auth:',
+  skipSuccessfulRequests: true,
+});
+
+/// 🛡️ Limiter for endpoints that create accounts or send email (registration,
+/// password reset, magic links). Every request counts: these succeed for
+/// unknown addresses too, so failures alone would not stop mail bombing.
+export const emailLimiter = createRateLimiter({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 10, // 10 requests per hour
+  message: 'Too many requests. Please try again in an hour.',
+  prefix: 'rl:email:',
 });
 
 /// 🛡️ General API rate limiter (60 requests per minute)
@@ -114,6 +128,14 @@ export const donationLimiter = createRateLimiter({
   prefix: 'rl:donation:',
 });
 
+/// 🛡️ Limiter for promotion code checks (slows down code guessing)
+export const couponLimiter = createRateLimiter({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20, // 20 checks per 15 minutes
+  message: 'Too many promotion code attempts. Please try again later.',
+  prefix: 'rl:coupon:',
+});
+
 /**
  * Graceful shutdown of Redis connection
  */
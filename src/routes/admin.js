@@ -0,0 +1,284 @@
+import express from 'express';
+import {
+  requireSessionOrToken,
+  requirePermission,
+} from '../middleware/auth.js';
+import { validators, validateRequest } from '../middleware/input-validation.js';
+import { userRepository } from '../services/user-repository.js';
+import { PERMISSIONS } from '../services/rbac.js';
+import { revokeAllUserTokens } from '../services/token-service.js';
+import { recordAuditEvent } from '../services/audit-log.js';
+import {
+  getRegistrationMode,
+  setRegistrationMode,
+  createInvite,
+  listInvites,
+  revokeInvite,
+} from '../services/invites.js';
+import {
+  listWebhookEvents,
+  replayWebhookEvent,
+} from '../services/stripe-webhooks.js';
+import { logger, trackSecurityEvent } from '../services/telemetry.js';
+
+const router = express.Router();
+
+router.use(requireSessionOrToken);
+
+/**
+ * List roles and the permissions they grant
+ */
+router.get('/roles', requirePermission('users:read'), (req, res) => {
+  res.json({ roles: PERMISSIONS });
+});
+
+/**
+ * Get a user's role
+ */
+router.get(
+  '/users/:userId',
+  requirePermission('users:read'),
+  async (req, res) => {
+    try {
+      const user = await userRepository.findById(req.params.userId);
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      res.json({
+        user: {
+          id: user.id,
+          email: user.email,
+          name: user.name,
+          role: user.role,
+          createdAt: user.createdAt,
+        },
+      });
+    } catch (error) {
+      logger.error('Admin user lookup error', {
+        error: error.message,
+        userId: req.params.userId,
+      });
+      res.status(500).json({ error: 'Failed to load user' });
+    }
+  }
+);
+
+/**
+ * Assign a role to a user
+ */
+router.put(
+  '/users/:userId/role',
+  requirePermission('roles:assign'),
+  validators.role,
+  validateRequest,
+  async (req, res) => {
+    const actorId = req.user?.id || req.session.user.id;
+    const { userId } = req.params;
+    const { role } = req.body;
+
+    if (userId === actorId) {
+      return res.status(400).json({ error: 'You cannot change your own role' });
+    }
+
+    try {
+      const user = await userRepository.findById(userId);
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      if (user.role !== role) {
+        await userRepository.update(userId, { role });
+        // Role claims in outstanding API tokens are now stale
+        await revokeAllUserTokens(userId, 'role_change');
+
+        trackSecurityEvent('role_changed', 'medium', {
+          actorId,
+          userId,
+          from: user.role,
+          to: role,
+        });
+      }
+
+      res.json({ message: 'Role updated', user: { id: userId, role } });
+    } catch (error) {
+      logger.error('Role assignment error', {
+        error: error.message,
+        userId,
+      });
+      res.status(500).json({ error: 'Failed to update role' });
+    }
+  }
+);
+
+/**
+ * Current registration mode
+ */
+router.get(
+  '/registration-mode',
+  requirePermission('users:read'),
+  async (req, res) => {
+    res.json({ mode: await getRegistrationMode() });
+  }
+);
+
+/**
+ * Open, gate or close registration
+ */
+router.put(
+  '/registration-mode',
+  requirePermission('users:manage'),
+  validators.registrationMode,
+  validateRequest,
+  async (req, res) => {
+    const actorId = req.user?.id || req.session.user.id;
+    const { mode } = req.body;
+
+    try {
+      const previous = await getRegistrationMode();
+      await setRegistrationMode(mode);
+      await recordAuditEvent('registration_mode_changed', {
+        actorId,
+        details: { from: previous, to: mode },
+      });
+
+      res.json({ message: 'Registration mode updated', mode });
+    } catch (error) {
+      logger.error('Registration mode update error', {
+        error: error.message,
+      });
+      res.status(500).json({ error: 'Failed to update registration mode' });
+    }
+  }
+);
+
+/**
+ * List invite codes
+ */
+router.get('/invites', requirePermission('users:read'), async (req, res) => {
+  try {
+    res.json({ invites: await listInvites() });
+  } catch (error) {
+    logger.error('Invite list error', { error: error.message });
+    res.status(500).json({ error: 'Failed to load invites' });
+  }
+});
+
+/**
+ * Mint an invite code (the code is only returned here)
+ */
+router.post(
+  '/invites',
+  requirePermission('users:manage'),
+  validators.invite,
+  validateRequest,
+  async (req, res) => {
+    const actorId = req.user?.id || req.session.user.id;
+    const {
+      label,
+      maxUses,
+      expiresInDays,
+      complimentaryTier,
+      complimentaryDays,
+    } = req.body;
+
+    try {
+      const { code, invite } = await createInvite({
+        label,
+        maxUses,
+        expiresInDays,
+        complimentaryTier,
+        complimentaryDays,
+        createdBy: actorId,
+      });
+      await recordAuditEvent('invite_created', {
+        actorId,
+        details: { inviteId: invite.id, label, complimentaryTier },
+      });
+
+      res.status(201).json({ code, invite });
+    } catch (error) {
+      logger.error('Invite creation error', { error: error.message });
+      res.status(500).json({ error: 'Failed to create invite' });
+    }
+  }
+);
+
+/**
+ * Revoke an invite code
+ */
+router.delete(
+  '/invites/:id',
+  requirePermission('users:manage'),
+  async (req, res) => {
+    const actorId = req.user?.id || req.session.user.id;
+
+    try {
+      if (!(await revokeInvite(req.params.id))) {
+        return res.status(404).json({ error: 'Invite not found' });
+      }
+      await recordAuditEvent('invite_revoked', {
+        actorId,
+        details: { inviteId: req.params.id },
+      });
+
+      res.json({ message: 'Invite revoked' });
+    } catch (error) {
+      logger.error('Invite revocation error', { error: error.message });
+      res.status(500).json({ error: 'Failed to revoke invite' });
+    }
+  }
+);
+
+/**
+ * List stored Stripe webhook events (e.g. ?status=dead)
+ */
+router.get(
+  '/webhook-events',
+  requirePermission('billing:manage'),
+  validators.webhookEventFilter,
+  validateRequest,
+  async (req, res) => {
+    try {
+      const { status, limit } = req.query;
+      res.json({ events: await listWebhookEvents({ status, limit }) });
+    } catch (error) {
+      logger.error('Webhook event list error', { error: error.message });
+      res.status(500).json({ error: 'Failed to load webhook events' });
+    }
+  }
+);
+
+/**
+ * Process a failed or dead-lettered webhook event again
+ */
+router.post(
+  '/webhook-events/:id/replay',
+  requirePermission('billing:manage'),
+  async (req, res) => {
+    const actorId = req.user?.id || req.session.user.id;
+
+    try {
+      const event = await replayWebhookEvent(req.params.id);
+      if (!event) {
+        return res.status(409).json({
+          error: 'Only failed or dead-lettered events can be replayed',
+        });
+      }
+      await recordAuditEvent('webhook_event_replayed', {
+        actorId,
+        details: { eventId: event.id, type: event.type, status: event.status },
+      });
+
+      res.json({ event });
+    } catch (error) {
+      logger.error('Webhook replay error', {
+        error: error.message,
+        eventId: req.params.id,
+      });
+      res.status(500).json({ error: 'Failed to replay webhook event' });
+    }
+  }
+);
+
+export default router;
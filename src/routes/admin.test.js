@@ -0,0 +1,246 @@
+/**
+ * Tests for Admin Routes
+ * Verifies permission checks and role assignment for JWT callers
+ */
+
+import express from 'express';
+import request from 'supertest';
+
+describe('Admin Routes', () => {
+  let app;
+  let userRepository, issueTokenPair, verifyAccessToken;
+  let commander, observer, commanderToken, observerToken;
+
+  /**
+   * Create a user with a role and return an access token for them
+   */
+  async function createUserWithToken(email, role) {
+    const user = await userRepository.create({ email, name: email, role });
+    const { accessToken } = await issueTokenPair(user);
+    return { user, token: accessToken };
+  }
+
+  beforeAll(async () => {
+    ({ userRepository } = await import('../services/user-repository.js'));
+    ({ issueTokenPair, verifyAccessToken } = await import(
+      '../services/token-service.js'
+    ));
+
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.session = {};
+      next();
+    });
+
+    const adminModule = await import('./admin.js');
+    app.use('/admin', adminModule.default);
+
+    ({ user: commander, token: commanderToken } = await createUserWithToken(
+      'commander@example.com',
+      'COMMANDER'
+    ));
+    ({ user: observer, token: observerToken } = await createUserWithToken(
+      'observer@example.com',
+      'OBSERVER'
+    ));
+  });
+
+  it('should require authentication', async () => {
+    const response = await request(app).get('/admin/roles');
+
+    expect(response.status).toBe(401);
+  });
+
+  it('should reject callers without the permission', async () => {
+    const response = await request(app)
+      .put(`/admin/users/${commander.id}/role`)
+      .set('Authorization', `Bearer ${observerToken}`)
+      .send({ role: 'COMMANDER' });
+
+    expect(response.status).toBe(403);
+    expect(response.body.permission).toBe('roles:assign');
+  });
+
+  it('should list role permissions for administrators', async () => {
+    const response = await request(app)
+      .get('/admin/roles')
+      .set('Authorization', `Bearer ${commanderToken}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.roles.OPERATOR).toContain('video:upload');
+  });
+
+  it('should reject unknown roles', async () => {
+    const response = await request(app)
+      .put(`/admin/users/${observer.id}/role`)
+      .set('Authorization', `Bearer ${commanderToken}`)
+      .send({ role: 'admin' });
+
+    expect(response.status).toBe(400);
+  });
+
+  it('should prevent administrators from changing their own role', async () => {
+    const response = await request(app)
+      .put(`/admin/users/${commander.id}/role`)
+      .set('Authorization', `Bearer ${commanderToken}`)
+      .send({ role: 'OBSERVER' });
+
+    expect(response.status).toBe(400);
+  });
+
+  it('should assign roles and revoke stale tokens', async () => {
+    const response = await request(app)
+      .put(`/admin/users/${observer.id}/role`)
+      .set('Authorization', `Bearer ${commanderToken}`)
+      .send({ role: 'OPERATOR' });
+
+    expect(response.status).toBe(200);
+    expect((await userRepository.findById(observer.id)).role).toBe('OPERATOR');
+    await expect(verifyAccessToken(observerToken)).rejects.toThrow();
+  });
+
+  it('should return 404 for unknown users', async () => {
+    const response = await request(app)
+      .put('/admin/users/missing/role')
+      .set('Authorization', `Bearer ${commanderToken}`)
+      .send({ role: 'OPERATOR' });
+
+    expect(response.status).toBe(404);
+  });
+
+  describe('webhook events', () => {
+    it('should list and replay dead-lettered events', async () => {
+      const webhooks = await import('../services/stripe-webhooks.js');
+      const { getDatabase } = await import('../services/database.js');
+      const handled = [];
+      webhooks.registerWebhookHandler('test.admin', async event => {
+        handled.push(event.id);
+      });
+      await webhooks.recordWebhookEvent({
+        id: 'evt_admin_dead',
+        type: 'test.admin',
+        data: { object: {} },
+      });
+      getDatabase()
+        .prepare(
+          "UPDATE stripe_events SET status = 'dead', attempts = 5 WHERE id = ?"
+        )
+        .run('evt_admin_dead');
+
+      const listed = await request(app)
+        .get('/admin/webhook-events?status=dead')
+        .set('Authorization', `Bearer ${commanderToken}`);
+      expect(listed.status).toBe(200);
+      expect(listed.body.events.map(event => event.id)).toContain(
+        'evt_admin_dead'
+      );
+
+      const replayed = await request(app)
+        .post('/admin/webhook-events/evt_admin_dead/replay')
+        .set('Authorization', `Bearer ${commanderToken}`);
+      expect(replayed.status).toBe(200);
+      expect(replayed.body.event.status).toBe('processed');
+      expect(handled).toEqual(['evt_admin_dead']);
+
+      const again = await request(app)
+        .post('/admin/webhook-events/evt_admin_dead/replay')
+        .set('Authorization', `Bearer ${commanderToken}`);
+      expect(again.status).toBe(409);
+    });
+
+    it('should reject unknown status filters', async () => {
+      const response = await request(app)
+        .get('/admin/webhook-events?status=lost')
+        .set('Authorization', `Bearer ${commanderToken}`);
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('registration gating', () => {
+    afterAll(async () => {
+      const { setRegistrationMode } = await import('../services/invites.js');
+      await setRegistrationMode('open');
+    });
+
+    it('should change the registration mode', async () => {
+      const response = await request(app)
+        .put('/admin/registration-mode')
+        .set('Authorization', `Bearer ${commanderToken}`)
+        .send({ mode: 'invite-only' });
+
+      expect(response.status).toBe(200);
+
+      const current = await request(app)
+        .get('/admin/registration-mode')
+        .set('Authorization', `Bearer ${commanderToken}`);
+      expect(current.body.mode).toBe('invite-only');
+    });
+
+    it('should reject unknown registration modes', async () => {
+      const response = await request(app)
+        .put('/admin/registration-mode')
+        .set('Authorization', `Bearer ${commanderToken}`)
+        .send({ mode: 'maybe' });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should mint, list and revoke invites', async () => {
+      const created = await request(app)
+        .post('/admin/invites')
+        .set('Authorization', `Bearer ${commanderToken}`)
+        .send({
+          label: 'discord-launch',
+          maxUses: 10,
+          complimentaryTier: 'supporter',
+          complimentaryDays: 30,
+        });
+
+      expect(created.status).toBe(201);
+      expect(created.body.code).toEqual(expect.any(String));
+      expect(created.body.invite).toMatchObject({
+        label: 'discord-launch',
+        maxUses: 10,
+        createdBy: commander.id,
+      });
+
+      const listed = await request(app)
+        .get('/admin/invites')
+        .set('Authorization', `Bearer ${commanderToken}`);
+      expect(listed.body.invites.map(invite => invite.id)).toContain(
+        created.body.invite.id
+      );
+
+      const revoked = await request(app)
+        .delete(`/admin/invites/${created.body.invite.id}`)
+        .set('Authorization', `Bearer ${commanderToken}`);
+      expect(revoked.status).toBe(200);
+    });
+
+    it('should only grant tiers from the plan catalog', async () => {
+      for (const complimentaryTier of ['founder', ['supporter']]) {
+        const response = await request(app)
+          .post('/admin/invites')
+          .set('Authorization', `Bearer ${commanderToken}`)
+          .send({ label: 'made-up-tier', complimentaryTier });
+
+        expect(response.status).toBe(400);
+      }
+    });
+
+    it('should not let observers mint invites', async () => {
+      const { token } = await createUserWithToken(
+        'observer2@example.com',
+        'OBSERVER'
+      );
+      const response = await request(app)
+        .post('/admin/invites')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ label: 'sneaky' });
+
+      expect(response.status).toBe(403);
+    });
+  });
+});
@@ -9,19 +9,473 @@ import {
   authSessionsActive,
   userRegistrations,
 } from '../services/telemetry.js';
+import { userRepository } from '../services/user-repository.js';
+import { getDatabase } from '../services/database.js';
+import {
+  issueToken,
+  consumeToken,
+  hashToken,
+  TokenPurpose,
+} from '../services/auth-tokens.js';
+import { sendMail, getPublicUrl } from '../services/mailer.js';
+import { validators, validateRequest } from '../middleware/input-validation.js';
+import {
+  authLimiter,
+  emailLimiter,
+  expensiveLimiter,
+} from '../middleware/rate-limiting.js';
+import {
+  issueTokenPair,
+  decodeAccessToken,
+  consumeRefreshToken,
+  revokeAccessToken,
+  revokeRefreshTokenFamily,
+  revokeAllUserTokens,
+  jwtSecret,
+} from '../services/token-service.js';
+import {
+  beginEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  countRecoveryCodes,
+  disableTwoFactor,
+} from '../services/two-factor.js';
+import {
+  lockoutRemaining,
+  recordLoginFailure,
+  recordLoginSuccess,
+  unlockAccount,
+} from '../services/login-protection.js';
+import {
+  sessionDevice,
+  listUserSessions,
+  destroyUserSession,
+  destroyUserSessions,
+} from '../services/session-store.js';
+import { disconnectUser } from '../services/websocket.js';
+import { exportUserData, deleteAccount } from '../services/account-data.js';
+import { recordAuditEvent } from '../services/audit-log.js';
+import {
+  listCredentials,
+  countCredentials,
+  registrationOptions,
+  verifyRegistration,
+  authenticationOptions,
+  verifyAuthentication,
+  deleteCredential,
+} from '../services/webauthn.js';
+import {
+  getProvider,
+  listProviders,
+  beginAuthorization,
+  completeAuthorization,
+  findIdentity,
+  linkIdentity,
+  touchIdentity,
+  listIdentities,
+  unlinkIdentity,
+} from '../services/oidc.js';
+import {
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+} from '../services/api-keys.js';
+import { hasPermission, PERMISSIONS } from '../services/rbac.js';
+import {
+  RegistrationMode,
+  getRegistrationMode,
+  findRedeemableInvite,
+  claimInvite,
+  releaseInvite,
+  applyInvite,
+  inviteGrant,
+} from '../services/invites.js';
+import {
+  currentTerms,
+  recordConsent,
+  hasAcceptedCurrentTerms,
+  listConsents,
+} from '../services/consent.js';
 
 const router = express.Router();
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
 
-// Temporary in-memory user store (replace with database)
-const users = new Map();
+const PASSWORD_RESET_TTL_MS =
+  (parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60) * 60 * 1000;
+const EMAIL_VERIFICATION_TTL_MS =
+  (parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 24) * 3600000;
+const ACCOUNT_UNLOCK_TTL_MS = 24 * 3600000;
+const MAGIC_LINK_TTL_MS =
+  (parseInt(process.env.MAGIC_LINK_TTL_MINUTES, 10) || 15) * 60 * 1000;
+/// How recent a login must be to stand in for a password on sensitive changes
+const RECENT_LOGIN_MS = 10 * 60 * 1000;
+/// Cookie tying an OIDC callback to the browser that started the flow
+const OIDC_BINDING_COOKIE = 'oidc_binding';
+/// Request properties a magic link must be opened from: 'ip', 'user-agent'
+const MAGIC_LINK_BINDING = (process.env.MAGIC_LINK_BINDING || '')
+  .split(',')
+  .map(item => item.trim())
+  .filter(item => ['ip', 'user-agent'].includes(item));
+
+/**
+ * Build the session payload for a user
+ */
+function toSessionUser(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    stripeCustomerId: user.stripeCustomerId,
+    sessionVersion: user.sessionVersion,
+    emailVerified: Boolean(user.emailVerifiedAt),
+    role: user.role,
+  };
+}
+
+/**
+ * Public profile returned by /auth/me
+ */
+function toProfile(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    stripeCustomerId: user.stripeCustomerId,
+    emailVerified: Boolean(user.emailVerifiedAt),
+    twoFactorEnabled: Boolean(user.totpEnabledAt),
+    role: user.role,
+    createdAt: user.createdAt,
+  };
+}
+
+/**
+ * Mirror profile changes onto the user's Stripe customer
+ */
+async function syncStripeCustomer(user, changes) {
+  if (user.stripeCustomerId) {
+    await stripe.customers.update(user.stripeCustomerId, changes);
+  }
+}
+
+/**
+ * Log a user into the current session, recording the device used
+ */
+function startSession(req, user) {
+  req.session.user = toSessionUser(user);
+  req.session.device = sessionDevice(req);
+  req.session.authenticatedAt = Date.now();
+}
+
+/**
+ * Load the logged-in user from the repository into req.currentUser
+ */
+async function requireSessionUser(req, res, next) {
+  if (!req.session.user) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+
+  try {
+    const user = await userRepository.findById(req.session.user.id);
+    if (!user) {
+      return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    req.currentUser = user;
+    next();
+  } catch (error) {
+    logger.error('Session user lookup error', {
+      error: error.message,
+      userId: req.session.user.id,
+    });
+    res.status(500).json({ error: 'Failed to load user' });
+  }
+}
+
+/**
+ * Re-authenticate the session user before a sensitive change
+ * Checks the current password when one is set and a two-factor code when
+ * enabled; accounts with neither must have logged in recently.
+ * @returns {Promise<boolean>}
+ */
+async function verifyStepUp(req, user, { password, code, recoveryCode } = {}) {
+  if (
+    user.passwordHash &&
+    !(password && (await bcrypt.compare(password, user.passwordHash)))
+  ) {
+    return false;
+  }
+
+  if (user.totpEnabledAt) {
+    return Boolean(await verifySecondFactor(user, { code, recoveryCode }));
+  }
+
+  return (
+    Boolean(user.passwordHash) ||
+    Date.now() - (req.session.authenticatedAt || 0) < RECENT_LOGIN_MS
+  );
+}
+
+/**
+ * Create the session and API tokens for a fully authenticated user
+ */
+async function completeLogin(req, res, user, extra = {}) {
+  await recordLoginSuccess({ ip: req.ip, user });
+  startSession(req, user);
+
+  // Short-lived access token plus rotating refresh token for API access
+  const { accessToken, refreshToken, expiresIn } = await issueTokenPair(user);
+
+  res.json({
+    message: 'Login successful',
+    user: {
+      id: user.id,
+      email: user.email,
+      name: user.name,
+      emailVerified: Boolean(user.emailVerifiedAt),
+    },
+    token: accessToken,
+    refreshToken,
+    expiresIn,
+    ...extra,
+  });
+}
+
+/**
+ * Email a verification link to a user
+ */
+async function sendVerificationEmail(req, user) {
+  const token = await issueToken(user.id, TokenPurpose.EMAIL_VERIFICATION, {
+    ttlMs: EMAIL_VERIFICATION_TTL_MS,
+    metadata: { email: user.email },
+  });
+
+  const verifyUrl = `${getPublicUrl(req)}/auth/verify-email?token=${encodeURIComponent(token)}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your BambiSleep Church email',
+    text: `Hello ${user.name},\n\nPlease confirm your email address to unlock premium content:\n\n${verifyUrl}\n\nThis link expires in ${Math.round(EMAIL_VERIFICATION_TTL_MS / 3600000)} hours.`,
+  });
+}
+
+/**
+ * Ask for the second factor after the first one succeeded
+ */
+async function sendTwoFactorChallenge(res, user) {
+  const challengeToken = jwt.sign(
+    { sub: user.id, purpose: '2fa_challenge' },
+    jwtSecret(),
+    { expiresIn: '5m' }
+  );
+
+  const challenge = {
+    message: 'Two-factor authentication required',
+    twoFactorRequired: true,
+    challengeToken,
+  };
+
+  // Registered passkeys can stand in for the TOTP code
+  if (await countCredentials(user.id)) {
+    challenge.webauthnOptions = await authenticationOptions({ user });
+  }
+
+  res.json(challenge);
+}
+
+/**
+ * Verify a passkey assertion as the second login factor
+ * @returns {Promise<'webauthn'|null>}
+ */
+async function verifyPasskeyFactor(user, response) {
+  if (!user?.totpEnabledAt) {
+    return null;
+  }
+  return (await verifyAuthentication(response, { user })) ? 'webauthn' : null;
+}
+
+/**
+ * Email a confirmation link to the new address for an email change
+ */
+async function sendEmailChangeConfirmation(req, user, email) {
+  const token = await issueToken(user.id, TokenPurpose.EMAIL_CHANGE, {
+    ttlMs: EMAIL_VERIFICATION_TTL_MS,
+    metadata: { email },
+  });
+
+  const confirmUrl = `${getPublicUrl(req)}/auth/confirm-email-change?token=${encodeURIComponent(token)}`;
+
+  await sendMail({
+    to: email,
+    subject: 'Confirm your new BambiSleep Church email',
+    text: `Hello ${user.name},\n\nConfirm that you want to use this address for your account:\n\n${confirmUrl}\n\nThis link expires in ${Math.round(EMAIL_VERIFICATION_TTL_MS / 3600000)} hours. If you did not request this, you can ignore this email.`,
+  });
+}
+
+/**
+ * Ask the current address to approve an email change
+ * Used by accounts with no password or second factor to re-authenticate;
+ * the approved link then sends the usual confirmation to the new address.
+ */
+async function sendEmailChangeApproval(req, user, email) {
+  const token = await issueToken(user.id, TokenPurpose.EMAIL_CHANGE, {
+    ttlMs: EMAIL_VERIFICATION_TTL_MS,
+    metadata: { email, approval: true },
+  });
+
+  const approveUrl = `${getPublicUrl(req)}/auth/confirm-email-change?token=${encodeURIComponent(token)}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Approve your BambiSleep Church email change',
+    text: `Hello ${user.name},\n\nSomeone asked to change the email address on your account to ${email}. If this was you, approve the change:\n\n${approveUrl}\n\nThis link expires in ${Math.round(EMAIL_VERIFICATION_TTL_MS / 3600000)} hours. If it was not you, ignore this email and sign out your other sessions.`,
+  });
+}
+
+/**
+ * Email an unlock link to a user whose account was just locked
+ */
+async function sendUnlockEmail(req, user) {
+  const token = await issueToken(user.id, TokenPurpose.ACCOUNT_UNLOCK, {
+    ttlMs: ACCOUNT_UNLOCK_TTL_MS,
+    metadata: { ip: req.ip },
+  });
+
+  const unlockUrl = `${getPublicUrl(req)}/auth/unlock?token=${encodeURIComponent(token)}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Your BambiSleep Church account has been locked',
+    text: `Hello ${user.name},\n\nWe locked your account after several failed login attempts. If this was you, use the link below to unlock it right away:\n\n${unlockUrl}\n\nIf it was not you, consider resetting your password. The lock also expires on its own.`,
+  });
+}
+
+/**
+ * Count a failed login (or second factor) towards the account lockout
+ * Emails an unlock link the first time the account locks
+ */
+async function handleLoginFailure(req, type, email, user) {
+  trackAuthAttempt(type, 'failed', user?.id ?? null);
+
+  const { newlyLocked } = await recordLoginFailure({
+    ip: req.ip,
+    email,
+    user,
+  });
+
+  if (newlyLocked) {
+    try {
+      await sendUnlockEmail(req, user);
+    } catch (mailError) {
+      logger.error('Unlock email delivery failed', {
+        error: mailError.message,
+        userId: user.id,
+      });
+    }
+  }
+}
+
+/**
+ * Reject attempts against a locked account
+ * @returns {boolean} True if a response was sent
+ */
+function rejectLockedAccount(req, res, type, user) {
+  const retryAfter = lockoutRemaining(user);
+  if (!retryAfter) {
+    return false;
+  }
+
+  trackAuthAttempt(type, 'locked', user.id);
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({
+    error:
+      'Too many failed login attempts. Try again later or use the unlock link sent to your email.',
+    retryAfter,
+  });
+  return true;
+}
+
+/**
+ * Enforce the registration mode and claim the invite presented, if any
+ * @param {string|null} inviteId
+ * @returns {Promise<{invite: object|null}|{error: string}>}
+ */
+async function admitRegistration(inviteId) {
+  const mode = await getRegistrationMode();
+  if (mode === RegistrationMode.CLOSED) {
+    return { error: 'Registration is currently closed' };
+  }
+
+  if (!inviteId) {
+    return mode === RegistrationMode.INVITE_ONLY
+      ? { error: 'A valid invite code is required' }
+      : { invite: null };
+  }
+
+  const invite = await claimInvite(inviteId);
+  return invite
+    ? { invite }
+    : { error: 'Invite code is invalid or has expired' };
+}
+
+/**
+ * Check the terms and age attestations in a request body
+ * @returns {{status: number, error: string}|null} Null if both were given
+ *   for the terms currently in force
+ */
+function checkConsent({ acceptTerms, confirmAge, termsVersion }) {
+  const terms = currentTerms();
+  const given = value => value === true || value === 'true';
+
+  if (!given(acceptTerms) || !given(confirmAge)) {
+    return {
+      status: 400,
+      error: `You must accept the terms of service and confirm you are at least ${terms.minimumAge}`,
+    };
+  }
+  // Clients echo the version they displayed, so a stale page cannot accept
+  if (termsVersion && String(termsVersion) !== terms.version) {
+    return {
+      status: 409,
+      error: 'The terms of service have changed, please review them again',
+    };
+  }
+  return null;
+}
+
+/**
+ * Delete a Stripe customer created for a registration that then failed
+ * A failure here is only logged; the registration error is what the client
+ * needs to see.
+ */
+async function deleteOrphanedCustomer(customerId) {
+  try {
+    await stripe.customers.del(customerId);
+  } catch (error) {
+    logger.error('Orphaned Stripe customer could not be deleted', {
+      error: error.message,
+      customerId,
+    });
+  }
+}
+
+/**
+ * Registration mode, so clients know whether to ask for an invite code
+ */
+router.get('/registration', async (req, res) => {
+  res.json({ mode: await getRegistrationMode() });
+});
 
 /**
  * Register new user
  */
-router.post('/register', async (req, res) => {
+router.post('/register', emailLimiter, async (req, res) => {
+  let invite = null;
+  let customer = null;
+  let user = null;
+
   try {
-    const { email, password, name } = req.body;
+    const { email, password, name, inviteCode } = req.body;
 
     // Validate input
     if (!email || !password || !name) {
@@ -31,8 +485,16 @@ router.post('/register', async (req, res) => {
         .json({ error: 'Email, password, and name are required' });
     }
 
+    const consentProblem = checkConsent(req.body);
+    if (consentProblem) {
+      trackAuthAttempt('registration', 'failed_consent');
+      return res
+        .status(consentProblem.status)
+        .json({ error: consentProblem.error, terms: currentTerms() });
+    }
+
     // Check if user exists
-    if (users.has(email)) {
+    if (await userRepository.findByEmail(email)) {
       trackAuthAttempt('registration', 'failed_exists');
       trackSecurityEvent('duplicate_registration_attempt', 'low', {
         email,
@@ -41,11 +503,25 @@ router.post('/register', async (req, res) => {
       return res.status(409).json({ error: 'User already exists' });
     }
 
+    // Registration mode and invite are checked before anything is created
+    const presented = inviteCode
+      ? await findRedeemableInvite(inviteCode)
+      : null;
+    const admission =
+      inviteCode && !presented
+        ? { error: 'Invite code is invalid or has expired' }
+        : await admitRegistration(presented?.id);
+    if (admission.error) {
+      trackAuthAttempt('registration', 'failed_gated');
+      return res.status(403).json({ error: admission.error });
+    }
+    ({ invite } = admission);
+
     // Hash password
     const hashedPassword = await bcrypt.hash(password, 10);
 
     // Create Stripe customer
-    const customer = await stripe.customers.create({
+    customer = await stripe.customers.create({
       email,
       name,
       metadata: {
@@ -54,46 +530,72 @@ router.post('/register', async (req, res) => {
       },
     });
 
-    // Create user
-    const user = {
-      id: customer.id,
-      email,
-      name,
-      password: hashedPassword,
-      stripeCustomerId: customer.id,
-      createdAt: new Date().toISOString(),
-    };
-
-    users.set(email, user);
+    // The account, its invite and its consent are stored together or not
+    // at all
+    const db = getDatabase();
+    const userId = db.transaction(() => {
+      const id = userRepository.insert({
+        email,
+        name,
+        passwordHash: hashedPassword,
+        stripeCustomerId: customer.id,
+        ...(invite && inviteGrant(invite)),
+      });
+      recordConsent(id, {
+        source: 'registration',
+        ip: req.ip,
+        userAgent: req.get('user-agent'),
+      });
+      return id;
+    })();
+    user = await userRepository.findById(userId);
 
     // Create session
-    req.session.user = {
-      id: user.id,
-      email: user.email,
-      name: user.name,
-      stripeCustomerId: user.stripeCustomerId,
-    };
+    startSession(req, user);
+
+    // Send verification email (registration succeeds even if delivery fails)
+    try {
+      await sendVerificationEmail(req, user);
+    } catch (mailError) {
+      logger.error('Verification email delivery failed', {
+        error: mailError.message,
+        userId: user.id,
+      });
+    }
 
     // Track successful registration
     trackAuthAttempt('registration', 'success', user.id);
-    userRegistrations.inc({ source: 'web' });
+    userRegistrations.inc({ source: 'web', invite: invite?.label ?? 'none' });
     authSessionsActive.inc();
 
     logger.info('User registered successfully', {
       userId: user.id,
       email: user.email,
+      inviteId: invite?.id,
       ip: req.ip,
     });
 
     res.status(201).json({
-      message: 'User registered successfully',
+      message:
+        'User registered successfully. Check your email to verify your address.',
       user: {
         id: user.id,
         email: user.email,
         name: user.name,
+        emailVerified: false,
       },
     });
   } catch (error) {
+    // Hand the invite use back and drop the Stripe customer if no account
+    // came of it
+    if (!user) {
+      if (invite) {
+        await releaseInvite(invite.id);
+      }
+      if (customer) {
+        await deleteOrphanedCustomer(customer.id);
+      }
+    }
     trackAuthAttempt('registration', 'failed_error');
     logger.error('Registration error', { error: error.message, ip: req.ip });
     res.status(500).json({ error: 'Registration failed' });
@@ -103,7 +605,7 @@ router.post('/register', async (req, res) => {
 /**
  * Login user
  */
-router.post('/login', async (req, res) => {
+router.post('/login', authLimiter, async (req, res) => {
   try {
     const { email, password } = req.body;
 
@@ -113,45 +615,31 @@ router.post('/login', async (req, res) => {
     }
 
     // Find user
-    const user = users.get(email);
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+    const user = await userRepository.findByEmail(email);
+
+    // Locked accounts are refused before the password is even checked
+    if (rejectLockedAccount(req, res, 'login', user)) {
+      return;
     }
 
     // Verify password
-    const isValid = await bcrypt.compare(password, user.password);
+    const isValid =
+      Boolean(user?.passwordHash) &&
+      (await bcrypt.compare(password, user.passwordHash));
     if (!isValid) {
+      await handleLoginFailure(req, 'login', email, user);
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    // Create session
-    req.session.user = {
-      id: user.id,
-      email: user.email,
-      name: user.name,
-      stripeCustomerId: user.stripeCustomerId,
-    };
-
-    // Generate JWT token for API access
-    const token = jwt.sign(
-      {
-        id: user.id,
-        email: user.email,
-        stripeCustomerId: user.stripeCustomerId,
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    // Second step required when two-factor is enabled
+    if (user.totpEnabledAt) {
+      trackAuthAttempt('login', 'pending_2fa', user.id);
+      await sendTwoFactorChallenge(res, user);
+      return;
+    }
 
-    res.json({
-      message: 'Login successful',
-      user: {
-        id: user.id,
-        email: user.email,
-        name: user.name,
-      },
-      token,
-    });
+    trackAuthAttempt('login', 'success', user.id);
+    await completeLogin(req, res, user);
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({ error: 'Login failed' });
@@ -159,28 +647,1682 @@ router.post('/login', async (req, res) => {
 });
 
 /**
- * Logout user
+ * Request a passwordless login link
+ * Always responds the same way so addresses cannot be enumerated
  */
-router.post('/logout', (req, res) => {
-  req.session.destroy(err => {
-    if (err) {
-      return res.status(500).json({ error: 'Logout failed' });
+router.post('/magic-link', emailLimiter, async (req, res) => {
+  const { email } = req.body;
+
+  if (!email) {
+    return res.status(400).json({ error: 'Email is required' });
+  }
+
+  const genericResponse = {
+    message: 'If an account exists for that email, a login link has been sent',
+  };
+
+  try {
+    const user = await userRepository.findByEmail(email);
+
+    if (!user) {
+      trackAuthAttempt('magic_link_request', 'unknown_email');
+      return res.json(genericResponse);
     }
-    res.json({ message: 'Logout successful' });
-  });
+
+    const token = await issueToken(user.id, TokenPurpose.MAGIC_LINK, {
+      ttlMs: MAGIC_LINK_TTL_MS,
+      metadata: {
+        binding: MAGIC_LINK_BINDING,
+        ip: req.ip,
+        userAgent: hashToken(req.get('user-agent') || ''),
+      },
+    });
+
+    const loginUrl = `${getPublicUrl(req)}/auth/magic-link/verify?token=${encodeURIComponent(token)}`;
+    const minutes = Math.round(MAGIC_LINK_TTL_MS / 60000);
+    const sameDevice = MAGIC_LINK_BINDING.length
+      ? ' Open it on the same device and network you requested it from.'
+      : '';
+
+    await sendMail({
+      to: user.email,
+      subject: 'Your BambiSleep Church login link',
+      text: `Hello ${user.name},\n\nUse the link below within ${minutes} minutes to log in. It works once.${sameDevice}\n\n${loginUrl}\n\nIf you did not request this, you can ignore this email.`,
+    });
+
+    trackAuthAttempt('magic_link_request', 'success', user.id);
+    res.json(genericResponse);
+  } catch (error) {
+    trackAuthAttempt('magic_link_request', 'failed_error');
+    logger.error('Magic link request error', {
+      error: error.message,
+      ip: req.ip,
+    });
+    res.status(500).json({ error: 'Failed to send login link' });
+  }
 });
 
 /**
- * Get current user
+ * Log in with a magic link
+ * Accepts the token from the emailed link (GET) or a JSON body (POST)
  */
-router.get('/me', (req, res) => {
-  if (!req.session.user) {
-    return res.status(401).json({ error: 'Not authenticated' });
+async function verifyMagicLink(req, res) {
+  const token = req.query.token || req.body?.token;
+
+  if (!token) {
+    return res.status(400).json({ error: 'Login token is required' });
   }
 
-  res.json({
-    user: req.session.user,
-  });
-});
+  try {
+    const record = await consumeToken(token, TokenPurpose.MAGIC_LINK);
+    const user = record && (await userRepository.findById(record.userId));
+
+    if (!user) {
+      trackAuthAttempt('magic_link', 'failed_invalid_token');
+      return res.status(401).json({ error: 'Invalid or expired login link' });
+    }
+
+    const { binding = [], ip, userAgent } = record.metadata || {};
+    const mismatch =
+      (binding.includes('ip') && ip !== req.ip) ||
+      (binding.includes('user-agent') &&
+        userAgent !== hashToken(req.get('user-agent') || ''));
+
+    if (mismatch) {
+      trackAuthAttempt('magic_link', 'failed_binding', user.id);
+      trackSecurityEvent('magic_link_binding_mismatch', 'medium', {
+        userId: user.id,
+        ip: req.ip,
+        requestedFrom: ip,
+      });
+      return res.status(401).json({
+        error: 'This login link must be opened on the device that requested it',
+      });
+    }
+
+    if (rejectLockedAccount(req, res, 'magic_link', user)) {
+      return;
+    }
+
+    // Opening the link proves control of the mailbox
+    if (!user.emailVerifiedAt) {
+      await userRepository.update(user.id, {
+        emailVerifiedAt: new Date().toISOString(),
+      });
+      user.emailVerifiedAt = new Date().toISOString();
+    }
+
+    if (user.totpEnabledAt) {
+      trackAuthAttempt('magic_link', 'pending_2fa', user.id);
+      await sendTwoFactorChallenge(res, user);
+      return;
+    }
+
+    trackAuthAttempt('magic_link', 'success', user.id);
+    await completeLogin(req, res, user);
+  } catch (error) {
+    trackAuthAttempt('magic_link', 'failed_error');
+    logger.error('Magic link login error', {
+      error: error.message,
+      ip: req.ip,
+    });
+    res.status(500).json({ error: 'Login failed' });
+  }
+}
+
+router.get('/magic-link/verify', verifyMagicLink);
+router.post('/magic-link/verify', verifyMagicLink);
+
+/**
+ * Complete login with a TOTP code, recovery code, or passkey assertion
+ */
+router.post('/login/2fa', authLimiter, async (req, res) => {
+  const { challengeToken, code, recoveryCode, webauthn } = req.body;
+
+  if (!challengeToken || (!code && !recoveryCode && !webauthn)) {
+    return res.status(400).json({
+      error: 'Challenge token and code, recovery code, or passkey are required',
+    });
+  }
+
+  let challenge;
+  try {
+    challenge = jwt.verify(challengeToken, jwtSecret());
+  } catch {
+    challenge = null;
+  }
+
+  if (challenge?.purpose !== '2fa_challenge') {
+    trackAuthAttempt('login_2fa', 'failed_challenge');
+    return res.status(401).json({ error: 'Invalid or expired challenge' });
+  }
+
+  try {
+    const user = await userRepository.findById(challenge.sub);
+
+    if (rejectLockedAccount(req, res, 'login_2fa', user)) {
+      return;
+    }
+
+    const method = webauthn
+      ? await verifyPasskeyFactor(user, webauthn)
+      : await verifySecondFactor(user, { code, recoveryCode });
+
+    if (!method) {
+      await handleLoginFailure(req, 'login_2fa', user?.email, user);
+      trackSecurityEvent('two_factor_failure', 'medium', {
+        userId: challenge.sub,
+        ip: req.ip,
+      });
+      return res.status(401).json({ error: 'Invalid two-factor code' });
+    }
+
+    trackAuthAttempt('login_2fa', 'success', user.id);
+
+    if (method === 'recovery_code') {
+      const remaining = await countRecoveryCodes(user.id);
+      trackSecurityEvent('two_factor_recovery_code_used', 'medium', {
+        userId: user.id,
+        ip: req.ip,
+        remaining,
+      });
+      return completeLogin(req, res, user, {
+        recoveryCodesRemaining: remaining,
+      });
+    }
+
+    await completeLogin(req, res, user);
+  } catch (error) {
+    trackAuthAttempt('login_2fa', 'failed_error');
+    logger.error('Two-factor login error', {
+      error: error.message,
+      ip: req.ip,
+    });
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
+
+/**
+ * Two-factor status for the logged-in user
+ */
+router.get('/2fa', requireSessionUser, async (req, res) => {
+  const user = req.currentUser;
+
+  res.json({
+    enabled: Boolean(user.totpEnabledAt),
+    enabledAt: user.totpEnabledAt,
+    recoveryCodesRemaining: user.totpEnabledAt
+      ? await countRecoveryCodes(user.id)
+      : 0,
+  });
+});
+
+/**
+ * Start TOTP enrollment (returns otpauth URI and QR code)
+ */
+router.post('/2fa/setup', requireSessionUser, async (req, res) => {
+  const user = req.currentUser;
+
+  if (user.totpEnabledAt) {
+    return res
+      .status(409)
+      .json({ error: 'Two-factor authentication is already enabled' });
+  }
+
+  try {
+    const enrollment = await beginEnrollment(user);
+
+    logger.info('Two-factor enrollment started', { userId: user.id });
+
+    res.json({
+      message: 'Scan the QR code, then confirm with a code from your app',
+      ...enrollment,
+    });
+  } catch (error) {
+    logger.error('Two-factor setup error', {
+      error: error.message,
+      userId: user.id,
+    });
+    res.status(500).json({ error: 'Failed to start two-factor setup' });
+  }
+});
+
+/**
+ * Confirm TOTP enrollment and receive recovery codes
+ */
+router.post(
+  '/2fa/confirm',
+  authLimiter,
+  requireSessionUser,
+  async (req, res) => {
+    const user = req.currentUser;
+
+    try {
+      const recoveryCodes = await confirmEnrollment(user.id, req.body.code);
+
+      if (!recoveryCodes) {
+        trackAuthAttempt('2fa_enroll', 'failed', user.id);
+        return res.status(400).json({ error: 'Invalid two-factor code' });
+      }
+
+      trackAuthAttempt('2fa_enroll', 'success', user.id);
+      trackSecurityEvent('two_factor_enabled', 'low', {
+        userId: user.id,
+        ip: req.ip,
+      });
+
+      res.json({
+        message: 'Two-factor authentication enabled',
+        recoveryCodes,
+      });
+    } catch (error) {
+      logger.error('Two-factor confirm error', {
+        error: error.message,
+        userId: user.id,
+      });
+      res.status(500).json({ error: 'Failed to enable two-factor' });
+    }
+  }
+);
+
+/**
+ * Disable two-factor (requires password and a current factor)
+ */
+router.post(
+  '/2fa/disable',
+  authLimiter,
+  requireSessionUser,
+  async (req, res) => {
+    const user = req.currentUser;
+    const { password, code, recoveryCode } = req.body;
+
+    if (!user.totpEnabledAt) {
+      return res
+        .status(400)
+        .json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    try {
+      const passwordValid =
+        Boolean(password && user.passwordHash) &&
+        (await bcrypt.compare(password, user.passwordHash));
+      const method =
+        passwordValid &&
+        (await verifySecondFactor(user, { code, recoveryCode }));
+
+      if (!method) {
+        trackAuthAttempt('2fa_disable', 'failed', user.id);
+        trackSecurityEvent('two_factor_disable_failure', 'medium', {
+          userId: user.id,
+          ip: req.ip,
+        });
+        return res
+          .status(401)
+          .json({ error: 'Invalid password or two-factor code' });
+      }
+
+      await disableTwoFactor(user.id);
+
+      trackAuthAttempt('2fa_disable', 'success', user.id);
+      trackSecurityEvent('two_factor_disabled', 'medium', {
+        userId: user.id,
+        ip: req.ip,
+      });
+
+      res.json({ message: 'Two-factor authentication disabled' });
+    } catch (error) {
+      logger.error('Two-factor disable error', {
+        error: error.message,
+        userId: user.id,
+      });
+      res.status(500).json({ error: 'Failed to disable two-factor' });
+    }
+  }
+);
+
+/**
+ * Regenerate recovery codes (requires a current TOTP code)
+ */
+router.post(
+  '/2fa/recovery-codes',
+  authLimiter,
+  requireSessionUser,
+  async (req, res) => {
+    const user = req.currentUser;
+
+    try {
+      const method = await verifySecondFactor(user, { code: req.body.code });
+
+      if (method !== 'totp') {
+        trackAuthAttempt('2fa_recovery_regenerate', 'failed', user.id);
+        return res.status(401).json({ error: 'Invalid two-factor code' });
+      }
+
+      const recoveryCodes = await regenerateRecoveryCodes(user.id);
+
+      trackSecurityEvent('two_factor_recovery_codes_regenerated', 'low', {
+        userId: user.id,
+        ip: req.ip,
+      });
+
+      res.json({ message: 'Recovery codes regenerated', recoveryCodes });
+    } catch (error) {
+      logger.error('Recovery code regeneration error', {
+        error: error.message,
+        userId: user.id,
+      });
+      res.status(500).json({ error: 'Failed to regenerate recovery codes' });
+    }
+  }
+);
+
+/**
+ * List the logged-in user's passkeys
+ */
+router.get('/webauthn/credentials', requireSessionUser, async (req, res) => {
+  res.json({ credentials: await listCredentials(req.currentUser.id) });
+});
+
+/**
+ * Start passkey registration (options for navigator.credentials.create)
+ */
+router.post(
+  '/webauthn/register/options',
+  requireSessionUser,
+  async (req, res) => {
+    try {
+      res.json(await registrationOptions(req.currentUser));
+    } catch (error) {
+      logger.error('Passkey registration options error', {
+        error: error.message,
+        userId: req.currentUser.id,
+      });
+      res.status(500).json({ error: 'Failed to start passkey registration' });
+    }
+  }
+);
+
+/**
+ * Finish passkey registration
+ */
+router.post(
+  '/webauthn/register/verify',
+  authLimiter,
+  requireSessionUser,
+  async (req, res) => {
+    const user = req.currentUser;
+    const { response, name } = req.body;
+
+    if (!response) {
+      return res.status(400).json({ error: 'Passkey response is required' });
+    }
+
+    try {
+      // A passkey logs in without TOTP, so adding one needs the same proof
+      if (!(await verifyStepUp(req, user, req.body))) {
+        trackAuthAttempt('webauthn_register', 'failed', user.id);
+        trackSecurityEvent('passkey_add_step_up_failure', 'medium', {
+          userId: user.id,
+          ip: req.ip,
+        });
+        return res
+          .status(401)
+          .json({ error: 'Invalid password or two-factor code' });
+      }
+
+      const credential = await verifyRegistration(user, response, name);
+
+      if (!credential) {
+        trackAuthAttempt('webauthn_register', 'failed', user.id);
+        return res
+          .status(400)
+          .json({ error: 'Passkey registration could not be verified' });
+      }
+
+      trackAuthAttempt('webauthn_register', 'success', user.id);
+      trackSecurityEvent('passkey_added', 'low', {
+        userId: user.id,
+        credentialId: credential.id,
+        ip: req.ip,
+      });
+
+      res.status(201).json({ message: 'Passkey added', credential });
+    } catch (error) {
+      logger.error('Passkey registration error', {
+        error: error.message,
+        userId: user.id,
+      });
+      res.status(500).json({ error: 'Failed to add passkey' });
+    }
+  }
+);
+
+/**
+ * Remove a passkey
+ */
+router.delete(
+  '/webauthn/credentials/:id',
+  requireSessionUser,
+  async (req, res) => {
+    const user = req.currentUser;
+
+    try {
+      if (!(await deleteCredential(user.id, req.params.id))) {
+        return res.status(404).json({ error: 'Passkey not found' });
+      }
+
+      trackSecurityEvent('passkey_removed', 'medium', {
+        userId: user.id,
+        credentialId: req.params.id,
+        ip: req.ip,
+      });
+
+      res.json({ message: 'Passkey removed' });
+    } catch (error) {
+      logger.error('Passkey removal error', {
+        error: error.message,
+        userId: user.id,
+      });
+      res.status(500).json({ error: 'Failed to remove passkey' });
+    }
+  }
+);
+
+/**
+ * Start a passwordless passkey login (options for navigator.credentials.get)
+ */
+router.post('/webauthn/login/options', authLimiter, async (req, res) => {
+  try {
+    res.json(await authenticationOptions());
+  } catch (error) {
+    logger.error('Passkey login options error', {
+      error: error.message,
+      ip: req.ip,
+    });
+    res.status(500).json({ error: 'Failed to start passkey login' });
+  }
+});
+
+/**
+ * Log in with a passkey
+ * User verification on the authenticator counts as the second factor, so
+ * no TOTP code is requested afterwards.
+ */
+router.post('/webauthn/login/verify', authLimiter, async (req, res) => {
+  const { response } = req.body;
+
+  if (!response) {
+    return res.status(400).json({ error: 'Passkey response is required' });
+  }
+
+  try {
+    const result = await verifyAuthentication(response);
+    const user = result && (await userRepository.findById(result.userId));
+
+    if (!user) {
+      trackAuthAttempt('webauthn', 'failed');
+      trackSecurityEvent('passkey_login_failure', 'low', { ip: req.ip });
+      return res.status(401).json({ error: 'Passkey could not be verified' });
+    }
+
+    if (rejectLockedAccount(req, res, 'webauthn', user)) {
+      return;
+    }
+
+    trackAuthAttempt('webauthn', 'success', user.id);
+    await completeLogin(req, res, user);
+  } catch (error) {
+    trackAuthAttempt('webauthn', 'failed_error');
+    logger.error('Passkey login error', { error: error.message, ip: req.ip });
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
+
+/**
+ * Read a cookie from the request
+ */
+function readCookie(req, name) {
+  const pair = (req.headers.cookie || '')
+    .split(';')
+    .map(part => part.trim())
+    .find(part => part.startsWith(`${name}=`));
+  return pair ? decodeURIComponent(pair.slice(name.length + 1)) : null;
+}
+
+/**
+ * Callback URL registered with a provider
+ */
+function oidcRedirectUri(req, provider) {
+  return `${getPublicUrl(req)}/auth/oidc/${provider.id}/callback`;
+}
+
+/**
+ * Redirect the browser to a provider's authorization endpoint
+ * The binding cookie is SameSite=Lax so it survives the provider's redirect
+ * back, unlike the strict session cookie.
+ */
+async function redirectToProvider(req, res, userId) {
+  const provider = getProvider(req.params.provider);
+  if (!provider) {
+    return res.status(404).json({ error: 'Unknown login provider' });
+  }
+
+  try {
+    // First-time sign-ups may carry an invite code through the provider
+    const invite = req.query.invite
+      ? await findRedeemableInvite(req.query.invite)
+      : null;
+    if (req.query.invite && !invite) {
+      return res
+        .status(403)
+        .json({ error: 'Invite code is invalid or has expired' });
+    }
+
+    const { url, binding } = await beginAuthorization(provider, {
+      redirectUri: oidcRedirectUri(req, provider),
+      userId,
+      inviteId: invite?.id,
+    });
+
+    res.cookie(OIDC_BINDING_COOKIE, binding, {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: process.env.NODE_ENV === 'production',
+      maxAge: 10 * 60 * 1000,
+      path: `${req.baseUrl}/oidc`,
+    });
+    res.redirect(url);
+  } catch (error) {
+    logger.error('OIDC authorization start error', {
+      error: error.message,
+      provider: provider.id,
+    });
+    res.status(502).json({ error: 'Login provider is unavailable' });
+  }
+}
+
+/**
+ * Create an account for a first-time provider login
+ * Mirrors /register: Stripe customer first, then the user and identity
+ */
+async function registerOidcUser(provider, profile, invite) {
+  const name = profile.name || profile.email.split('@')[0];
+  let user = null;
+
+  try {
+    const customer = await stripe.customers.create({
+      email: profile.email,
+      name,
+      metadata: {
+        source: 'bambisleep-church',
+        registered_at: new Date().toISOString(),
+        login_provider: provider.id,
+      },
+    });
+
+    user = await userRepository.create({
+      email: profile.email,
+      name,
+      stripeCustomerId: customer.id,
+      emailVerifiedAt: new Date().toISOString(),
+    });
+  } catch (error) {
+    if (invite) {
+      await releaseInvite(invite.id);
+    }
+    throw error;
+  }
+
+  await linkIdentity(user.id, provider.id, profile);
+  if (invite) {
+    await applyInvite(user.id, invite);
+  }
+
+  userRegistrations.inc({
+    source: provider.id,
+    invite: invite?.label ?? 'none',
+  });
+  logger.info('User registered via login provider', {
+    userId: user.id,
+    provider: provider.id,
+  });
+
+  return user;
+}
+
+/**
+ * Login providers that are enabled
+ */
+router.get('/oidc/providers', (req, res) => {
+  res.json({ providers: listProviders() });
+});
+
+/**
+ * Provider accounts linked to the logged-in user
+ */
+router.get('/oidc/identities', requireSessionUser, async (req, res) => {
+  res.json({ identities: await listIdentities(req.currentUser.id) });
+});
+
+/**
+ * Log in (or sign up) with a provider
+ */
+router.get('/oidc/:provider', authLimiter, (req, res) =>
+  redirectToProvider(req, res, null)
+);
+
+/**
+ * Link a provider account to the logged-in user
+ */
+router.get('/oidc/:provider/link', requireSessionUser, (req, res) =>
+  redirectToProvider(req, res, req.currentUser.id)
+);
+
+/**
+ * Provider redirect target: log in, register, or finish linking
+ */
+router.get('/oidc/:provider/callback', authLimiter, async (req, res) => {
+  const provider = getProvider(req.params.provider);
+  if (!provider) {
+    return res.status(404).json({ error: 'Unknown login provider' });
+  }
+
+  const binding = readCookie(req, OIDC_BINDING_COOKIE);
+  res.clearCookie(OIDC_BINDING_COOKIE, { path: `${req.baseUrl}/oidc` });
+
+  if (req.query.error) {
+    trackAuthAttempt('oidc', 'failed_denied');
+    return res.status(401).json({ error: 'Login was cancelled' });
+  }
+
+  try {
+    const result = await completeAuthorization(provider, {
+      state: req.query.state,
+      code: req.query.code,
+      binding,
+    });
+
+    if (!result) {
+      trackAuthAttempt('oidc', 'failed_invalid_state');
+      return res
+        .status(401)
+        .json({ error: `Login with ${provider.name} failed` });
+    }
+
+    const { profile, userId, inviteId } = result;
+    const identity = await findIdentity(provider.id, profile.subject);
+
+    if (userId) {
+      if (identity && identity.userId !== userId) {
+        return res.status(409).json({
+          error: `This ${provider.name} account is linked to another user`,
+        });
+      }
+
+      if (!identity && !(await linkIdentity(userId, provider.id, profile))) {
+        return res.status(409).json({
+          error: `A different ${provider.name} account is already linked`,
+        });
+      }
+
+      trackSecurityEvent('identity_linked', 'low', {
+        userId,
+        provider: provider.id,
+        ip: req.ip,
+      });
+      return res.json({
+        message: `${provider.name} account linked`,
+        identities: await listIdentities(userId),
+      });
+    }
+
+    let user = identity && (await userRepository.findById(identity.userId));
+    let registered = false;
+
+    if (identity) {
+      await touchIdentity(identity.id);
+    } else {
+      if (!profile.email || !profile.emailVerified) {
+        trackAuthAttempt('oidc', 'failed_unverified_email');
+        return res.status(400).json({
+          error: `Your ${provider.name} account needs a verified email address`,
+        });
+      }
+
+      // Never attach a provider to an existing account without its owner
+      if (await userRepository.findByEmail(profile.email)) {
+        trackAuthAttempt('oidc', 'failed_exists');
+        return res.status(409).json({
+          error: `An account with this email already exists. Log in and link ${provider.name} from your account settings.`,
+        });
+      }
+
+      const admission = await admitRegistration(inviteId);
+      if (admission.error) {
+        trackAuthAttempt('oidc', 'failed_gated');
+        return res.status(403).json({ error: admission.error });
+      }
+
+      user = await registerOidcUser(provider, profile, admission.invite);
+      registered = true;
+    }
+
+    if (rejectLockedAccount(req, res, 'oidc', user)) {
+      return;
+    }
+
+    if (user.totpEnabledAt) {
+      trackAuthAttempt('oidc', 'pending_2fa', user.id);
+      await sendTwoFactorChallenge(res, user);
+      return;
+    }
+
+    trackAuthAttempt('oidc', 'success', user.id);
+    await completeLogin(req, res, user, registered ? { registered } : {});
+  } catch (error) {
+    trackAuthAttempt('oidc', 'failed_error');
+    logger.error('OIDC callback error', {
+      error: error.message,
+      provider: provider.id,
+    });
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
+
+/**
+ * Unlink a provider account
+ * Email login (magic link, password reset) keeps the account reachable
+ */
+router.delete('/oidc/:provider', requireSessionUser, async (req, res) => {
+  const user = req.currentUser;
+
+  try {
+    if (!(await unlinkIdentity(user.id, req.params.provider))) {
+      return res.status(404).json({ error: 'Provider is not linked' });
+    }
+
+    trackSecurityEvent('identity_unlinked', 'medium', {
+      userId: user.id,
+      provider: req.params.provider,
+      ip: req.ip,
+    });
+
+    res.json({ message: 'Provider unlinked' });
+  } catch (error) {
+    logger.error('OIDC unlink error', {
+      error: error.message,
+      userId: user.id,
+    });
+    res.status(500).json({ error: 'Failed to unlink provider' });
+  }
+});
+
+/**
+ * List the logged-in user's API keys and the scopes they may grant
+ */
+router.get('/api-keys', requireSessionUser, async (req, res) => {
+  const user = req.currentUser;
+
+  res.json({
+    apiKeys: await listApiKeys(user.id),
+    availableScopes: PERMISSIONS[user.role] || [],
+  });
+});
+
+/**
+ * Create an API key (the key is only ever returned here)
+ * Scopes are limited to the permissions of the owner's role
+ */
+router.post(
+  '/api-keys',
+  requireSessionUser,
+  validators.apiKey,
+  validateRequest,
+  async (req, res) => {
+    const user = req.currentUser;
+    const { name, scopes, expiresInDays } = req.body;
+
+    const denied = scopes.filter(scope => !hasPermission(user.role, scope));
+    if (denied.length) {
+      return res.status(403).json({
+        error: 'Your role cannot grant these scopes',
+        scopes: denied,
+      });
+    }
+
+    try {
+      const { key, apiKey } = await createApiKey(user.id, {
+        name,
+        scopes,
+        expiresInDays,
+      });
+
+      trackSecurityEvent('api_key_created', 'low', {
+        userId: user.id,
+        apiKeyId: apiKey.id,
+        scopes: apiKey.scopes,
+        ip: req.ip,
+      });
+
+      res.status(201).json({
+        message: 'API key created. Store it now; it will not be shown again.',
+        key,
+        apiKey,
+      });
+    } catch (error) {
+      logger.error('API key creation error', {
+        error: error.message,
+        userId: user.id,
+      });
+      res.status(500).json({ error: 'Failed to create API key' });
+    }
+  }
+);
+
+/**
+ * Revoke an API key
+ */
+router.delete('/api-keys/:id', requireSessionUser, async (req, res) => {
+  const user = req.currentUser;
+
+  try {
+    if (!(await revokeApiKey(user.id, req.params.id))) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    trackSecurityEvent('api_key_revoked', 'low', {
+      userId: user.id,
+      apiKeyId: req.params.id,
+      ip: req.ip,
+    });
+
+    res.json({ message: 'API key revoked' });
+  } catch (error) {
+    logger.error('API key revocation error', {
+      error: error.message,
+      userId: user.id,
+    });
+    res.status(500).json({ error: 'Failed to revoke API key' });
+  }
+});
+
+/**
+ * Exchange a refresh token for a new access/refresh token pair
+ * The presented refresh token is revoked (rotation)
+ */
+router.post('/token/refresh', async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    return res.status(400).json({ error: 'Refresh token is required' });
+  }
+
+  try {
+    const record = await consumeRefreshToken(refreshToken);
+    const user = record && (await userRepository.findById(record.userId));
+
+    if (!user) {
+      trackAuthAttempt('token_refresh', 'failed_invalid_token');
+      return res
+        .status(401)
+        .json({ error: 'Invalid or expired refresh token' });
+    }
+
+    const tokens = await issueTokenPair(user, { familyId: record.familyId });
+
+    trackAuthAttempt('token_refresh', 'success', user.id);
+
+    res.json({
+      token: tokens.accessToken,
+      refreshToken: tokens.refreshToken,
+      expiresIn: tokens.expiresIn,
+    });
+  } catch (error) {
+    trackAuthAttempt('token_refresh', 'failed_error');
+    logger.error('Token refresh error', { error: error.message, ip: req.ip });
+    res.status(500).json({ error: 'Token refresh failed' });
+  }
+});
+
+/**
+ * Logout user
+ * Destroys the session and revokes the presented access/refresh tokens
+ */
+router.post('/logout', async (req, res) => {
+  const bearer = req.headers.authorization?.replace('Bearer ', '');
+
+  try {
+    if (bearer) {
+      let decoded = null;
+      try {
+        decoded = decodeAccessToken(bearer);
+      } catch {
+        // Expired or invalid tokens need no revocation
+      }
+      await revokeAccessToken(decoded, 'logout');
+    }
+
+    if (req.body?.refreshToken) {
+      await revokeRefreshTokenFamily(req.body.refreshToken, 'logout');
+    }
+  } catch (error) {
+    logger.error('Token revocation on logout failed', {
+      error: error.message,
+      ip: req.ip,
+    });
+    return res.status(500).json({ error: 'Logout failed' });
+  }
+
+  req.session.destroy(err => {
+    if (err) {
+      return res.status(500).json({ error: 'Logout failed' });
+    }
+    res.json({ message: 'Logout successful' });
+  });
+});
+
+/**
+ * List the logged-in user's active sessions (devices)
+ */
+router.get('/sessions', requireSessionUser, async (req, res) => {
+  try {
+    const sessions = await listUserSessions(req.currentUser.id, req.sessionID);
+    res.json({ sessions });
+  } catch (error) {
+    logger.error('Session list error', {
+      error: error.message,
+      userId: req.currentUser.id,
+    });
+    res.status(500).json({ error: 'Failed to list sessions' });
+  }
+});
+
+/**
+ * Log out everywhere: end every session, revoke every API token, and
+ * disconnect the user's WebSocket clients
+ */
+router.delete('/sessions', requireSessionUser, async (req, res) => {
+  const user = req.currentUser;
+
+  try {
+    const sessionsEnded = await destroyUserSessions(user.id);
+    // Also drops sessions in any store that was not swept above
+    await userRepository.bumpSessionVersion(user.id);
+    await revokeAllUserTokens(user.id, 'logout_all');
+    const websocketClients = disconnectUser(user.id, 'Logged out everywhere');
+
+    trackSecurityEvent('logout_all_sessions', 'low', {
+      userId: user.id,
+      ip: req.ip,
+      sessionsEnded,
+      websocketClients,
+    });
+
+    req.session.destroy(() => {
+      res.json({
+        message: 'Logged out of all sessions',
+        sessionsEnded,
+      });
+    });
+  } catch (error) {
+    logger.error('Logout everywhere error', {
+      error: error.message,
+      userId: user.id,
+    });
+    res.status(500).json({ error: 'Failed to end sessions' });
+  }
+});
+
+/**
+ * End one of the logged-in user's sessions
+ */
+router.delete('/sessions/:id', requireSessionUser, async (req, res) => {
+  const user = req.currentUser;
+
+  try {
+    const sessions = await listUserSessions(user.id, req.sessionID);
+    const target = sessions.find(entry => entry.id === req.params.id);
+
+    if (!target || !(await destroyUserSession(user.id, target.id))) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    trackSecurityEvent('session_revoked', 'low', {
+      userId: user.id,
+      ip: req.ip,
+      device: target.device,
+    });
+
+    if (target.current) {
+      return req.session.destroy(() => {
+        res.json({ message: 'Session ended', current: true });
+      });
+    }
+
+    res.json({ message: 'Session ended', current: false });
+  } catch (error) {
+    logger.error('Session revoke error', {
+      error: error.message,
+      userId: user.id,
+    });
+    res.status(500).json({ error: 'Failed to end session' });
+  }
+});
+
+/**
+ * Request password reset email
+ * Always responds the same way so addresses cannot be enumerated
+ */
+router.post('/forgot-password', emailLimiter, async (req, res) => {
+  const { email } = req.body;
+
+  if (!email) {
+    return res.status(400).json({ error: 'Email is required' });
+  }
+
+  const genericResponse = {
+    message: 'If an account exists for that email, a reset link has been sent',
+  };
+
+  try {
+    const user = await userRepository.findByEmail(email);
+
+    if (!user) {
+      trackAuthAttempt('password_reset_request', 'unknown_email');
+      return res.json(genericResponse);
+    }
+
+    const token = await issueToken(user.id, TokenPurpose.PASSWORD_RESET, {
+      ttlMs: PASSWORD_RESET_TTL_MS,
+      metadata: { ip: req.ip },
+    });
+
+    const resetUrl = `${getPublicUrl(req)}/auth/reset-password?token=${encodeURIComponent(token)}`;
+    const minutes = Math.round(PASSWORD_RESET_TTL_MS / 60000);
+
+    await sendMail({
+      to: user.email,
+      subject: 'Reset your BambiSleep Church password',
+      text: `Hello ${user.name},\n\nSomeone requested a password reset for your account. Use the link below within ${minutes} minutes to choose a new password:\n\n${resetUrl}\n\nIf you did not request this, you can ignore this email.`,
+    });
+
+    trackAuthAttempt('password_reset_request', 'success', user.id);
+    trackSecurityEvent('password_reset_requested', 'low', {
+      userId: user.id,
+      ip: req.ip,
+    });
+
+    res.json(genericResponse);
+  } catch (error) {
+    trackAuthAttempt('password_reset_request', 'failed_error');
+    logger.error('Password reset request error', {
+      error: error.message,
+      ip: req.ip,
+    });
+    res.status(500).json({ error: 'Password reset request failed' });
+  }
+});
+
+/**
+ * Reset password with a single-use token
+ * Invalidates every existing session for the account
+ */
+router.post(
+  '/reset-password',
+  validators.password,
+  validateRequest,
+  async (req, res) => {
+    const { token, password } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ error: 'Reset token is required' });
+    }
+
+    try {
+      const record = await consumeToken(token, TokenPurpose.PASSWORD_RESET);
+
+      if (!record) {
+        trackAuthAttempt('password_reset', 'failed_invalid_token');
+        trackSecurityEvent('password_reset_invalid_token', 'medium', {
+          ip: req.ip,
+        });
+        return res
+          .status(400)
+          .json({ error: 'Invalid or expired reset token' });
+      }
+
+      const passwordHash = await bcrypt.hash(password, 10);
+      // Proving mailbox access also lifts any login lockout
+      await userRepository.update(record.userId, {
+        passwordHash,
+        failedLoginCount: 0,
+        lockedUntil: null,
+      });
+      await userRepository.bumpSessionVersion(record.userId);
+      await revokeAllUserTokens(record.userId, 'password_reset');
+      disconnectUser(record.userId, 'Password reset');
+
+      trackAuthAttempt('password_reset', 'success', record.userId);
+      trackSecurityEvent('password_reset_completed', 'medium', {
+        userId: record.userId,
+        ip: req.ip,
+        requestedFrom: record.metadata?.ip,
+      });
+
+      logger.info('Password reset completed', {
+        userId: record.userId,
+        ip: req.ip,
+      });
+
+      res.json({
+        message: 'Password has been reset. Please log in again.',
+      });
+    } catch (error) {
+      trackAuthAttempt('password_reset', 'failed_error');
+      logger.error('Password reset error', {
+        error: error.message,
+        ip: req.ip,
+      });
+      res.status(500).json({ error: 'Password reset failed' });
+    }
+  }
+);
+
+/**
+ * Unlock an account locked by failed logins
+ * Accepts the token from the emailed link (GET) or a JSON body (POST)
+ */
+async function unlock(req, res) {
+  const token = req.query.token || req.body?.token;
+
+  if (!token) {
+    return res.status(400).json({ error: 'Unlock token is required' });
+  }
+
+  try {
+    const record = await consumeToken(token, TokenPurpose.ACCOUNT_UNLOCK);
+
+    if (!record) {
+      trackAuthAttempt('account_unlock', 'failed_invalid_token');
+      trackSecurityEvent('account_unlock_invalid_token', 'low', {
+        ip: req.ip,
+      });
+      return res.status(400).json({ error: 'Invalid or expired unlock token' });
+    }
+
+    await unlockAccount(record.userId);
+    trackAuthAttempt('account_unlock', 'success', record.userId);
+
+    res.json({ message: 'Account unlocked. You can log in again.' });
+  } catch (error) {
+    trackAuthAttempt('account_unlock', 'failed_error');
+    logger.error('Account unlock error', {
+      error: error.message,
+      ip: req.ip,
+    });
+    res.status(500).json({ error: 'Account unlock failed' });
+  }
+}
+
+router.get('/unlock', unlock);
+router.post('/unlock', unlock);
+
+/**
+ * Verify email address with a single-use token
+ * Accepts the token from the emailed link (GET) or a JSON body (POST)
+ */
+async function verifyEmail(req, res) {
+  const token = req.query.token || req.body?.token;
+
+  if (!token) {
+    return res.status(400).json({ error: 'Verification token is required' });
+  }
+
+  try {
+    const record = await consumeToken(token, TokenPurpose.EMAIL_VERIFICATION);
+    const user = record && (await userRepository.findById(record.userId));
+
+    // Token must belong to the address currently on the account
+    if (!user || user.email !== record.metadata?.email) {
+      trackAuthAttempt('email_verification', 'failed_invalid_token');
+      trackSecurityEvent('email_verification_invalid_token', 'low', {
+        ip: req.ip,
+      });
+      return res
+        .status(400)
+        .json({ error: 'Invalid or expired verification token' });
+    }
+
+    if (!user.emailVerifiedAt) {
+      await userRepository.update(user.id, {
+        emailVerifiedAt: new Date().toISOString(),
+      });
+    }
+
+    if (req.session?.user?.id === user.id) {
+      req.session.user.emailVerified = true;
+    }
+
+    trackAuthAttempt('email_verification', 'success', user.id);
+    logger.info('Email verified', { userId: user.id, ip: req.ip });
+
+    res.json({ message: 'Email verified successfully', emailVerified: true });
+  } catch (error) {
+    trackAuthAttempt('email_verification', 'failed_error');
+    logger.error('Email verification error', {
+      error: error.message,
+      ip: req.ip,
+    });
+    res.status(500).json({ error: 'Email verification failed' });
+  }
+}
+
+router.get('/verify-email', verifyEmail);
+router.post('/verify-email', verifyEmail);
+
+/**
+ * Resend verification email for the logged-in user
+ */
+router.post('/verify-email/resend', requireSessionUser, async (req, res) => {
+  const user = req.currentUser;
+
+  try {
+    if (user.emailVerifiedAt) {
+      return res.status(400).json({ error: 'Email is already verified' });
+    }
+
+    await sendVerificationEmail(req, user);
+    trackAuthAttempt('email_verification_resend', 'success', user.id);
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    trackAuthAttempt('email_verification_resend', 'failed_error');
+    logger.error('Verification resend error', {
+      error: error.message,
+      userId: user.id,
+    });
+    res.status(500).json({ error: 'Failed to send verification email' });
+  }
+});
+
+/**
+ * Terms currently in force, and whether the logged-in user has accepted them
+ */
+router.get('/terms', async (req, res) => {
+  const userId = req.session.user?.id;
+
+  res.json({
+    terms: currentTerms(),
+    accepted: userId ? await hasAcceptedCurrentTerms(userId) : null,
+  });
+});
+
+/**
+ * Accept the current terms and confirm age (e.g. after the terms changed,
+ * or for accounts created through a login provider)
+ */
+router.post('/terms/accept', requireSessionUser, async (req, res) => {
+  const user = req.currentUser;
+
+  const consentProblem = checkConsent(req.body);
+  if (consentProblem) {
+    return res
+      .status(consentProblem.status)
+      .json({ error: consentProblem.error, terms: currentTerms() });
+  }
+
+  try {
+    const consent = await recordConsent(user.id, {
+      source: 'reacceptance',
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+    });
+
+    res.json({ message: 'Terms accepted', consent });
+  } catch (error) {
+    logger.error('Terms acceptance error', {
+      error: error.message,
+      userId: user.id,
+    });
+    res.status(500).json({ error: 'Failed to record acceptance' });
+  }
+});
+
+/**
+ * The logged-in user's consent history
+ */
+router.get('/terms/history', requireSessionUser, async (req, res) => {
+  res.json({ consents: await listConsents(req.currentUser.id) });
+});
+
+/**
+ * Get current user
+ */
+router.get('/me', requireSessionUser, (req, res) => {
+  res.json({ user: toProfile(req.currentUser) });
+});
+
+/**
+ * Update the current user's profile
+ * Name changes apply immediately; an email change is only applied once
+ * the new address is confirmed. Changing email requires the current
+ * password and a two-factor code when enabled; accounts with neither
+ * approve the change from their current address first.
+ */
+router.patch(
+  '/me',
+  requireSessionUser,
+  validators.displayName,
+  validators.optionalEmail,
+  validateRequest,
+  async (req, res) => {
+    const user = req.currentUser;
+    const { name, email, password, code, recoveryCode } = req.body;
+    const emailChanged =
+      email !== undefined && email.toLowerCase() !== user.email.toLowerCase();
+    const needsApproval =
+      emailChanged && !user.passwordHash && !user.totpEnabledAt;
+
+    try {
+      if (emailChanged) {
+        if (
+          user.passwordHash &&
+          !(password && (await bcrypt.compare(password, user.passwordHash)))
+        ) {
+          trackAuthAttempt('email_change_request', 'failed', user.id);
+          return res
+            .status(401)
+            .json({ error: 'Current password is required to change email' });
+        }
+
+        if (
+          user.totpEnabledAt &&
+          !(await verifySecondFactor(user, { code, recoveryCode }))
+        ) {
+          trackAuthAttempt('email_change_request', 'failed', user.id);
+          return res.status(401).json({ error: 'Invalid two-factor code' });
+        }
+
+        if (await userRepository.findByEmail(email)) {
+          return res.status(409).json({ error: 'Email is already in use' });
+        }
+      }
+
+      let updated = user;
+      if (name !== undefined && name !== user.name) {
+        await syncStripeCustomer(user, { name });
+        updated = await userRepository.update(user.id, { name });
+        req.session.user.name = name;
+      }
+
+      if (needsApproval) {
+        await sendEmailChangeApproval(req, user, email);
+      } else if (emailChanged) {
+        await sendEmailChangeConfirmation(req, user, email);
+      }
+
+      if (emailChanged) {
+        trackAuthAttempt('email_change_request', 'success', user.id);
+        trackSecurityEvent('email_change_requested', 'low', {
+          userId: user.id,
+          ip: req.ip,
+        });
+      }
+
+      res.json({
+        message: needsApproval
+          ? 'Profile updated. Check your current email address to approve the change.'
+          : emailChanged
+            ? 'Profile updated. Check your new email address to confirm the change.'
+            : 'Profile updated',
+        user: toProfile(updated),
+        ...(emailChanged && { pendingEmail: email }),
+      });
+    } catch (error) {
+      logger.error('Profile update error', {
+        error: error.message,
+        userId: user.id,
+      });
+      res.status(500).json({ error: 'Failed to update profile' });
+    }
+  }
+);
+
+/**
+ * Download a copy of everything stored about the current user (GDPR)
+ */
+router.get(
+  '/me/export',
+  expensiveLimiter,
+  requireSessionUser,
+  async (req, res) => {
+    const user = req.currentUser;
+
+    try {
+      const bundle = await exportUserData(user);
+      await recordAuditEvent('data_exported', { subjectId: user.id });
+      trackSecurityEvent('data_export', 'low', { userId: user.id, ip: req.ip });
+
+      const date = bundle.exportedAt.slice(0, 10);
+      res.set(
+        'Content-Disposition',
+        `attachment; filename="bambisleep-church-export-${date}.json"`
+      );
+      res.json(bundle);
+    } catch (error) {
+      logger.error('Data export error', {
+        error: error.message,
+        userId: user.id,
+      });
+      res.status(500).json({ error: 'Failed to export data' });
+    }
+  }
+);
+
+/**
+ * Delete the current user's account (GDPR erasure)
+ * Requires the current password, and a two-factor code when enabled;
+ * accounts without a password need a recent login
+ */
+router.delete('/me', authLimiter, requireSessionUser, async (req, res) => {
+  const user = req.currentUser;
+
+  try {
+    if (!(await verifyStepUp(req, user, req.body))) {
+      trackAuthAttempt('account_delete', 'failed', user.id);
+      return res
+        .status(401)
+        .json({ error: 'Invalid current password or two-factor code' });
+    }
+
+    const summary = await deleteAccount(user);
+
+    trackAuthAttempt('account_delete', 'success', user.id);
+    trackSecurityEvent('account_deleted', 'medium', {
+      userId: user.id,
+      ip: req.ip,
+    });
+
+    req.session.destroy(() => {
+      res.json({
+        message: 'Your account and personal data have been deleted',
+        subscriptionsCanceled: summary.subscriptionsCanceled,
+      });
+    });
+  } catch (error) {
+    trackAuthAttempt('account_delete', 'failed_error');
+    logger.error('Account deletion error', {
+      error: error.message,
+      userId: user.id,
+    });
+    res.status(500).json({ error: 'Failed to delete account' });
+  }
+});
+
+/**
+ * Confirm an email change with the token sent to the new address
+ * An approval token from the current address sends that confirmation on.
+ * Accepts the token from the emailed link (GET) or a JSON body (POST)
+ */
+async function confirmEmailChange(req, res) {
+  const token = req.query.token || req.body?.token;
+
+  if (!token) {
+    return res.status(400).json({ error: 'Confirmation token is required' });
+  }
+
+  try {
+    const record = await consumeToken(token, TokenPurpose.EMAIL_CHANGE);
+    const user = record && (await userRepository.findById(record.userId));
+    const email = record?.metadata?.email;
+
+    if (!user || !email) {
+      trackAuthAttempt('email_change', 'failed_invalid_token');
+      return res
+        .status(400)
+        .json({ error: 'Invalid or expired confirmation token' });
+    }
+
+    const existing = await userRepository.findByEmail(email);
+    if (existing && existing.id !== user.id) {
+      return res.status(409).json({ error: 'Email is already in use' });
+    }
+
+    if (record.metadata.approval) {
+      await sendEmailChangeConfirmation(req, user, email);
+      trackAuthAttempt('email_change_approval', 'success', user.id);
+      return res.json({
+        message:
+          'Email change approved. Check your new email address to confirm it.',
+        pendingEmail: email,
+      });
+    }
+
+    await syncStripeCustomer(user, { email });
+    await userRepository.update(user.id, {
+      email,
+      emailVerifiedAt: new Date().toISOString(),
+    });
+
+    // Other sessions and tokens are dropped; this session stays signed in
+    const sessionVersion = await userRepository.bumpSessionVersion(user.id);
+    await revokeAllUserTokens(user.id, 'email_change');
+    disconnectUser(user.id, 'Email address changed');
+
+    if (req.session?.user?.id === user.id) {
+      req.session.user.email = email;
+      req.session.user.emailVerified = true;
+      req.session.user.sessionVersion = sessionVersion;
+    }
+
+    // Let the previous address know, in case the change was not theirs
+    try {
+      await sendMail({
+        to: user.email,
+        subject: 'Your BambiSleep Church email address was changed',
+        text: `Hello ${user.name},\n\nThe email address on your account was changed to ${email}. If you did not make this change, reset your password and contact support immediately.`,
+      });
+    } catch (mailError) {
+      logger.error('Email change notice delivery failed', {
+        error: mailError.message,
+        userId: user.id,
+      });
+    }
+
+    trackAuthAttempt('email_change', 'success', user.id);
+    trackSecurityEvent('email_changed', 'medium', {
+      userId: user.id,
+      ip: req.ip,
+    });
+
+    res.json({ message: 'Email address updated', email });
+  } catch (error) {
+    trackAuthAttempt('email_change', 'failed_error');
+    logger.error('Email change error', {
+      error: error.message,
+      ip: req.ip,
+    });
+    res.status(500).json({ error: 'Email change failed' });
+  }
+}
+
+router.get('/confirm-email-change', confirmEmailChange);
+router.post('/confirm-email-change', confirmEmailChange);
+
+/**
+ * Change password (requires the current password, and a two-factor code
+ * when enabled; accounts without a password need a recent login)
+ * Signs out every other session and revokes all API tokens
+ */
+router.post(
+  '/change-password',
+  authLimiter,
+  requireSessionUser,
+  validators.password,
+  validateRequest,
+  async (req, res) => {
+    const user = req.currentUser;
+    const { currentPassword, password, code, recoveryCode } = req.body;
+
+    try {
+      if (
+        !(await verifyStepUp(req, user, {
+          password: currentPassword,
+          code,
+          recoveryCode,
+        }))
+      ) {
+        trackAuthAttempt('password_change', 'failed', user.id);
+        trackSecurityEvent('password_change_failed', 'medium', {
+          userId: user.id,
+          ip: req.ip,
+        });
+        return res
+          .status(401)
+          .json({ error: 'Invalid current password or two-factor code' });
+      }
+
+      const passwordHash = await bcrypt.hash(password, 10);
+      await userRepository.update(user.id, { passwordHash });
+
+      // Other sessions and tokens are dropped; this session stays signed in
+      req.session.user.sessionVersion = await userRepository.bumpSessionVersion(
+        user.id
+      );
+      await revokeAllUserTokens(user.id, 'password_change');
+      disconnectUser(user.id, 'Password changed');
+
+      try {
+        await sendMail({
+          to: user.email,
+          subject: 'Your BambiSleep Church password was changed',
+          text: `Hello ${user.name},\n\nYour password was just changed and your other devices were signed out. If this was not you, reset your password immediately.`,
+        });
+      } catch (mailError) {
+        logger.error('Password change notice delivery failed', {
+          error: mailError.message,
+          userId: user.id,
+        });
+      }
+
+      trackAuthAttempt('password_change', 'success', user.id);
+      trackSecurityEvent('password_changed', 'medium', {
+        userId: user.id,
+        ip: req.ip,
+      });
+
+      res.json({
+        message: 'Password changed. Other devices have been signed out.',
+      });
+    } catch (error) {
+      trackAuthAttempt('password_change', 'failed_error');
+      logger.error('Password change error', {
+        error: error.message,
+        userId: user.id,
+      });
+      res.status(500).json({ error: 'Failed to change password' });
+    }
+  }
+);
 
 export default router;
@@ -6,11 +6,107 @@
 import { jest } from '@jest/globals';
 import express from 'express';
 import request from 'supertest';
+import { mkdtempSync, readdirSync, readFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createSoftwareAuthenticator } from '../__tests__/software-authenticator.js';
+import { startMockIssuer } from '../__tests__/mock-oidc-issuer.js';
+
+// Mock Stripe before importing routes
+const mockStripe = {
+  customers: {
+    create: jest.fn(),
+    update: jest.fn(),
+    del: jest.fn(),
+  },
+  subscriptions: {
+    list: jest.fn(),
+    cancel: jest.fn(),
+  },
+  invoices: {
+    list: jest.fn(),
+  },
+};
+
+jest.unstable_mockModule('stripe', () => ({
+  default: jest.fn(() => mockStripe),
+}));
+
+const mockDisconnectUser = jest.fn(() => 0);
+
+jest.unstable_mockModule('../services/websocket.js', () => ({
+  sendToUser: jest.fn(),
+  disconnectUser: mockDisconnectUser,
+}));
+
+/// Terms and age attestations every registration must carry
+const TERMS_ACCEPTED = { acceptTerms: true, confirmAge: true };
 
 describe('Auth Routes', () => {
   let app;
+  let outbox;
+
+  /**
+   * Read the most recent message from the file mail transport
+   */
+  function lastMail() {
+    const files = readdirSync(outbox).sort();
+    return JSON.parse(readFileSync(join(outbox, files[files.length - 1])));
+  }
+
+  /**
+   * Client for an app whose requests all share one (cookie-less) session
+   */
+  async function sessionClient() {
+    const session = {
+      destroy: callback => {
+        delete session.user;
+        if (callback) callback();
+      },
+    };
+    const sessionApp = express();
+    sessionApp.use(express.json());
+    sessionApp.use((req, res, next) => {
+      req.session = session;
+      next();
+    });
+    sessionApp.use('/auth', (await import('./auth.js')).default);
+    return request(sessionApp);
+  }
+
+  /**
+   * Session client logged in, by magic link, as a new account that has no
+   * password
+   */
+  async function passwordlessClient(email) {
+    const { userRepository } = await import('../services/user-repository.js');
+    await userRepository.create({
+      email,
+      name: 'Passwordless Bambi',
+      emailVerifiedAt: new Date().toISOString(),
+    });
+
+    const client = await sessionClient();
+    await client
+      .post('/auth/magic-link')
+      .set('User-Agent', 'Magic Browser')
+      .send({ email });
+    const login = await client
+      .get('/auth/magic-link/verify')
+      .set('User-Agent', 'Magic Browser')
+      .query({
+        token: decodeURIComponent(lastMail().text.match(/token=([^\s]+)/)[1]),
+      });
+    expect(login.status).toBe(200);
+    return { client, login };
+  }
 
   beforeAll(async () => {
+    outbox = mkdtempSync(join(tmpdir(), 'bambisleep-mail-'));
+    process.env.MAIL_TRANSPORT = 'file';
+    process.env.MAIL_OUTBOX_PATH = outbox;
+    process.env.MAGIC_LINK_BINDING = 'user-agent';
+
     // Create minimal Express app for testing
     app = express();
     app.use(express.json());
@@ -70,6 +166,303 @@ describe('Auth Routes', () => {
     });
   });
 
+  describe('Registration persistence', () => {
+    it('should store registered users for later login', async () => {
+      mockStripe.customers.create.mockResolvedValue({ id: 'cus_persist' });
+
+      const register = await request(app)
+        .post('/auth/register')
+        .send({
+          ...TERMS_ACCEPTED,
+          email: 'persist@example.com',
+          password: 'Sanctuary1!',
+          name: 'Persistent Bambi',
+        });
+
+      expect(register.status).toBe(201);
+      expect(register.body.user.email).toBe('persist@example.com');
+
+      const login = await request(app).post('/auth/login').send({
+        email: 'persist@example.com',
+        password: 'Sanctuary1!',
+      });
+
+      expect(login.status).toBe(200);
+      expect(login.body.user.id).toBe(register.body.user.id);
+    });
+
+    it('should email a verification link on registration', async () => {
+      const mail = lastMail();
+
+      expect(mail.to).toBe('persist@example.com');
+      expect(mail.subject).toContain('Verify');
+      expect(mail.text).toContain('/auth/verify-email?token=');
+    });
+
+    it('should reject duplicate registrations', async () => {
+      const response = await request(app)
+        .post('/auth/register')
+        .send({
+          ...TERMS_ACCEPTED,
+          email: 'persist@example.com',
+          password: 'Sanctuary1!',
+          name: 'Duplicate Bambi',
+        });
+
+      expect(response.status).toBe(409);
+    });
+  });
+
+  describe('Terms acceptance', () => {
+    afterEach(() => {
+      delete process.env.TERMS_VERSION;
+    });
+
+    it('should refuse registration without terms and age attestation', async () => {
+      const response = await request(app).post('/auth/register').send({
+        email: 'noconsent@example.com',
+        password: 'Sanctuary1!',
+        name: 'Hesitant Bambi',
+        acceptTerms: true,
+      });
+
+      expect(response.status).toBe(400);
+      expect(response.body.terms.minimumAge).toBe(18);
+    });
+
+    it('should refuse acceptance of outdated terms', async () => {
+      process.env.TERMS_VERSION = '2';
+
+      const response = await request(app)
+        .post('/auth/register')
+        .send({
+          ...TERMS_ACCEPTED,
+          termsVersion: '1',
+          email: 'stale@example.com',
+          password: 'Sanctuary1!',
+          name: 'Stale Bambi',
+        });
+
+      expect(response.status).toBe(409);
+    });
+
+    it('should record consent at registration and ask again for new terms', async () => {
+      const agent = await sessionClient();
+      mockStripe.customers.create.mockResolvedValue({ id: 'cus_consent' });
+
+      const register = await agent.post('/auth/register').send({
+        ...TERMS_ACCEPTED,
+        termsVersion: '1',
+        email: 'consenting@example.com',
+        password: 'Sanctuary1!',
+        name: 'Consenting Bambi',
+      });
+      expect(register.status).toBe(201);
+      expect((await agent.get('/auth/terms')).body.accepted).toBe(true);
+
+      process.env.TERMS_VERSION = '2';
+      expect((await agent.get('/auth/terms')).body).toMatchObject({
+        terms: { version: '2' },
+        accepted: false,
+      });
+
+      const refused = await agent
+        .post('/auth/terms/accept')
+        .send({ acceptTerms: true });
+      expect(refused.status).toBe(400);
+
+      const accepted = await agent
+        .post('/auth/terms/accept')
+        .send({ ...TERMS_ACCEPTED, termsVersion: '2' });
+      expect(accepted.status).toBe(200);
+      expect((await agent.get('/auth/terms')).body.accepted).toBe(true);
+
+      const history = await agent.get('/auth/terms/history');
+      expect(
+        history.body.consents.map(({ termsVersion, source }) => ({
+          termsVersion,
+          source,
+        }))
+      ).toEqual([
+        { termsVersion: '2', source: 'reacceptance' },
+        { termsVersion: '1', source: 'registration' },
+      ]);
+    });
+  });
+
+  describe('Gated registration', () => {
+    let invites;
+
+    beforeAll(async () => {
+      invites = await import('../services/invites.js');
+    });
+
+    afterEach(async () => {
+      await invites.setRegistrationMode(invites.RegistrationMode.OPEN);
+    });
+
+    it('should report the registration mode', async () => {
+      await invites.setRegistrationMode(invites.RegistrationMode.INVITE_ONLY);
+
+      const response = await request(app).get('/auth/registration');
+
+      expect(response.body.mode).toBe('invite-only');
+    });
+
+    it('should require an invite code in invite-only mode', async () => {
+      await invites.setRegistrationMode(invites.RegistrationMode.INVITE_ONLY);
+
+      const response = await request(app)
+        .post('/auth/register')
+        .send({
+          ...TERMS_ACCEPTED,
+          email: 'uninvited@example.com',
+          password: 'Sanctuary1!',
+          name: 'Uninvited Bambi',
+        });
+
+      expect(response.status).toBe(403);
+      expect(mockStripe.customers.create).not.toHaveBeenCalledWith(
+        expect.objectContaining({ email: 'uninvited@example.com' })
+      );
+    });
+
+    it('should reject unknown invite codes', async () => {
+      const response = await request(app)
+        .post('/auth/register')
+        .send({
+          ...TERMS_ACCEPTED,
+          email: 'forged@example.com',
+          password: 'Sanctuary1!',
+          name: 'Forged Bambi',
+          inviteCode: 'ABCD-EFGH-JKMN',
+        });
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should register invited users and record the invite', async () => {
+      await invites.setRegistrationMode(invites.RegistrationMode.INVITE_ONLY);
+      const { code, invite } = await invites.createInvite({
+        label: 'friends',
+        maxUses: 1,
+        complimentaryTier: 'supporter',
+      });
+      mockStripe.customers.create.mockResolvedValue({ id: 'cus_invited' });
+
+      const response = await request(app)
+        .post('/auth/register')
+        .send({
+          ...TERMS_ACCEPTED,
+          email: 'invited-route@example.com',
+          password: 'Sanctuary1!',
+          name: 'Invited Bambi',
+          inviteCode: code,
+        });
+
+      expect(response.status).toBe(201);
+      const { userRepository } = await import('../services/user-repository.js');
+      const user = await userRepository.findById(response.body.user.id);
+      expect(user.inviteId).toBe(invite.id);
+      expect(user.complimentaryTier).toBe('supporter');
+
+      // Single-use code is now spent
+      const again = await request(app)
+        .post('/auth/register')
+        .send({
+          ...TERMS_ACCEPTED,
+          email: 'invited-again@example.com',
+          password: 'Sanctuary1!',
+          name: 'Second Bambi',
+          inviteCode: code,
+        });
+      expect(again.status).toBe(403);
+    });
+
+    it('should give the invite back when registration fails', async () => {
+      const { code, invite } = await invites.createInvite({
+        label: 'flaky',
+        maxUses: 1,
+      });
+      mockStripe.customers.create.mockRejectedValueOnce(
+        new Error('Stripe unavailable')
+      );
+
+      const response = await request(app)
+        .post('/auth/register')
+        .send({
+          ...TERMS_ACCEPTED,
+          email: 'flaky@example.com',
+          password: 'Sanctuary1!',
+          name: 'Flaky Bambi',
+          inviteCode: code,
+        });
+
+      expect(response.status).toBe(500);
+      expect((await invites.findRedeemableInvite(code)).id).toBe(invite.id);
+    });
+
+    it('should not leave a partial account when a write fails', async () => {
+      const { getDatabase } = await import('../services/database.js');
+      const { userRepository } = await import('../services/user-repository.js');
+      const { code, invite } = await invites.createInvite({
+        label: 'half-written',
+        maxUses: 1,
+      });
+      mockStripe.customers.create.mockResolvedValue({ id: 'cus_orphan' });
+      const db = getDatabase();
+      const prepare = db.prepare.bind(db);
+      const spy = jest.spyOn(db, 'prepare').mockImplementation(sql => {
+        if (sql.includes('INSERT INTO consents')) {
+          throw new Error('disk I/O error');
+        }
+        return prepare(sql);
+      });
+      const registration = {
+        ...TERMS_ACCEPTED,
+        email: 'half-written@example.com',
+        password: 'Sanctuary1!',
+        name: 'Half Bambi',
+        inviteCode: code,
+      };
+
+      const failed = await request(app)
+        .post('/auth/register')
+        .send(registration);
+      spy.mockRestore();
+
+      expect(failed.status).toBe(500);
+      expect(
+        await userRepository.findByEmail('half-written@example.com')
+      ).toBeNull();
+      expect(mockStripe.customers.del).toHaveBeenCalledWith('cus_orphan');
+      mockStripe.customers.del.mockClear();
+      expect((await invites.findRedeemableInvite(code)).id).toBe(invite.id);
+
+      const retried = await request(app)
+        .post('/auth/register')
+        .send(registration);
+      expect(retried.status).toBe(201);
+    });
+
+    it('should refuse all registrations when closed', async () => {
+      await invites.setRegistrationMode(invites.RegistrationMode.CLOSED);
+      const { code } = await invites.createInvite({ label: 'closed' });
+
+      const response = await request(app)
+        .post('/auth/register')
+        .send({
+          ...TERMS_ACCEPTED,
+          email: 'closed@example.com',
+          password: 'Sanctuary1!',
+          name: 'Closed Bambi',
+          inviteCode: code,
+        });
+
+      expect(response.status).toBe(403);
+    });
+  });
+
   describe('POST /auth/login', () => {
     it('should reject login without credentials', async () => {
       const response = await request(app).post('/auth/login').send({});
@@ -105,6 +498,1057 @@ describe('Auth Routes', () => {
       expect(response.status).toBe(200);
       expect(response.body.message).toContain('Logout successful');
     });
+
+    it('should revoke presented access and refresh tokens', async () => {
+      const { verifyAccessToken } = await import(
+        '../services/token-service.js'
+      );
+      const login = await request(app).post('/auth/login').send({
+        email: 'persist@example.com',
+        password: 'Sanctuary1!',
+      });
+
+      const response = await request(app)
+        .post('/auth/logout')
+        .set('Authorization', `Bearer ${login.body.token}`)
+        .send({ refreshToken: login.body.refreshToken });
+      expect(response.status).toBe(200);
+
+      await expect(verifyAccessToken(login.body.token)).rejects.toThrow();
+
+      const refresh = await request(app)
+        .post('/auth/token/refresh')
+        .send({ refreshToken: login.body.refreshToken });
+      expect(refresh.status).toBe(401);
+    });
+  });
+
+  describe('POST /auth/token/refresh', () => {
+    it('should require a refresh token', async () => {
+      const response = await request(app).post('/auth/token/refresh').send({});
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should rotate refresh tokens', async () => {
+      const login = await request(app).post('/auth/login').send({
+        email: 'persist@example.com',
+        password: 'Sanctuary1!',
+      });
+      expect(login.body.refreshToken).toBeDefined();
+      expect(login.body.expiresIn).toBeGreaterThan(0);
+
+      const refreshed = await request(app)
+        .post('/auth/token/refresh')
+        .send({ refreshToken: login.body.refreshToken });
+      expect(refreshed.status).toBe(200);
+      expect(refreshed.body.token).toBeDefined();
+      expect(refreshed.body.refreshToken).not.toBe(login.body.refreshToken);
+
+      const replay = await request(app)
+        .post('/auth/token/refresh')
+        .send({ refreshToken: login.body.refreshToken });
+      expect(replay.status).toBe(401);
+    });
+  });
+
+  describe('Email verification', () => {
+    it('should verify email with emailed token only once', async () => {
+      mockStripe.customers.create.mockResolvedValue({ id: 'cus_verify' });
+      await request(app)
+        .post('/auth/register')
+        .send({
+          ...TERMS_ACCEPTED,
+          email: 'verify@example.com',
+          password: 'Sanctuary1!',
+          name: 'Verify Bambi',
+        });
+
+      const token = decodeURIComponent(
+        lastMail().text.match(/token=([^\s]+)/)[1]
+      );
+
+      const verify = await request(app)
+        .get('/auth/verify-email')
+        .query({ token });
+      expect(verify.status).toBe(200);
+      expect(verify.body.emailVerified).toBe(true);
+
+      const reuse = await request(app)
+        .post('/auth/verify-email')
+        .send({ token });
+      expect(reuse.status).toBe(400);
+
+      const login = await request(app).post('/auth/login').send({
+        email: 'verify@example.com',
+        password: 'Sanctuary1!',
+      });
+      expect(login.body.user.emailVerified).toBe(true);
+    });
+
+    it('should require authentication to resend verification', async () => {
+      const response = await request(app).post('/auth/verify-email/resend');
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('Two-factor login', () => {
+    it('should require a TOTP code before issuing a token', async () => {
+      const { userRepository } = await import('../services/user-repository.js');
+      const { beginEnrollment, confirmEnrollment } = await import(
+        '../services/two-factor.js'
+      );
+      const { generateCode, currentStep } = await import('../services/totp.js');
+
+      mockStripe.customers.create.mockResolvedValue({ id: 'cus_2fa' });
+      await request(app)
+        .post('/auth/register')
+        .send({
+          ...TERMS_ACCEPTED,
+          email: 'totp@example.com',
+          password: 'Sanctuary1!',
+          name: 'TOTP Bambi',
+        });
+
+      const user = await userRepository.findByEmail('totp@example.com');
+      const { secret } = await beginEnrollment(user);
+      const recoveryCodes = await confirmEnrollment(
+        user.id,
+        generateCode(secret, currentStep() - 1)
+      );
+      expect(recoveryCodes).toHaveLength(10);
+
+      const login = await request(app).post('/auth/login').send({
+        email: 'totp@example.com',
+        password: 'Sanctuary1!',
+      });
+      expect(login.status).toBe(200);
+      expect(login.body.twoFactorRequired).toBe(true);
+      expect(login.body.token).toBeUndefined();
+
+      const wrong = await request(app).post('/auth/login/2fa').send({
+        challengeToken: login.body.challengeToken,
+        code: '000000',
+      });
+      expect(wrong.status).toBe(401);
+
+      const verified = await request(app)
+        .post('/auth/login/2fa')
+        .send({
+          challengeToken: login.body.challengeToken,
+          code: generateCode(secret),
+        });
+      expect(verified.status).toBe(200);
+      expect(verified.body.token).toBeDefined();
+
+      const recovery = await request(app).post('/auth/login/2fa').send({
+        challengeToken: login.body.challengeToken,
+        recoveryCode: recoveryCodes[0].toUpperCase(),
+      });
+      expect(recovery.status).toBe(200);
+      expect(recovery.body.recoveryCodesRemaining).toBe(9);
+
+      const reused = await request(app).post('/auth/login/2fa').send({
+        challengeToken: login.body.challengeToken,
+        recoveryCode: recoveryCodes[0],
+      });
+      expect(reused.status).toBe(401);
+    });
+
+    it('should reject forged challenge tokens', async () => {
+      const response = await request(app).post('/auth/login/2fa').send({
+        challengeToken: 'not.a.token',
+        code: '123456',
+      });
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('Magic link login', () => {
+    /**
+     * Request a login link and return its token
+     */
+    async function requestMagicLink(userAgent) {
+      const response = await request(app)
+        .post('/auth/magic-link')
+        .set('User-Agent', userAgent)
+        .send({ email: 'persist@example.com' });
+      expect(response.status).toBe(200);
+
+      const mail = lastMail();
+      expect(mail.to).toBe('persist@example.com');
+      expect(mail.text).toContain('/auth/magic-link/verify?token=');
+      return decodeURIComponent(mail.text.match(/token=([^\s]+)/)[1]);
+    }
+
+    it('should respond generically for unknown emails', async () => {
+      const response = await request(app)
+        .post('/auth/magic-link')
+        .send({ email: 'nobody@example.com' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toContain('If an account exists');
+    });
+
+    it('should log in once with the emailed link', async () => {
+      const token = await requestMagicLink('Magic Browser');
+
+      const login = await request(app)
+        .get('/auth/magic-link/verify')
+        .set('User-Agent', 'Magic Browser')
+        .query({ token });
+      expect(login.status).toBe(200);
+      expect(login.body.token).toBeDefined();
+      expect(login.body.refreshToken).toBeDefined();
+      expect(login.body.user.email).toBe('persist@example.com');
+
+      const replay = await request(app)
+        .get('/auth/magic-link/verify')
+        .set('User-Agent', 'Magic Browser')
+        .query({ token });
+      expect(replay.status).toBe(401);
+    });
+
+    it('should reject links opened on another device', async () => {
+      const token = await requestMagicLink('Magic Browser');
+
+      const response = await request(app)
+        .post('/auth/magic-link/verify')
+        .set('User-Agent', 'Other Browser')
+        .send({ token });
+
+      expect(response.status).toBe(401);
+      expect(response.body.error).toContain('device');
+    });
+  });
+
+  describe('Passkeys', () => {
+    let agent, authenticator, origin;
+
+    beforeAll(async () => {
+      const { relyingParty } = await import('../services/webauthn.js');
+      ({ origin } = relyingParty());
+      authenticator = createSoftwareAuthenticator({ origin });
+      agent = await sessionClient();
+
+      mockStripe.customers.create.mockResolvedValue({ id: 'cus_passkey' });
+      await agent.post('/auth/register').send({
+        ...TERMS_ACCEPTED,
+        email: 'passkey@example.com',
+        password: 'Sanctuary1!',
+        name: 'Passkey Bambi',
+      });
+    });
+
+    it('should register a passkey for the logged-in user', async () => {
+      const options = await agent.post('/auth/webauthn/register/options');
+      expect(options.status).toBe(200);
+      expect(options.body.user.name).toBe('passkey@example.com');
+
+      const verify = await agent.post('/auth/webauthn/register/verify').send({
+        response: authenticator.register(options.body),
+        name: 'Test key',
+        password: 'Sanctuary1!',
+      });
+      expect(verify.status).toBe(201);
+      expect(verify.body.credential.name).toBe('Test key');
+
+      const list = await agent.get('/auth/webauthn/credentials');
+      expect(list.body.credentials).toHaveLength(1);
+      expect(list.body.credentials[0].id).toBe(authenticator.id);
+    });
+
+    it('should require the password to register a passkey', async () => {
+      const other = createSoftwareAuthenticator({ origin });
+      const options = await agent.post('/auth/webauthn/register/options');
+
+      const verify = await agent.post('/auth/webauthn/register/verify').send({
+        response: other.register(options.body),
+        password: 'wrong-password',
+      });
+      expect(verify.status).toBe(401);
+
+      const list = await agent.get('/auth/webauthn/credentials');
+      expect(list.body.credentials).toHaveLength(1);
+    });
+
+    it('should require a session to register a passkey', async () => {
+      const response = await request(app).post(
+        '/auth/webauthn/register/options'
+      );
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should log in with a passkey alone', async () => {
+      const options = await request(app).post('/auth/webauthn/login/options');
+      expect(options.status).toBe(200);
+
+      const login = await request(app)
+        .post('/auth/webauthn/login/verify')
+        .send({ response: authenticator.authenticate(options.body) });
+      expect(login.status).toBe(200);
+      expect(login.body.token).toBeDefined();
+      expect(login.body.user.email).toBe('passkey@example.com');
+    });
+
+    it('should reject unverifiable passkey logins', async () => {
+      const options = await request(app).post('/auth/webauthn/login/options');
+      const response = authenticator.authenticate(options.body);
+      response.response.signature = response.response.authenticatorData;
+
+      const login = await request(app)
+        .post('/auth/webauthn/login/verify')
+        .send({ response });
+      expect(login.status).toBe(401);
+    });
+
+    it('should accept a passkey as the second factor', async () => {
+      const { userRepository } = await import('../services/user-repository.js');
+      const { beginEnrollment, confirmEnrollment } = await import(
+        '../services/two-factor.js'
+      );
+      const { generateCode } = await import('../services/totp.js');
+
+      const user = await userRepository.findByEmail('passkey@example.com');
+      const { secret } = await beginEnrollment(user);
+      await confirmEnrollment(user.id, generateCode(secret));
+
+      const login = await request(app).post('/auth/login').send({
+        email: 'passkey@example.com',
+        password: 'Sanctuary1!',
+      });
+      expect(login.body.twoFactorRequired).toBe(true);
+      expect(login.body.webauthnOptions.allowCredentials).toEqual([
+        expect.objectContaining({ id: authenticator.id }),
+      ]);
+
+      const verified = await request(app)
+        .post('/auth/login/2fa')
+        .send({
+          challengeToken: login.body.challengeToken,
+          webauthn: authenticator.authenticate(login.body.webauthnOptions),
+        });
+      expect(verified.status).toBe(200);
+      expect(verified.body.token).toBeDefined();
+    });
+
+    it('should remove a passkey', async () => {
+      const removed = await agent.delete(
+        `/auth/webauthn/credentials/${authenticator.id}`
+      );
+      expect(removed.status).toBe(200);
+
+      const again = await agent.delete(
+        `/auth/webauthn/credentials/${authenticator.id}`
+      );
+      expect(again.status).toBe(404);
+    });
+  });
+
+  describe('Social login', () => {
+    let issuer;
+
+    /**
+     * Run the provider redirect flow and return the callback response
+     */
+    async function providerFlow(client, path, { cookie = true } = {}) {
+      const start = await client.get(path);
+      expect(start.status).toBe(302);
+
+      const consent = await fetch(start.headers.location, {
+        redirect: 'manual',
+      });
+      const callback = new URL(consent.headers.get('location'));
+      const response = client.get(callback.pathname + callback.search);
+      return cookie
+        ? response.set('Cookie', start.headers['set-cookie'][0].split(';')[0])
+        : response;
+    }
+
+    beforeAll(async () => {
+      issuer = await startMockIssuer({
+        clientId: 'church-client',
+        clientSecret: 'church-secret',
+      });
+      process.env.OIDC_PROVIDERS = 'mock';
+      process.env.OIDC_MOCK_NAME = 'Mock ID';
+      process.env.OIDC_MOCK_ISSUER = issuer.url;
+      process.env.OIDC_MOCK_CLIENT_ID = 'church-client';
+      process.env.OIDC_MOCK_CLIENT_SECRET = 'church-secret';
+    });
+
+    afterAll(async () => {
+      await issuer.close();
+      delete process.env.OIDC_PROVIDERS;
+    });
+
+    it('should list enabled providers and reject unknown ones', async () => {
+      const list = await request(app).get('/auth/oidc/providers');
+      expect(list.body.providers).toEqual([{ id: 'mock', name: 'Mock ID' }]);
+
+      const unknown = await request(app).get('/auth/oidc/unknown');
+      expect(unknown.status).toBe(404);
+    });
+
+    it('should register on first login and log in afterwards', async () => {
+      mockStripe.customers.create.mockClear();
+      mockStripe.customers.create.mockResolvedValue({ id: 'cus_oidc' });
+      issuer.account = {
+        sub: 'social-1',
+        email: 'Social@Example.com',
+        email_verified: true,
+        name: 'Social Bambi',
+      };
+
+      const first = await providerFlow(request(app), '/auth/oidc/mock');
+      expect(first.status).toBe(200);
+      expect(first.body.registered).toBe(true);
+      expect(first.body.token).toBeDefined();
+      expect(first.body.user).toMatchObject({
+        email: 'social@example.com',
+        emailVerified: true,
+      });
+      expect(mockStripe.customers.create).toHaveBeenCalledWith(
+        expect.objectContaining({ email: 'social@example.com' })
+      );
+
+      const again = await providerFlow(request(app), '/auth/oidc/mock');
+      expect(again.status).toBe(200);
+      expect(again.body.registered).toBeUndefined();
+      expect(again.body.user.id).toBe(first.body.user.id);
+      expect(mockStripe.customers.create).toHaveBeenCalledTimes(1);
+    });
+
+    it('should carry invite codes through provider sign-up', async () => {
+      const invites = await import('../services/invites.js');
+      await invites.setRegistrationMode(invites.RegistrationMode.INVITE_ONLY);
+      mockStripe.customers.create.mockResolvedValue({ id: 'cus_oidc_invite' });
+
+      try {
+        issuer.account = {
+          sub: 'social-invite',
+          email: 'social-invite@example.com',
+          email_verified: true,
+        };
+        const uninvited = await providerFlow(request(app), '/auth/oidc/mock');
+        expect(uninvited.status).toBe(403);
+
+        const forged = await request(app).get(
+          '/auth/oidc/mock?invite=ABCD-EFGH-JKMN'
+        );
+        expect(forged.status).toBe(403);
+
+        const { code, invite } = await invites.createInvite({
+          label: 'social',
+        });
+        const invited = await providerFlow(
+          request(app),
+          `/auth/oidc/mock?invite=${code}`
+        );
+        expect(invited.status).toBe(200);
+        expect(invited.body.registered).toBe(true);
+
+        const { userRepository } = await import(
+          '../services/user-repository.js'
+        );
+        const user = await userRepository.findById(invited.body.user.id);
+        expect(user.inviteId).toBe(invite.id);
+      } finally {
+        await invites.setRegistrationMode(invites.RegistrationMode.OPEN);
+      }
+    });
+
+    it('should reject callbacks without the browser binding cookie', async () => {
+      const response = await providerFlow(request(app), '/auth/oidc/mock', {
+        cookie: false,
+      });
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should not take over existing accounts by email', async () => {
+      issuer.account = {
+        sub: 'social-2',
+        email: 'persist@example.com',
+        email_verified: true,
+      };
+
+      const response = await providerFlow(request(app), '/auth/oidc/mock');
+
+      expect(response.status).toBe(409);
+      expect(response.body.error).toContain('link');
+    });
+
+    it('should link a provider account to the logged-in user', async () => {
+      const agent = await sessionClient();
+      mockStripe.customers.create.mockResolvedValue({ id: 'cus_linker' });
+      await agent.post('/auth/register').send({
+        ...TERMS_ACCEPTED,
+        email: 'linker@example.com',
+        password: 'Sanctuary1!',
+        name: 'Linking Bambi',
+      });
+      issuer.account = {
+        sub: 'social-3',
+        email: 'elsewhere@example.com',
+        email_verified: false,
+      };
+
+      const linked = await providerFlow(agent, '/auth/oidc/mock/link');
+      expect(linked.status).toBe(200);
+      expect(linked.body.identities).toEqual([
+        expect.objectContaining({ provider: 'mock' }),
+      ]);
+
+      const login = await providerFlow(request(app), '/auth/oidc/mock');
+      expect(login.status).toBe(200);
+      expect(login.body.user.email).toBe('linker@example.com');
+
+      const unlinked = await agent.delete('/auth/oidc/mock');
+      expect(unlinked.status).toBe(200);
+      const gone = await agent.get('/auth/oidc/identities');
+      expect(gone.body.identities).toEqual([]);
+    });
+
+    it('should refuse to link an account owned by another user', async () => {
+      const agent = await sessionClient();
+      mockStripe.customers.create.mockResolvedValue({ id: 'cus_linker_2' });
+      await agent.post('/auth/register').send({
+        ...TERMS_ACCEPTED,
+        email: 'second-linker@example.com',
+        password: 'Sanctuary1!',
+        name: 'Second Linker',
+      });
+      issuer.account = {
+        sub: 'social-1',
+        email: 'social@example.com',
+        email_verified: true,
+      };
+
+      const response = await providerFlow(agent, '/auth/oidc/mock/link');
+
+      expect(response.status).toBe(409);
+    });
+  });
+
+  describe('API keys', () => {
+    let agent;
+
+    beforeAll(async () => {
+      agent = await sessionClient();
+      mockStripe.customers.create.mockResolvedValue({ id: 'cus_apikeys' });
+      await agent.post('/auth/register').send({
+        ...TERMS_ACCEPTED,
+        email: 'apikeys@example.com',
+        password: 'Sanctuary1!',
+        name: 'Automation Bambi',
+      });
+    });
+
+    it('should create, list and revoke API keys', async () => {
+      const created = await agent.post('/auth/api-keys').send({
+        name: 'Nightly sync',
+        scopes: ['content:read'],
+        expiresInDays: 90,
+      });
+      expect(created.status).toBe(201);
+      expect(created.body.key).toMatch(/^bsc_/);
+      expect(created.body.apiKey.expiresAt).not.toBeNull();
+
+      const list = await agent.get('/auth/api-keys');
+      expect(list.body.availableScopes).toEqual([
+        'content:read',
+        'video:stream',
+        'billing:read',
+        'billing:write',
+      ]);
+      expect(list.body.apiKeys).toEqual([
+        expect.objectContaining({
+          name: 'Nightly sync',
+          prefix: created.body.apiKey.prefix,
+        }),
+      ]);
+      expect(JSON.stringify(list.body)).not.toContain(created.body.key);
+
+      const revoked = await agent.delete(
+        `/auth/api-keys/${created.body.apiKey.id}`
+      );
+      expect(revoked.status).toBe(200);
+
+      const again = await agent.delete(
+        `/auth/api-keys/${created.body.apiKey.id}`
+      );
+      expect(again.status).toBe(404);
+    });
+
+    it('should not grant scopes beyond the owner role', async () => {
+      const response = await agent.post('/auth/api-keys').send({
+        name: 'Too powerful',
+        scopes: ['content:read', 'users:manage'],
+      });
+
+      expect(response.status).toBe(403);
+      expect(response.body.scopes).toEqual(['users:manage']);
+    });
+
+    it('should validate API key requests', async () => {
+      const response = await agent
+        .post('/auth/api-keys')
+        .send({ name: '', scopes: [] });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('Account lockout', () => {
+    it('should lock after repeated failures and unlock via email', async () => {
+      mockStripe.customers.create.mockResolvedValue({ id: 'cus_locked' });
+      await request(app)
+        .post('/auth/register')
+        .send({
+          ...TERMS_ACCEPTED,
+          email: 'locked@example.com',
+          password: 'Sanctuary1!',
+          name: 'Locked Bambi',
+        });
+
+      for (let attempt = 0; attempt < 5; attempt++) {
+        const response = await request(app).post('/auth/login').send({
+          email: 'locked@example.com',
+          password: 'WrongPass1!',
+        });
+        expect(response.status).toBe(401);
+      }
+
+      const locked = await request(app).post('/auth/login').send({
+        email: 'locked@example.com',
+        password: 'Sanctuary1!',
+      });
+      expect(locked.status).toBe(429);
+      expect(locked.body.retryAfter).toBeGreaterThan(0);
+
+      const mail = lastMail();
+      expect(mail.to).toBe('locked@example.com');
+      expect(mail.subject).toContain('locked');
+      const token = decodeURIComponent(mail.text.match(/token=([^\s]+)/)[1]);
+
+      const unlocked = await request(app).get('/auth/unlock').query({ token });
+      expect(unlocked.status).toBe(200);
+
+      const reused = await request(app).post('/auth/unlock').send({ token });
+      expect(reused.status).toBe(400);
+
+      const login = await request(app).post('/auth/login').send({
+        email: 'locked@example.com',
+        password: 'Sanctuary1!',
+      });
+      expect(login.status).toBe(200);
+    });
+  });
+
+  describe('Session management', () => {
+    let sessionApp;
+
+    beforeAll(async () => {
+      const session = (await import('express-session')).default;
+      const { SqliteSessionStore } = await import(
+        '../services/session-store.js'
+      );
+      const { recordSessionDevice } = await import('../middleware/auth.js');
+      const authModule = await import('./auth.js');
+
+      sessionApp = express();
+      sessionApp.use(express.json());
+      sessionApp.use(
+        session({
+          secret: 'test-session-secret',
+          store: new SqliteSessionStore(),
+          resave: false,
+          saveUninitialized: false,
+        })
+      );
+      sessionApp.use(recordSessionDevice);
+      sessionApp.use('/auth', authModule.default);
+
+      mockStripe.customers.create.mockResolvedValue({ id: 'cus_devices' });
+      await request(app)
+        .post('/auth/register')
+        .send({
+          ...TERMS_ACCEPTED,
+          email: 'devices@example.com',
+          password: 'Sanctuary1!',
+          name: 'Device Bambi',
+        });
+    });
+
+    /**
+     * Log in from a new "device" (cookie jar)
+     */
+    async function loginFrom(userAgent) {
+      const agent = request.agent(sessionApp);
+      await agent
+        .post('/auth/login')
+        .set('User-Agent', userAgent)
+        .send({ email: 'devices@example.com', password: 'Sanctuary1!' })
+        .expect(200);
+      return agent;
+    }
+
+    it('should list, end, and log out of sessions', async () => {
+      const laptop = await loginFrom(
+        'Mozilla/5.0 (X11; Linux x86_64; rv:128.0) Gecko/20100101 Firefox/128.0'
+      );
+      const phone = await loginFrom(
+        'Mozilla/5.0 (Linux; Android 14) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/128.0 Mobile Safari/537.36'
+      );
+
+      const list = await laptop.get('/auth/sessions').expect(200);
+      expect(list.body.sessions.map(entry => entry.device).sort()).toEqual([
+        'Chrome on Android',
+        'Firefox on Linux',
+      ]);
+
+      const phoneSession = list.body.sessions.find(entry => !entry.current);
+      await laptop.delete(`/auth/sessions/${phoneSession.id}`).expect(200);
+      await phone.get('/auth/me').expect(401);
+      await laptop.delete(`/auth/sessions/${phoneSession.id}`).expect(404);
+
+      const tablet = await loginFrom('Mozilla/5.0 (iPad) Safari/604.1');
+      const everywhere = await laptop.delete('/auth/sessions').expect(200);
+      expect(everywhere.body.sessionsEnded).toBe(2);
+
+      await laptop.get('/auth/me').expect(401);
+      await tablet.get('/auth/me').expect(401);
+    });
+  });
+
+  describe('Profile self-service', () => {
+    let agent;
+
+    beforeAll(async () => {
+      agent = await sessionClient();
+
+      mockStripe.customers.create.mockResolvedValue({ id: 'cus_profile' });
+      await agent.post('/auth/register').send({
+        ...TERMS_ACCEPTED,
+        email: 'profile@example.com',
+        password: 'Sanctuary1!',
+        name: 'Profile Bambi',
+      });
+    });
+
+    it('should update the name in the app and in Stripe', async () => {
+      const response = await agent
+        .patch('/auth/me')
+        .send({ name: 'Renamed Bambi' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.user.name).toBe('Renamed Bambi');
+      expect(mockStripe.customers.update).toHaveBeenCalledWith('cus_profile', {
+        name: 'Renamed Bambi',
+      });
+    });
+
+    it('should reject invalid profile values', async () => {
+      const response = await agent.patch('/auth/me').send({ name: '' });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should require the password to change email', async () => {
+      const response = await agent
+        .patch('/auth/me')
+        .send({ email: 'new-profile@example.com', password: 'WrongPass1!' });
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should change email only after confirming the new address', async () => {
+      const response = await agent
+        .patch('/auth/me')
+        .send({ email: 'new-profile@example.com', password: 'Sanctuary1!' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.pendingEmail).toBe('new-profile@example.com');
+      expect(response.body.user.email).toBe('profile@example.com');
+
+      const mail = lastMail();
+      expect(mail.to).toBe('new-profile@example.com');
+      const token = decodeURIComponent(mail.text.match(/token=([^\s]+)/)[1]);
+
+      const confirm = await agent
+        .get('/auth/confirm-email-change')
+        .query({ token });
+      expect(confirm.status).toBe(200);
+      expect(mockStripe.customers.update).toHaveBeenCalledWith('cus_profile', {
+        email: 'new-profile@example.com',
+      });
+      expect(lastMail().to).toBe('profile@example.com');
+
+      const me = await agent.get('/auth/me');
+      expect(me.body.user.email).toBe('new-profile@example.com');
+      expect(me.body.user.emailVerified).toBe(true);
+    });
+
+    it('should have the old address approve a password-less email change', async () => {
+      const { userRepository } = await import('../services/user-repository.js');
+      const { client, login } = await passwordlessClient(
+        'passwordless@example.com'
+      );
+
+      const response = await client
+        .patch('/auth/me')
+        .send({ email: 'moved@example.com' });
+      expect(response.status).toBe(200);
+      expect(response.body.pendingEmail).toBe('moved@example.com');
+
+      const approval = lastMail();
+      expect(approval.to).toBe('passwordless@example.com');
+      const approved = await client.get('/auth/confirm-email-change').query({
+        token: decodeURIComponent(approval.text.match(/token=([^\s]+)/)[1]),
+      });
+      expect(approved.status).toBe(200);
+      expect(
+        (await userRepository.findByEmail('passwordless@example.com')).email
+      ).toBe('passwordless@example.com');
+
+      const confirmation = lastMail();
+      expect(confirmation.to).toBe('moved@example.com');
+      const confirmed = await client.get('/auth/confirm-email-change').query({
+        token: decodeURIComponent(confirmation.text.match(/token=([^\s]+)/)[1]),
+      });
+      expect(confirmed.status).toBe(200);
+
+      const refreshed = await request(app)
+        .post('/auth/token/refresh')
+        .send({ refreshToken: login.body.refreshToken });
+      expect(refreshed.status).toBe(401);
+      const me = await client.get('/auth/me');
+      expect(me.body.user.email).toBe('moved@example.com');
+    });
+
+    it('should change password with the current password', async () => {
+      const wrong = await agent.post('/auth/change-password').send({
+        currentPassword: 'WrongPass1!',
+        password: 'Changed4!Pass',
+      });
+      expect(wrong.status).toBe(401);
+
+      const changed = await agent.post('/auth/change-password').send({
+        currentPassword: 'Sanctuary1!',
+        password: 'Changed4!Pass',
+      });
+      expect(changed.status).toBe(200);
+
+      const login = await agent.post('/auth/login').send({
+        email: 'new-profile@example.com',
+        password: 'Changed4!Pass',
+      });
+      expect(login.status).toBe(200);
+    });
+
+    it('should let a password-less account set a password after logging in', async () => {
+      const { client } = await passwordlessClient('fresh-login@example.com');
+
+      const response = await client
+        .post('/auth/change-password')
+        .send({ password: 'Changed4!Pass' });
+
+      expect(response.status).toBe(200);
+    });
+
+    it('should require a recent login for a password-less account to set a password', async () => {
+      const { client } = await passwordlessClient('stale-login@example.com');
+      const later = Date.now() + 11 * 60 * 1000;
+      const now = jest.spyOn(Date, 'now').mockReturnValue(later);
+
+      const response = await client
+        .post('/auth/change-password')
+        .send({ password: 'Changed4!Pass' });
+      now.mockRestore();
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should require the two-factor code to change password', async () => {
+      const { userRepository } = await import('../services/user-repository.js');
+      const { beginEnrollment, confirmEnrollment } = await import(
+        '../services/two-factor.js'
+      );
+      const { generateCode, currentStep } = await import('../services/totp.js');
+      const client = await sessionClient();
+      mockStripe.customers.create.mockResolvedValue({ id: 'cus_totp_change' });
+      await client.post('/auth/register').send({
+        ...TERMS_ACCEPTED,
+        email: 'totp-change@example.com',
+        password: 'Sanctuary1!',
+        name: 'TOTP Change Bambi',
+      });
+      const user = await userRepository.findByEmail('totp-change@example.com');
+      const { secret } = await beginEnrollment(user);
+      await confirmEnrollment(user.id, generateCode(secret, currentStep() - 1));
+
+      const missing = await client.post('/auth/change-password').send({
+        currentPassword: 'Sanctuary1!',
+        password: 'Changed4!Pass',
+      });
+      expect(missing.status).toBe(401);
+
+      const changed = await client.post('/auth/change-password').send({
+        currentPassword: 'Sanctuary1!',
+        password: 'Changed4!Pass',
+        code: generateCode(secret),
+      });
+      expect(changed.status).toBe(200);
+    });
+  });
+
+  describe('Data export and account deletion', () => {
+    let agent;
+
+    beforeAll(async () => {
+      agent = await sessionClient();
+
+      mockStripe.customers.create.mockResolvedValue({ id: 'cus_gdpr' });
+      await agent.post('/auth/register').send({
+        ...TERMS_ACCEPTED,
+        email: 'gdpr@example.com',
+        password: 'Sanctuary1!',
+        name: 'GDPR Bambi',
+      });
+    });
+
+    beforeEach(() => {
+      mockStripe.subscriptions.list.mockResolvedValue({
+        data: [
+          { id: 'sub_active', status: 'active', items: { data: [] } },
+          { id: 'sub_old', status: 'canceled', items: { data: [] } },
+        ],
+      });
+      mockStripe.invoices.list.mockResolvedValue({
+        data: [{ id: 'in_1', total: 999, currency: 'usd', status: 'paid' }],
+      });
+    });
+
+    it('should export profile, security, and billing data', async () => {
+      const response = await agent.get('/auth/me/export');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-disposition']).toContain('attachment');
+      expect(response.body.profile.email).toBe('gdpr@example.com');
+      expect(response.body.profile.passwordHash).toBeUndefined();
+      expect(response.body.billing.subscriptions).toHaveLength(2);
+      expect(response.body.billing.invoices[0].id).toBe('in_1');
+      expect(response.body.security.loginHistory).toEqual(expect.any(Array));
+    });
+
+    it('should require the password to delete the account', async () => {
+      const response = await agent
+        .delete('/auth/me')
+        .send({ password: 'WrongPass1!' });
+
+      expect(response.status).toBe(401);
+      expect(mockStripe.customers.del).not.toHaveBeenCalled();
+    });
+
+    it('should require a recent login to delete a password-less account', async () => {
+      const { userRepository } = await import('../services/user-repository.js');
+      const { client } = await passwordlessClient('stale-delete@example.com');
+      const later = Date.now() + 11 * 60 * 1000;
+      const now = jest.spyOn(Date, 'now').mockReturnValue(later);
+
+      const response = await client.delete('/auth/me');
+      now.mockRestore();
+
+      expect(response.status).toBe(401);
+      await expect(
+        userRepository.findByEmail('stale-delete@example.com')
+      ).resolves.not.toBeNull();
+    });
+
+    it('should cancel billing and purge the account', async () => {
+      const { userRepository } = await import('../services/user-repository.js');
+      const { listAuditEvents } = await import('../services/audit-log.js');
+      const { id } = await userRepository.findByEmail('gdpr@example.com');
+
+      const response = await agent
+        .delete('/auth/me')
+        .send({ password: 'Sanctuary1!' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.subscriptionsCanceled).toBe(1);
+      expect(mockStripe.subscriptions.cancel).toHaveBeenCalledWith(
+        'sub_active'
+      );
+      expect(mockStripe.customers.del).toHaveBeenCalledWith('cus_gdpr');
+      expect(await userRepository.findById(id)).toBeNull();
+
+      const audit = await listAuditEvents(id);
+      expect(audit.map(entry => entry.event)).toContain('account_deleted');
+      expect(JSON.stringify(audit)).not.toContain('gdpr@example.com');
+
+      await agent.get('/auth/me').expect(401);
+    });
+  });
+
+  describe('Password reset', () => {
+    it('should respond generically for unknown emails', async () => {
+      const response = await request(app)
+        .post('/auth/forgot-password')
+        .send({ email: 'nobody@example.com' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toContain('If an account exists');
+    });
+
+    it('should reset password with emailed single-use token', async () => {
+      const forgot = await request(app)
+        .post('/auth/forgot-password')
+        .send({ email: 'persist@example.com' });
+      expect(forgot.status).toBe(200);
+
+      const mail = lastMail();
+      expect(mail.to).toBe('persist@example.com');
+      const token = decodeURIComponent(mail.text.match(/token=([^\s]+)/)[1]);
+
+      const reset = await request(app)
+        .post('/auth/reset-password')
+        .send({ token, password: 'NewSanctuary2@' });
+      expect(reset.status).toBe(200);
+      const { userRepository } = await import('../services/user-repository.js');
+      const { id } = await userRepository.findByEmail('persist@example.com');
+      expect(mockDisconnectUser).toHaveBeenCalledWith(id, 'Password reset');
+
+      const reuse = await request(app)
+        .post('/auth/reset-password')
+        .send({ token, password: 'Another3!Pass' });
+      expect(reuse.status).toBe(400);
+      expect(reuse.body.error).toContain('Invalid or expired');
+
+      const oldLogin = await request(app).post('/auth/login').send({
+        email: 'persist@example.com',
+        password: 'Sanctuary1!',
+      });
+      expect(oldLogin.status).toBe(401);
+
+      const newLogin = await request(app).post('/auth/login').send({
+        email: 'persist@example.com',
+        password: 'NewSanctuary2@',
+      });
+      expect(newLogin.status).toBe(200);
+    });
+
+    it('should reject weak replacement passwords', async () => {
+      const response = await request(app)
+        .post('/auth/reset-password')
+        .send({ token: 'anything', password: 'weak' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Validation failed');
+    });
   });
 
   describe('GET /auth/me', () => {
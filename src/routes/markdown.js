@@ -5,15 +5,31 @@ import MarkdownIt from 'markdown-it';
 import markdownItAttrs from 'markdown-it-attrs';
 import markdownItAnchor from 'markdown-it-anchor';
 import markdownItToc from 'markdown-it-toc-done-right';
-import { requireSubscription } from '../middleware/auth.js';
+import { requireEntitlement, requireCurrentTerms } from '../middleware/auth.js';
+import { loadBillingNotice } from '../middleware/billing-notice.js';
 import {
   logger,
   trackSecurityEvent,
   contentAccessTotal,
 } from '../services/telemetry.js';
+import { recordContentAccess } from '../services/account-data.js';
 
 const router = express.Router();
 
+/// Paywalled routes also need the current terms and age attestation. The
+/// billing notice loads first so a suspended user's 403 still carries it.
+const premiumAccess = [
+  loadBillingNotice,
+  requireEntitlement('markdown:private'),
+  requireCurrentTerms,
+];
+/// Tier folders under content/private need their own entitlement
+const folderAccess = [
+  loadBillingNotice,
+  requireEntitlement(req => `markdown:${req.params.folder}`),
+  requireCurrentTerms,
+];
+
 // Initialize markdown-it with plugins
 const md = new MarkdownIt({
   html: true,
@@ -110,11 +126,12 @@ router.get('/public/:filename', async (req, res) => {
 });
 
 /**
- * Render markdown file (paywalled - requires subscription)
+ * Render a private markdown file (paywalled), either from content/private or
+ * from a tier folder beneath it
  */
-router.get('/private/:filename', requireSubscription, async (req, res) => {
+async function renderPrivateMarkdown(req, res) {
   try {
-    const { filename } = req.params;
+    const { filename, folder } = req.params;
 
     // Security: prevent directory traversal
     if (filename.includes('..') || filename.includes('/')) {
@@ -132,7 +149,8 @@ router.get('/private/:filename', requireSubscription, async (req, res) => {
       return res.status(400).json({ error: 'Invalid filename' });
     }
 
-    const filePath = join(CONTENT_PATH, 'private', filename);
+    const contentId = folder ? `${folder}/${filename}` : filename;
+    const filePath = join(CONTENT_PATH, 'private', contentId);
     const content = await readFile(filePath, 'utf-8');
     const html = md.render(content);
 
@@ -140,9 +158,10 @@ router.get('/private/:filename', requireSubscription, async (req, res) => {
       content_type: 'markdown',
       access_level: 'premium',
     });
+    await recordContentAccess(req.session.user.id, 'markdown', contentId);
 
     logger.info('Private markdown accessed', {
-      filename: filename,
+      filename: contentId,
       userId: req.session.user?.id,
       ip: req.ip,
     });
@@ -170,7 +189,14 @@ router.get('/private/:filename', requireSubscription, async (req, res) => {
     });
     res.status(500).json({ error: 'Failed to render content' });
   }
-});
+}
+
+router.get('/private/:filename', premiumAccess, renderPrivateMarkdown);
+router.get(
+  '/private/:folder([a-z0-9-]+)/:filename',
+  folderAccess,
+  renderPrivateMarkdown
+);
 
 /**
  * Get raw markdown content (API endpoint)
@@ -188,14 +214,16 @@ router.get('/raw/:type/:filename', async (req, res) => {
       return res.status(400).json({ error: 'Invalid content type' });
     }
 
-    // Require subscription for private content
+    // Require subscription and current terms for private content
     if (type === 'private') {
-      await new Promise((resolve, reject) => {
-        requireSubscription(req, res, err => {
-          if (err) reject(err);
-          else resolve();
+      for (const middleware of premiumAccess) {
+        await new Promise((resolve, reject) => {
+          middleware(req, res, err => {
+            if (err) reject(err);
+            else resolve();
+          });
         });
-      });
+      }
     }
 
     // Security: prevent directory traversal
@@ -0,0 +1,617 @@
+/**
+ * Tests for billing self-service routes
+ * Verifies subscriptions are only changed for the customer that owns them,
+ * and that API keys need billing scopes
+ */
+
+import { jest } from '@jest/globals';
+import express from 'express';
+import path from 'path';
+import request from 'supertest';
+
+const mockStripe = {
+  subscriptions: {
+    retrieve: jest.fn(),
+    update: jest.fn(),
+    resume: jest.fn(),
+    list: jest.fn(),
+  },
+  invoices: {
+    createPreview: jest.fn(),
+    list: jest.fn(),
+  },
+  charges: {
+    list: jest.fn(),
+  },
+  customers: {
+    retrieve: jest.fn(),
+    listPaymentMethods: jest.fn(),
+  },
+  billingPortal: {
+    sessions: { create: jest.fn() },
+  },
+  checkout: {
+    sessions: { create: jest.fn() },
+  },
+  prices: {
+    list: jest.fn(),
+    retrieve: jest.fn(),
+  },
+  promotionCodes: {
+    list: jest.fn(),
+  },
+};
+
+jest.unstable_mockModule('stripe', () => ({
+  default: jest.fn(() => mockStripe),
+}));
+
+describe('Stripe Billing Routes', () => {
+  let app, token, sessionUser;
+
+  /**
+   * Subscription fixture on the supporter price
+   */
+  function subscription(overrides = {}) {
+    return {
+      id: 'sub_own',
+      customer: 'cus_billing',
+      status: 'active',
+      cancel_at_period_end: false,
+      items: { data: [{ id: 'si_1', price: { id: 'price_supporter' } }] },
+      ...overrides,
+    };
+  }
+
+  /**
+   * POST as the test customer
+   */
+  function post(path, body) {
+    return request(app)
+      .post(path)
+      .set('Authorization', `Bearer ${token}`)
+      .send(body);
+  }
+
+  beforeAll(async () => {
+    process.env.STRIPE_PRICES_SUPPORTER = 'price_supporter';
+    process.env.STRIPE_PRICES_DEVOTEE = 'price_devotee';
+    process.env.STRIPE_TRIAL_DAYS_DEVOTEE = '14';
+
+    const { userRepository } = await import('../services/user-repository.js');
+    const { issueTokenPair } = await import('../services/token-service.js');
+    const user = await userRepository.create({
+      email: 'billing@example.com',
+      name: 'Billing',
+      stripeCustomerId: 'cus_billing',
+    });
+    ({ accessToken: token } = await issueTokenPair(user));
+    sessionUser = { id: user.id, stripeCustomerId: 'cus_billing' };
+
+    app = express();
+    app.set('view engine', 'ejs');
+    app.set('views', path.join(process.cwd(), 'views'));
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.session = req.get('X-Test-Session') ? { user: sessionUser } : {};
+      next();
+    });
+    app.use('/stripe', (await import('./stripe.js')).default);
+  });
+
+  afterAll(() => {
+    delete process.env.STRIPE_PRICES_SUPPORTER;
+    delete process.env.STRIPE_PRICES_DEVOTEE;
+    delete process.env.STRIPE_TRIAL_DAYS_DEVOTEE;
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("should not cancel another customer's subscription", async () => {
+    mockStripe.subscriptions.retrieve.mockResolvedValue(
+      subscription({ customer: 'cus_someone_else' })
+    );
+
+    const response = await post('/stripe/cancel-subscription', {
+      subscriptionId: 'sub_other',
+    });
+
+    expect(response.status).toBe(404);
+    expect(mockStripe.subscriptions.update).not.toHaveBeenCalled();
+  });
+
+  it("should cancel the caller's own subscription at period end", async () => {
+    mockStripe.subscriptions.retrieve.mockResolvedValue(subscription());
+    mockStripe.subscriptions.update.mockResolvedValue(
+      subscription({ cancel_at_period_end: true })
+    );
+
+    const response = await post('/stripe/cancel-subscription', {
+      subscriptionId: 'sub_own',
+    });
+
+    expect(response.status).toBe(200);
+    expect(mockStripe.subscriptions.update).toHaveBeenCalledWith('sub_own', {
+      cancel_at_period_end: true,
+    });
+  });
+
+  it('should reject malformed subscription IDs', async () => {
+    const response = await post('/stripe/cancel-subscription', {
+      subscriptionId: '../customers',
+    });
+
+    expect(response.status).toBe(400);
+    expect(mockStripe.subscriptions.retrieve).not.toHaveBeenCalled();
+  });
+
+  it('should undo a scheduled cancellation', async () => {
+    mockStripe.subscriptions.retrieve.mockResolvedValue(
+      subscription({ cancel_at_period_end: true })
+    );
+    mockStripe.subscriptions.update.mockResolvedValue(subscription());
+
+    const response = await post('/stripe/resume-subscription', {
+      subscriptionId: 'sub_own',
+    });
+
+    expect(response.status).toBe(200);
+    expect(mockStripe.subscriptions.update).toHaveBeenCalledWith('sub_own', {
+      cancel_at_period_end: false,
+    });
+  });
+
+  it('should resume paused subscriptions', async () => {
+    mockStripe.subscriptions.retrieve.mockResolvedValue(
+      subscription({ status: 'paused' })
+    );
+    mockStripe.subscriptions.resume.mockResolvedValue(subscription());
+
+    const response = await post('/stripe/resume-subscription', {
+      subscriptionId: 'sub_own',
+    });
+
+    expect(response.status).toBe(200);
+    expect(mockStripe.subscriptions.resume).toHaveBeenCalledWith('sub_own');
+  });
+
+  it('should send ended subscriptions back to checkout', async () => {
+    mockStripe.subscriptions.retrieve.mockResolvedValue(
+      subscription({ status: 'canceled' })
+    );
+
+    const response = await post('/stripe/resume-subscription', {
+      subscriptionId: 'sub_own',
+    });
+
+    expect(response.status).toBe(409);
+    expect(response.body.redirectTo).toBe('/stripe/plans');
+  });
+
+  it('should show the billing notice with the plans', async () => {
+    const { getDatabase } = await import('../services/database.js');
+    const db = getDatabase();
+    const now = Date.now();
+    db.prepare(
+      `INSERT INTO dunning_cases (subscription_id, customer_id, state, grace_until, opened_at, updated_at)
+       VALUES ('sub_suspended', 'cus_billing', 'suspended', ?, ?, ?)`
+    ).run(now, now, now);
+
+    const response = await request(app)
+      .get('/stripe/plans')
+      .set('X-Test-Session', '1');
+    db.prepare(
+      "DELETE FROM dunning_cases WHERE subscription_id = 'sub_suspended'"
+    ).run();
+
+    expect(response.status).toBe(200);
+    expect(response.body.plans.length).toBeGreaterThan(0);
+    expect(response.body.billingNotice).toMatchObject({
+      subscriptionId: 'sub_suspended',
+      state: 'suspended',
+    });
+  });
+
+  it('should preview a plan switch and apply it at the previewed date', async () => {
+    mockStripe.subscriptions.retrieve.mockResolvedValue(subscription());
+    mockStripe.invoices.createPreview.mockResolvedValue({
+      amount_due: 750,
+      currency: 'usd',
+      lines: {
+        data: [{ description: 'Remaining time on Devotee', amount: 750 }],
+      },
+    });
+
+    const preview = await post('/stripe/preview-plan-change', {
+      subscriptionId: 'sub_own',
+      priceId: 'price_devotee',
+    });
+
+    expect(preview.status).toBe(200);
+    expect(preview.body).toMatchObject({ tier: 'devotee', amountDue: 750 });
+    expect(mockStripe.invoices.createPreview).toHaveBeenCalledWith(
+      expect.objectContaining({
+        customer: 'cus_billing',
+        subscription: 'sub_own',
+      })
+    );
+
+    mockStripe.subscriptions.update.mockResolvedValue(
+      subscription({
+        items: { data: [{ id: 'si_1', price: { id: 'price_devotee' } }] },
+      })
+    );
+    const change = await post('/stripe/change-plan', {
+      subscriptionId: 'sub_own',
+      priceId: 'price_devotee',
+      prorationDate: preview.body.prorationDate,
+    });
+
+    expect(change.status).toBe(200);
+    expect(mockStripe.subscriptions.update).toHaveBeenCalledWith('sub_own', {
+      items: [{ id: 'si_1', price: 'price_devotee' }],
+      proration_behavior: 'create_prorations',
+      proration_date: preview.body.prorationDate,
+    });
+  });
+
+  it('should only switch to prices in the plan catalog', async () => {
+    const response = await post('/stripe/change-plan', {
+      subscriptionId: 'sub_own',
+      priceId: 'price_elsewhere',
+    });
+
+    expect(response.status).toBe(400);
+    expect(mockStripe.subscriptions.update).not.toHaveBeenCalled();
+  });
+
+  it('should list saved cards and mark the default', async () => {
+    mockStripe.customers.retrieve.mockResolvedValue({
+      id: 'cus_billing',
+      invoice_settings: { default_payment_method: 'pm_2' },
+    });
+    mockStripe.customers.listPaymentMethods.mockResolvedValue({
+      data: ['pm_1', 'pm_2'].map(id => ({
+        id,
+        card: { brand: 'visa', last4: '4242', exp_month: 1, exp_year: 2030 },
+      })),
+    });
+
+    const response = await request(app)
+      .get('/stripe/payment-methods')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(response.status).toBe(200);
+    expect(
+      response.body.paymentMethods.map(method => method.isDefault)
+    ).toEqual([false, true]);
+  });
+
+  it('should open a billing portal session for the caller', async () => {
+    mockStripe.billingPortal.sessions.create.mockResolvedValue({
+      url: 'https://billing.stripe.com/session/test',
+    });
+
+    const response = await post('/stripe/billing-portal');
+
+    expect(response.status).toBe(200);
+    expect(response.body.url).toBe('https://billing.stripe.com/session/test');
+    expect(mockStripe.billingPortal.sessions.create).toHaveBeenCalledWith(
+      expect.objectContaining({ customer: 'cus_billing' })
+    );
+  });
+
+  describe('billing history', () => {
+    /**
+     * Stripe list whose auto-pagination yields the given items
+     */
+    function listing(items) {
+      return {
+        autoPagingEach: jest.fn(async onItem => {
+          for (const item of items) {
+            if ((await onItem(item)) === false) break;
+          }
+        }),
+      };
+    }
+
+    const invoices = [1, 2, 3, 4, 5].map(n => ({
+      id: `in_${n}`,
+      number: `BSC-000${n}`,
+      status: 'paid',
+      total: 500,
+      amount_paid: 500,
+      currency: 'usd',
+      created: 1767225600 - n * 2592000,
+      hosted_invoice_url: `https://invoice.stripe.com/i/in_${n}`,
+      invoice_pdf: `https://pay.stripe.com/invoice/in_${n}/pdf`,
+    }));
+
+    const charges = [
+      {
+        id: 'ch_1',
+        status: 'succeeded',
+        description: 'Donation',
+        amount: 1000,
+        amount_refunded: 0,
+        currency: 'usd',
+        created: 1767225600,
+        payment_method_details: { card: { brand: 'visa', last4: '4242' } },
+        receipt_url: 'https://pay.stripe.com/receipts/ch_1',
+      },
+    ];
+
+    it('should page through invoices with their links', async () => {
+      mockStripe.invoices.list.mockReturnValue(listing(invoices));
+
+      const response = await request(app)
+        .get('/stripe/invoices?page=2&limit=2')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+      expect(mockStripe.invoices.list).toHaveBeenCalledWith(
+        expect.objectContaining({ customer: 'cus_billing' })
+      );
+      expect(response.body).toMatchObject({ page: 2, limit: 2, hasMore: true });
+      expect(response.body.invoices.map(invoice => invoice.id)).toEqual([
+        'in_3',
+        'in_4',
+      ]);
+      expect(response.body.invoices[0]).toMatchObject({
+        hostedInvoiceUrl: 'https://invoice.stripe.com/i/in_3',
+        invoicePdf: 'https://pay.stripe.com/invoice/in_3/pdf',
+      });
+    });
+
+    it('should keep pages full when drafts are hidden', async () => {
+      const draft = { ...invoices[0], id: 'in_draft', status: 'draft' };
+      mockStripe.invoices.list.mockReturnValue(
+        listing([invoices[0], draft, ...invoices.slice(1)])
+      );
+
+      const response = await request(app)
+        .get('/stripe/invoices?page=1&limit=2')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.body.invoices.map(invoice => invoice.id)).toEqual([
+        'in_1',
+        'in_2',
+      ]);
+      expect(response.body.hasMore).toBe(true);
+
+      const last = await request(app)
+        .get('/stripe/invoices?page=3&limit=2')
+        .set('Authorization', `Bearer ${token}`);
+      expect(last.body.invoices.map(invoice => invoice.id)).toEqual(['in_5']);
+      expect(last.body.hasMore).toBe(false);
+    });
+
+    it('should list payments with receipts', async () => {
+      mockStripe.charges.list.mockReturnValue(listing(charges));
+
+      const response = await request(app)
+        .get('/stripe/payments')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.hasMore).toBe(false);
+      expect(response.body.payments[0]).toMatchObject({
+        amount: 1000,
+        card: { brand: 'visa', last4: '4242' },
+        receiptUrl: 'https://pay.stripe.com/receipts/ch_1',
+      });
+    });
+
+    it('should reject invalid pages', async () => {
+      const response = await request(app)
+        .get('/stripe/invoices?page=0')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should render the billing history page', async () => {
+      mockStripe.invoices.list.mockReturnValue(listing(invoices));
+      mockStripe.charges.list.mockReturnValue(listing(charges));
+
+      const response = await request(app)
+        .get('/stripe/billing-history')
+        .set('X-Test-Session', '1');
+
+      expect(response.status).toBe(200);
+      expect(response.text).toContain('BSC-0001');
+      expect(response.text).toContain('https://pay.stripe.com/receipts/ch_1');
+    });
+
+    it('should require a session for the billing history page', async () => {
+      const response = await request(app).get('/stripe/billing-history');
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('donations', () => {
+    it('should start a Checkout session for a custom amount', async () => {
+      mockStripe.checkout.sessions.create.mockResolvedValue({
+        id: 'cs_donation',
+        url: 'https://checkout.stripe.com/c/pay/cs_donation',
+      });
+
+      const response = await request(app).post('/stripe/donate').send({
+        amount: 2500,
+        displayName: 'Bambi',
+        message: 'For the sanctuary',
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.body.url).toBe(
+        'https://checkout.stripe.com/c/pay/cs_donation'
+      );
+      expect(mockStripe.checkout.sessions.create).toHaveBeenCalledWith(
+        expect.objectContaining({ mode: 'payment', submit_type: 'donate' })
+      );
+    });
+
+    it('should reject amounts outside the allowed range', async () => {
+      for (const amount of [50, 5000000, 'lots']) {
+        const response = await request(app)
+          .post('/stripe/donate')
+          .send({ amount });
+
+        expect(response.status).toBe(400);
+      }
+      expect(mockStripe.checkout.sessions.create).not.toHaveBeenCalled();
+    });
+
+    it('should render the supporter wall', async () => {
+      const response = await request(app).get('/stripe/supporters');
+
+      expect(response.status).toBe(200);
+      expect(response.text).toContain('Supporter Wall');
+    });
+
+    it('should validate one-off payment amounts', async () => {
+      const response = await post('/stripe/create-payment-intent', {
+        amount: -100,
+      });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('checkout offers', () => {
+    beforeEach(() => {
+      mockStripe.checkout.sessions.create.mockResolvedValue({
+        id: 'cs_sub',
+        url: 'https://checkout.stripe.com/c/pay/cs_sub',
+      });
+      mockStripe.prices.retrieve.mockResolvedValue({
+        id: 'price_devotee',
+        product: 'prod_devotee',
+        currency: 'usd',
+        unit_amount: 1500,
+      });
+    });
+
+    it('should give first-time subscribers the plan trial', async () => {
+      mockStripe.subscriptions.list.mockResolvedValue({ data: [] });
+
+      const response = await post('/stripe/create-checkout-session', {
+        priceId: 'price_devotee',
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.body.trialDays).toBe(14);
+      expect(mockStripe.checkout.sessions.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          subscription_data: { trial_period_days: 14 },
+          allow_promotion_codes: true,
+        })
+      );
+    });
+
+    it('should apply a valid promotion code', async () => {
+      mockStripe.subscriptions.list.mockResolvedValue({
+        data: [{ id: 'sub_old' }],
+      });
+      mockStripe.promotionCodes.list.mockResolvedValue({
+        data: [
+          {
+            id: 'promo_devotee',
+            code: 'DEVOTION',
+            customer: null,
+            restrictions: { first_time_transaction: false },
+            promotion: {
+              type: 'coupon',
+              coupon: { valid: true, percent_off: 50, duration: 'once' },
+            },
+          },
+        ],
+      });
+
+      const response = await post('/stripe/create-checkout-session', {
+        priceId: 'price_devotee',
+        promotionCode: 'DEVOTION',
+      });
+
+      expect(response.status).toBe(200);
+      const params = mockStripe.checkout.sessions.create.mock.calls[0][0];
+      expect(params.discounts).toEqual([{ promotion_code: 'promo_devotee' }]);
+      expect(params).not.toHaveProperty('allow_promotion_codes');
+      expect(params).not.toHaveProperty('subscription_data');
+    });
+
+    it('should explain why a promotion code is rejected', async () => {
+      mockStripe.promotionCodes.list.mockResolvedValue({ data: [] });
+
+      const response = await post('/stripe/validate-promotion-code', {
+        code: 'EXPIRED',
+      });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({
+        valid: false,
+        error: 'Unknown or expired promotion code',
+      });
+      expect(mockStripe.checkout.sessions.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('API keys', () => {
+    /**
+     * Bearer header for a new API key with the given scopes
+     */
+    async function apiKey(scopes) {
+      const { createApiKey } = await import('../services/api-keys.js');
+      const { key } = await createApiKey(sessionUser.id, {
+        name: scopes.join(' '),
+        scopes,
+      });
+      return `Bearer ${key}`;
+    }
+
+    it('should keep read-only keys out of billing', async () => {
+      const authorization = await apiKey(['content:read']);
+
+      for (const [method, path] of [
+        ['post', '/stripe/create-checkout-session'],
+        ['post', '/stripe/cancel-subscription'],
+        ['post', '/stripe/change-plan'],
+        ['post', '/stripe/billing-portal'],
+        ['get', '/stripe/invoices'],
+        ['get', '/stripe/payments'],
+        ['get', '/stripe/subscription-status'],
+      ]) {
+        const response = await request(app)
+          [method](path)
+          .set('Authorization', authorization)
+          .send({ subscriptionId: 'sub_own', priceId: 'price_devotee' });
+
+        expect([path, response.status]).toEqual([path, 403]);
+      }
+      expect(mockStripe.subscriptions.update).not.toHaveBeenCalled();
+      expect(mockStripe.billingPortal.sessions.create).not.toHaveBeenCalled();
+    });
+
+    it('should let billing:read keys read but not change billing', async () => {
+      const authorization = await apiKey(['billing:read']);
+      mockStripe.invoices.list.mockReturnValue({
+        autoPagingEach: jest.fn(async () => {}),
+      });
+
+      const invoices = await request(app)
+        .get('/stripe/invoices')
+        .set('Authorization', authorization);
+      const cancel = await request(app)
+        .post('/stripe/cancel-subscription')
+        .set('Authorization', authorization)
+        .send({ subscriptionId: 'sub_own' });
+
+      expect(invoices.status).toBe(200);
+      expect(cancel.status).toBe(403);
+      expect(mockStripe.subscriptions.update).not.toHaveBeenCalled();
+    });
+  });
+});
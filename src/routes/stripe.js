@@ -1,27 +1,154 @@
 import express from 'express';
 import Stripe from 'stripe';
-import { requireAuth } from '../middleware/auth.js';
+import { requireAuth, requirePermission } from '../middleware/auth.js';
+import { validators, validateRequest } from '../middleware/input-validation.js';
+import { loadBillingNotice } from '../middleware/billing-notice.js';
+import { couponLimiter, donationLimiter } from '../middleware/rate-limiting.js';
 import {
   logger,
-  trackStripeWebhook,
   trackSecurityEvent,
-  stripeSubscriptionsActive,
-  stripePaymentValue,
   stripeWebhooksTotal,
 } from '../services/telemetry.js';
+import {
+  recordWebhookEvent,
+  processWebhookEvent,
+} from '../services/stripe-webhooks.js';
+import { listPlans, tierForPrice } from '../services/plans.js';
+import { recordSubscription } from '../services/entitlements.js';
+import { listInvoices, listPayments } from '../services/billing-history.js';
+import { startDonation, listSupporters } from '../services/donations.js';
+import { trialDaysFor, validatePromotionCode } from '../services/promotions.js';
 
 const router = express.Router();
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
 
+/// Subscriptions that can no longer be changed, only replaced by a new one
+const ENDED_STATUSES = ['canceled', 'incomplete_expired'];
+
+/**
+ * Middleware rejecting callers without a Stripe customer
+ */
+function requireStripeCustomer(req, res, next) {
+  if (!req.user.stripeCustomerId) {
+    return res.status(400).json({ error: 'No Stripe customer ID found' });
+  }
+  next();
+}
+
+/// Authenticated caller allowed to see their billing (API keys need the
+/// billing:read scope)
+const billingReader = [requireAuth, requirePermission('billing:read')];
+/// ...or to change it, which costs money (billing:write scope)
+const billingWriter = [requireAuth, requirePermission('billing:write')];
+/// Caller choosing a plan price (and maybe a promotion code)
+const checkoutAccess = [...billingWriter, validators.checkout, validateRequest];
+/// Caller paying a validated amount
+const paymentAccess = [...billingWriter, validators.amount, validateRequest];
+/// Caller with a Stripe customer reading their billing
+const billingAccess = [...billingReader, requireStripeCustomer];
+/// ...or changing it
+const billingChangeAccess = [...billingWriter, requireStripeCustomer];
+/// ...naming one of their subscriptions in the body
+const subscriptionAccess = [
+  ...billingChangeAccess,
+  validators.subscriptionId,
+  validateRequest,
+];
+/// ...and a plan to move it to
+const planChangeAccess = [
+  ...billingChangeAccess,
+  validators.planChange,
+  validateRequest,
+];
+
+/**
+ * Load a subscription if it belongs to the caller's Stripe customer
+ * Someone else's subscription is reported exactly like a missing one
+ * @param {object} req
+ * @param {string} subscriptionId
+ * @returns {Promise<object|null>}
+ */
+async function findOwnSubscription(req, subscriptionId) {
+  let subscription;
+  try {
+    subscription = await stripe.subscriptions.retrieve(subscriptionId);
+  } catch (error) {
+    if (error.statusCode === 404) {
+      return null;
+    }
+    throw error;
+  }
+
+  const owner = subscription.customer?.id ?? subscription.customer;
+  if (owner !== req.user.stripeCustomerId) {
+    trackSecurityEvent('subscription_ownership_mismatch', 'medium', {
+      userId: req.user.id,
+      subscriptionId,
+      ip: req.ip,
+    });
+    return null;
+  }
+  return subscription;
+}
+
+/**
+ * Item changes that move a subscription onto another price
+ */
+function planChangeItems(subscription, priceId) {
+  return [{ id: subscription.items.data[0].id, price: priceId }];
+}
+
+/**
+ * Plan catalog: tiers, what they unlock, and their prices
+ * Includes the logged-in user's billing notice, since entitlement denials
+ * redirect here
+ */
+router.get('/plans', loadBillingNotice, async (req, res) => {
+  const { billingNotice } = res.locals;
+
+  try {
+    res.json({
+      plans: await listPlans(),
+      ...(billingNotice && { billingNotice }),
+    });
+  } catch (error) {
+    logger.error('Plan listing error', { error: error.message });
+    res.status(500).json({ error: 'Failed to load plans' });
+  }
+});
+
 /**
  * Create checkout session for subscription
+ * First-time subscribers get the tier's free trial. A promotion code given
+ * here is checked and applied; otherwise one can be entered on Stripe's page.
  */
-router.post('/create-checkout-session', requireAuth, async (req, res) => {
+router.post('/create-checkout-session', checkoutAccess, async (req, res) => {
   try {
-    const { priceId, successUrl, cancelUrl } = req.body;
+    const { priceId, successUrl, cancelUrl, promotionCode } = req.body;
+    const customerId = req.user.stripeCustomerId;
+
+    // Only prices in the plan catalog can be subscribed to
+    const tier = tierForPrice(priceId);
+    if (!tier) {
+      return res.status(400).json({ error: 'Unknown plan price' });
+    }
+
+    let discount = { allow_promotion_codes: true };
+    if (promotionCode) {
+      const check = await validatePromotionCode(promotionCode, {
+        customerId,
+        priceId,
+      });
+      if (!check.valid) {
+        return res.status(400).json({ error: check.reason, promotionCode });
+      }
+      discount = { discounts: [{ promotion_code: check.promotionCode.id }] };
+    }
+
+    const trialDays = await trialDaysFor(customerId, tier);
 
     const session = await stripe.checkout.sessions.create({
-      customer: req.user.stripeCustomerId,
+      customer: customerId,
       payment_method_types: ['card'],
       line_items: [
         {
@@ -30,6 +157,8 @@ router.post('/create-checkout-session', requireAuth, async (req, res) => {
         },
       ],
       mode: 'subscription',
+      ...discount,
+      ...(trialDays && { subscription_data: { trial_period_days: trialDays } }),
       success_url:
         successUrl ||
         `${req.protocol}://${req.get('host')}/stripe/success?session_id={CHECKOUT_SESSION_ID}`,
@@ -41,9 +170,11 @@ router.post('/create-checkout-session', requireAuth, async (req, res) => {
       sessionId: session.id,
       userId: req.user.id,
       priceId: priceId,
+      trialDays,
+      promotionCode: promotionCode || null,
     });
 
-    res.json({ sessionId: session.id, url: session.url });
+    res.json({ sessionId: session.id, url: session.url, trialDays });
   } catch (error) {
     logger.error('Checkout session error', {
       error: error.message,
@@ -54,10 +185,42 @@ router.post('/create-checkout-session', requireAuth, async (req, res) => {
   }
 });
 
+/**
+ * Check a promotion code before checkout
+ */
+router.post(
+  '/validate-promotion-code',
+  couponLimiter,
+  billingReader,
+  validators.promotionCode,
+  validateRequest,
+  async (req, res) => {
+    try {
+      const { code, priceId } = req.body;
+      const check = await validatePromotionCode(code, {
+        customerId: req.user.stripeCustomerId,
+        priceId,
+      });
+
+      if (!check.valid) {
+        return res.status(400).json({ valid: false, error: check.reason });
+      }
+      res.json(check);
+    } catch (error) {
+      logger.error('Promotion code check error', {
+        error: error.message,
+        stack: error.stack,
+        userId: req.user.id,
+      });
+      res.status(500).json({ error: 'Failed to check promotion code' });
+    }
+  }
+);
+
 /**
  * Create payment intent for one-time payment
  */
-router.post('/create-payment-intent', requireAuth, async (req, res) => {
+router.post('/create-payment-intent', paymentAccess, async (req, res) => {
   try {
     const { amount, currency = 'usd', description } = req.body;
 
@@ -95,7 +258,7 @@ router.post('/create-payment-intent', requireAuth, async (req, res) => {
 /**
  * Get customer's subscription status
  */
-router.get('/subscription-status', requireAuth, async (req, res) => {
+router.get('/subscription-status', billingReader, async (req, res) => {
   try {
     const subscriptions = await stripe.subscriptions.list({
       customer: req.user.stripeCustomerId,
@@ -127,13 +290,18 @@ router.get('/subscription-status', requireAuth, async (req, res) => {
 /**
  * Cancel subscription
  */
-router.post('/cancel-subscription', requireAuth, async (req, res) => {
+router.post('/cancel-subscription', subscriptionAccess, async (req, res) => {
   try {
     const { subscriptionId } = req.body;
 
+    if (!(await findOwnSubscription(req, subscriptionId))) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+
     const subscription = await stripe.subscriptions.update(subscriptionId, {
       cancel_at_period_end: true,
     });
+    await recordSubscription(subscription);
 
     logger.info('Subscription cancellation scheduled', {
       subscriptionId: subscriptionId,
@@ -155,6 +323,344 @@ router.post('/cancel-subscription', requireAuth, async (req, res) => {
   }
 });
 
+/**
+ * Resume a subscription scheduled to cancel, or a paused one
+ * Subscriptions that have already ended need a new checkout instead
+ */
+router.post('/resume-subscription', subscriptionAccess, async (req, res) => {
+  const { subscriptionId } = req.body;
+
+  try {
+    const current = await findOwnSubscription(req, subscriptionId);
+    if (!current) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+
+    if (ENDED_STATUSES.includes(current.status)) {
+      return res.status(409).json({
+        error: 'Subscription has ended, subscribe again to reactivate',
+        redirectTo: '/stripe/plans',
+      });
+    }
+
+    let subscription;
+    if (current.status === 'paused') {
+      subscription = await stripe.subscriptions.resume(subscriptionId);
+    } else if (current.cancel_at_period_end) {
+      subscription = await stripe.subscriptions.update(subscriptionId, {
+        cancel_at_period_end: false,
+      });
+    } else {
+      return res
+        .status(409)
+        .json({ error: 'Subscription is not canceled or paused' });
+    }
+    await recordSubscription(subscription);
+
+    logger.info('Subscription resumed', {
+      subscriptionId,
+      userId: req.user.id,
+      previousStatus: current.status,
+    });
+
+    res.json({ message: 'Subscription resumed', subscription });
+  } catch (error) {
+    logger.error('Subscription resume error', {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user.id,
+    });
+    res.status(500).json({ error: 'Failed to resume subscription' });
+  }
+});
+
+/**
+ * Check a plan switch before making it
+ * Shared by the preview and change endpoints; responds and returns null if
+ * the switch is not possible
+ */
+async function loadPlanChange(req, res) {
+  const { subscriptionId, priceId } = req.body;
+
+  const tier = tierForPrice(priceId);
+  if (!tier) {
+    res.status(400).json({ error: 'Unknown plan price' });
+    return null;
+  }
+
+  const subscription = await findOwnSubscription(req, subscriptionId);
+  if (!subscription) {
+    res.status(404).json({ error: 'Subscription not found' });
+    return null;
+  }
+
+  if (ENDED_STATUSES.includes(subscription.status)) {
+    res.status(409).json({
+      error: 'Subscription has ended, subscribe again to reactivate',
+      redirectTo: '/stripe/plans',
+    });
+    return null;
+  }
+
+  if (subscription.items.data[0]?.price?.id === priceId) {
+    res.status(409).json({ error: 'Subscription is already on this plan' });
+    return null;
+  }
+
+  return { subscription, tier };
+}
+
+/**
+ * Preview the prorated invoice for switching plans
+ * Pass the returned prorationDate to /change-plan to be charged this amount
+ */
+router.post('/preview-plan-change', planChangeAccess, async (req, res) => {
+  try {
+    const change = await loadPlanChange(req, res);
+    if (!change) return;
+
+    const prorationDate = Math.floor(Date.now() / 1000);
+    const invoice = await stripe.invoices.createPreview({
+      customer: req.user.stripeCustomerId,
+      subscription: change.subscription.id,
+      subscription_details: {
+        items: planChangeItems(change.subscription, req.body.priceId),
+        proration_behavior: 'create_prorations',
+        proration_date: prorationDate,
+      },
+    });
+
+    res.json({
+      tier: change.tier,
+      prorationDate,
+      amountDue: invoice.amount_due,
+      currency: invoice.currency,
+      lines: invoice.lines.data.map(line => ({
+        description: line.description,
+        amount: line.amount,
+      })),
+    });
+  } catch (error) {
+    logger.error('Plan change preview error', {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user.id,
+    });
+    res.status(500).json({ error: 'Failed to preview plan change' });
+  }
+});
+
+/**
+ * Switch a subscription to another plan, prorating the difference
+ */
+router.post('/change-plan', planChangeAccess, async (req, res) => {
+  try {
+    const change = await loadPlanChange(req, res);
+    if (!change) return;
+
+    const { priceId, prorationDate } = req.body;
+    const subscription = await stripe.subscriptions.update(
+      change.subscription.id,
+      {
+        items: planChangeItems(change.subscription, priceId),
+        proration_behavior: 'create_prorations',
+        ...(prorationDate && { proration_date: prorationDate }),
+      }
+    );
+    await recordSubscription(subscription);
+
+    logger.info('Subscription plan changed', {
+      subscriptionId: subscription.id,
+      userId: req.user.id,
+      priceId,
+      tier: change.tier,
+    });
+
+    res.json({ message: 'Plan changed', tier: change.tier, subscription });
+  } catch (error) {
+    logger.error('Plan change error', {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user.id,
+    });
+    res.status(500).json({ error: 'Failed to change plan' });
+  }
+});
+
+/**
+ * Saved cards, and which one pays invoices
+ * Cards are added and removed through the billing portal
+ */
+router.get('/payment-methods', billingAccess, async (req, res) => {
+  try {
+    const customerId = req.user.stripeCustomerId;
+    const [customer, paymentMethods] = await Promise.all([
+      stripe.customers.retrieve(customerId),
+      stripe.customers.listPaymentMethods(customerId, {
+        type: 'card',
+        limit: 100,
+      }),
+    ]);
+
+    const defaultMethod =
+      customer.invoice_settings?.default_payment_method?.id ??
+      customer.invoice_settings?.default_payment_method;
+
+    res.json({
+      paymentMethods: paymentMethods.data.map(method => ({
+        id: method.id,
+        brand: method.card.brand,
+        last4: method.card.last4,
+        expMonth: method.card.exp_month,
+        expYear: method.card.exp_year,
+        isDefault: method.id === defaultMethod,
+      })),
+    });
+  } catch (error) {
+    logger.error('Payment method listing error', {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user.id,
+    });
+    res.status(500).json({ error: 'Failed to list payment methods' });
+  }
+});
+
+/**
+ * Open a Stripe Customer Portal session to update cards, view invoices and
+ * manage the subscription
+ */
+router.post('/billing-portal', billingChangeAccess, async (req, res) => {
+  try {
+    const session = await stripe.billingPortal.sessions.create({
+      customer: req.user.stripeCustomerId,
+      return_url: `${req.protocol}://${req.get('host')}/`,
+    });
+
+    logger.info('Billing portal session created', { userId: req.user.id });
+
+    res.json({ url: session.url });
+  } catch (error) {
+    logger.error('Billing portal error', {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user.id,
+    });
+    res.status(500).json({ error: 'Failed to open billing portal' });
+  }
+});
+
+/**
+ * Caller's invoices with hosted invoice and PDF links
+ */
+router.get(
+  '/invoices',
+  billingAccess,
+  validators.pagination,
+  validateRequest,
+  async (req, res) => {
+    try {
+      res.json(await listInvoices(req.user.stripeCustomerId, req.query));
+    } catch (error) {
+      logger.error('Invoice listing error', {
+        error: error.message,
+        stack: error.stack,
+        userId: req.user.id,
+      });
+      res.status(500).json({ error: 'Failed to list invoices' });
+    }
+  }
+);
+
+/**
+ * Caller's payments with receipt links
+ */
+router.get(
+  '/payments',
+  billingAccess,
+  validators.pagination,
+  validateRequest,
+  async (req, res) => {
+    try {
+      res.json(await listPayments(req.user.stripeCustomerId, req.query));
+    } catch (error) {
+      logger.error('Payment listing error', {
+        error: error.message,
+        stack: error.stack,
+        userId: req.user.id,
+      });
+      res.status(500).json({ error: 'Failed to list payments' });
+    }
+  }
+);
+
+/**
+ * Donate a custom amount through Checkout
+ * Open to visitors; logged-in donors pay as their Stripe customer. The
+ * donation reaches the supporter wall once Stripe confirms payment.
+ */
+router.post(
+  '/donate',
+  donationLimiter,
+  validators.amount,
+  validators.donation,
+  validateRequest,
+  async (req, res) => {
+    try {
+      const { amount, currency, displayName, message, anonymous } = req.body;
+      const origin = `${req.protocol}://${req.get('host')}`;
+
+      const { donation, sessionId, url } = await startDonation(
+        {
+          amount,
+          currency,
+          displayName,
+          message,
+          anonymous,
+          user: req.session?.user,
+        },
+        {
+          successUrl: `${origin}/stripe/supporters?thanks=1`,
+          cancelUrl: `${origin}/stripe/supporters`,
+        }
+      );
+
+      res.json({ donationId: donation.id, sessionId, url });
+    } catch (error) {
+      logger.error('Donation checkout error', {
+        error: error.message,
+        stack: error.stack,
+        userId: req.session?.user?.id,
+      });
+      res.status(500).json({ error: 'Failed to start donation' });
+    }
+  }
+);
+
+/**
+ * Public supporter wall
+ */
+router.get(
+  '/supporters',
+  validators.pagination,
+  validateRequest,
+  async (req, res) => {
+    try {
+      const wall = await listSupporters(req.query);
+
+      res.render('supporters', {
+        title: 'Supporter Wall',
+        user: req.session?.user,
+        thanks: req.query.thanks === '1',
+        ...wall,
+      });
+    } catch (error) {
+      logger.error('Supporter wall error', { error: error.message });
+      res.status(500).json({ error: 'Failed to load supporters' });
+    }
+  }
+);
+
 /**
  * Webhook endpoint for Stripe events
  */
@@ -165,6 +671,13 @@ router.post(
     const sig = req.headers['stripe-signature'];
     const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
 
+    // A parsed body can no longer be verified (see middleware/body-parsing.js)
+    if (!Buffer.isBuffer(req.body)) {
+      logger.error('Webhook body was parsed before signature verification');
+      stripeWebhooksTotal.inc({ event_type: 'unknown', status: 'failed' });
+      return res.status(400).send('Webhook Error: raw body unavailable');
+    }
+
     let event;
 
     try {
@@ -183,76 +696,28 @@ router.post(
       return res.status(400).send(`Webhook Error: ${err.message}`);
     }
 
-    // Handle the event
-    switch (event.type) {
-      case 'payment_intent.succeeded':
-        const paymentIntent = event.data.object;
-        trackStripeWebhook('payment_intent.succeeded', 'success');
-        stripePaymentValue.inc(
-          { currency: paymentIntent.currency },
-          paymentIntent.amount / 100
-        );
-        logger.info('PaymentIntent succeeded', {
-          paymentIntentId: paymentIntent.id,
-          customer: paymentIntent.customer,
-          amount: paymentIntent.amount / 100,
-          currency: paymentIntent.currency.toUpperCase(),
-        });
-        break;
-
-      case 'customer.subscription.created':
-      case 'customer.subscription.updated':
-        const subscription = event.data.object;
-        trackStripeWebhook(event.type, 'success');
-        if (event.type === 'customer.subscription.created') {
-          stripeSubscriptionsActive.inc();
-        }
-        logger.info(`Subscription ${event.type}`, {
-          subscriptionId: subscription.id,
-          customer: subscription.customer,
-          status: subscription.status,
-          planId: subscription.items.data[0]?.price.id,
-        });
-        break;
-
-      case 'customer.subscription.deleted':
-        const deletedSubscription = event.data.object;
-        trackStripeWebhook('customer.subscription.deleted', 'success');
-        stripeSubscriptionsActive.dec();
-        logger.warn('Subscription canceled', {
-          subscriptionId: deletedSubscription.id,
-          customer: deletedSubscription.customer,
-          canceledAt: new Date(
-            deletedSubscription.canceled_at * 1000
-          ).toISOString(),
-        });
-        break;
-
-      case 'invoice.payment_failed':
-        const invoice = event.data.object;
-        trackStripeWebhook('invoice.payment_failed', 'failed');
-        trackSecurityEvent('stripe_payment_failure', 'medium', {
-          customerId: invoice.customer,
-          invoiceId: invoice.id,
-          attemptCount: invoice.attempt_count,
-          amount: invoice.amount_due / 100,
-        });
-        logger.error('Payment failed for invoice', {
-          invoiceId: invoice.id,
-          customer: invoice.customer,
-          attemptCount: invoice.attempt_count,
-          amountDue: invoice.amount_due / 100,
-        });
-        break;
-
-      default:
-        trackStripeWebhook(event.type, 'unhandled');
-        logger.warn('Unhandled webhook event', {
-          eventType: event.type,
-          eventId: event.id,
+    // Store first so Stripe redeliveries are recognised and skipped
+    try {
+      const { duplicate } = await recordWebhookEvent(event);
+      if (duplicate) {
+        stripeWebhooksTotal.inc({
+          event_type: event.type,
+          status: 'duplicate',
         });
+        logger.info('Duplicate webhook event skipped', { eventId: event.id });
+        return res.json({ received: true, duplicate: true });
+      }
+    } catch (error) {
+      logger.error('Webhook event could not be stored', {
+        error: error.message,
+        eventId: event.id,
+      });
+      return res.status(500).json({ error: 'Webhook processing failed' });
     }
 
+    // Handler failures are retried by us with backoff, not by Stripe
+    await processWebhookEvent(event.id);
+
     res.json({ received: true });
   }
 );
@@ -276,4 +741,48 @@ router.get('/cancel', (req, res) => {
   });
 });
 
+/**
+ * Billing history page for the logged-in user (invoices and receipts)
+ */
+router.get(
+  '/billing-history',
+  validators.pagination,
+  validateRequest,
+  async (req, res) => {
+    const user = req.session.user;
+    if (!user) {
+      return res.status(401).json({
+        error: 'Authentication required',
+        redirectTo: '/auth/login',
+      });
+    }
+
+    try {
+      const customerId = user.stripeCustomerId;
+      const [invoices, payments] = customerId
+        ? await Promise.all([
+            listInvoices(customerId, req.query),
+            listPayments(customerId, req.query),
+          ])
+        : [{ invoices: [] }, { payments: [] }];
+
+      res.render('billing-history', {
+        title: 'Billing History',
+        user,
+        invoices: invoices.invoices,
+        payments: payments.payments,
+        page: req.query.page || 1,
+        hasMore: Boolean(invoices.hasMore || payments.hasMore),
+      });
+    } catch (error) {
+      logger.error('Billing history error', {
+        error: error.message,
+        stack: error.stack,
+        userId: user.id,
+      });
+      res.status(500).json({ error: 'Failed to load billing history' });
+    }
+  }
+);
+
 export default router;
@@ -0,0 +1,115 @@
+/**
+ * Integration tests for the Stripe webhook endpoint
+ * Signs payloads with a test secret and posts them through the app's body
+ * parsers, verifying the signature check sees the exact bytes sent
+ */
+
+import express from 'express';
+import request from 'supertest';
+import Stripe from 'stripe';
+import { createBodyParsers } from '../middleware/body-parsing.js';
+
+const WEBHOOK_SECRET = 'whsec_test_secret';
+
+describe('Stripe Webhook Endpoint', () => {
+  let app;
+  let getWebhookEvent;
+  const stripe = new Stripe('sk_test_123');
+
+  /**
+   * Post a payload with a valid signature (unless one is given)
+   */
+  function deliver(payload, signature) {
+    return request(app)
+      .post('/stripe/webhook')
+      .set('Content-Type', 'application/json')
+      .set(
+        'Stripe-Signature',
+        signature ??
+          stripe.webhooks.generateTestHeaderString({
+            payload,
+            secret: WEBHOOK_SECRET,
+          })
+      )
+      .send(payload);
+  }
+
+  beforeAll(async () => {
+    process.env.STRIPE_WEBHOOK_SECRET = WEBHOOK_SECRET;
+    ({ getWebhookEvent } = await import('../services/stripe-webhooks.js'));
+
+    // Same parser setup as server.js, with a JSON route alongside
+    app = express();
+    app.use(createBodyParsers());
+    app.post('/echo', (req, res) => res.json(req.body));
+    app.use('/stripe', (await import('./stripe.js')).default);
+  });
+
+  it('should accept a signed payload byte for byte', async () => {
+    // Whitespace that re-serialising parsed JSON would not reproduce
+    const payload = `{
+      "id": "evt_signed_1",
+      "object": "event",
+      "type": "test.signed",
+      "created": ${Math.floor(Date.now() / 1000)},
+      "data": { "object": { "id": "obj_1" } }
+    }`;
+
+    const response = await deliver(payload);
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({ received: true });
+    expect(await getWebhookEvent('evt_signed_1')).toMatchObject({
+      type: 'test.signed',
+      status: 'ignored',
+    });
+  });
+
+  it('should skip redelivered events', async () => {
+    const payload = JSON.stringify({
+      id: 'evt_signed_2',
+      object: 'event',
+      type: 'test.signed',
+      created: Math.floor(Date.now() / 1000),
+      data: { object: {} },
+    });
+
+    await deliver(payload);
+    const again = await deliver(payload);
+
+    expect(again.status).toBe(200);
+    expect(again.body.duplicate).toBe(true);
+  });
+
+  it('should reject tampered payloads', async () => {
+    const payload = JSON.stringify({ id: 'evt_signed_3', type: 'test.signed' });
+    const signature = stripe.webhooks.generateTestHeaderString({
+      payload,
+      secret: WEBHOOK_SECRET,
+    });
+
+    const response = await deliver(
+      payload.replace('evt_signed_3', 'evt_forged'),
+      signature
+    );
+
+    expect(response.status).toBe(400);
+    expect(await getWebhookEvent('evt_forged')).toBeNull();
+  });
+
+  it('should reject payloads signed with another secret', async () => {
+    const payload = JSON.stringify({ id: 'evt_signed_4', type: 'test.signed' });
+    const signature = stripe.webhooks.generateTestHeaderString({
+      payload,
+      secret: 'whsec_attacker',
+    });
+
+    expect((await deliver(payload, signature)).status).toBe(400);
+  });
+
+  it('should keep parsing JSON for other routes', async () => {
+    const response = await request(app).post('/echo').send({ hello: 'bambi' });
+
+    expect(response.body).toEqual({ hello: 'bambi' });
+  });
+});
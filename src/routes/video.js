@@ -3,7 +3,8 @@ import { createReadStream, existsSync } from 'fs';
 import { stat } from 'fs/promises';
 import { join } from 'path';
 import {
-  requireSubscription,
+  requireEntitlement,
+  requireCurrentTerms,
   generateVideoToken,
   verifyVideoToken,
 } from '../middleware/auth.js';
@@ -14,21 +15,107 @@ import {
   videoStreamsTotal,
   videoStreamDuration,
 } from '../services/telemetry.js';
+import { loadBillingNotice } from '../middleware/billing-notice.js';
+import { recordContentAccess } from '../services/account-data.js';
+import { openStream, touchStream } from '../services/video-streams.js';
 
 const router = express.Router();
+
 const VIDEO_STORAGE_PATH =
   process.env.VIDEO_STORAGE_PATH || join(process.cwd(), 'videos');
+/// Collections are folders under VIDEO_STORAGE_PATH
+const COLLECTION_PATTERN = /^[a-z0-9-]+$/;
+const QUALITIES = ['sd', 'hd'];
+const VIDEO_TOKEN_TTL_MS = 3600 * 1000;
+
+/**
+ * Check the ?collection= and ?quality= a video is requested with
+ */
+function validateVideoQuery(req, res, next) {
+  const { collection, quality } = req.query;
+  if (
+    (collection !== undefined &&
+      !(
+        typeof collection === 'string' && COLLECTION_PATTERN.test(collection)
+      )) ||
+    (quality !== undefined && !QUALITIES.includes(quality))
+  ) {
+    return res.status(400).json({ error: 'Invalid collection or quality' });
+  }
+  next();
+}
+
+/**
+ * Entitlement a video needs: its collection's, or video:watch for videos
+ * outside any collection
+ */
+function videoEntitlement(req) {
+  const { collection } = req.query;
+  return collection ? `video:collection:${collection}` : 'video:watch';
+}
+
+/// Paywalled routes also need the current terms and age attestation. The
+/// billing notice loads first so a suspended user's 403 still carries it.
+const premiumAccess = [
+  validateVideoQuery,
+  loadBillingNotice,
+  requireEntitlement(videoEntitlement),
+  requireCurrentTerms,
+];
+/// Streams also need video:hd for the HD rendition
+const streamAccess = [
+  ...premiumAccess,
+  requireEntitlement(req =>
+    req.query.quality === 'hd' ? 'video:hd' : undefined
+  ),
+];
+
+/**
+ * File behind a video: the HD rendition (<id>.hd.mp4) when one is asked for
+ * and exists, otherwise <id>.mp4
+ * @returns {{path: string, quality: string}}
+ */
+function videoFile(videoId, { collection, quality } = {}) {
+  const dir = collection
+    ? join(VIDEO_STORAGE_PATH, collection)
+    : VIDEO_STORAGE_PATH;
+  const hdPath = join(dir, `${videoId}.hd.mp4`);
+
+  if (quality === 'hd' && existsSync(hdPath)) {
+    return { path: hdPath, quality: 'hd' };
+  }
+  return { path: join(dir, `${videoId}.mp4`), quality: 'sd' };
+}
 
 /**
  * Get video access token (requires subscription)
  */
-router.get('/access/:videoId', requireSubscription, async (req, res) => {
+router.get('/access/:videoId', streamAccess, async (req, res) => {
   try {
     const { videoId } = req.params;
+    const { collection, quality = 'sd' } = req.query;
     const userId = req.session.user.id;
+    const { concurrentStreams } = req.plan;
+
+    const streamId = openStream(userId, videoId, {
+      limit: concurrentStreams,
+      expiresAt: Date.now() + VIDEO_TOKEN_TTL_MS,
+    });
+    if (!streamId) {
+      return res.status(429).json({
+        error: 'Stream limit reached for your plan',
+        concurrentStreams,
+        redirectTo: '/stripe/plans',
+      });
+    }
 
     // Generate signed token for video access
-    const token = generateVideoToken(videoId, userId);
+    const token = generateVideoToken(videoId, userId, {
+      collection,
+      quality,
+      streamId,
+      streamLimit: concurrentStreams,
+    });
 
     // Generate signed URL
     const videoUrl = `${req.protocol}://${req.get('host')}/video/stream/${videoId}?token=${token}`;
@@ -37,6 +124,7 @@ router.get('/access/:videoId', requireSubscription, async (req, res) => {
       content_type: 'video',
       access_level: 'premium',
     });
+    await recordContentAccess(userId, 'video', videoId);
 
     logger.info('Video access token generated', {
       videoId: videoId,
@@ -54,6 +142,11 @@ router.get('/access/:videoId', requireSubscription, async (req, res) => {
         status: req.subscription.status,
         currentPeriodEnd: req.subscription.current_period_end,
       },
+      plan: {
+        tier: req.plan.id,
+        hd: req.plan.entitlements.includes('video:hd'),
+        concurrentStreams,
+      },
     });
   } catch (error) {
     logger.error('Video access error', {
@@ -89,8 +182,24 @@ router.get('/stream/:videoId', verifyVideoToken, async (req, res) => {
       return res.status(400).json({ error: 'Invalid video ID' });
     }
 
-    // Construct video path (assuming .mp4 extension)
-    const videoPath = join(VIDEO_STORAGE_PATH, `${videoId}.mp4`);
+    // The token names the video, collection and quality it grants
+    const access = req.videoAccess;
+    if (access.videoId !== videoId) {
+      return res
+        .status(403)
+        .json({ error: 'Video access token is for another video' });
+    }
+    if (
+      !access.streamId ||
+      !touchStream(access.streamId, access.userId, access.streamLimit)
+    ) {
+      return res.status(429).json({
+        error: 'Stream limit reached for your plan',
+        concurrentStreams: access.streamLimit,
+      });
+    }
+
+    const { path: videoPath, quality } = videoFile(videoId, access);
 
     // Check if file exists
     if (!existsSync(videoPath)) {
@@ -108,7 +217,7 @@ router.get('/stream/:videoId', verifyVideoToken, async (req, res) => {
     const range = req.headers.range;
 
     // Track video stream start
-    videoStreamsTotal.inc({ video_id: videoId, quality: 'hd' });
+    videoStreamsTotal.inc({ video_id: videoId, quality });
     logger.info('Video stream started', {
       videoId: videoId,
       userId: req.user?.id,
@@ -169,7 +278,7 @@ router.get('/stream/:videoId', verifyVideoToken, async (req, res) => {
 /**
  * Get video metadata
  */
-router.get('/metadata/:videoId', requireSubscription, async (req, res) => {
+router.get('/metadata/:videoId', premiumAccess, async (req, res) => {
   try {
     const { videoId } = req.params;
 
@@ -187,7 +296,7 @@ router.get('/metadata/:videoId', requireSubscription, async (req, res) => {
       return res.status(400).json({ error: 'Invalid video ID' });
     }
 
-    const videoPath = join(VIDEO_STORAGE_PATH, `${videoId}.mp4`);
+    const { path: videoPath } = videoFile(videoId, req.query);
 
     if (!existsSync(videoPath)) {
       logger.warn('Video metadata not found', {
@@ -224,14 +333,16 @@ router.get('/metadata/:videoId', requireSubscription, async (req, res) => {
 /**
  * Video player page (paywalled)
  */
-router.get('/watch/:videoId', requireSubscription, (req, res) => {
+router.get('/watch/:videoId', premiumAccess, (req, res) => {
   const { videoId } = req.params;
 
   res.render('video-player', {
     title: 'Sacred Video Sanctuary',
     videoId,
+    collection: req.query.collection || null,
     user: req.session.user,
     subscription: req.subscription,
+    plan: req.plan,
   });
 });
 
@@ -0,0 +1,156 @@
+/**
+ * Tests for video routes
+ * Verifies collections, HD renditions and concurrent streams follow the plan
+ */
+
+import express from 'express';
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import request from 'supertest';
+
+describe('Video Routes', () => {
+  let app, supporter, devotee, suspended, sessionUser;
+  const storage = mkdtempSync(join(tmpdir(), 'bsc-videos-'));
+
+  /**
+   * Request a video access token as a user
+   */
+  function access(user, path) {
+    sessionUser = {
+      id: user.id,
+      stripeCustomerId: user.stripeCustomerId,
+      emailVerified: true,
+    };
+    return request(app).get(`/video/access/${path}`);
+  }
+
+  /**
+   * Stream a video with an access token
+   */
+  function play(videoId, token) {
+    return request(app)
+      .get(`/video/stream/${videoId}?token=${token}`)
+      .responseType('blob');
+  }
+
+  beforeAll(async () => {
+    writeFileSync(join(storage, 'intro.mp4'), 'sd');
+    writeFileSync(join(storage, 'intro.hd.mp4'), 'hd');
+    mkdirSync(join(storage, 'devotee'));
+    writeFileSync(join(storage, 'devotee', 'ritual.mp4'), 'ritual');
+    process.env.VIDEO_STORAGE_PATH = storage;
+
+    const { userRepository } = await import('../services/user-repository.js');
+    const { recordConsent } = await import('../services/consent.js');
+    supporter = await userRepository.create({
+      email: 'video-supporter@example.com',
+      name: 'Supporter',
+      complimentaryTier: 'supporter',
+    });
+    devotee = await userRepository.create({
+      email: 'video-devotee@example.com',
+      name: 'Devotee',
+      complimentaryTier: 'devotee',
+    });
+    suspended = await userRepository.create({
+      email: 'video-suspended@example.com',
+      name: 'Suspended',
+      stripeCustomerId: 'cus_video_suspended',
+    });
+    for (const user of [supporter, devotee, suspended]) {
+      await recordConsent(user.id, { source: 'test' });
+    }
+
+    app = express();
+    app.use((req, res, next) => {
+      req.session = { user: sessionUser };
+      next();
+    });
+    app.use('/video', (await import('./video.js')).default);
+  });
+
+  beforeEach(async () => {
+    const { getDatabase } = await import('../services/database.js');
+    getDatabase().prepare('DELETE FROM video_streams').run();
+  });
+
+  afterAll(() => {
+    rmSync(storage, { recursive: true, force: true });
+    delete process.env.VIDEO_STORAGE_PATH;
+  });
+
+  it('should keep collections to the tiers that include them', async () => {
+    const denied = await access(supporter, 'ritual?collection=devotee');
+    expect(denied.status).toBe(403);
+    expect(denied.body).toMatchObject({
+      entitlement: 'video:collection:devotee',
+      requiredTier: 'devotee',
+    });
+
+    const granted = await access(devotee, 'ritual?collection=devotee');
+    expect(granted.status).toBe(200);
+
+    const stream = await play('ritual', granted.body.token);
+    expect(stream.status).toBe(200);
+    expect(stream.body.toString()).toBe('ritual');
+  });
+
+  it('should explain a suspended payment on the 403', async () => {
+    const { getDatabase } = await import('../services/database.js');
+    const db = getDatabase();
+    const now = Date.now();
+    db.prepare(
+      `INSERT INTO dunning_cases (subscription_id, customer_id, state, grace_until, opened_at, updated_at)
+       VALUES ('sub_video_suspended', 'cus_video_suspended', 'suspended', ?, ?, ?)`
+    ).run(now, now, now);
+    // Entitlements are current, so Stripe is not asked
+    db.prepare(
+      'INSERT INTO entitlement_syncs (customer_id, synced_at) VALUES (?, ?)'
+    ).run('cus_video_suspended', now);
+
+    const response = await access(suspended, 'intro');
+
+    expect(response.status).toBe(403);
+    expect(response.body.billingNotice).toMatchObject({
+      state: 'suspended',
+      subscriptionId: 'sub_video_suspended',
+    });
+  });
+
+  it('should reject malformed collections', async () => {
+    const response = await access(devotee, 'ritual?collection=..%2Fprivate');
+    expect(response.status).toBe(400);
+  });
+
+  it('should only serve HD to plans with video:hd', async () => {
+    const denied = await access(supporter, 'intro?quality=hd');
+    expect(denied.status).toBe(403);
+    expect(denied.body.entitlement).toBe('video:hd');
+
+    const { body } = await access(devotee, 'intro?quality=hd');
+    const stream = await play('intro', body.token);
+    expect(stream.body.toString()).toBe('hd');
+  });
+
+  it('should enforce the plan stream limit', async () => {
+    const first = await access(supporter, 'intro');
+    expect(first.status).toBe(200);
+    expect(first.body.plan.concurrentStreams).toBe(1);
+
+    const second = await access(supporter, 'intro');
+    expect(second.status).toBe(429);
+    expect(second.body.concurrentStreams).toBe(1);
+
+    const stream = await play('intro', first.body.token);
+    expect(stream.status).toBe(200);
+  });
+
+  it('should not stream another video with a token', async () => {
+    const { body } = await access(devotee, 'intro');
+
+    const response = await play('ritual', body.token);
+
+    expect(response.status).toBe(403);
+  });
+});
@@ -27,6 +27,17 @@ import markdownRouter from './routes/markdown.js';
 import stripeRouter from './routes/stripe.js';
 import videoRouter from './routes/video.js';
 import authRouter from './routes/auth.js';
+import adminRouter from './routes/admin.js';
+
+// Import database (persistent user store)
+import { getDatabase, closeDatabase } from './services/database.js';
+import { bootstrapAdmins } from './services/rbac.js';
+import { SqliteSessionStore } from './services/session-store.js';
+import {
+  startWebhookRetries,
+  stopWebhookRetries,
+} from './services/stripe-webhooks.js';
+import { startDunningChecks, stopDunningChecks } from './services/dunning.js';
 
 // Import WebSocket handler
 import { setupWebSocket } from './services/websocket.js';
@@ -38,6 +49,12 @@ const __dirname = dirname(__filename);
 // Load environment variables
 dotenv.config();
 
+// Open database and apply pending migrations before serving requests
+getDatabase();
+bootstrapAdmins().catch(error => {
+  logger.error('Admin bootstrap failed', { error: error.message });
+});
+
 const app = express();
 const server = createServer(app);
 const wss = new WebSocketServer({ server });
@@ -80,9 +97,9 @@ const limiter = rateLimit({
 });
 app.use('/api/', limiter);
 
-// Body parsing middleware
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+// Body parsing middleware (raw bodies for signature-verified webhooks)
+import { createBodyParsers } from './middleware/body-parsing.js';
+app.use(createBodyParsers());
 
 // Compression
 app.use(compression());
@@ -93,6 +110,10 @@ import {
   enforceHTTPS,
 } from './middleware/security-headers.js';
 import { apiLimiter } from './middleware/rate-limiting.js';
+import {
+  verifySessionVersion,
+  recordSessionDevice,
+} from './middleware/auth.js';
 
 // HTTPS enforcement (production only)
 app.use(enforceHTTPS);
@@ -126,12 +147,13 @@ if (!process.env.SESSION_SECRET || process.env.SESSION_SECRET.length < 32) {
   logger.warn('⚠️ Using temporary session secret - NOT FOR PRODUCTION');
 }
 
-// Session management with secure configuration
+// Session management with secure configuration (persisted in SQLite)
 app.use(
   session({
     secret:
       process.env.SESSION_SECRET ||
       require('crypto').randomBytes(32).toString('hex'),
+    store: new SqliteSessionStore(),
     resave: false,
     saveUninitialized: false,
     cookie: {
@@ -143,6 +165,12 @@ app.use(
   })
 );
 
+// Drop sessions invalidated by password resets
+app.use(verifySessionVersion);
+
+// Remember which device each session belongs to (GET /auth/sessions)
+app.use(recordSessionDevice);
+
 // Static files
 app.use(express.static(join(__dirname, '../public')));
 
@@ -155,6 +183,7 @@ app.use('/auth', authRouter);
 app.use('/markdown', markdownRouter);
 app.use('/stripe', stripeRouter);
 app.use('/video', videoRouter);
+app.use('/admin', adminRouter);
 
 // Home route
 app.get('/', (req, res) => {
@@ -242,6 +271,12 @@ app.use((err, req, res, next) => {
 // Setup WebSocket
 setupWebSocket(wss);
 
+// Retry Stripe webhook events whose handlers failed
+startWebhookRetries();
+
+// Suspend past_due subscriptions once their grace period is over
+startDunningChecks();
+
 // Initialize custom MCP servers
 mcpManager.initialize().catch(error => {
   logger.error('Failed to initialize MCP servers:', error);
@@ -293,6 +328,9 @@ process.on('SIGTERM', async () => {
   await closeRateLimiter();
 
   await mcpManager.shutdown();
+  stopWebhookRetries();
+  stopDunningChecks();
+  closeDatabase();
   server.close(() => {
     logger.info('HTTP server closed');
     process.exit(0);
@@ -307,6 +345,9 @@ process.on('SIGINT', async () => {
   await closeRateLimiter();
 
   await mcpManager.shutdown();
+  stopWebhookRetries();
+  stopDunningChecks();
+  closeDatabase();
   server.close(() => {
     logger.info('HTTP server closed');
     process.exit(0);
@@ -0,0 +1,224 @@
+/**
+ * Personal data handling (GDPR access and erasure requests)
+ * Builds the export bundle for a user and performs account deletion,
+ * including the Stripe side of the account.
+ */
+
+import { randomUUID } from 'crypto';
+import Stripe from 'stripe';
+import { getDatabase } from './database.js';
+import { countRecoveryCodes } from './two-factor.js';
+import { listUserSessions, destroyUserSessions } from './session-store.js';
+import { revokeAllUserTokens } from './token-service.js';
+import { disconnectUser } from './websocket.js';
+import { recordAuditEvent, listAuditEvents } from './audit-log.js';
+import { listCredentials } from './webauthn.js';
+import { listIdentities } from './oidc.js';
+import { listApiKeys } from './api-keys.js';
+import { listConsents } from './consent.js';
+import { forgetCustomer } from './entitlements.js';
+import { listUserDonations, anonymizeUserDonations } from './donations.js';
+import { logger } from './telemetry.js';
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+
+export const EXPORT_FORMAT = 'bambisleep-church-export/v1';
+
+/// Subscription states that still bill the customer
+const CANCELLABLE_STATUSES = [
+  'active',
+  'trialing',
+  'past_due',
+  'unpaid',
+  'incomplete',
+];
+
+/**
+ * Record that a user opened premium content (included in data exports)
+ * @param {string} userId
+ * @param {string} contentType - e.g. 'video', 'markdown'
+ * @param {string} contentId
+ */
+export async function recordContentAccess(userId, contentType, contentId) {
+  getDatabase()
+    .prepare(
+      `INSERT INTO content_access_log (id, user_id, content_type, content_id, created_at)
+       VALUES (?, ?, ?, ?, ?)`
+    )
+    .run(randomUUID(), userId, contentType, contentId, Date.now());
+}
+
+/**
+ * Summarize the user's Stripe subscriptions and invoices
+ */
+async function exportBilling(stripeCustomerId) {
+  if (!stripeCustomerId) {
+    return { customerId: null, subscriptions: [], invoices: [] };
+  }
+
+  const [subscriptions, invoices] = await Promise.all([
+    stripe.subscriptions.list({
+      customer: stripeCustomerId,
+      status: 'all',
+      limit: 100,
+    }),
+    stripe.invoices.list({ customer: stripeCustomerId, limit: 100 }),
+  ]);
+
+  return {
+    customerId: stripeCustomerId,
+    subscriptions: subscriptions.data.map(subscription => ({
+      id: subscription.id,
+      status: subscription.status,
+      created: subscription.created,
+      currentPeriodEnd: subscription.current_period_end,
+      cancelAtPeriodEnd: subscription.cancel_at_period_end,
+      prices: subscription.items?.data.map(item => item.price?.id) ?? [],
+    })),
+    invoices: invoices.data.map(invoice => ({
+      id: invoice.id,
+      number: invoice.number,
+      status: invoice.status,
+      total: invoice.total,
+      currency: invoice.currency,
+      created: invoice.created,
+    })),
+  };
+}
+
+/**
+ * Build the data export bundle for a user
+ * @param {object} user
+ * @returns {Promise<object>} JSON-serializable export
+ */
+export async function exportUserData(user) {
+  const db = getDatabase();
+
+  const loginHistory = db
+    .prepare(
+      'SELECT ip, succeeded, created_at FROM login_attempts WHERE user_id = ? ORDER BY created_at DESC'
+    )
+    .all(user.id)
+    .map(row => ({
+      ip: row.ip,
+      succeeded: Boolean(row.succeeded),
+      at: new Date(row.created_at).toISOString(),
+    }));
+
+  const contentAccess = db
+    .prepare(
+      'SELECT content_type, content_id, created_at FROM content_access_log WHERE user_id = ? ORDER BY created_at DESC'
+    )
+    .all(user.id)
+    .map(row => ({
+      contentType: row.content_type,
+      contentId: row.content_id,
+      at: new Date(row.created_at).toISOString(),
+    }));
+
+  return {
+    format: EXPORT_FORMAT,
+    exportedAt: new Date().toISOString(),
+    profile: {
+      id: user.id,
+      email: user.email,
+      name: user.name,
+      role: user.role,
+      emailVerifiedAt: user.emailVerifiedAt,
+      complimentaryTier: user.complimentaryTier,
+      complimentaryUntil: user.complimentaryUntil
+        ? new Date(user.complimentaryUntil).toISOString()
+        : null,
+      createdAt: user.createdAt,
+      updatedAt: user.updatedAt,
+    },
+    security: {
+      twoFactorEnabled: Boolean(user.totpEnabledAt),
+      recoveryCodesRemaining: await countRecoveryCodes(user.id),
+      passkeys: await listCredentials(user.id),
+      linkedAccounts: await listIdentities(user.id),
+      apiKeys: await listApiKeys(user.id),
+      loginHistory,
+    },
+    sessions: await listUserSessions(user.id),
+    contentAccess,
+    // Chat is relayed live over WebSocket and never written to storage
+    chatHistory: [],
+    billing: await exportBilling(user.stripeCustomerId),
+    donations: await listUserDonations(user.id),
+    consents: await listConsents(user.id),
+    auditLog: await listAuditEvents(user.id),
+  };
+}
+
+/**
+ * Cancel billing and delete the Stripe customer
+ * Stripe keeps its own legally required payment records.
+ * @returns {Promise<{subscriptionsCanceled: number, customerDeleted: boolean}>}
+ */
+async function deleteStripeCustomer(stripeCustomerId) {
+  if (!stripeCustomerId) {
+    return { subscriptionsCanceled: 0, customerDeleted: false };
+  }
+
+  const subscriptions = await stripe.subscriptions.list({
+    customer: stripeCustomerId,
+    status: 'all',
+    limit: 100,
+  });
+
+  let subscriptionsCanceled = 0;
+  for (const subscription of subscriptions.data) {
+    if (CANCELLABLE_STATUSES.includes(subscription.status)) {
+      await stripe.subscriptions.cancel(subscription.id);
+      subscriptionsCanceled++;
+    }
+  }
+
+  try {
+    await stripe.customers.del(stripeCustomerId);
+  } catch (error) {
+    // Already gone on the Stripe side
+    if (error.code !== 'resource_missing') throw error;
+  }
+
+  return { subscriptionsCanceled, customerDeleted: true };
+}
+
+/**
+ * Delete a user's account and personal data
+ * Billing is stopped first so a Stripe failure leaves the account intact
+ * for a retry. Only a pseudonymous audit record remains.
+ * @param {object} user
+ * @returns {Promise<object>} Summary of what was removed
+ */
+export async function deleteAccount(user) {
+  const billing = await deleteStripeCustomer(user.stripeCustomerId);
+  if (user.stripeCustomerId) {
+    await forgetCustomer(user.stripeCustomerId);
+  }
+
+  await revokeAllUserTokens(user.id, 'account_deleted');
+  const sessionsEnded = await destroyUserSessions(user.id);
+  disconnectUser(user.id, 'Account deleted');
+  await anonymizeUserDonations(user.id);
+
+  const db = getDatabase();
+  db.transaction(() => {
+    db.prepare('DELETE FROM login_attempts WHERE user_id = ? OR email = ?').run(
+      user.id,
+      user.email.toLowerCase()
+    );
+    // Remaining per-user tables cascade from users
+    db.prepare('DELETE FROM users WHERE id = ?').run(user.id);
+  })();
+
+  const summary = { ...billing, sessionsEnded };
+  await recordAuditEvent('account_deleted', {
+    subjectId: user.id,
+    details: summary,
+  });
+
+  logger.info('Account deleted', { userId: user.id, ...summary });
+  return summary;
+}
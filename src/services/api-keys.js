@@ -0,0 +1,158 @@
+/**
+ * Personal API keys for scripted access
+ * Keys look like `bsc_<prefix>_<secret>`: the prefix identifies the key in
+ * listings and logs, and only an HMAC of the full key is stored. Each key
+ * carries a subset of its owner's permissions as scopes.
+ */
+
+import { randomBytes, randomUUID, timingSafeEqual } from 'crypto';
+import { getDatabase } from './database.js';
+import { hashToken } from './auth-tokens.js';
+import { userRepository } from './user-repository.js';
+import { logger } from './telemetry.js';
+
+export const API_KEY_PREFIX = 'bsc_';
+
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+const KEY_PATTERN = /^bsc_([0-9a-f]{12})_([A-Za-z0-9_-]{43})$/;
+
+/**
+ * Whether a bearer credential is an API key (as opposed to a JWT)
+ * @param {string} token
+ * @returns {boolean}
+ */
+export function isApiKey(token) {
+  return typeof token === 'string' && token.startsWith(API_KEY_PREFIX);
+}
+
+/**
+ * API key details safe to show the owner (never the key itself)
+ */
+function toSummary(row) {
+  const iso = value => (value ? new Date(value).toISOString() : null);
+  return {
+    id: row.id,
+    name: row.name,
+    prefix: `${API_KEY_PREFIX}${row.prefix}`,
+    scopes: JSON.parse(row.scopes),
+    createdAt: iso(row.created_at),
+    expiresAt: iso(row.expires_at),
+    lastUsedAt: iso(row.last_used_at),
+    lastUsedIp: row.last_used_ip,
+    revokedAt: iso(row.revoked_at),
+  };
+}
+
+/**
+ * Create an API key
+ * @param {string} userId
+ * @param {object} options
+ * @param {string} options.name
+ * @param {string[]} options.scopes - Permission names
+ * @param {number} [options.expiresInDays] - Omit for a key that never expires
+ * @returns {Promise<{key: string, apiKey: object}>} The raw key (shown once)
+ *   and its summary
+ */
+export async function createApiKey(userId, { name, scopes, expiresInDays }) {
+  const prefix = randomBytes(6).toString('hex');
+  const key = `${API_KEY_PREFIX}${prefix}_${randomBytes(32).toString('base64url')}`;
+  const now = Date.now();
+
+  const row = {
+    id: randomUUID(),
+    user_id: userId,
+    name,
+    prefix,
+    key_hash: hashToken(key),
+    scopes: JSON.stringify([...new Set(scopes)]),
+    expires_at: expiresInDays ? now + expiresInDays * 86400000 : null,
+    last_used_at: null,
+    last_used_ip: null,
+    revoked_at: null,
+    created_at: now,
+  };
+
+  getDatabase()
+    .prepare(
+      `INSERT INTO api_keys (id, user_id, name, prefix, key_hash, scopes, expires_at, created_at)
+       VALUES (@id, @user_id, @name, @prefix, @key_hash, @scopes, @expires_at, @created_at)`
+    )
+    .run(row);
+
+  logger.info('API key created', { userId, prefix: row.prefix });
+  return { key, apiKey: toSummary(row) };
+}
+
+/**
+ * Resolve an API key to its owner
+ * @param {string} key - Raw key from the Authorization header
+ * @param {string} [ip] - Caller IP, recorded as last use
+ * @returns {Promise<{user: object, apiKey: object}|null>} Null if the key is
+ *   unknown, revoked, or expired
+ */
+export async function authenticateApiKey(key, ip) {
+  const match = KEY_PATTERN.exec(key);
+  if (!match) {
+    return null;
+  }
+
+  const db = getDatabase();
+  const row = db
+    .prepare('SELECT * FROM api_keys WHERE prefix = ?')
+    .get(match[1]);
+
+  const now = Date.now();
+  if (
+    !row ||
+    !timingSafeEqual(Buffer.from(row.key_hash), Buffer.from(hashToken(key))) ||
+    row.revoked_at ||
+    (row.expires_at && row.expires_at <= now)
+  ) {
+    return null;
+  }
+
+  const user = await userRepository.findById(row.user_id);
+  if (!user) {
+    return null;
+  }
+
+  // Throttled like session last-seen times to avoid a write per request
+  if (!row.last_used_at || row.last_used_at < now - LAST_USED_RESOLUTION_MS) {
+    db.prepare(
+      'UPDATE api_keys SET last_used_at = ?, last_used_ip = ? WHERE id = ?'
+    ).run(now, ip || null, row.id);
+    row.last_used_at = now;
+    row.last_used_ip = ip || null;
+  }
+
+  return { user, apiKey: toSummary(row) };
+}
+
+/**
+ * List a user's API keys, newest first
+ * @param {string} userId
+ * @returns {Promise<object[]>}
+ */
+export async function listApiKeys(userId) {
+  return getDatabase()
+    .prepare(
+      'SELECT * FROM api_keys WHERE user_id = ? ORDER BY created_at DESC'
+    )
+    .all(userId)
+    .map(toSummary);
+}
+
+/**
+ * Revoke one of a user's API keys
+ * @param {string} userId
+ * @param {string} id
+ * @returns {Promise<boolean>} False if no such active key belongs to the user
+ */
+export async function revokeApiKey(userId, id) {
+  const { changes } = getDatabase()
+    .prepare(
+      'UPDATE api_keys SET revoked_at = ? WHERE user_id = ? AND id = ? AND revoked_at IS NULL'
+    )
+    .run(Date.now(), userId, id);
+  return changes > 0;
+}
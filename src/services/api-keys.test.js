@@ -0,0 +1,94 @@
+/**
+ * Tests for API Key Service
+ * Verifies key format, hashing at rest, expiry, revocation and usage tracking
+ */
+
+import {
+  isApiKey,
+  createApiKey,
+  authenticateApiKey,
+  listApiKeys,
+  revokeApiKey,
+} from './api-keys.js';
+import { getDatabase } from './database.js';
+import { userRepository } from './user-repository.js';
+
+describe('API Key Service', () => {
+  let user;
+
+  beforeAll(async () => {
+    user = await userRepository.create({
+      email: 'apikeys@example.com',
+      name: 'Automation Bambi',
+    });
+  });
+
+  it('should issue prefix-identifiable keys and store only a hash', async () => {
+    const { key, apiKey } = await createApiKey(user.id, {
+      name: 'CI',
+      scopes: ['content:read', 'content:read'],
+    });
+
+    expect(isApiKey(key)).toBe(true);
+    expect(key.startsWith(`${apiKey.prefix}_`)).toBe(true);
+    expect(apiKey.scopes).toEqual(['content:read']);
+    expect(apiKey.expiresAt).toBeNull();
+
+    const row = getDatabase()
+      .prepare('SELECT * FROM api_keys WHERE id = ?')
+      .get(apiKey.id);
+    expect(row.key_hash).not.toContain(key.split('_').pop());
+    expect(JSON.stringify(await listApiKeys(user.id))).not.toContain(key);
+  });
+
+  it('should authenticate keys and record their last use', async () => {
+    const { key, apiKey } = await createApiKey(user.id, {
+      name: 'Script',
+      scopes: ['content:read'],
+    });
+
+    const result = await authenticateApiKey(key, '192.0.2.10');
+
+    expect(result.user.id).toBe(user.id);
+    expect(result.apiKey).toMatchObject({
+      id: apiKey.id,
+      lastUsedIp: '192.0.2.10',
+    });
+    expect(result.apiKey.lastUsedAt).not.toBeNull();
+  });
+
+  it('should reject malformed and unknown keys', async () => {
+    expect(await authenticateApiKey('bsc_nope')).toBeNull();
+    expect(
+      await authenticateApiKey(`bsc_000000000000_${'a'.repeat(43)}`)
+    ).toBeNull();
+    expect(isApiKey('eyJhbGciOi.jwt.token')).toBe(false);
+  });
+
+  it('should reject expired keys', async () => {
+    const { key, apiKey } = await createApiKey(user.id, {
+      name: 'Expiring',
+      scopes: ['content:read'],
+      expiresInDays: 30,
+    });
+    expect(await authenticateApiKey(key)).not.toBeNull();
+
+    getDatabase()
+      .prepare('UPDATE api_keys SET expires_at = ? WHERE id = ?')
+      .run(Date.now() - 1000, apiKey.id);
+
+    expect(await authenticateApiKey(key)).toBeNull();
+  });
+
+  it('should revoke keys for their owner only', async () => {
+    const { key, apiKey } = await createApiKey(user.id, {
+      name: 'Revocable',
+      scopes: ['content:read'],
+    });
+
+    expect(await revokeApiKey('someone-else', apiKey.id)).toBe(false);
+    expect(await revokeApiKey(user.id, apiKey.id)).toBe(true);
+    expect(await revokeApiKey(user.id, apiKey.id)).toBe(false);
+    expect(await authenticateApiKey(key)).toBeNull();
+  });
+});
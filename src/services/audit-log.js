@@ -0,0 +1,61 @@
+/**
+ * Append-only audit log for account-level events
+ * (account deletion, data export, ...). Subjects are referenced by ID only,
+ * so records stay meaningful after personal data has been purged.
+ */
+
+import { randomUUID } from 'crypto';
+import { getDatabase } from './database.js';
+
+/**
+ * Record an audit event
+ * @param {string} event - e.g. 'account_deleted'
+ * @param {object} [entry]
+ * @param {string} [entry.subjectId] - User the event is about
+ * @param {string} [entry.actorId] - User who caused it (defaults to subject)
+ * @param {object} [entry.details] - Non-personal context
+ * @returns {Promise<string>} Audit record ID
+ */
+export async function recordAuditEvent(
+  event,
+  { subjectId = null, actorId = subjectId, details = null } = {}
+) {
+  const id = randomUUID();
+
+  getDatabase()
+    .prepare(
+      `INSERT INTO audit_log (id, event, subject_id, actor_id, details, created_at)
+       VALUES (?, ?, ?, ?, ?, ?)`
+    )
+    .run(
+      id,
+      event,
+      subjectId,
+      actorId,
+      details ? JSON.stringify(details) : null,
+      Date.now()
+    );
+
+  return id;
+}
+
+/**
+ * List audit events for a subject, newest first
+ * @param {string} subjectId
+ * @returns {Promise<object[]>}
+ */
+export async function listAuditEvents(subjectId) {
+  return getDatabase()
+    .prepare(
+      'SELECT * FROM audit_log WHERE subject_id = ? ORDER BY created_at DESC'
+    )
+    .all(subjectId)
+    .map(row => ({
+      id: row.id,
+      event: row.event,
+      subjectId: row.subject_id,
+      actorId: row.actor_id,
+      details: row.details ? JSON.parse(row.details) : null,
+      createdAt: new Date(row.created_at).toISOString(),
+    }));
+}
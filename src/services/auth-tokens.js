@@ -0,0 +1,122 @@
+/**
+ * Single-use auth tokens (password reset, email verification, ...)
+ * Raw tokens are only ever sent to the user; the database stores an
+ * HMAC of the token so a leaked table cannot be replayed.
+ */
+
+import { createHmac, randomBytes, randomUUID } from 'crypto';
+import { getDatabase } from './database.js';
+
+/// Known token purposes
+export const TokenPurpose = {
+  PASSWORD_RESET: 'password_reset',
+  EMAIL_VERIFICATION: 'email_verification',
+  ACCOUNT_UNLOCK: 'account_unlock',
+  EMAIL_CHANGE: 'email_change',
+  MAGIC_LINK: 'magic_link',
+};
+
+/**
+ * HMAC a raw token with the server signing key
+ */
+export function hashToken(token) {
+  const key =
+    process.env.TOKEN_SIGNING_KEY ||
+    process.env.JWT_SECRET ||
+    'change-this-secret';
+  return createHmac('sha256', key).update(token).digest('hex');
+}
+
+/**
+ * Issue a new token for a user
+ * @param {string} userId
+ * @param {string} purpose - One of TokenPurpose
+ * @param {object} options
+ * @param {number} options.ttlMs - Lifetime in milliseconds
+ * @param {object} [options.metadata] - Extra data returned on consume
+ * @param {boolean} [options.replaceExisting=true] - Revoke outstanding tokens of the same purpose
+ * @returns {Promise<string>} Raw token to deliver to the user
+ */
+export async function issueToken(
+  userId,
+  purpose,
+  { ttlMs, metadata = null, replaceExisting = true }
+) {
+  const db = getDatabase();
+  const token = randomBytes(32).toString('base64url');
+  const now = Date.now();
+
+  db.transaction(() => {
+    if (replaceExisting) {
+      db.prepare(
+        'UPDATE auth_tokens SET used_at = ? WHERE user_id = ? AND purpose = ? AND used_at IS NULL'
+      ).run(now, userId, purpose);
+    }
+
+    db.prepare(
+      `INSERT INTO auth_tokens (id, user_id, purpose, token_hash, metadata, expires_at, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`
+    ).run(
+      randomUUID(),
+      userId,
+      purpose,
+      hashToken(token),
+      metadata ? JSON.stringify(metadata) : null,
+      now + ttlMs,
+      now
+    );
+  })();
+
+  return token;
+}
+
+/**
+ * Consume a token (marks it used atomically)
+ * @param {string} token - Raw token from the user
+ * @param {string} purpose - Expected purpose
+ * @returns {Promise<{userId: string, metadata: object|null}|null>} Null if invalid, expired, or already used
+ */
+export async function consumeToken(token, purpose) {
+  if (typeof token !== 'string' || token.length === 0) {
+    return null;
+  }
+
+  const db = getDatabase();
+  const tokenHash = hashToken(token);
+  const now = Date.now();
+
+  const result = db
+    .prepare(
+      `UPDATE auth_tokens SET used_at = ?
+       WHERE token_hash = ? AND purpose = ? AND used_at IS NULL AND expires_at > ?`
+    )
+    .run(now, tokenHash, purpose, now);
+
+  if (result.changes === 0) {
+    return null;
+  }
+
+  const row = db
+    .prepare('SELECT user_id, metadata FROM auth_tokens WHERE token_hash = ?')
+    .get(tokenHash);
+
+  return {
+    userId: row.user_id,
+    metadata: row.metadata ? JSON.parse(row.metadata) : null,
+  };
+}
+
+/**
+ * Revoke all outstanding tokens of a purpose for a user
+ * @param {string} userId
+ * @param {string} purpose
+ * @returns {Promise<number>} Number of tokens revoked
+ */
+export async function revokeTokens(userId, purpose) {
+  const result = getDatabase()
+    .prepare(
+      'UPDATE auth_tokens SET used_at = ? WHERE user_id = ? AND purpose = ? AND used_at IS NULL'
+    )
+    .run(Date.now(), userId, purpose);
+  return result.changes;
+}
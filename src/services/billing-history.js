@@ -0,0 +1,128 @@
+/**
+ * Invoice and payment history for a Stripe customer
+ * Stripe lists are cursor-based; pages are numbered here so the API can use
+ * the shared pagination query, which means walking from the newest item.
+ * Histories are short, so only the newest MAX_LISTED items are reachable.
+ */
+
+import Stripe from 'stripe';
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+
+const MAX_LISTED = 1000;
+const DEFAULT_LIMIT = 20;
+
+const iso = seconds =>
+  seconds ? new Date(seconds * 1000).toISOString() : null;
+
+/**
+ * One numbered page of a Stripe list
+ * Items the customer should not see are skipped while paging, so pages stay
+ * full and page numbers only count what is shown.
+ * @param {Function} list - Lists with the given params, e.g. stripe.invoices.list
+ * @param {object} params - Stripe list params
+ * @param {object} paging - From validators.pagination
+ * @param {Function} [shown] - Whether an item is listed
+ * @returns {Promise<{data: object[], page: number, limit: number, hasMore: boolean}>}
+ */
+async function listPage(
+  list,
+  params,
+  { page = 1, limit = DEFAULT_LIMIT },
+  shown = () => true
+) {
+  const skip = (page - 1) * limit;
+  if (skip >= MAX_LISTED) {
+    return { data: [], page, limit, hasMore: false };
+  }
+
+  // One extra item tells whether there is a next page
+  const wanted = Math.min(skip + limit, MAX_LISTED) + 1;
+  const items = [];
+  await list({ ...params, limit: 100 }).autoPagingEach(item => {
+    if (shown(item)) {
+      items.push(item);
+    }
+    return items.length < wanted;
+  });
+
+  return {
+    data: items.slice(skip, skip + limit),
+    page,
+    limit,
+    hasMore: items.length > skip + limit && skip + limit < MAX_LISTED,
+  };
+}
+
+/**
+ * Invoice details for the customer, with hosted page and PDF links
+ */
+function toInvoice(invoice) {
+  return {
+    id: invoice.id,
+    number: invoice.number,
+    status: invoice.status,
+    description: invoice.description,
+    total: invoice.total,
+    amountPaid: invoice.amount_paid,
+    currency: invoice.currency,
+    createdAt: iso(invoice.created),
+    periodStart: iso(invoice.period_start),
+    periodEnd: iso(invoice.period_end),
+    hostedInvoiceUrl: invoice.hosted_invoice_url,
+    invoicePdf: invoice.invoice_pdf,
+  };
+}
+
+/**
+ * Charge details for the customer, with the receipt link
+ */
+function toPayment(charge) {
+  return {
+    id: charge.id,
+    status: charge.status,
+    description: charge.description,
+    amount: charge.amount,
+    amountRefunded: charge.amount_refunded,
+    currency: charge.currency,
+    createdAt: iso(charge.created),
+    card: charge.payment_method_details?.card
+      ? {
+          brand: charge.payment_method_details.card.brand,
+          last4: charge.payment_method_details.card.last4,
+        }
+      : null,
+    receiptUrl: charge.receipt_url,
+  };
+}
+
+/**
+ * A customer's invoices, newest first (drafts are not shown to customers)
+ * @param {string} customerId
+ * @param {object} paging - { page, limit }
+ * @returns {Promise<object>} { invoices, page, limit, hasMore }
+ */
+export async function listInvoices(customerId, paging = {}) {
+  const { data, ...page } = await listPage(
+    params => stripe.invoices.list(params),
+    { customer: customerId },
+    paging,
+    invoice => invoice.status !== 'draft'
+  );
+  return { invoices: data.map(toInvoice), ...page };
+}
+
+/**
+ * A customer's payments (charges), newest first
+ * @param {string} customerId
+ * @param {object} paging - { page, limit }
+ * @returns {Promise<object>} { payments, page, limit, hasMore }
+ */
+export async function listPayments(customerId, paging = {}) {
+  const { data, ...page } = await listPage(
+    params => stripe.charges.list(params),
+    { customer: customerId },
+    paging
+  );
+  return { payments: data.map(toPayment), ...page };
+}
@@ -0,0 +1,109 @@
+/**
+ * Terms of service and age attestations
+ * Every acceptance is appended to a per-user history, so the record shows
+ * which terms version a user agreed to, when, and from where. Publishing new
+ * terms is a matter of bumping TERMS_VERSION; users are then asked to accept
+ * again before premium content is served.
+ */
+
+import { randomUUID } from 'crypto';
+import { getDatabase } from './database.js';
+import { logger } from './telemetry.js';
+
+const DEFAULT_TERMS_VERSION = '1';
+const DEFAULT_MINIMUM_AGE = 18;
+
+/**
+ * Terms currently in force
+ * @returns {{version: string, minimumAge: number, url: string}}
+ */
+export function currentTerms() {
+  return {
+    version: process.env.TERMS_VERSION || DEFAULT_TERMS_VERSION,
+    minimumAge: parseInt(process.env.MINIMUM_AGE, 10) || DEFAULT_MINIMUM_AGE,
+    url: process.env.TERMS_URL || '/markdown/public/terms.md',
+  };
+}
+
+/**
+ * Consent record for display (ids and timestamps normalized)
+ */
+function toConsent(row) {
+  return {
+    id: row.id,
+    termsVersion: row.terms_version,
+    ageConfirmed: Boolean(row.age_confirmed),
+    minimumAge: row.minimum_age,
+    source: row.source,
+    ip: row.ip,
+    userAgent: row.user_agent,
+    acceptedAt: new Date(row.accepted_at).toISOString(),
+  };
+}
+
+/**
+ * Record that a user accepted the current terms and confirmed their age
+ * @param {string} userId
+ * @param {object} context
+ * @param {string} context.source - Where it was captured, e.g. 'registration'
+ * @param {string} [context.ip]
+ * @param {string} [context.userAgent]
+ * @returns {object} The consent record (synchronous, so registration can
+ *   record it in the same transaction as the account)
+ */
+export function recordConsent(userId, { source, ip, userAgent }) {
+  const terms = currentTerms();
+  const row = {
+    id: randomUUID(),
+    user_id: userId,
+    terms_version: terms.version,
+    age_confirmed: 1,
+    minimum_age: terms.minimumAge,
+    source,
+    ip: ip || null,
+    user_agent: userAgent || null,
+    accepted_at: Date.now(),
+  };
+
+  getDatabase()
+    .prepare(
+      `INSERT INTO consents (id, user_id, terms_version, age_confirmed, minimum_age, source, ip, user_agent, accepted_at)
+       VALUES (@id, @user_id, @terms_version, @age_confirmed, @minimum_age, @source, @ip, @user_agent, @accepted_at)`
+    )
+    .run(row);
+
+  logger.info('Terms accepted', {
+    userId,
+    termsVersion: terms.version,
+    source,
+  });
+  return toConsent(row);
+}
+
+/**
+ * Whether a user has accepted the terms currently in force
+ * @param {string} userId
+ * @returns {Promise<boolean>}
+ */
+export async function hasAcceptedCurrentTerms(userId) {
+  const row = getDatabase()
+    .prepare(
+      'SELECT 1 FROM consents WHERE user_id = ? AND terms_version = ? AND age_confirmed = 1'
+    )
+    .get(userId, currentTerms().version);
+  return Boolean(row);
+}
+
+/**
+ * A user's consent history, newest first
+ * @param {string} userId
+ * @returns {Promise<object[]>}
+ */
+export async function listConsents(userId) {
+  return getDatabase()
+    .prepare(
+      'SELECT * FROM consents WHERE user_id = ? ORDER BY accepted_at DESC, rowid DESC'
+    )
+    .all(userId)
+    .map(toConsent);
+}
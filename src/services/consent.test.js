@@ -0,0 +1,73 @@
+/**
+ * Tests for Consent Service
+ * Verifies versioned terms acceptance and the per-user consent history
+ */
+
+import {
+  currentTerms,
+  recordConsent,
+  hasAcceptedCurrentTerms,
+  listConsents,
+} from './consent.js';
+import { userRepository } from './user-repository.js';
+
+describe('Consent Service', () => {
+  let user;
+
+  beforeAll(async () => {
+    user = await userRepository.create({
+      email: 'consent@example.com',
+      name: 'Consenting Bambi',
+    });
+  });
+
+  afterEach(() => {
+    delete process.env.TERMS_VERSION;
+    delete process.env.MINIMUM_AGE;
+  });
+
+  it('should default to version 1 and a minimum age of 18', () => {
+    expect(currentTerms()).toMatchObject({ version: '1', minimumAge: 18 });
+
+    process.env.TERMS_VERSION = '2026-10';
+    process.env.MINIMUM_AGE = '21';
+    expect(currentTerms()).toMatchObject({
+      version: '2026-10',
+      minimumAge: 21,
+    });
+  });
+
+  it('should record acceptance of the current terms', async () => {
+    expect(await hasAcceptedCurrentTerms(user.id)).toBe(false);
+
+    const consent = await recordConsent(user.id, {
+      source: 'registration',
+      ip: '192.0.2.20',
+      userAgent: 'jest',
+    });
+
+    expect(consent).toMatchObject({
+      termsVersion: '1',
+      ageConfirmed: true,
+      minimumAge: 18,
+      source: 'registration',
+      ip: '192.0.2.20',
+    });
+    expect(await hasAcceptedCurrentTerms(user.id)).toBe(true);
+  });
+
+  it('should require acceptance again when the terms version changes', async () => {
+    process.env.TERMS_VERSION = '2';
+    expect(await hasAcceptedCurrentTerms(user.id)).toBe(false);
+
+    await recordConsent(user.id, { source: 'reacceptance' });
+    expect(await hasAcceptedCurrentTerms(user.id)).toBe(true);
+  });
+
+  it('should keep every acceptance in the history, newest first', async () => {
+    const history = await listConsents(user.id);
+
+    expect(history.map(consent => consent.termsVersion)).toEqual(['2', '1']);
+    expect(history[0].source).toBe('reacceptance');
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * SQLite connection and schema migrations
+ * Single shared connection per process; migrations run on first open
+ */
+
+import Database from 'better-sqlite3';
+import { mkdirSync } from 'fs';
+import { dirname, join } from 'path';
+import { logger } from './telemetry.js';
+import { migrations } from './migrations.js';
+
+let db = null;
+
+/**
+ * Resolve database file location
+ * Tests always use an in-memory database
+ */
+function resolveDatabasePath() {
+  if (process.env.NODE_ENV === 'test') {
+    return ':memory:';
+  }
+  return (
+    process.env.DATABASE_PATH || join(process.cwd(), 'data', 'bambisleep.db')
+  );
+}
+
+/**
+ * Apply pending migrations in version order
+ * @param {Database} connection - Open SQLite connection
+ * @returns {number} Number of migrations applied
+ */
+export function runMigrations(connection) {
+  connection.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL
+    )
+  `);
+
+  const applied = new Set(
+    connection
+      .prepare('SELECT version FROM schema_migrations')
+      .all()
+      .map(row => row.version)
+  );
+
+  const record = connection.prepare(
+    'INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)'
+  );
+
+  let count = 0;
+  for (const migration of migrations) {
+    if (applied.has(migration.version)) continue;
+
+    connection.transaction(() => {
+      migration.up(connection);
+      record.run(migration.version, migration.name, new Date().toISOString());
+    })();
+
+    logger.info('Database migration applied', {
+      version: migration.version,
+      name: migration.name,
+    });
+    count++;
+  }
+
+  return count;
+}
+
+/**
+ * Get the shared database connection (opens and migrates on first call)
+ * @returns {Database}
+ */
+export function getDatabase() {
+  if (db) return db;
+
+  const path = resolveDatabasePath();
+  if (path !== ':memory:') {
+    mkdirSync(dirname(path), { recursive: true });
+  }
+
+  db = new Database(path);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  db.pragma('busy_timeout = 5000');
+
+  runMigrations(db);
+
+  logger.info('Database opened', { path });
+  return db;
+}
+
+/**
+ * Close the shared connection (graceful shutdown)
+ */
+export function closeDatabase() {
+  if (db) {
+    logger.info('Closing database connection');
+    db.close();
+    db = null;
+  }
+}
@@ -0,0 +1,245 @@
+/**
+ * One-off donations and the public supporter wall
+ * A donation is recorded as pending when its Checkout session is created and
+ * only appears on the wall once Stripe reports the session paid: on
+ * checkout.session.completed for cards, or checkout.session.async_payment_succeeded
+ * for delayed methods such as bank debits. Donors choose whether their name
+ * and message are shown.
+ */
+
+import { randomUUID } from 'crypto';
+import Stripe from 'stripe';
+import { getDatabase } from './database.js';
+import { logger } from './telemetry.js';
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+
+export const DonationStatus = Object.freeze({
+  PENDING: 'pending',
+  COMPLETED: 'completed',
+  EXPIRED: 'expired',
+  FAILED: 'failed',
+  REFUNDED: 'refunded',
+});
+
+/// Currencies donations are accepted in (amounts are in the smallest unit)
+export const DONATION_CURRENCIES = ['usd', 'eur', 'gbp'];
+
+const iso = value => (value ? new Date(value).toISOString() : null);
+
+/**
+ * Donation details for its donor
+ */
+function toDonation(row) {
+  return {
+    id: row.id,
+    amount: row.amount,
+    currency: row.currency,
+    displayName: row.display_name,
+    message: row.message,
+    anonymous: Boolean(row.anonymous),
+    status: row.status,
+    createdAt: iso(row.created_at),
+    completedAt: iso(row.completed_at),
+  };
+}
+
+/**
+ * Start a donation: record it as pending and open a Checkout session
+ * @param {object} donation
+ * @param {number} donation.amount - In the currency's smallest unit
+ * @param {string} [donation.currency] - One of DONATION_CURRENCIES
+ * @param {string} [donation.displayName] - Name for the supporter wall
+ * @param {string} [donation.message] - Message for the supporter wall
+ * @param {boolean} [donation.anonymous] - Hide the name on the wall
+ * @param {object} [donation.user] - Logged-in donor, if any
+ * @param {object} urls - { successUrl, cancelUrl }
+ * @returns {Promise<{donation: object, sessionId: string, url: string}>}
+ */
+export async function startDonation(
+  { amount, currency = 'usd', displayName, message, anonymous, user },
+  { successUrl, cancelUrl }
+) {
+  const row = {
+    id: randomUUID(),
+    user_id: user?.id || null,
+    amount,
+    currency,
+    display_name: displayName || null,
+    message: message || null,
+    anonymous: anonymous ? 1 : 0,
+    status: DonationStatus.PENDING,
+    created_at: Date.now(),
+    completed_at: null,
+  };
+
+  const session = await stripe.checkout.sessions.create({
+    mode: 'payment',
+    submit_type: 'donate',
+    ...(user?.stripeCustomerId && { customer: user.stripeCustomerId }),
+    line_items: [
+      {
+        price_data: {
+          currency,
+          unit_amount: amount,
+          product_data: { name: 'Donation to BambiSleep Church' },
+        },
+        quantity: 1,
+      },
+    ],
+    client_reference_id: row.id,
+    metadata: { donationId: row.id },
+    payment_intent_data: { metadata: { donationId: row.id } },
+    success_url: successUrl,
+    cancel_url: cancelUrl,
+  });
+
+  getDatabase()
+    .prepare(
+      `INSERT INTO donations (id, user_id, checkout_session_id, amount, currency,
+         display_name, message, anonymous, status, created_at)
+       VALUES (@id, @user_id, @checkout_session_id, @amount, @currency,
+         @display_name, @message, @anonymous, @status, @created_at)`
+    )
+    .run({ ...row, checkout_session_id: session.id });
+
+  logger.info('Donation started', {
+    donationId: row.id,
+    amount,
+    currency,
+    userId: row.user_id,
+  });
+
+  return { donation: toDonation(row), sessionId: session.id, url: session.url };
+}
+
+/**
+ * Mark a donation paid from its Checkout session
+ * A completed session may still be waiting on a delayed payment method, so
+ * only a session whose payment_status is 'paid' is recorded.
+ * @param {object} session - Stripe Checkout session
+ * @returns {Promise<object|null>} The donation, or null if the session is not
+ *   a donation, is not paid yet, or was already recorded
+ */
+export async function completeDonation(session) {
+  if (session.payment_status !== 'paid') {
+    return null;
+  }
+
+  const row = getDatabase()
+    .prepare(
+      `UPDATE donations SET status = ?, payment_intent_id = ?, amount = ?, completed_at = ?
+       WHERE checkout_session_id = ? AND status = ?
+       RETURNING *`
+    )
+    .get(
+      DonationStatus.COMPLETED,
+      session.payment_intent?.id ?? session.payment_intent ?? null,
+      session.amount_total,
+      Date.now(),
+      session.id,
+      DonationStatus.PENDING
+    );
+  return row ? toDonation(row) : null;
+}
+
+/**
+ * Mark a donation abandoned when its Checkout session expires
+ * @param {object} session - Stripe Checkout session
+ */
+export async function expireDonation(session) {
+  getDatabase()
+    .prepare(
+      'UPDATE donations SET status = ? WHERE checkout_session_id = ? AND status = ?'
+    )
+    .run(DonationStatus.EXPIRED, session.id, DonationStatus.PENDING);
+}
+
+/**
+ * Mark a donation failed when its delayed payment does not go through
+ * @param {object} session - Stripe Checkout session
+ * @returns {Promise<boolean>} False if the session was not a pending donation
+ */
+export async function failDonation(session) {
+  const { changes } = getDatabase()
+    .prepare(
+      'UPDATE donations SET status = ? WHERE checkout_session_id = ? AND status = ?'
+    )
+    .run(DonationStatus.FAILED, session.id, DonationStatus.PENDING);
+  return changes > 0;
+}
+
+/**
+ * Take a fully refunded donation off the wall
+ * @param {object} charge - Stripe charge
+ * @returns {Promise<boolean>} False if the charge was not a donation
+ */
+export async function refundDonation(charge) {
+  if (!charge.refunded) {
+    return false;
+  }
+
+  const { changes } = getDatabase()
+    .prepare(
+      'UPDATE donations SET status = ? WHERE payment_intent_id = ? AND status = ?'
+    )
+    .run(
+      DonationStatus.REFUNDED,
+      charge.payment_intent?.id ?? charge.payment_intent,
+      DonationStatus.COMPLETED
+    );
+  return changes > 0;
+}
+
+/**
+ * Completed donations for the public wall, newest first
+ * Anonymous donors are listed without a name; amounts are not shown.
+ * @param {object} [paging] - { page, limit }
+ * @returns {Promise<{supporters: object[], page: number, limit: number, hasMore: boolean}>}
+ */
+export async function listSupporters({ page = 1, limit = 50 } = {}) {
+  const rows = getDatabase()
+    .prepare(
+      `SELECT display_name, message, anonymous, completed_at FROM donations
+       WHERE status = ? ORDER BY completed_at DESC LIMIT ? OFFSET ?`
+    )
+    .all(DonationStatus.COMPLETED, limit + 1, (page - 1) * limit);
+
+  return {
+    supporters: rows.slice(0, limit).map(row => ({
+      name: row.anonymous ? null : row.display_name,
+      message: row.message,
+      donatedAt: iso(row.completed_at),
+    })),
+    page,
+    limit,
+    hasMore: rows.length > limit,
+  };
+}
+
+/**
+ * A user's own donations (included in data exports)
+ * @param {string} userId
+ * @returns {Promise<object[]>}
+ */
+export async function listUserDonations(userId) {
+  return getDatabase()
+    .prepare(
+      'SELECT * FROM donations WHERE user_id = ? ORDER BY created_at DESC'
+    )
+    .all(userId)
+    .map(toDonation);
+}
+
+/**
+ * Remove a user's name and messages from the wall (account deletion)
+ * The ledger entries stay, unlinked from the account.
+ * @param {string} userId
+ */
+export async function anonymizeUserDonations(userId) {
+  getDatabase()
+    .prepare(
+      'UPDATE donations SET display_name = NULL, message = NULL, anonymous = 1 WHERE user_id = ?'
+    )
+    .run(userId);
+}
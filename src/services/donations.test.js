@@ -0,0 +1,199 @@
+/**
+ * Tests for Donation Service
+ * Verifies the pending-to-completed ledger flow and what the supporter wall
+ * reveals about donors
+ */
+
+import { jest } from '@jest/globals';
+
+const mockStripe = {
+  checkout: {
+    sessions: {
+      create: jest.fn(),
+    },
+  },
+};
+
+jest.unstable_mockModule('stripe', () => ({
+  default: jest.fn(() => mockStripe),
+}));
+
+describe('Donation Service', () => {
+  let donations, getDatabase;
+  let sessionCount = 0;
+
+  /**
+   * Start a donation and complete its Checkout session
+   */
+  async function donate(details, complete = true) {
+    const sessionId = `cs_test_${++sessionCount}`;
+    mockStripe.checkout.sessions.create.mockResolvedValueOnce({
+      id: sessionId,
+      url: `https://checkout.stripe.com/c/pay/${sessionId}`,
+    });
+
+    const started = await donations.startDonation(details, {
+      successUrl: 'http://localhost/stripe/supporters?thanks=1',
+      cancelUrl: 'http://localhost/stripe/supporters',
+    });
+
+    if (complete) {
+      await donations.completeDonation({
+        id: sessionId,
+        payment_intent: `pi_${sessionCount}`,
+        payment_status: 'paid',
+        amount_total: details.amount,
+      });
+    }
+    return { ...started, paymentIntentId: `pi_${sessionCount}` };
+  }
+
+  beforeAll(async () => {
+    donations = await import('./donations.js');
+    ({ getDatabase } = await import('./database.js'));
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getDatabase().prepare('DELETE FROM donations').run();
+  });
+
+  it('should open a payment-mode Checkout session for the amount', async () => {
+    const { donation, url } = await donate(
+      { amount: 1500, currency: 'eur', displayName: 'Bambi' },
+      false
+    );
+
+    expect(url).toContain('checkout.stripe.com');
+    expect(donation.status).toBe('pending');
+    expect(mockStripe.checkout.sessions.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        mode: 'payment',
+        metadata: { donationId: donation.id },
+        line_items: [
+          expect.objectContaining({
+            price_data: expect.objectContaining({
+              currency: 'eur',
+              unit_amount: 1500,
+            }),
+          }),
+        ],
+      })
+    );
+  });
+
+  it('should only show confirmed donations on the wall', async () => {
+    await donate({ amount: 500, displayName: 'Pending' }, false);
+    await donate({ amount: 500, displayName: 'Paid', message: 'Good girl' });
+
+    const { supporters } = await donations.listSupporters();
+
+    expect(supporters).toEqual([
+      expect.objectContaining({ name: 'Paid', message: 'Good girl' }),
+    ]);
+    expect(supporters[0]).not.toHaveProperty('amount');
+  });
+
+  it('should hide the names of anonymous donors', async () => {
+    await donate({ amount: 500, displayName: 'Secret', anonymous: true });
+
+    const { supporters } = await donations.listSupporters();
+
+    expect(supporters[0].name).toBeNull();
+  });
+
+  it('should record each completion once', async () => {
+    const { donation } = await donate({ amount: 500 });
+
+    const again = await donations.completeDonation({
+      id: `cs_test_${sessionCount}`,
+      payment_intent: 'pi_replayed',
+      payment_status: 'paid',
+      amount_total: 500,
+    });
+
+    expect(again).toBeNull();
+    expect(donation.id).toBeDefined();
+  });
+
+  it('should ignore sessions that are not donations', async () => {
+    expect(
+      await donations.completeDonation({
+        id: 'cs_subscription',
+        payment_status: 'paid',
+        amount_total: 1,
+      })
+    ).toBeNull();
+  });
+
+  it('should wait for delayed payments to settle', async () => {
+    const { sessionId } = await donate(
+      { amount: 500, displayName: 'Delayed' },
+      false
+    );
+    const session = {
+      id: sessionId,
+      payment_intent: 'pi_delayed',
+      payment_status: 'unpaid',
+      amount_total: 500,
+    };
+
+    expect(await donations.completeDonation(session)).toBeNull();
+    expect((await donations.listSupporters()).supporters).toEqual([]);
+
+    const donation = await donations.completeDonation({
+      ...session,
+      payment_status: 'paid',
+    });
+    expect(donation.status).toBe('completed');
+  });
+
+  it('should mark failed delayed payments', async () => {
+    const { sessionId } = await donate({ amount: 500 }, false);
+
+    expect(await donations.failDonation({ id: sessionId })).toBe(true);
+    expect(await donations.failDonation({ id: sessionId })).toBe(false);
+    expect(
+      await donations.completeDonation({
+        id: sessionId,
+        payment_status: 'paid',
+        amount_total: 500,
+      })
+    ).toBeNull();
+  });
+
+  it('should take fully refunded donations off the wall', async () => {
+    const { paymentIntentId } = await donate({
+      amount: 500,
+      displayName: 'Refunded',
+    });
+
+    expect(
+      await donations.refundDonation({
+        payment_intent: paymentIntentId,
+        refunded: false,
+      })
+    ).toBe(false);
+    expect(
+      await donations.refundDonation({
+        payment_intent: paymentIntentId,
+        refunded: true,
+      })
+    ).toBe(true);
+    expect((await donations.listSupporters()).supporters).toEqual([]);
+  });
+
+  it('should page through the wall', async () => {
+    for (const name of ['One', 'Two', 'Three']) {
+      await donate({ amount: 500, displayName: name });
+    }
+
+    const first = await donations.listSupporters({ page: 1, limit: 2 });
+    const second = await donations.listSupporters({ page: 2, limit: 2 });
+
+    expect(first.supporters).toHaveLength(2);
+    expect(first.hasMore).toBe(true);
+    expect(second.supporters).toHaveLength(1);
+    expect(second.hasMore).toBe(false);
+  });
+});
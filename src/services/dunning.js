@@ -0,0 +1,362 @@
+/**
+ * Dunning: what happens after a subscription payment fails
+ * A failed invoice opens a case in the grace state, during which the
+ * subscription (now past_due in Stripe) keeps its access. When the grace
+ * period runs out the case is suspended and access stops. A paid invoice
+ * closes the case as recovered; Stripe giving up (unpaid or canceled)
+ * closes it as lapsed, leaving the user on whatever access remains (e.g.
+ * complimentary). Each step is announced once, by email and in-app.
+ *
+ *   grace ──(grace period over)──> suspended
+ *     │                               │
+ *     ├──(invoice paid)──> recovered <┤
+ *     └──(unpaid/canceled)──> lapsed <┘
+ */
+
+import { getDatabase } from './database.js';
+import { userRepository } from './user-repository.js';
+import { sendMail } from './mailer.js';
+import { sendToUser } from './websocket.js';
+import { logger } from './telemetry.js';
+
+export const DunningState = Object.freeze({
+  GRACE: 'grace',
+  SUSPENDED: 'suspended',
+  RECOVERED: 'recovered',
+  LAPSED: 'lapsed',
+});
+
+const OPEN_STATES = [DunningState.GRACE, DunningState.SUSPENDED];
+/// Subscription statuses in which Stripe has stopped retrying
+const LAPSED_STATUSES = ['unpaid', 'canceled', 'incomplete_expired'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const GRACE_MS = (parseInt(process.env.DUNNING_GRACE_DAYS, 10) || 7) * DAY_MS;
+/// How long before the grace period ends to send the reminder
+const REMINDER_LEAD_MS = 2 * DAY_MS;
+const CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+let checkTimer = null;
+
+/// Notices in escalating order; a case's notified_stage is the last one sent
+const NOTICES = [
+  null,
+  {
+    name: 'payment_failed',
+    subject: 'Your BambiSleep Church payment failed',
+    text: graceUntil =>
+      `We could not collect your latest subscription payment. Your access continues until ${graceUntil}; please update your card before then.`,
+  },
+  {
+    name: 'grace_ending',
+    subject: 'Your BambiSleep Church access ends soon',
+    text: graceUntil =>
+      `Your subscription payment is still outstanding and your access ends on ${graceUntil}. Update your card to keep it.`,
+  },
+  {
+    name: 'access_suspended',
+    subject: 'Your BambiSleep Church access is paused',
+    text: () =>
+      'Your subscription payment is still outstanding, so premium access is paused. Update your card and it is restored as soon as the payment goes through.',
+  },
+  {
+    name: 'payment_recovered',
+    subject: 'Your BambiSleep Church payment went through',
+    text: () =>
+      'Thank you! Your payment succeeded and your access is restored.',
+  },
+  {
+    name: 'downgraded',
+    subject: 'Your BambiSleep Church subscription has ended',
+    text: () =>
+      'We could not collect your subscription payment, so your subscription has ended. You can subscribe again at any time.',
+  },
+];
+
+/**
+ * Case details for the user (banner, API)
+ */
+function toCase(row) {
+  return {
+    subscriptionId: row.subscription_id,
+    customerId: row.customer_id,
+    state: row.state,
+    attemptCount: row.attempt_count,
+    nextPaymentAttempt: row.next_payment_attempt
+      ? new Date(row.next_payment_attempt).toISOString()
+      : null,
+    graceUntil: new Date(row.grace_until).toISOString(),
+    openedAt: new Date(row.opened_at).toISOString(),
+  };
+}
+
+/**
+ * Subscription an invoice bills, if any (newer API versions report it
+ * under the invoice's parent)
+ */
+function invoiceSubscription(invoice) {
+  const subscription =
+    invoice.parent?.subscription_details?.subscription ?? invoice.subscription;
+  return subscription?.id ?? subscription ?? null;
+}
+
+/**
+ * Notice a case is due in its current state
+ */
+function dueStage(row, now) {
+  switch (row.state) {
+    case DunningState.GRACE:
+      return now >= row.grace_until - REMINDER_LEAD_MS ? 2 : 1;
+    case DunningState.SUSPENDED:
+      return 3;
+    case DunningState.RECOVERED:
+      return 4;
+    default:
+      return 5;
+  }
+}
+
+/**
+ * Send the notice a case is due, if it has not been sent yet
+ * Only the latest notice is sent when several became due at once.
+ */
+async function notify(row, now = Date.now()) {
+  const stage = dueStage(row, now);
+  if (row.notified_stage >= stage) {
+    return;
+  }
+
+  const notice = NOTICES[stage];
+  const user = await userRepository.findByStripeCustomerId(row.customer_id);
+
+  if (user) {
+    const graceUntil = new Date(row.grace_until).toUTCString();
+    const publicUrl = process.env.PUBLIC_URL || 'http://localhost:3000';
+
+    await sendMail({
+      to: user.email,
+      subject: notice.subject,
+      text: `Hello ${user.name},\n\n${notice.text(graceUntil)}\n\nManage your billing at ${publicUrl}/stripe/billing-history`,
+    });
+
+    sendToUser(user.id, {
+      type: 'billing_notice',
+      notice: notice.name,
+      message: notice.text(graceUntil),
+      ...toCase(row),
+    });
+  } else {
+    logger.warn('Dunning notice for unknown customer', {
+      customer: row.customer_id,
+      notice: notice.name,
+    });
+  }
+
+  getDatabase()
+    .prepare(
+      'UPDATE dunning_cases SET notified_stage = ? WHERE subscription_id = ?'
+    )
+    .run(stage, row.subscription_id);
+
+  logger.info('Dunning notice sent', {
+    subscriptionId: row.subscription_id,
+    notice: notice.name,
+    userId: user?.id,
+  });
+}
+
+/**
+ * Close a subscription's open case
+ * The case is returned even if an earlier delivery of the same event closed
+ * it, so a notice that failed to send is retried with the event.
+ * @returns {{row: object, changed: boolean}|null} Null if there is no case
+ *   in that state
+ */
+function closeCase(subscriptionId, state, now) {
+  const db = getDatabase();
+  const { changes } = db
+    .prepare(
+      `UPDATE dunning_cases SET state = ?, closed_at = ?, updated_at = ?
+       WHERE subscription_id = ? AND state IN (${OPEN_STATES.map(() => '?').join(', ')})`
+    )
+    .run(state, now, now, subscriptionId, ...OPEN_STATES);
+
+  const row = db
+    .prepare(
+      'SELECT * FROM dunning_cases WHERE subscription_id = ? AND state = ?'
+    )
+    .get(subscriptionId, state);
+  return row ? { row, changed: changes > 0 } : null;
+}
+
+/**
+ * Open (or update) a case for a failed subscription invoice
+ * @param {object} invoice - Stripe invoice from invoice.payment_failed
+ * @returns {Promise<object|null>} The case, or null for one-off invoices
+ */
+export async function recordPaymentFailure(invoice) {
+  const subscriptionId = invoiceSubscription(invoice);
+  if (!subscriptionId) {
+    return null;
+  }
+
+  const now = Date.now();
+  const db = getDatabase();
+  const details = {
+    subscriptionId,
+    customerId: String(invoice.customer?.id ?? invoice.customer),
+    invoiceId: invoice.id,
+    attemptCount: invoice.attempt_count ?? 1,
+    nextPaymentAttempt: invoice.next_payment_attempt
+      ? invoice.next_payment_attempt * 1000
+      : null,
+    now,
+  };
+
+  const row = db.transaction(() => {
+    const existing = db
+      .prepare('SELECT state FROM dunning_cases WHERE subscription_id = ?')
+      .get(subscriptionId);
+
+    if (existing && OPEN_STATES.includes(existing.state)) {
+      db.prepare(
+        `UPDATE dunning_cases SET invoice_id = @invoiceId, attempt_count = @attemptCount,
+           next_payment_attempt = @nextPaymentAttempt, updated_at = @now
+         WHERE subscription_id = @subscriptionId`
+      ).run(details);
+    } else {
+      // A closed case from an earlier failure is replaced by a fresh one
+      db.prepare(
+        `INSERT OR REPLACE INTO dunning_cases (subscription_id, customer_id, state, invoice_id,
+           attempt_count, next_payment_attempt, grace_until, notified_stage, opened_at, updated_at)
+         VALUES (@subscriptionId, @customerId, 'grace', @invoiceId, @attemptCount,
+           @nextPaymentAttempt, @graceUntil, 0, @now, @now)`
+      ).run({ ...details, graceUntil: now + GRACE_MS });
+      logger.warn('Dunning case opened', {
+        subscriptionId,
+        customer: details.customerId,
+      });
+    }
+
+    return db
+      .prepare('SELECT * FROM dunning_cases WHERE subscription_id = ?')
+      .get(subscriptionId);
+  })();
+
+  await notify(row, now);
+  return toCase(row);
+}
+
+/**
+ * Close a case once its subscription invoice is paid
+ * @param {object} invoice - Stripe invoice from invoice.paid
+ * @returns {Promise<object|null>} The recovered case, or null if there is none
+ */
+export async function recordPaymentSuccess(invoice) {
+  const subscriptionId = invoiceSubscription(invoice);
+  const closed =
+    subscriptionId &&
+    closeCase(subscriptionId, DunningState.RECOVERED, Date.now());
+  if (!closed) {
+    return null;
+  }
+
+  if (closed.changed) {
+    logger.info('Dunning case recovered', { subscriptionId });
+  }
+  await notify(closed.row);
+  return toCase(closed.row);
+}
+
+/**
+ * Close a case as lapsed once Stripe stops retrying the subscription
+ * @param {object} subscription - Stripe subscription from a status change
+ * @returns {Promise<object|null>} The lapsed case, or null if there is none
+ */
+export async function recordSubscriptionStatus(subscription) {
+  if (!LAPSED_STATUSES.includes(subscription.status)) {
+    return null;
+  }
+
+  const closed = closeCase(subscription.id, DunningState.LAPSED, Date.now());
+  if (!closed) {
+    return null;
+  }
+
+  if (closed.changed) {
+    logger.warn('Dunning case lapsed, subscription downgraded', {
+      subscriptionId: subscription.id,
+      status: subscription.status,
+    });
+  }
+  await notify(closed.row);
+  return toCase(closed.row);
+}
+
+/**
+ * Suspend cases whose grace period is over and send reminders that are due
+ * @returns {Promise<number>} Number of open cases checked
+ */
+export async function advanceDunning(now = Date.now()) {
+  const db = getDatabase();
+  db.prepare(
+    `UPDATE dunning_cases SET state = ?, updated_at = ?
+     WHERE state = ? AND grace_until <= ?`
+  ).run(DunningState.SUSPENDED, now, DunningState.GRACE, now);
+
+  const rows = db
+    .prepare(
+      `SELECT * FROM dunning_cases WHERE state IN (${OPEN_STATES.map(() => '?').join(', ')})`
+    )
+    .all(...OPEN_STATES);
+
+  for (const row of rows) {
+    try {
+      await notify(row, now);
+    } catch (error) {
+      // Left unsent, so the next check tries again
+      logger.error('Dunning notice failed', {
+        error: error.message,
+        subscriptionId: row.subscription_id,
+      });
+    }
+  }
+  return rows.length;
+}
+
+/**
+ * A customer's open case, if a payment is outstanding
+ * @param {string} customerId
+ * @returns {Promise<object|null>}
+ */
+export async function getOpenCase(customerId) {
+  const row = getDatabase()
+    .prepare(
+      `SELECT * FROM dunning_cases
+       WHERE customer_id = ? AND state IN (${OPEN_STATES.map(() => '?').join(', ')})
+       ORDER BY opened_at DESC LIMIT 1`
+    )
+    .get(customerId, ...OPEN_STATES);
+  return row ? toCase(row) : null;
+}
+
+/**
+ * Check cases periodically in the background
+ */
+export function startDunningChecks() {
+  if (checkTimer) return;
+  checkTimer = setInterval(() => {
+    advanceDunning().catch(error => {
+      logger.error('Dunning check failed', { error: error.message });
+    });
+  }, CHECK_INTERVAL_MS);
+  checkTimer.unref();
+}
+
+/**
+ * Stop the background checks
+ */
+export function stopDunningChecks() {
+  clearInterval(checkTimer);
+  checkTimer = null;
+}
@@ -0,0 +1,258 @@
+/**
+ * Tests for Dunning Service
+ * Verifies the grace period, escalating notices, recovery and downgrade
+ */
+
+import { jest } from '@jest/globals';
+
+const mockSendToUser = jest.fn();
+
+jest.unstable_mockModule('./websocket.js', () => ({
+  sendToUser: mockSendToUser,
+  disconnectUser: jest.fn(),
+}));
+
+jest.unstable_mockModule('stripe', () => ({
+  default: jest.fn(() => ({ subscriptions: { list: jest.fn() } })),
+}));
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Dunning Service', () => {
+  let dunning, recordSubscription, getEntitlements, userRepository;
+  let getDatabase;
+  const sent = [];
+
+  /**
+   * invoice.payment_failed / invoice.paid payload for a subscription
+   */
+  function invoice(subscription, customer, overrides = {}) {
+    return {
+      id: `in_${subscription}`,
+      customer,
+      attempt_count: 1,
+      next_payment_attempt: Math.floor(Date.now() / 1000) + 3 * 86400,
+      parent: { subscription_details: { subscription } },
+      ...overrides,
+    };
+  }
+
+  /**
+   * A subscriber with a cached subscription in the given status
+   */
+  async function subscriber(name, status = 'past_due') {
+    const user = await userRepository.create({
+      email: `${name}@example.com`,
+      name,
+      stripeCustomerId: `cus_${name}`,
+    });
+    await recordSubscription({
+      id: `sub_${name}`,
+      customer: `cus_${name}`,
+      status,
+      current_period_end: Math.floor(Date.now() / 1000) + 30 * 86400,
+      items: { data: [{ price: { id: 'price_devotee' } }] },
+    });
+    getDatabase()
+      .prepare(
+        'INSERT INTO entitlement_syncs (customer_id, synced_at) VALUES (?, ?)'
+      )
+      .run(`cus_${name}`, Date.now());
+    return user;
+  }
+
+  beforeAll(async () => {
+    const { registerMailTransport } = await import('./mailer.js');
+    registerMailTransport('memory', async message => {
+      sent.push(message);
+      return { id: `memory-${sent.length}` };
+    });
+    process.env.MAIL_TRANSPORT = 'memory';
+
+    dunning = await import('./dunning.js');
+    ({ recordSubscription, getEntitlements } = await import(
+      './entitlements.js'
+    ));
+    ({ userRepository } = await import('./user-repository.js'));
+    ({ getDatabase } = await import('./database.js'));
+  });
+
+  beforeEach(() => {
+    sent.length = 0;
+    mockSendToUser.mockClear();
+  });
+
+  afterAll(() => {
+    delete process.env.MAIL_TRANSPORT;
+  });
+
+  it('should open a grace period and notify on a failed payment', async () => {
+    const user = await subscriber('failed');
+
+    const dunningCase = await dunning.recordPaymentFailure(
+      invoice('sub_failed', 'cus_failed')
+    );
+
+    expect(dunningCase).toMatchObject({
+      subscriptionId: 'sub_failed',
+      state: dunning.DunningState.GRACE,
+      attemptCount: 1,
+    });
+    expect(Date.parse(dunningCase.graceUntil)).toBeGreaterThan(
+      Date.now() + 6 * DAY_MS
+    );
+    expect(sent).toHaveLength(1);
+    expect(sent[0]).toMatchObject({
+      to: 'failed@example.com',
+      subject: 'Your BambiSleep Church payment failed',
+    });
+    expect(mockSendToUser).toHaveBeenCalledWith(
+      user.id,
+      expect.objectContaining({
+        type: 'billing_notice',
+        notice: 'payment_failed',
+        subscriptionId: 'sub_failed',
+      })
+    );
+    await expect(dunning.getOpenCase('cus_failed')).resolves.toMatchObject({
+      state: 'grace',
+    });
+  });
+
+  it('should not repeat the notice on later retries', async () => {
+    await subscriber('retry');
+    await dunning.recordPaymentFailure(invoice('sub_retry', 'cus_retry'));
+
+    const dunningCase = await dunning.recordPaymentFailure(
+      invoice('sub_retry', 'cus_retry', { attempt_count: 2 })
+    );
+
+    expect(dunningCase.attemptCount).toBe(2);
+    expect(sent).toHaveLength(1);
+  });
+
+  it('should ignore invoices without a subscription', async () => {
+    await expect(
+      dunning.recordPaymentFailure({ id: 'in_oneoff', customer: 'cus_x' })
+    ).resolves.toBeNull();
+  });
+
+  it('should keep access during the grace period only', async () => {
+    await subscriber('grace');
+    await expect(getEntitlements('cus_grace')).resolves.toEqual([]);
+
+    await dunning.recordPaymentFailure(invoice('sub_grace', 'cus_grace'));
+    await expect(getEntitlements('cus_grace')).resolves.toEqual([
+      expect.objectContaining({ id: 'sub_grace', status: 'past_due' }),
+    ]);
+
+    getDatabase()
+      .prepare(
+        'UPDATE dunning_cases SET grace_until = ? WHERE subscription_id = ?'
+      )
+      .run(Date.now() - 1, 'sub_grace');
+    await expect(getEntitlements('cus_grace')).resolves.toEqual([]);
+  });
+
+  it('should remind, then suspend, as the grace period runs out', async () => {
+    const user = await subscriber('escalate');
+    const { graceUntil } = await dunning.recordPaymentFailure(
+      invoice('sub_escalate', 'cus_escalate')
+    );
+    const end = Date.parse(graceUntil);
+    // Cases left open by other tests are advanced too
+    const subjects = () =>
+      sent
+        .filter(message => message.to === 'escalate@example.com')
+        .map(message => message.subject);
+
+    await dunning.advanceDunning(end - DAY_MS);
+    await dunning.advanceDunning(end - DAY_MS / 2);
+    expect(subjects()).toEqual([
+      'Your BambiSleep Church payment failed',
+      'Your BambiSleep Church access ends soon',
+    ]);
+
+    await dunning.advanceDunning(end);
+    expect(subjects().at(-1)).toBe('Your BambiSleep Church access is paused');
+    expect(mockSendToUser).toHaveBeenCalledWith(
+      user.id,
+      expect.objectContaining({
+        notice: 'access_suspended',
+        state: 'suspended',
+      })
+    );
+    await expect(dunning.getOpenCase('cus_escalate')).resolves.toMatchObject({
+      state: 'suspended',
+    });
+  });
+
+  it('should close the case when the invoice is paid', async () => {
+    await subscriber('recover');
+    await dunning.recordPaymentFailure(invoice('sub_recover', 'cus_recover'));
+
+    const dunningCase = await dunning.recordPaymentSuccess(
+      invoice('sub_recover', 'cus_recover')
+    );
+
+    expect(dunningCase.state).toBe(dunning.DunningState.RECOVERED);
+    expect(sent.at(-1).subject).toBe(
+      'Your BambiSleep Church payment went through'
+    );
+    await expect(dunning.getOpenCase('cus_recover')).resolves.toBeNull();
+
+    // Redelivery does not notify twice
+    await dunning.recordPaymentSuccess(invoice('sub_recover', 'cus_recover'));
+    expect(sent).toHaveLength(2);
+  });
+
+  it('should not touch subscriptions that never failed', async () => {
+    await expect(
+      dunning.recordPaymentSuccess(invoice('sub_fine', 'cus_fine'))
+    ).resolves.toBeNull();
+    expect(sent).toHaveLength(0);
+  });
+
+  it('should downgrade when Stripe gives up on the subscription', async () => {
+    await subscriber('lapse');
+    await dunning.recordPaymentFailure(invoice('sub_lapse', 'cus_lapse'));
+
+    await expect(
+      dunning.recordSubscriptionStatus({ id: 'sub_lapse', status: 'past_due' })
+    ).resolves.toBeNull();
+
+    await recordSubscription({
+      id: 'sub_lapse',
+      customer: 'cus_lapse',
+      status: 'unpaid',
+      items: { data: [{ price: { id: 'price_devotee' } }] },
+    });
+    const dunningCase = await dunning.recordSubscriptionStatus({
+      id: 'sub_lapse',
+      status: 'unpaid',
+    });
+
+    expect(dunningCase.state).toBe(dunning.DunningState.LAPSED);
+    expect(sent.at(-1).subject).toBe(
+      'Your BambiSleep Church subscription has ended'
+    );
+    await expect(getEntitlements('cus_lapse')).resolves.toEqual([]);
+  });
+
+  it('should open a fresh case when a recovered subscription fails again', async () => {
+    await subscriber('again');
+    await dunning.recordPaymentFailure(invoice('sub_again', 'cus_again'));
+    await dunning.recordPaymentSuccess(invoice('sub_again', 'cus_again'));
+
+    const dunningCase = await dunning.recordPaymentFailure(
+      invoice('sub_again', 'cus_again')
+    );
+
+    expect(dunningCase.state).toBe(dunning.DunningState.GRACE);
+    expect(sent.map(message => message.subject)).toEqual([
+      'Your BambiSleep Church payment failed',
+      'Your BambiSleep Church payment went through',
+      'Your BambiSleep Church payment failed',
+    ]);
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * Local cache of Stripe subscription state
+ * Subscription webhooks keep the entitlements table current, and each
+ * customer is reconciled against Stripe once the cached state is older than
+ * ENTITLEMENT_TTL_SECONDS. Access checks read the table, so premium pages do
+ * not wait on Stripe and keep working from the cache if it is unreachable.
+ */
+
+import Stripe from 'stripe';
+import { getDatabase } from './database.js';
+import { logger } from './telemetry.js';
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+
+const ENTITLEMENT_TTL_MS =
+  (parseInt(process.env.ENTITLEMENT_TTL_SECONDS, 10) || 900) * 1000;
+/// Subscription statuses that grant access (trials included)
+const ENTITLED_STATUSES = ['active', 'trialing'];
+
+/**
+ * Subscription in the shape views and routes already read from Stripe
+ * (period end in seconds, snake_case)
+ */
+function toSubscription(row) {
+  return {
+    id: row.subscription_id,
+    customer: row.customer_id,
+    status: row.status,
+    price_id: row.price_id,
+    current_period_end: row.current_period_end,
+    cancel_at_period_end: Boolean(row.cancel_at_period_end),
+  };
+}
+
+/**
+ * Store a subscription's state, ignoring anything older than what is cached
+ * (webhooks can arrive out of order)
+ * @param {object} subscription - Stripe subscription object
+ * @param {number} [sourceAt] - When Stripe produced this state (ms)
+ */
+export async function recordSubscription(subscription, sourceAt = Date.now()) {
+  const item = subscription.items?.data?.[0];
+
+  getDatabase()
+    .prepare(
+      `INSERT INTO entitlements (subscription_id, customer_id, status, price_id,
+         current_period_end, cancel_at_period_end, source_at, updated_at)
+       VALUES (@subscriptionId, @customerId, @status, @priceId,
+         @currentPeriodEnd, @cancelAtPeriodEnd, @sourceAt, @now)
+       ON CONFLICT (subscription_id) DO UPDATE SET
+         status = excluded.status,
+         price_id = excluded.price_id,
+         current_period_end = excluded.current_period_end,
+         cancel_at_period_end = excluded.cancel_at_period_end,
+         source_at = excluded.source_at,
+         updated_at = excluded.updated_at
+       WHERE excluded.source_at >= entitlements.source_at`
+    )
+    .run({
+      subscriptionId: subscription.id,
+      customerId: String(subscription.customer?.id ?? subscription.customer),
+      status: subscription.status,
+      priceId: item?.price?.id ?? null,
+      // Newer API versions report billing periods per subscription item
+      currentPeriodEnd:
+        subscription.current_period_end ?? item?.current_period_end ?? null,
+      cancelAtPeriodEnd: subscription.cancel_at_period_end ? 1 : 0,
+      sourceAt,
+      now: Date.now(),
+    });
+}
+
+/**
+ * Replace a customer's cached subscriptions with Stripe's current view
+ * @param {string} customerId
+ */
+export async function reconcileCustomer(customerId) {
+  const now = Date.now();
+  const subscriptions = await stripe.subscriptions.list({
+    customer: customerId,
+    status: 'all',
+    limit: 100,
+  });
+
+  for (const subscription of subscriptions.data) {
+    await recordSubscription(subscription, now);
+  }
+
+  getDatabase()
+    .prepare(
+      `INSERT INTO entitlement_syncs (customer_id, synced_at) VALUES (?, ?)
+       ON CONFLICT (customer_id) DO UPDATE SET synced_at = excluded.synced_at`
+    )
+    .run(customerId, now);
+}
+
+/**
+ * The subscriptions granting a customer access
+ * A customer can hold more than one (e.g. an add-on next to a main plan);
+ * resolvePlan picks the highest tier among them.
+ * Reconciles first when the cache is stale; if Stripe cannot be reached the
+ * stale cache is used, and only a customer never seen before is an error.
+ * @param {string} customerId - Stripe customer ID
+ * @returns {Promise<object[]>} Entitled subscriptions, latest period end
+ *   first
+ */
+export async function getEntitlements(customerId) {
+  const db = getDatabase();
+  const sync = db
+    .prepare('SELECT synced_at FROM entitlement_syncs WHERE customer_id = ?')
+    .get(customerId);
+
+  if (!sync || sync.synced_at <= Date.now() - ENTITLEMENT_TTL_MS) {
+    try {
+      await reconcileCustomer(customerId);
+    } catch (error) {
+      if (!sync) throw error;
+      logger.warn('Entitlement reconciliation failed, using cached state', {
+        error: error.message,
+        customerId,
+        syncedAt: new Date(sync.synced_at).toISOString(),
+      });
+    }
+  }
+
+  // A past_due subscription keeps access while its dunning case is in the
+  // grace period (see dunning.js)
+  return db
+    .prepare(
+      `SELECT * FROM entitlements
+       WHERE customer_id = ? AND (
+         status IN (${ENTITLED_STATUSES.map(() => '?').join(', ')})
+         OR (status = 'past_due' AND EXISTS (
+           SELECT 1 FROM dunning_cases d
+           WHERE d.subscription_id = entitlements.subscription_id
+             AND d.state = 'grace' AND d.grace_until > ?))
+       )
+       ORDER BY current_period_end DESC`
+    )
+    .all(customerId, ...ENTITLED_STATUSES, Date.now())
+    .map(toSubscription);
+}
+
+/**
+ * Drop a customer's cached state (e.g. when the account is deleted)
+ * @param {string} customerId
+ */
+export async function forgetCustomer(customerId) {
+  const db = getDatabase();
+  db.transaction(() => {
+    db.prepare('DELETE FROM entitlements WHERE customer_id = ?').run(
+      customerId
+    );
+    db.prepare('DELETE FROM entitlement_syncs WHERE customer_id = ?').run(
+      customerId
+    );
+  })();
+}
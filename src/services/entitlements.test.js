@@ -0,0 +1,124 @@
+/**
+ * Tests for Entitlement Service
+ * Verifies webhook-driven caching, ordering, and TTL'd reconciliation
+ */
+
+import { jest } from '@jest/globals';
+
+const mockStripe = {
+  subscriptions: {
+    list: jest.fn(),
+  },
+};
+
+jest.unstable_mockModule('stripe', () => ({
+  default: jest.fn(() => mockStripe),
+}));
+
+describe('Entitlement Service', () => {
+  let recordSubscription, reconcileCustomer, getEntitlements, forgetCustomer;
+  let getDatabase;
+
+  /**
+   * Mark a customer as reconciled at the given time
+   */
+  function markSynced(customerId, syncedAt = Date.now()) {
+    getDatabase()
+      .prepare(
+        `INSERT INTO entitlement_syncs (customer_id, synced_at) VALUES (?, ?)
+         ON CONFLICT (customer_id) DO UPDATE SET synced_at = excluded.synced_at`
+      )
+      .run(customerId, syncedAt);
+  }
+
+  beforeAll(async () => {
+    ({
+      recordSubscription,
+      reconcileCustomer,
+      getEntitlements,
+      forgetCustomer,
+    } = await import('./entitlements.js'));
+    ({ getDatabase } = await import('./database.js'));
+  });
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    await forgetCustomer('cus_ent');
+  });
+
+  it('should grant access from subscription webhooks', async () => {
+    markSynced('cus_ent');
+    await recordSubscription(
+      {
+        id: 'sub_1',
+        customer: 'cus_ent',
+        status: 'active',
+        items: {
+          data: [
+            { price: { id: 'price_monthly' }, current_period_end: 1900000000 },
+          ],
+        },
+      },
+      1000
+    );
+
+    expect(await getEntitlements('cus_ent')).toEqual([
+      {
+        id: 'sub_1',
+        customer: 'cus_ent',
+        status: 'active',
+        price_id: 'price_monthly',
+        current_period_end: 1900000000,
+        cancel_at_period_end: false,
+      },
+    ]);
+    expect(mockStripe.subscriptions.list).not.toHaveBeenCalled();
+  });
+
+  it('should ignore events older than the cached state', async () => {
+    markSynced('cus_ent');
+    await recordSubscription(
+      { id: 'sub_2', customer: 'cus_ent', status: 'canceled' },
+      2000
+    );
+    await recordSubscription(
+      { id: 'sub_2', customer: 'cus_ent', status: 'active' },
+      1000
+    );
+
+    expect(await getEntitlements('cus_ent')).toEqual([]);
+  });
+
+  it('should reconcile customers whose cache has expired', async () => {
+    markSynced('cus_ent', 0);
+    await recordSubscription(
+      { id: 'sub_3', customer: 'cus_ent', status: 'active' },
+      1000
+    );
+    mockStripe.subscriptions.list.mockResolvedValue({
+      data: [{ id: 'sub_3', customer: 'cus_ent', status: 'canceled' }],
+    });
+
+    expect(await getEntitlements('cus_ent')).toEqual([]);
+    expect(mockStripe.subscriptions.list).toHaveBeenCalledWith({
+      customer: 'cus_ent',
+      status: 'all',
+      limit: 100,
+    });
+  });
+
+  it('should fail for unknown customers when Stripe is unreachable', async () => {
+    mockStripe.subscriptions.list.mockRejectedValue(new Error('offline'));
+
+    await expect(getEntitlements('cus_ent')).rejects.toThrow('offline');
+  });
+
+  it('should record reconciliation time', async () => {
+    mockStripe.subscriptions.list.mockResolvedValue({ data: [] });
+
+    await reconcileCustomer('cus_ent');
+    await getEntitlements('cus_ent');
+
+    expect(mockStripe.subscriptions.list).toHaveBeenCalledTimes(1);
+  });
+});
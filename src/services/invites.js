@@ -0,0 +1,247 @@
+/**
+ * Registration gating and invite codes
+ * The registration mode (open, invite-only, closed) is a runtime setting so
+ * administrators can switch it without a redeploy; REGISTRATION_MODE is the
+ * default. Invite codes are stored hashed, can be limited in uses and time,
+ * and may grant a complimentary subscription tier.
+ */
+
+import { randomBytes, randomUUID } from 'crypto';
+import { getDatabase } from './database.js';
+import { hashToken } from './auth-tokens.js';
+import { userRepository } from './user-repository.js';
+import { logger } from './telemetry.js';
+
+export const RegistrationMode = Object.freeze({
+  OPEN: 'open',
+  INVITE_ONLY: 'invite-only',
+  CLOSED: 'closed',
+});
+
+const MODE_SETTING = 'registration_mode';
+/// Unambiguous characters for codes people type in (no 0/O, 1/I/L)
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+/**
+ * Normalize a code as typed (case, spacing, dashes)
+ */
+function normalizeCode(code) {
+  return String(code || '')
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * Generate a human-friendly code (XXXX-XXXX-XXXX)
+ */
+function generateCode() {
+  const chars = [...randomBytes(12)].map(
+    byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]
+  );
+  return [0, 4, 8]
+    .map(start => chars.slice(start, start + 4).join(''))
+    .join('-');
+}
+
+/**
+ * Invite details for administrators (never the code itself)
+ */
+function toInvite(row) {
+  const iso = value => (value ? new Date(value).toISOString() : null);
+  return {
+    id: row.id,
+    label: row.label,
+    codeHint: row.code_hint,
+    maxUses: row.max_uses,
+    useCount: row.use_count,
+    expiresAt: iso(row.expires_at),
+    complimentaryTier: row.complimentary_tier,
+    complimentaryDays: row.complimentary_days,
+    createdBy: row.created_by,
+    createdAt: iso(row.created_at),
+    revokedAt: iso(row.revoked_at),
+  };
+}
+
+/**
+ * Current registration mode
+ * @returns {Promise<string>} One of RegistrationMode
+ */
+export async function getRegistrationMode() {
+  const row = getDatabase()
+    .prepare('SELECT value FROM settings WHERE key = ?')
+    .get(MODE_SETTING);
+  const mode = row?.value || process.env.REGISTRATION_MODE;
+  return Object.values(RegistrationMode).includes(mode)
+    ? mode
+    : RegistrationMode.OPEN;
+}
+
+/**
+ * Change the registration mode
+ * @param {string} mode - One of RegistrationMode
+ */
+export async function setRegistrationMode(mode) {
+  getDatabase()
+    .prepare(
+      `INSERT INTO settings (key, value, updated_at) VALUES (?, ?, ?)
+       ON CONFLICT (key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at`
+    )
+    .run(MODE_SETTING, mode, Date.now());
+  logger.info('Registration mode changed', { mode });
+}
+
+/**
+ * Mint an invite code
+ * @param {object} options
+ * @param {string} options.label - Campaign name, used as a metric label
+ * @param {number} [options.maxUses] - Omit for unlimited uses
+ * @param {number} [options.expiresInDays] - Omit for no expiry
+ * @param {string} [options.complimentaryTier] - Tier granted on redemption
+ * @param {number} [options.complimentaryDays] - Omit for permanent access
+ * @param {string} [options.createdBy] - Administrator user ID
+ * @returns {Promise<{code: string, invite: object}>} The code (shown once)
+ */
+export async function createInvite({
+  label,
+  maxUses,
+  expiresInDays,
+  complimentaryTier,
+  complimentaryDays,
+  createdBy,
+}) {
+  const code = generateCode();
+  const now = Date.now();
+  const row = {
+    id: randomUUID(),
+    label,
+    code_hash: hashToken(normalizeCode(code)),
+    code_hint: code.slice(-4),
+    max_uses: maxUses || null,
+    use_count: 0,
+    expires_at: expiresInDays ? now + expiresInDays * 86400000 : null,
+    complimentary_tier: complimentaryTier || null,
+    complimentary_days: (complimentaryTier && complimentaryDays) || null,
+    created_by: createdBy || null,
+    created_at: now,
+    revoked_at: null,
+  };
+
+  getDatabase()
+    .prepare(
+      `INSERT INTO invites (id, label, code_hash, code_hint, max_uses, expires_at,
+         complimentary_tier, complimentary_days, created_by, created_at)
+       VALUES (@id, @label, @code_hash, @code_hint, @max_uses, @expires_at,
+         @complimentary_tier, @complimentary_days, @created_by, @created_at)`
+    )
+    .run(row);
+
+  return { code, invite: toInvite(row) };
+}
+
+/**
+ * List invites, newest first
+ * @returns {Promise<object[]>}
+ */
+export async function listInvites() {
+  return getDatabase()
+    .prepare('SELECT * FROM invites ORDER BY created_at DESC')
+    .all()
+    .map(toInvite);
+}
+
+/**
+ * Revoke an invite (accounts that already used it are unaffected)
+ * @returns {Promise<boolean>} False if no such active invite
+ */
+export async function revokeInvite(id) {
+  const { changes } = getDatabase()
+    .prepare(
+      'UPDATE invites SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL'
+    )
+    .run(Date.now(), id);
+  return changes > 0;
+}
+
+/**
+ * Look up an invite that can still be redeemed
+ * @param {string} code - As typed by the user
+ * @returns {Promise<object|null>}
+ */
+export async function findRedeemableInvite(code) {
+  const row = getDatabase()
+    .prepare(
+      `SELECT * FROM invites WHERE code_hash = ? AND revoked_at IS NULL
+         AND (expires_at IS NULL OR expires_at > ?)
+         AND (max_uses IS NULL OR use_count < max_uses)`
+    )
+    .get(hashToken(normalizeCode(code)), Date.now());
+  return row ? toInvite(row) : null;
+}
+
+/**
+ * Take one use of an invite (atomic, so concurrent sign-ups cannot overdraw)
+ * @param {string} id
+ * @returns {Promise<object|null>} The invite, or null if it is used up,
+ *   expired or revoked
+ */
+export async function claimInvite(id) {
+  const row = getDatabase()
+    .prepare(
+      `UPDATE invites SET use_count = use_count + 1
+       WHERE id = ? AND revoked_at IS NULL
+         AND (expires_at IS NULL OR expires_at > ?)
+         AND (max_uses IS NULL OR use_count < max_uses)
+       RETURNING *`
+    )
+    .get(id, Date.now());
+  return row ? toInvite(row) : null;
+}
+
+/**
+ * Give back a use claimed for a registration that then failed
+ */
+export async function releaseInvite(id) {
+  getDatabase()
+    .prepare(
+      'UPDATE invites SET use_count = use_count - 1 WHERE id = ? AND use_count > 0'
+    )
+    .run(id);
+}
+
+/**
+ * User fields recording an invite and its complimentary tier
+ * @param {object} invite - From claimInvite()
+ * @returns {object} inviteId, complimentaryTier, complimentaryUntil
+ */
+export function inviteGrant(invite) {
+  return {
+    inviteId: invite.id,
+    complimentaryTier: invite.complimentaryTier,
+    complimentaryUntil:
+      invite.complimentaryTier && invite.complimentaryDays
+        ? Date.now() + invite.complimentaryDays * 86400000
+        : null,
+  };
+}
+
+/**
+ * Record the invite on a new account and grant its complimentary tier
+ * @param {string} userId
+ * @param {object} invite - From claimInvite()
+ */
+export async function applyInvite(userId, invite) {
+  await userRepository.update(userId, inviteGrant(invite));
+}
+
+/**
+ * Whether a user currently has complimentary access
+ * @param {object} user
+ * @returns {boolean}
+ */
+export function hasComplimentaryAccess(user, now = Date.now()) {
+  return Boolean(
+    user?.complimentaryTier &&
+      (!user.complimentaryUntil || user.complimentaryUntil > now)
+  );
+}
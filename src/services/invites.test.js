@@ -0,0 +1,146 @@
+/**
+ * Tests for Invite Service
+ * Verifies registration modes, code redemption limits, expiry, revocation
+ * and complimentary access
+ */
+
+import {
+  RegistrationMode,
+  getRegistrationMode,
+  setRegistrationMode,
+  createInvite,
+  listInvites,
+  revokeInvite,
+  findRedeemableInvite,
+  claimInvite,
+  releaseInvite,
+  applyInvite,
+  hasComplimentaryAccess,
+} from './invites.js';
+import { getDatabase } from './database.js';
+import { userRepository } from './user-repository.js';
+
+describe('Invite Service', () => {
+  afterEach(async () => {
+    await setRegistrationMode(RegistrationMode.OPEN);
+  });
+
+  describe('registration mode', () => {
+    it('should default to the environment, then open', async () => {
+      getDatabase()
+        .prepare("DELETE FROM settings WHERE key = 'registration_mode'")
+        .run();
+      expect(await getRegistrationMode()).toBe(RegistrationMode.OPEN);
+
+      process.env.REGISTRATION_MODE = 'closed';
+      try {
+        expect(await getRegistrationMode()).toBe(RegistrationMode.CLOSED);
+      } finally {
+        delete process.env.REGISTRATION_MODE;
+      }
+    });
+
+    it('should prefer the runtime setting', async () => {
+      process.env.REGISTRATION_MODE = 'closed';
+      try {
+        await setRegistrationMode(RegistrationMode.INVITE_ONLY);
+        expect(await getRegistrationMode()).toBe(RegistrationMode.INVITE_ONLY);
+      } finally {
+        delete process.env.REGISTRATION_MODE;
+      }
+    });
+  });
+
+  it('should issue readable codes and store only a hash', async () => {
+    const { code, invite } = await createInvite({ label: 'launch' });
+
+    expect(code).toMatch(/^[A-Z2-9]{4}-[A-Z2-9]{4}-[A-Z2-9]{4}$/);
+    expect(invite.codeHint).toBe(code.slice(-4));
+    expect(JSON.stringify(await listInvites())).not.toContain(code);
+
+    const row = getDatabase()
+      .prepare('SELECT code_hash FROM invites WHERE id = ?')
+      .get(invite.id);
+    expect(row.code_hash).not.toContain(code.replace(/-/g, ''));
+  });
+
+  it('should accept codes regardless of case and separators', async () => {
+    const { code, invite } = await createInvite({ label: 'typed' });
+
+    const typed = code.toLowerCase().replace(/-/g, ' ');
+    expect((await findRedeemableInvite(typed)).id).toBe(invite.id);
+    expect(await findRedeemableInvite('NOPE-NOPE-NOPE')).toBeNull();
+  });
+
+  it('should stop redemption at the usage limit', async () => {
+    const { code, invite } = await createInvite({
+      label: 'limited',
+      maxUses: 2,
+    });
+
+    expect((await claimInvite(invite.id)).useCount).toBe(1);
+    expect((await claimInvite(invite.id)).useCount).toBe(2);
+    expect(await claimInvite(invite.id)).toBeNull();
+    expect(await findRedeemableInvite(code)).toBeNull();
+
+    await releaseInvite(invite.id);
+    expect((await findRedeemableInvite(code)).useCount).toBe(1);
+  });
+
+  it('should not redeem expired or revoked invites', async () => {
+    const { code: expiredCode, invite: expired } = await createInvite({
+      label: 'expired',
+      expiresInDays: 1,
+    });
+    getDatabase()
+      .prepare('UPDATE invites SET expires_at = ? WHERE id = ?')
+      .run(Date.now() - 1000, expired.id);
+
+    const { code: revokedCode, invite: revoked } = await createInvite({
+      label: 'revoked',
+    });
+    expect(await revokeInvite(revoked.id)).toBe(true);
+    expect(await revokeInvite(revoked.id)).toBe(false);
+
+    expect(await findRedeemableInvite(expiredCode)).toBeNull();
+    expect(await claimInvite(expired.id)).toBeNull();
+    expect(await findRedeemableInvite(revokedCode)).toBeNull();
+    expect(await claimInvite(revoked.id)).toBeNull();
+  });
+
+  it('should record the invite and grant its complimentary tier', async () => {
+    const user = await userRepository.create({
+      email: 'invited@example.com',
+      name: 'Invited Bambi',
+    });
+    const { invite } = await createInvite({
+      label: 'supporters',
+      complimentaryTier: 'supporter',
+      complimentaryDays: 30,
+    });
+
+    await applyInvite(user.id, await claimInvite(invite.id));
+
+    const updated = await userRepository.findById(user.id);
+    expect(updated.inviteId).toBe(invite.id);
+    expect(updated.complimentaryTier).toBe('supporter');
+    expect(updated.complimentaryUntil).toBeGreaterThan(
+      Date.now() + 29 * 86400000
+    );
+    expect(hasComplimentaryAccess(updated)).toBe(true);
+    expect(
+      hasComplimentaryAccess(updated, updated.complimentaryUntil + 1)
+    ).toBe(false);
+  });
+
+  it('should grant permanent access without complimentary days', () => {
+    expect(
+      hasComplimentaryAccess({
+        complimentaryTier: 'supporter',
+        complimentaryUntil: null,
+      })
+    ).toBe(true);
+    expect(hasComplimentaryAccess({ complimentaryTier: null })).toBe(false);
+    expect(hasComplimentaryAccess(null)).toBe(false);
+  });
+});
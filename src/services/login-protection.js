@@ -0,0 +1,177 @@
+/**
+ * Login brute-force protection
+ * Per-account progressive lockout (the lock doubles with every failure past
+ * the threshold) and per-IP credential-stuffing detection. State lives in
+ * the database so every cluster worker sees the same counters.
+ */
+
+import { randomUUID } from 'crypto';
+import { getDatabase } from './database.js';
+import { userRepository } from './user-repository.js';
+import {
+  logger,
+  trackSecurityEvent,
+  suspiciousActivityTotal,
+} from './telemetry.js';
+
+const LOCKOUT_THRESHOLD =
+  parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD, 10) || 5;
+const LOCKOUT_BASE_MS =
+  (parseInt(process.env.LOGIN_LOCKOUT_BASE_SECONDS, 10) || 60) * 1000;
+const LOCKOUT_MAX_MS =
+  (parseInt(process.env.LOGIN_LOCKOUT_MAX_SECONDS, 10) || 3600) * 1000;
+const STUFFING_THRESHOLD =
+  parseInt(process.env.CREDENTIAL_STUFFING_THRESHOLD, 10) || 10;
+const STUFFING_WINDOW_MS = 15 * 60 * 1000;
+const ATTEMPT_RETENTION_MS = 24 * 3600000;
+
+/**
+ * Lock duration after a given number of consecutive failures
+ * @param {number} failures
+ * @returns {number} Milliseconds (0 below the threshold)
+ */
+export function lockoutDuration(failures) {
+  if (failures < LOCKOUT_THRESHOLD) {
+    return 0;
+  }
+  return Math.min(
+    LOCKOUT_BASE_MS * 2 ** (failures - LOCKOUT_THRESHOLD),
+    LOCKOUT_MAX_MS
+  );
+}
+
+/**
+ * Seconds until a user's lock expires
+ * @param {object} user
+ * @returns {number} 0 when the account is not locked
+ */
+export function lockoutRemaining(user, now = Date.now()) {
+  if (!user?.lockedUntil || user.lockedUntil <= now) {
+    return 0;
+  }
+  return Math.ceil((user.lockedUntil - now) / 1000);
+}
+
+/**
+ * Record a login attempt for auditing and stuffing detection
+ */
+function recordAttempt(db, { ip, email, userId, succeeded }) {
+  const now = Date.now();
+
+  db.prepare(
+    `INSERT INTO login_attempts (id, ip, email, user_id, succeeded, created_at)
+     VALUES (?, ?, ?, ?, ?, ?)`
+  ).run(
+    randomUUID(),
+    ip || 'unknown',
+    String(email || '').toLowerCase(),
+    userId || null,
+    succeeded ? 1 : 0,
+    now
+  );
+
+  db.prepare('DELETE FROM login_attempts WHERE created_at < ?').run(
+    now - ATTEMPT_RETENTION_MS
+  );
+}
+
+/**
+ * Raise a security event when one IP fails logins for many accounts
+ * Fires once, when the distinct-email count crosses the threshold
+ * @returns {number} Distinct emails failed from this IP in the window
+ */
+function detectCredentialStuffing(db, ip) {
+  const { distinctEmails } = db
+    .prepare(
+      `SELECT COUNT(DISTINCT email) AS distinctEmails FROM login_attempts
+       WHERE ip = ? AND succeeded = 0 AND created_at > ?`
+    )
+    .get(ip || 'unknown', Date.now() - STUFFING_WINDOW_MS);
+
+  if (distinctEmails === STUFFING_THRESHOLD) {
+    trackSecurityEvent('credential_stuffing', 'high', {
+      ip,
+      distinctEmails,
+      windowMinutes: STUFFING_WINDOW_MS / 60000,
+    });
+    suspiciousActivityTotal.inc({
+      activity_type: 'credential_stuffing',
+      source: ip || 'unknown',
+    });
+  }
+
+  return distinctEmails;
+}
+
+/**
+ * Record a failed login
+ * @param {object} attempt
+ * @param {string} attempt.ip
+ * @param {string} attempt.email - Email as submitted
+ * @param {object|null} attempt.user - Matching user, if any
+ * @returns {Promise<{lockedUntil: number|null, newlyLocked: boolean}>}
+ */
+export async function recordLoginFailure({ ip, email, user }) {
+  const db = getDatabase();
+  recordAttempt(db, { ip, email, userId: user?.id, succeeded: false });
+  detectCredentialStuffing(db, ip);
+
+  if (!user) {
+    return { lockedUntil: null, newlyLocked: false };
+  }
+
+  const failures = (user.failedLoginCount || 0) + 1;
+  const duration = lockoutDuration(failures);
+  const lockedUntil = duration > 0 ? Date.now() + duration : null;
+
+  await userRepository.update(user.id, {
+    failedLoginCount: failures,
+    lockedUntil,
+  });
+
+  const newlyLocked = failures === LOCKOUT_THRESHOLD;
+  if (lockedUntil) {
+    trackSecurityEvent('account_locked', newlyLocked ? 'medium' : 'high', {
+      userId: user.id,
+      ip,
+      failures,
+      lockSeconds: duration / 1000,
+    });
+  }
+
+  return { lockedUntil, newlyLocked };
+}
+
+/**
+ * Record a successful login and clear the failure counter
+ * @param {object} attempt
+ * @param {string} attempt.ip
+ * @param {object} attempt.user
+ */
+export async function recordLoginSuccess({ ip, user }) {
+  recordAttempt(getDatabase(), {
+    ip,
+    email: user.email,
+    userId: user.id,
+    succeeded: true,
+  });
+
+  if (user.failedLoginCount || user.lockedUntil) {
+    await userRepository.update(user.id, {
+      failedLoginCount: 0,
+      lockedUntil: null,
+    });
+  }
+}
+
+/**
+ * Lift a lock (unlock link or administrator)
+ * @param {string} userId
+ */
+export async function unlockAccount(userId) {
+  await userRepository.update(userId, {
+    failedLoginCount: 0,
+    lockedUntil: null,
+  });
+  logger.info('Account unlocked', { userId });
+}
@@ -0,0 +1,124 @@
+/**
+ * Tests for Login Protection Service
+ * Verifies progressive lockout and credential-stuffing detection
+ */
+
+import { jest } from '@jest/globals';
+
+const mockTrackSecurityEvent = jest.fn();
+
+jest.unstable_mockModule('./telemetry.js', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+  trackSecurityEvent: mockTrackSecurityEvent,
+  suspiciousActivityTotal: { inc: jest.fn() },
+}));
+
+describe('Login Protection Service', () => {
+  let protection, userRepository;
+
+  beforeAll(async () => {
+    protection = await import('./login-protection.js');
+    ({ userRepository } = await import('./user-repository.js'));
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('lockoutDuration', () => {
+    it('should not lock below the threshold', () => {
+      expect(protection.lockoutDuration(4)).toBe(0);
+    });
+
+    it('should double the lock with every further failure', () => {
+      expect(protection.lockoutDuration(5)).toBe(60000);
+      expect(protection.lockoutDuration(6)).toBe(120000);
+      expect(protection.lockoutDuration(7)).toBe(240000);
+    });
+
+    it('should cap the lock duration', () => {
+      expect(protection.lockoutDuration(50)).toBe(3600000);
+    });
+  });
+
+  describe('recordLoginFailure', () => {
+    it('should lock the account at the threshold', async () => {
+      let user = await userRepository.create({
+        email: 'lockout@example.com',
+        name: 'Lockout',
+      });
+
+      let result;
+      for (let attempt = 0; attempt < 5; attempt++) {
+        result = await protection.recordLoginFailure({
+          ip: '10.0.0.1',
+          email: user.email,
+          user,
+        });
+        user = await userRepository.findById(user.id);
+      }
+
+      expect(result.newlyLocked).toBe(true);
+      expect(protection.lockoutRemaining(user)).toBeGreaterThan(0);
+      expect(mockTrackSecurityEvent).toHaveBeenCalledWith(
+        'account_locked',
+        'medium',
+        expect.objectContaining({ userId: user.id, failures: 5 })
+      );
+
+      await protection.recordLoginSuccess({ ip: '10.0.0.1', user });
+      user = await userRepository.findById(user.id);
+
+      expect(user.failedLoginCount).toBe(0);
+      expect(protection.lockoutRemaining(user)).toBe(0);
+    });
+
+    it('should flag one IP failing logins for many emails', async () => {
+      for (let index = 0; index < 12; index++) {
+        await protection.recordLoginFailure({
+          ip: '10.0.0.99',
+          email: `victim${index}@example.com`,
+          user: null,
+        });
+      }
+
+      const stuffingEvents = mockTrackSecurityEvent.mock.calls.filter(
+        ([eventType]) => eventType === 'credential_stuffing'
+      );
+      expect(stuffingEvents).toHaveLength(1);
+      expect(stuffingEvents[0][2]).toMatchObject({ ip: '10.0.0.99' });
+    });
+
+    it('should not count repeated failures for one email as stuffing', async () => {
+      for (let index = 0; index < 12; index++) {
+        await protection.recordLoginFailure({
+          ip: '10.0.0.50',
+          email: 'same@example.com',
+          user: null,
+        });
+      }
+
+      expect(mockTrackSecurityEvent).not.toHaveBeenCalledWith(
+        'credential_stuffing',
+        expect.anything(),
+        expect.anything()
+      );
+    });
+  });
+
+  describe('unlockAccount', () => {
+    it('should clear the lock', async () => {
+      const user = await userRepository.create({
+        email: 'unlock@example.com',
+        name: 'Unlock',
+        failedLoginCount: 7,
+        lockedUntil: Date.now() + 60000,
+      });
+
+      await protection.unlockAccount(user.id);
+
+      const updated = await userRepository.findById(user.id);
+      expect(protection.lockoutRemaining(updated)).toBe(0);
+    });
+  });
+});
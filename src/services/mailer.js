@@ -0,0 +1,90 @@
+/**
+ * Outbound email with pluggable transports
+ * - console: logs messages (default for local development)
+ * - file: writes each message as JSON to MAIL_OUTBOX_PATH (dev and tests)
+ * - smtp: delivers through nodemailer using SMTP_URL
+ */
+
+import { mkdir, writeFile } from 'fs/promises';
+import { join } from 'path';
+import nodemailer from 'nodemailer';
+import { logger } from './telemetry.js';
+
+let smtpTransport = null;
+
+const transports = {
+  console: async message => {
+    logger.info('Email (console transport)', {
+      to: message.to,
+      subject: message.subject,
+      text: message.text,
+    });
+    return { id: `console_${Date.now()}` };
+  },
+
+  file: async message => {
+    const outbox =
+      process.env.MAIL_OUTBOX_PATH || join(process.cwd(), 'tmp', 'mail');
+    await mkdir(outbox, { recursive: true });
+
+    const id = `${Date.now()}_${Math.random().toString(36).slice(2, 10)}`;
+    await writeFile(
+      join(outbox, `${id}.json`),
+      JSON.stringify({ id, ...message }, null, 2)
+    );
+    return { id };
+  },
+
+  smtp: async message => {
+    if (!smtpTransport) {
+      smtpTransport = nodemailer.createTransport(process.env.SMTP_URL);
+    }
+    const info = await smtpTransport.sendMail(message);
+    return { id: info.messageId };
+  },
+};
+
+/**
+ * Register a custom transport
+ * @param {string} name - Transport name used in MAIL_TRANSPORT
+ * @param {Function} send - async (message) => { id }
+ */
+export function registerMailTransport(name, send) {
+  transports[name] = send;
+}
+
+/**
+ * Send an email through the configured transport
+ * @param {object} message - to, subject, text, html
+ * @returns {Promise<{id: string}>}
+ */
+export async function sendMail(message) {
+  const name = process.env.MAIL_TRANSPORT || 'console';
+  const transport = transports[name];
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+
+  const result = await transport({
+    from:
+      process.env.MAIL_FROM || 'BambiSleep Church <no-reply@bambisleep.church>',
+    ...message,
+  });
+
+  logger.info('Email sent', {
+    transport: name,
+    to: message.to,
+    subject: message.subject,
+    messageId: result.id,
+  });
+
+  return result;
+}
+
+/**
+ * Base URL for links in outgoing emails
+ */
+export function getPublicUrl(req) {
+  return process.env.PUBLIC_URL || `${req.protocol}://${req.get('host')}`;
+}
@@ -0,0 +1,410 @@
+/**
+ * Ordered schema migrations
+ * Append new entries only - never edit a migration that has shipped
+ */
+
+export const migrations = [
+  {
+    version: 1,
+    name: 'create_users',
+    up: db => {
+      db.exec(`
+        CREATE TABLE users (
+          id TEXT PRIMARY KEY,
+          email TEXT NOT NULL UNIQUE COLLATE NOCASE,
+          name TEXT NOT NULL,
+          password_hash TEXT,
+          stripe_customer_id TEXT UNIQUE,
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        )
+      `);
+    },
+  },
+  {
+    version: 2,
+    name: 'create_auth_tokens',
+    up: db => {
+      db.exec(`
+        CREATE TABLE auth_tokens (
+          id TEXT PRIMARY KEY,
+          user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          purpose TEXT NOT NULL,
+          token_hash TEXT NOT NULL UNIQUE,
+          metadata TEXT,
+          expires_at INTEGER NOT NULL,
+          used_at INTEGER,
+          created_at INTEGER NOT NULL
+        );
+        CREATE INDEX idx_auth_tokens_user_purpose ON auth_tokens (user_id, purpose);
+        ALTER TABLE users ADD COLUMN session_version INTEGER NOT NULL DEFAULT 0;
+      `);
+    },
+  },
+  {
+    version: 3,
+    name: 'add_email_verification',
+    up: db => {
+      // Accounts created before verification existed are grandfathered in
+      db.exec(`
+        ALTER TABLE users ADD COLUMN email_verified_at TEXT;
+        UPDATE users SET email_verified_at = created_at;
+      `);
+    },
+  },
+  {
+    version: 4,
+    name: 'add_two_factor',
+    up: db => {
+      db.exec(`
+        ALTER TABLE users ADD COLUMN totp_secret TEXT;
+        ALTER TABLE users ADD COLUMN totp_enabled_at TEXT;
+        ALTER TABLE users ADD COLUMN totp_last_step INTEGER;
+        CREATE TABLE recovery_codes (
+          id TEXT PRIMARY KEY,
+          user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          code_hash TEXT NOT NULL,
+          used_at INTEGER,
+          created_at INTEGER NOT NULL
+        );
+        CREATE INDEX idx_recovery_codes_user ON recovery_codes (user_id);
+      `);
+    },
+  },
+  {
+    version: 5,
+    name: 'create_refresh_and_revoked_tokens',
+    up: db => {
+      db.exec(`
+        CREATE TABLE refresh_tokens (
+          id TEXT PRIMARY KEY,
+          user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          family_id TEXT NOT NULL,
+          token_hash TEXT NOT NULL UNIQUE,
+          access_jti TEXT NOT NULL,
+          access_expires_at INTEGER NOT NULL,
+          expires_at INTEGER NOT NULL,
+          revoked_at INTEGER,
+          created_at INTEGER NOT NULL
+        );
+        CREATE INDEX idx_refresh_tokens_user ON refresh_tokens (user_id);
+        CREATE INDEX idx_refresh_tokens_family ON refresh_tokens (family_id);
+        CREATE TABLE revoked_tokens (
+          jti TEXT PRIMARY KEY,
+          user_id TEXT,
+          reason TEXT NOT NULL,
+          expires_at INTEGER NOT NULL,
+          revoked_at INTEGER NOT NULL
+        );
+      `);
+    },
+  },
+  {
+    version: 6,
+    name: 'add_user_roles',
+    up: db => {
+      db.exec(`
+        ALTER TABLE users ADD COLUMN role TEXT NOT NULL DEFAULT 'OBSERVER';
+        CREATE INDEX idx_users_role ON users (role);
+      `);
+    },
+  },
+  {
+    version: 7,
+    name: 'add_login_protection',
+    up: db => {
+      db.exec(`
+        ALTER TABLE users ADD COLUMN failed_login_count INTEGER NOT NULL DEFAULT 0;
+        ALTER TABLE users ADD COLUMN locked_until INTEGER;
+        CREATE TABLE login_attempts (
+          id TEXT PRIMARY KEY,
+          ip TEXT NOT NULL,
+          email TEXT NOT NULL,
+          user_id TEXT,
+          succeeded INTEGER NOT NULL,
+          created_at INTEGER NOT NULL
+        );
+        CREATE INDEX idx_login_attempts_ip ON login_attempts (ip, created_at);
+        CREATE INDEX idx_login_attempts_created ON login_attempts (created_at);
+      `);
+    },
+  },
+  {
+    version: 8,
+    name: 'create_sessions',
+    up: db => {
+      db.exec(`
+        CREATE TABLE sessions (
+          sid TEXT PRIMARY KEY,
+          id TEXT NOT NULL UNIQUE,
+          user_id TEXT REFERENCES users(id) ON DELETE CASCADE,
+          data TEXT NOT NULL,
+          expires_at INTEGER NOT NULL,
+          created_at INTEGER NOT NULL,
+          last_seen_at INTEGER NOT NULL
+        );
+        CREATE INDEX idx_sessions_user ON sessions (user_id);
+        CREATE INDEX idx_sessions_expires ON sessions (expires_at);
+      `);
+    },
+  },
+  {
+    version: 9,
+    name: 'create_content_access_and_audit_log',
+    up: db => {
+      db.exec(`
+        CREATE TABLE content_access_log (
+          id TEXT PRIMARY KEY,
+          user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          content_type TEXT NOT NULL,
+          content_id TEXT NOT NULL,
+          created_at INTEGER NOT NULL
+        );
+        CREATE INDEX idx_content_access_user ON content_access_log (user_id, created_at);
+        CREATE TABLE audit_log (
+          id TEXT PRIMARY KEY,
+          event TEXT NOT NULL,
+          subject_id TEXT,
+          actor_id TEXT,
+          details TEXT,
+          created_at INTEGER NOT NULL
+        );
+        CREATE INDEX idx_audit_log_subject ON audit_log (subject_id);
+      `);
+    },
+  },
+  {
+    version: 10,
+    name: 'create_webauthn',
+    up: db => {
+      db.exec(`
+        CREATE TABLE webauthn_credentials (
+          id TEXT PRIMARY KEY,
+          user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          public_key BLOB NOT NULL,
+          counter INTEGER NOT NULL DEFAULT 0,
+          transports TEXT,
+          name TEXT NOT NULL,
+          created_at INTEGER NOT NULL,
+          last_used_at INTEGER
+        );
+        CREATE INDEX idx_webauthn_credentials_user ON webauthn_credentials (user_id);
+        CREATE TABLE webauthn_challenges (
+          challenge TEXT PRIMARY KEY,
+          purpose TEXT NOT NULL,
+          user_id TEXT REFERENCES users(id) ON DELETE CASCADE,
+          expires_at INTEGER NOT NULL
+        );
+      `);
+    },
+  },
+  {
+    version: 11,
+    name: 'create_user_identities',
+    up: db => {
+      db.exec(`
+        CREATE TABLE user_identities (
+          id TEXT PRIMARY KEY,
+          user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          provider TEXT NOT NULL,
+          subject TEXT NOT NULL,
+          email TEXT,
+          created_at INTEGER NOT NULL,
+          last_login_at INTEGER,
+          UNIQUE (provider, subject),
+          UNIQUE (user_id, provider)
+        );
+        CREATE TABLE oidc_states (
+          state TEXT PRIMARY KEY,
+          provider TEXT NOT NULL,
+          nonce TEXT NOT NULL,
+          code_verifier TEXT NOT NULL,
+          redirect_uri TEXT NOT NULL,
+          binding_hash TEXT NOT NULL,
+          user_id TEXT REFERENCES users(id) ON DELETE CASCADE,
+          expires_at INTEGER NOT NULL
+        );
+      `);
+    },
+  },
+  {
+    version: 12,
+    name: 'create_api_keys',
+    up: db => {
+      db.exec(`
+        CREATE TABLE api_keys (
+          id TEXT PRIMARY KEY,
+          user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          name TEXT NOT NULL,
+          prefix TEXT NOT NULL UNIQUE,
+          key_hash TEXT NOT NULL,
+          scopes TEXT NOT NULL,
+          expires_at INTEGER,
+          last_used_at INTEGER,
+          last_used_ip TEXT,
+          revoked_at INTEGER,
+          created_at INTEGER NOT NULL
+        );
+        CREATE INDEX idx_api_keys_user ON api_keys (user_id);
+      `);
+    },
+  },
+  {
+    version: 13,
+    name: 'create_invites_and_settings',
+    up: db => {
+      db.exec(`
+        CREATE TABLE settings (
+          key TEXT PRIMARY KEY,
+          value TEXT NOT NULL,
+          updated_at INTEGER NOT NULL
+        );
+        CREATE TABLE invites (
+          id TEXT PRIMARY KEY,
+          label TEXT NOT NULL,
+          code_hash TEXT NOT NULL UNIQUE,
+          code_hint TEXT NOT NULL,
+          max_uses INTEGER,
+          use_count INTEGER NOT NULL DEFAULT 0,
+          expires_at INTEGER,
+          complimentary_tier TEXT,
+          complimentary_days INTEGER,
+          created_by TEXT,
+          created_at INTEGER NOT NULL,
+          revoked_at INTEGER
+        );
+        ALTER TABLE users ADD COLUMN invite_id TEXT REFERENCES invites(id);
+        ALTER TABLE users ADD COLUMN complimentary_tier TEXT;
+        ALTER TABLE users ADD COLUMN complimentary_until INTEGER;
+        ALTER TABLE oidc_states ADD COLUMN invite_id TEXT;
+      `);
+    },
+  },
+  {
+    version: 14,
+    name: 'create_consents',
+    up: db => {
+      db.exec(`
+        CREATE TABLE consents (
+          id TEXT PRIMARY KEY,
+          user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          terms_version TEXT NOT NULL,
+          age_confirmed INTEGER NOT NULL,
+          minimum_age INTEGER NOT NULL,
+          source TEXT NOT NULL,
+          ip TEXT,
+          user_agent TEXT,
+          accepted_at INTEGER NOT NULL
+        );
+        CREATE INDEX idx_consents_user ON consents (user_id, accepted_at);
+      `);
+    },
+  },
+  {
+    version: 15,
+    name: 'create_entitlements',
+    up: db => {
+      db.exec(`
+        CREATE TABLE entitlements (
+          subscription_id TEXT PRIMARY KEY,
+          customer_id TEXT NOT NULL,
+          status TEXT NOT NULL,
+          price_id TEXT,
+          current_period_end INTEGER,
+          cancel_at_period_end INTEGER NOT NULL DEFAULT 0,
+          source_at INTEGER NOT NULL,
+          updated_at INTEGER NOT NULL
+        );
+        CREATE INDEX idx_entitlements_customer ON entitlements (customer_id);
+        CREATE TABLE entitlement_syncs (
+          customer_id TEXT PRIMARY KEY,
+          synced_at INTEGER NOT NULL
+        );
+      `);
+    },
+  },
+  {
+    version: 16,
+    name: 'create_stripe_events',
+    up: db => {
+      db.exec(`
+        CREATE TABLE stripe_events (
+          id TEXT PRIMARY KEY,
+          type TEXT NOT NULL,
+          payload TEXT NOT NULL,
+          status TEXT NOT NULL,
+          attempts INTEGER NOT NULL DEFAULT 0,
+          last_error TEXT,
+          next_attempt_at INTEGER,
+          received_at INTEGER NOT NULL,
+          processed_at INTEGER
+        );
+        CREATE INDEX idx_stripe_events_status ON stripe_events (status, next_attempt_at);
+      `);
+    },
+  },
+  {
+    version: 17,
+    name: 'create_donations',
+    up: db => {
+      db.exec(`
+        CREATE TABLE donations (
+          id TEXT PRIMARY KEY,
+          user_id TEXT REFERENCES users(id) ON DELETE SET NULL,
+          checkout_session_id TEXT UNIQUE,
+          payment_intent_id TEXT,
+          amount INTEGER NOT NULL,
+          currency TEXT NOT NULL,
+          display_name TEXT,
+          message TEXT,
+          anonymous INTEGER NOT NULL DEFAULT 0,
+          status TEXT NOT NULL,
+          created_at INTEGER NOT NULL,
+          completed_at INTEGER
+        );
+        CREATE INDEX idx_donations_status ON donations (status, completed_at);
+        CREATE INDEX idx_donations_payment_intent ON donations (payment_intent_id);
+      `);
+    },
+  },
+  {
+    version: 18,
+    name: 'create_dunning_cases',
+    up: db => {
+      db.exec(`
+        CREATE TABLE dunning_cases (
+          subscription_id TEXT PRIMARY KEY,
+          customer_id TEXT NOT NULL,
+          state TEXT NOT NULL,
+          invoice_id TEXT,
+          attempt_count INTEGER NOT NULL DEFAULT 0,
+          next_payment_attempt INTEGER,
+          grace_until INTEGER NOT NULL,
+          notified_stage INTEGER NOT NULL DEFAULT 0,
+          opened_at INTEGER NOT NULL,
+          closed_at INTEGER,
+          updated_at INTEGER NOT NULL
+        );
+        CREATE INDEX idx_dunning_cases_customer ON dunning_cases (customer_id, state);
+        CREATE INDEX idx_dunning_cases_state ON dunning_cases (state, grace_until);
+      `);
+    },
+  },
+  {
+    version: 19,
+    name: 'create_video_streams',
+    up: db => {
+      db.exec(`
+        CREATE TABLE video_streams (
+          id TEXT PRIMARY KEY,
+          user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          video_id TEXT NOT NULL,
+          started_at INTEGER NOT NULL,
+          last_seen_at INTEGER NOT NULL,
+          expires_at INTEGER NOT NULL
+        );
+        CREATE INDEX idx_video_streams_user ON video_streams (user_id, last_seen_at);
+      `);
+    },
+  },
+];
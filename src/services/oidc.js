@@ -0,0 +1,390 @@
+/**
+ * OpenID Connect / OAuth2 social login
+ * Authorization code flow with PKCE, state and nonce. Providers are
+ * configured through the environment: OIDC_PROVIDERS lists them, and
+ * OIDC_<NAME>_* variables supply client credentials and, for anything
+ * without a preset, the issuer (discovery) or explicit endpoints.
+ */
+
+import { createHash, createPublicKey, randomBytes, randomUUID } from 'crypto';
+import jwt from 'jsonwebtoken';
+import { getDatabase } from './database.js';
+import { hashToken } from './auth-tokens.js';
+import { logger } from './telemetry.js';
+
+const STATE_TTL_MS = 10 * 60 * 1000;
+
+/// Known providers; Discord is plain OAuth2, so its profile comes from userinfo
+const PRESETS = {
+  google: {
+    name: 'Google',
+    issuer: 'https://accounts.google.com',
+    scopes: 'openid email profile',
+  },
+  discord: {
+    name: 'Discord',
+    authorizationEndpoint: 'https://discord.com/oauth2/authorize',
+    tokenEndpoint: 'https://discord.com/api/oauth2/token',
+    userinfoEndpoint: 'https://discord.com/api/users/@me',
+    scopes: 'identify email',
+  },
+};
+
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+/**
+ * Configuration for a provider, or null if it is not enabled
+ * @param {string} id - Provider id, e.g. 'google'
+ * @returns {object|null}
+ */
+export function getProvider(id) {
+  const enabled = (process.env.OIDC_PROVIDERS || '')
+    .split(',')
+    .map(item => item.trim().toLowerCase())
+    .filter(Boolean);
+  if (!enabled.includes(id)) {
+    return null;
+  }
+
+  const env = key => process.env[`OIDC_${id.toUpperCase()}_${key}`];
+  const provider = {
+    id,
+    ...PRESETS[id],
+    ...Object.fromEntries(
+      Object.entries({
+        name: env('NAME'),
+        issuer: env('ISSUER'),
+        authorizationEndpoint: env('AUTHORIZATION_ENDPOINT'),
+        tokenEndpoint: env('TOKEN_ENDPOINT'),
+        userinfoEndpoint: env('USERINFO_ENDPOINT'),
+        scopes: env('SCOPES'),
+      }).filter(([, value]) => value)
+    ),
+    clientId: env('CLIENT_ID'),
+    clientSecret: env('CLIENT_SECRET'),
+  };
+
+  if (!provider.clientId || !(provider.issuer || provider.tokenEndpoint)) {
+    logger.warn('OIDC provider is missing configuration', { provider: id });
+    return null;
+  }
+
+  provider.name ??= id;
+  provider.scopes ??= 'openid email profile';
+  return provider;
+}
+
+/**
+ * Enabled providers
+ * @returns {{id: string, name: string}[]}
+ */
+export function listProviders() {
+  return (process.env.OIDC_PROVIDERS || '')
+    .split(',')
+    .map(item => getProvider(item.trim().toLowerCase()))
+    .filter(Boolean)
+    .map(({ id, name }) => ({ id, name }));
+}
+
+/**
+ * Fetch JSON, failing on HTTP errors
+ */
+async function fetchJson(url, options) {
+  const response = await fetch(url, options);
+  if (!response.ok) {
+    throw new Error(`${url} responded ${response.status}`);
+  }
+  return response.json();
+}
+
+/**
+ * Endpoints for a provider (discovery document merged with overrides)
+ */
+async function resolveEndpoints(provider) {
+  let discovered = {};
+  if (provider.issuer) {
+    discovered = discoveryCache.get(provider.issuer);
+    if (!discovered) {
+      discovered = await fetchJson(
+        `${provider.issuer.replace(/\/$/, '')}/.well-known/openid-configuration`
+      );
+      discoveryCache.set(provider.issuer, discovered);
+    }
+  }
+
+  return {
+    issuer: discovered.issuer || provider.issuer,
+    authorizationEndpoint:
+      provider.authorizationEndpoint || discovered.authorization_endpoint,
+    tokenEndpoint: provider.tokenEndpoint || discovered.token_endpoint,
+    userinfoEndpoint: provider.userinfoEndpoint || discovered.userinfo_endpoint,
+    jwksUri: discovered.jwks_uri,
+  };
+}
+
+/**
+ * Public key for an ID token, refetching the JWKS once for unknown key ids
+ */
+async function signingKey(jwksUri, kid) {
+  for (const refresh of [false, true]) {
+    let keys = jwksCache.get(jwksUri);
+    if (!keys || refresh) {
+      ({ keys } = await fetchJson(jwksUri));
+      jwksCache.set(jwksUri, keys);
+    }
+    const jwk = keys.find(key => !kid || key.kid === kid);
+    if (jwk) {
+      return createPublicKey({ key: jwk, format: 'jwk' });
+    }
+  }
+  throw new Error(`No signing key ${kid} in ${jwksUri}`);
+}
+
+/**
+ * Verify an ID token's signature, issuer, audience and nonce
+ */
+async function verifyIdToken(idToken, provider, endpoints, nonce) {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    throw new Error('Malformed ID token');
+  }
+
+  const key = await signingKey(endpoints.jwksUri, decoded.header.kid);
+  const claims = jwt.verify(idToken, key, {
+    algorithms: ['RS256', 'ES256'],
+    issuer: endpoints.issuer,
+    audience: provider.clientId,
+  });
+
+  if (claims.nonce !== nonce) {
+    throw new Error('ID token nonce mismatch');
+  }
+  return claims;
+}
+
+/**
+ * Normalize OIDC claims or an OAuth2 profile (e.g. Discord) to one shape
+ */
+function toProfile(claims) {
+  return {
+    subject: String(claims.sub ?? claims.id),
+    email: claims.email ? String(claims.email).toLowerCase() : null,
+    emailVerified: Boolean(claims.email_verified ?? claims.verified),
+    name:
+      claims.name ||
+      claims.global_name ||
+      claims.preferred_username ||
+      claims.username ||
+      null,
+  };
+}
+
+/**
+ * Start an authorization code flow
+ * @param {object} provider - From getProvider()
+ * @param {object} options
+ * @param {string} options.redirectUri - Callback URL registered with the provider
+ * @param {string} [options.userId] - Logged-in user to link the identity to
+ * @param {string} [options.inviteId] - Invite for a first-time sign-up
+ * @returns {Promise<{url: string, binding: string}>} Authorization URL, and a
+ *   secret the browser must present on the callback (kept in a cookie)
+ */
+export async function beginAuthorization(
+  provider,
+  { redirectUri, userId, inviteId }
+) {
+  const endpoints = await resolveEndpoints(provider);
+  const state = randomBytes(24).toString('base64url');
+  const nonce = randomBytes(24).toString('base64url');
+  const codeVerifier = randomBytes(32).toString('base64url');
+  const binding = randomBytes(24).toString('base64url');
+  const now = Date.now();
+
+  const db = getDatabase();
+  db.prepare('DELETE FROM oidc_states WHERE expires_at <= ?').run(now);
+  db.prepare(
+    `INSERT INTO oidc_states (state, provider, nonce, code_verifier, redirect_uri, binding_hash, user_id, invite_id, expires_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`
+  ).run(
+    state,
+    provider.id,
+    nonce,
+    codeVerifier,
+    redirectUri,
+    hashToken(binding),
+    userId || null,
+    inviteId || null,
+    now + STATE_TTL_MS
+  );
+
+  const url = new URL(endpoints.authorizationEndpoint);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: redirectUri,
+    scope: provider.scopes,
+    state,
+    nonce,
+    code_challenge: createHash('sha256')
+      .update(codeVerifier)
+      .digest('base64url'),
+    code_challenge_method: 'S256',
+  }).toString();
+
+  return { url: url.toString(), binding };
+}
+
+/**
+ * Finish an authorization code flow
+ * @param {object} provider - From getProvider()
+ * @param {object} callback
+ * @param {string} callback.state
+ * @param {string} callback.code
+ * @param {string} callback.binding - Secret returned by beginAuthorization
+ * @returns {Promise<{profile: object, userId: string|null, inviteId: string|null}|null>}
+ *   The provider's profile, the user to link to and the invite presented,
+ *   or null if rejected
+ */
+export async function completeAuthorization(
+  provider,
+  { state, code, binding }
+) {
+  const flow = getDatabase()
+    .prepare('DELETE FROM oidc_states WHERE state = ? RETURNING *')
+    .get(String(state || ''));
+
+  if (
+    !flow ||
+    flow.expires_at <= Date.now() ||
+    flow.provider !== provider.id ||
+    flow.binding_hash !== hashToken(String(binding || ''))
+  ) {
+    logger.warn('OIDC callback with invalid state', { provider: provider.id });
+    return null;
+  }
+
+  try {
+    const endpoints = await resolveEndpoints(provider);
+    const tokens = await fetchJson(endpoints.tokenEndpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        Accept: 'application/json',
+      },
+      body: new URLSearchParams({
+        grant_type: 'authorization_code',
+        code: String(code || ''),
+        redirect_uri: flow.redirect_uri,
+        client_id: provider.clientId,
+        client_secret: provider.clientSecret || '',
+        code_verifier: flow.code_verifier,
+      }),
+    });
+
+    const claims = tokens.id_token
+      ? await verifyIdToken(tokens.id_token, provider, endpoints, flow.nonce)
+      : await fetchJson(endpoints.userinfoEndpoint, {
+          headers: { Authorization: `Bearer ${tokens.access_token}` },
+        });
+
+    return {
+      profile: toProfile(claims),
+      userId: flow.user_id,
+      inviteId: flow.invite_id,
+    };
+  } catch (error) {
+    logger.warn('OIDC authorization failed', {
+      error: error.message,
+      provider: provider.id,
+    });
+    return null;
+  }
+}
+
+/**
+ * Find the linked identity for a provider account
+ * @returns {Promise<object|null>} { id, userId, provider, subject, email }
+ */
+export async function findIdentity(providerId, subject) {
+  const row = getDatabase()
+    .prepare('SELECT * FROM user_identities WHERE provider = ? AND subject = ?')
+    .get(providerId, subject);
+
+  return row
+    ? {
+        id: row.id,
+        userId: row.user_id,
+        provider: row.provider,
+        subject: row.subject,
+        email: row.email,
+      }
+    : null;
+}
+
+/**
+ * Link a provider account to a user
+ * @param {string} userId
+ * @param {string} providerId
+ * @param {object} profile - From completeAuthorization()
+ * @returns {Promise<boolean>} False if the user already has this provider linked
+ */
+export async function linkIdentity(userId, providerId, profile) {
+  const now = Date.now();
+  const { changes } = getDatabase()
+    .prepare(
+      `INSERT OR IGNORE INTO user_identities (id, user_id, provider, subject, email, created_at, last_login_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`
+    )
+    .run(
+      randomUUID(),
+      userId,
+      providerId,
+      profile.subject,
+      profile.email,
+      now,
+      now
+    );
+  return changes > 0;
+}
+
+/**
+ * Record a login through a linked identity
+ */
+export async function touchIdentity(id) {
+  getDatabase()
+    .prepare('UPDATE user_identities SET last_login_at = ? WHERE id = ?')
+    .run(Date.now(), id);
+}
+
+/**
+ * List a user's linked identities
+ * @param {string} userId
+ * @returns {Promise<object[]>}
+ */
+export async function listIdentities(userId) {
+  return getDatabase()
+    .prepare(
+      'SELECT provider, email, created_at, last_login_at FROM user_identities WHERE user_id = ? ORDER BY created_at'
+    )
+    .all(userId)
+    .map(row => ({
+      provider: row.provider,
+      email: row.email,
+      linkedAt: new Date(row.created_at).toISOString(),
+      lastLoginAt: row.last_login_at
+        ? new Date(row.last_login_at).toISOString()
+        : null,
+    }));
+}
+
+/**
+ * Unlink a provider from a user
+ * @returns {Promise<boolean>} False if it was not linked
+ */
+export async function unlinkIdentity(userId, providerId) {
+  const { changes } = getDatabase()
+    .prepare('DELETE FROM user_identities WHERE user_id = ? AND provider = ?')
+    .run(userId, providerId);
+  return changes > 0;
+}
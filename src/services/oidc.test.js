@@ -0,0 +1,174 @@
+/**
+ * Tests for OIDC Service
+ * Runs the authorization code flow against a local mock issuer
+ */
+
+import { startMockIssuer } from '../__tests__/mock-oidc-issuer.js';
+import {
+  getProvider,
+  listProviders,
+  beginAuthorization,
+  completeAuthorization,
+  findIdentity,
+  linkIdentity,
+  listIdentities,
+  unlinkIdentity,
+} from './oidc.js';
+import { userRepository } from './user-repository.js';
+
+describe('OIDC Service', () => {
+  const redirectUri = 'http://localhost:3000/auth/oidc/mock/callback';
+  let issuer;
+
+  /**
+   * Follow the issuer's consent redirect and return the callback params
+   */
+  async function authorize(url) {
+    const response = await fetch(url, { redirect: 'manual' });
+    return Object.fromEntries(
+      new URL(response.headers.get('location')).searchParams
+    );
+  }
+
+  beforeAll(async () => {
+    issuer = await startMockIssuer({
+      clientId: 'church-client',
+      clientSecret: 'church-secret',
+    });
+    process.env.OIDC_PROVIDERS = 'mock, discord';
+    process.env.OIDC_MOCK_ISSUER = issuer.url;
+    process.env.OIDC_MOCK_CLIENT_ID = 'church-client';
+    process.env.OIDC_MOCK_CLIENT_SECRET = 'church-secret';
+    process.env.OIDC_DISCORD_CLIENT_ID = 'discord-client';
+  });
+
+  afterAll(async () => {
+    await issuer.close();
+    for (const key of Object.keys(process.env)) {
+      if (key.startsWith('OIDC_')) delete process.env[key];
+    }
+  });
+
+  describe('provider configuration', () => {
+    it('should only enable listed and configured providers', () => {
+      expect(getProvider('google')).toBeNull();
+      expect(listProviders()).toEqual([
+        { id: 'mock', name: 'mock' },
+        { id: 'discord', name: 'Discord' },
+      ]);
+    });
+
+    it('should apply presets for known providers', () => {
+      expect(getProvider('discord')).toMatchObject({
+        tokenEndpoint: 'https://discord.com/api/oauth2/token',
+        scopes: 'identify email',
+        clientId: 'discord-client',
+      });
+    });
+  });
+
+  describe('authorization code flow', () => {
+    it('should send PKCE, state and nonce to the provider', async () => {
+      const { url } = await beginAuthorization(getProvider('mock'), {
+        redirectUri,
+      });
+      const params = new URL(url).searchParams;
+
+      expect(params.get('code_challenge_method')).toBe('S256');
+      expect(params.get('code_challenge')).toBeTruthy();
+      expect(params.get('state')).toBeTruthy();
+      expect(params.get('nonce')).toBeTruthy();
+      expect(params.get('redirect_uri')).toBe(redirectUri);
+    });
+
+    it('should return the verified profile once per state', async () => {
+      const provider = getProvider('mock');
+      const { url, binding } = await beginAuthorization(provider, {
+        redirectUri,
+        userId: null,
+      });
+      const { code, state } = await authorize(url);
+
+      const result = await completeAuthorization(provider, {
+        state,
+        code,
+        binding,
+        redirectUri,
+      });
+      expect(result).toEqual({
+        profile: {
+          subject: 'mock-subject',
+          email: 'oidc@example.com',
+          emailVerified: true,
+          name: 'OIDC Bambi',
+        },
+        userId: null,
+        inviteId: null,
+      });
+
+      expect(
+        await completeAuthorization(provider, {
+          state,
+          code,
+          binding,
+        })
+      ).toBeNull();
+    });
+
+    it('should reject callbacks from another browser', async () => {
+      const provider = getProvider('mock');
+      const { url } = await beginAuthorization(provider, { redirectUri });
+      const { code, state } = await authorize(url);
+
+      expect(
+        await completeAuthorization(provider, {
+          state,
+          code,
+          binding: 'attacker-binding',
+        })
+      ).toBeNull();
+    });
+
+    it('should fail when the provider rejects the code', async () => {
+      const provider = getProvider('mock');
+      const { url, binding } = await beginAuthorization(provider, {
+        redirectUri,
+      });
+      const { state } = await authorize(url);
+
+      expect(
+        await completeAuthorization(provider, {
+          state,
+          code: 'forged-code',
+          binding,
+        })
+      ).toBeNull();
+    });
+  });
+
+  describe('identities', () => {
+    it('should link, find, list and unlink identities', async () => {
+      const user = await userRepository.create({
+        email: 'identity@example.com',
+        name: 'Identity Bambi',
+      });
+      const profile = { subject: 'sub-1', email: 'identity@example.com' };
+
+      expect(await linkIdentity(user.id, 'mock', profile)).toBe(true);
+      // One account per provider
+      expect(
+        await linkIdentity(user.id, 'mock', { ...profile, subject: 'sub-2' })
+      ).toBe(false);
+
+      expect(await findIdentity('mock', 'sub-1')).toMatchObject({
+        userId: user.id,
+      });
+      expect(await listIdentities(user.id)).toEqual([
+        expect.objectContaining({ provider: 'mock' }),
+      ]);
+
+      expect(await unlinkIdentity(user.id, 'mock')).toBe(true);
+      expect(await findIdentity('mock', 'sub-1')).toBeNull();
+    });
+  });
+});
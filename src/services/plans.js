@@ -0,0 +1,268 @@
+/**
+ * Plan catalog: subscription tiers and what each one unlocks
+ * Tiers follow the same inheritance as roles in rbac.js (each tier includes
+ * everything below it). Stripe price IDs are environment specific, so they
+ * are mapped to tiers through STRIPE_PRICES_<TIER> (comma-separated), and
+ * STRIPE_TRIAL_DAYS_<TIER> sets a tier's free trial.
+ */
+
+import Stripe from 'stripe';
+import { userRepository } from './user-repository.js';
+import { getEntitlements } from './entitlements.js';
+import { hasComplimentaryAccess } from './invites.js';
+import { logger } from './telemetry.js';
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+
+export const Tiers = Object.freeze({
+  SUPPORTER: 'supporter',
+  DEVOTEE: 'devotee',
+  INNER_CIRCLE: 'inner-circle',
+});
+
+/// Entitlements granted by each tier, lowest to highest. Entitlements name
+/// private markdown folders (markdown:*), video features and collections
+/// (video:*) and chat rooms (chat:*).
+const TIER_GRANTS = [
+  [
+    Tiers.SUPPORTER,
+    {
+      name: 'Supporter',
+      concurrentStreams: 1,
+      grants: ['markdown:private', 'video:watch', 'chat:sanctuary'],
+    },
+  ],
+  [
+    Tiers.DEVOTEE,
+    {
+      name: 'Devotee',
+      concurrentStreams: 2,
+      grants: [
+        'markdown:devotee',
+        'video:hd',
+        'video:collection:devotee',
+        'chat:devotee',
+      ],
+    },
+  ],
+  [
+    Tiers.INNER_CIRCLE,
+    {
+      name: 'Inner Circle',
+      concurrentStreams: 4,
+      grants: [
+        'markdown:inner-circle',
+        'video:collection:inner-circle',
+        'chat:inner-circle',
+      ],
+    },
+  ],
+];
+
+/**
+ * Expanded catalog (tier -> plan with every entitlement it holds)
+ */
+export const PLANS = Object.freeze(
+  Object.fromEntries(
+    TIER_GRANTS.map(([tier, { name, concurrentStreams }], index) => [
+      tier,
+      Object.freeze({
+        id: tier,
+        name,
+        rank: index + 1,
+        concurrentStreams,
+        entitlements: Object.freeze(
+          TIER_GRANTS.slice(0, index + 1).flatMap(([, plan]) => plan.grants)
+        ),
+      }),
+    ])
+  )
+);
+
+const PRICE_CACHE_TTL_MS = 10 * 60 * 1000;
+/// Longest trial Stripe accepts
+const MAX_TRIAL_DAYS = 730;
+let priceCache = null;
+
+/**
+ * Per-tier environment setting, e.g. STRIPE_PRICES_INNER_CIRCLE
+ */
+function tierSetting(prefix, tier) {
+  return process.env[`${prefix}_${tier.toUpperCase().replace(/-/g, '_')}`];
+}
+
+/**
+ * Check whether a tier is in the catalog
+ * @param {string} tier
+ * @returns {boolean}
+ */
+export function isValidTier(tier) {
+  return Object.hasOwn(PLANS, tier);
+}
+
+/**
+ * Check whether a tier grants an entitlement
+ * @param {string} tier
+ * @param {string} entitlement - e.g. 'video:hd'
+ * @returns {boolean}
+ */
+export function tierHasEntitlement(tier, entitlement) {
+  return isValidTier(tier) && PLANS[tier].entitlements.includes(entitlement);
+}
+
+/**
+ * Cheapest tier that grants an entitlement
+ * @param {string} entitlement
+ * @returns {string|null} Tier, or null if no plan grants it
+ */
+export function lowestTierWith(entitlement) {
+  return (
+    Object.values(PLANS).find(plan => plan.entitlements.includes(entitlement))
+      ?.id ?? null
+  );
+}
+
+/**
+ * Whether any plan grants an entitlement (i.e. it is gated at all)
+ * @param {string} entitlement
+ * @returns {boolean}
+ */
+export function isCatalogEntitlement(entitlement) {
+  return lowestTierWith(entitlement) !== null;
+}
+
+/**
+ * Stripe price IDs configured for a tier
+ * @param {string} tier
+ * @returns {string[]}
+ */
+export function priceIdsForTier(tier) {
+  return (tierSetting('STRIPE_PRICES', tier) || '')
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Free trial offered to first-time subscribers of a tier
+ * @param {string} tier
+ * @returns {number} Days, 0 for no trial
+ */
+export function trialDaysForTier(tier) {
+  const days = parseInt(tierSetting('STRIPE_TRIAL_DAYS', tier), 10);
+  return days > 0 ? Math.min(days, MAX_TRIAL_DAYS) : 0;
+}
+
+/**
+ * Tier a Stripe price belongs to
+ * @param {string} priceId
+ * @returns {string|null}
+ */
+export function tierForPrice(priceId) {
+  return (
+    Object.keys(PLANS).find(tier => priceIdsForTier(tier).includes(priceId)) ??
+    null
+  );
+}
+
+/**
+ * Amount and interval for configured prices, cached briefly
+ */
+async function priceDetails() {
+  if (!priceCache || priceCache.fetchedAt <= Date.now() - PRICE_CACHE_TTL_MS) {
+    const prices = await stripe.prices.list({ active: true, limit: 100 });
+    priceCache = {
+      fetchedAt: Date.now(),
+      prices: new Map(prices.data.map(price => [price.id, price])),
+    };
+  }
+  return priceCache.prices;
+}
+
+/**
+ * The plan catalog with each tier's purchasable prices
+ * Amounts come from Stripe; without it the price IDs are still listed.
+ * @returns {Promise<object[]>}
+ */
+export async function listPlans() {
+  let details = new Map();
+  try {
+    details = await priceDetails();
+  } catch (error) {
+    logger.warn('Could not load plan prices from Stripe', {
+      error: error.message,
+    });
+  }
+
+  return Object.values(PLANS).map(plan => ({
+    ...plan,
+    trialDays: trialDaysForTier(plan.id),
+    prices: priceIdsForTier(plan.id).map(id => {
+      const price = details.get(id);
+      return {
+        id,
+        unitAmount: price?.unit_amount ?? null,
+        currency: price?.currency ?? null,
+        interval: price?.recurring?.interval ?? null,
+      };
+    }),
+  }));
+}
+
+/**
+ * Plan a user currently holds: the higher of an active subscription and
+ * complimentary access from an invite
+ * @param {object} account
+ * @param {string} account.userId
+ * @param {string} [account.stripeCustomerId] - Defaults to the user's own
+ * @returns {Promise<object|null>} { tier, plan, source, subscription }, or
+ *   null without any access
+ */
+export async function resolvePlan({ userId, stripeCustomerId }) {
+  const user = await userRepository.findById(userId);
+  const customerId = stripeCustomerId ?? user?.stripeCustomerId;
+  const candidates = [];
+
+  if (hasComplimentaryAccess(user) && isValidTier(user.complimentaryTier)) {
+    candidates.push({
+      tier: user.complimentaryTier,
+      source: 'complimentary',
+      subscription: {
+        complimentary: true,
+        tier: user.complimentaryTier,
+        expiresAt: user.complimentaryUntil
+          ? new Date(user.complimentaryUntil).toISOString()
+          : null,
+      },
+    });
+  }
+
+  if (customerId) {
+    try {
+      for (const subscription of await getEntitlements(customerId)) {
+        let tier = tierForPrice(subscription.price_id);
+        if (!tier) {
+          // Keep paying customers on prices missing from the catalog served
+          logger.warn('Subscription price is not in the plan catalog', {
+            priceId: subscription.price_id,
+            subscriptionId: subscription.id,
+          });
+          tier = Tiers.SUPPORTER;
+        }
+        candidates.push({ tier, source: 'subscription', subscription });
+      }
+    } catch (error) {
+      // Complimentary access still applies when Stripe is unavailable
+      if (candidates.length === 0) throw error;
+      logger.warn('Subscription lookup failed, using complimentary plan', {
+        error: error.message,
+        userId,
+      });
+    }
+  }
+
+  const best = candidates.sort(
+    (a, b) => PLANS[b.tier].rank - PLANS[a.tier].rank
+  )[0];
+  return best ? { ...best, plan: PLANS[best.tier] } : null;
+}
@@ -0,0 +1,228 @@
+/**
+ * Tests for Plan Catalog
+ * Verifies tier inheritance, price mapping and plan resolution from
+ * subscriptions and complimentary access
+ */
+
+import { jest } from '@jest/globals';
+
+const mockStripe = {
+  subscriptions: {
+    list: jest.fn(),
+  },
+  prices: {
+    list: jest.fn(),
+  },
+};
+
+jest.unstable_mockModule('stripe', () => ({
+  default: jest.fn(() => mockStripe),
+}));
+
+describe('Plan Catalog', () => {
+  let plans, userRepository;
+
+  beforeAll(async () => {
+    process.env.STRIPE_PRICES_SUPPORTER = 'price_sup_month, price_sup_year';
+    process.env.STRIPE_PRICES_INNER_CIRCLE = 'price_inner';
+    plans = await import('./plans.js');
+    ({ userRepository } = await import('./user-repository.js'));
+  });
+
+  afterAll(() => {
+    delete process.env.STRIPE_PRICES_SUPPORTER;
+    delete process.env.STRIPE_PRICES_INNER_CIRCLE;
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('catalog', () => {
+    it('should include lower tiers in higher ones', () => {
+      const { PLANS, Tiers, tierHasEntitlement } = plans;
+
+      expect(PLANS[Tiers.SUPPORTER].entitlements).toContain('video:watch');
+      expect(tierHasEntitlement(Tiers.SUPPORTER, 'video:hd')).toBe(false);
+      expect(tierHasEntitlement(Tiers.DEVOTEE, 'video:hd')).toBe(true);
+      expect(tierHasEntitlement(Tiers.INNER_CIRCLE, 'video:watch')).toBe(true);
+      expect(tierHasEntitlement('platinum', 'video:watch')).toBe(false);
+    });
+
+    it('should name the cheapest tier for an entitlement', () => {
+      expect(plans.lowestTierWith('video:hd')).toBe('devotee');
+      expect(plans.lowestTierWith('chat:inner-circle')).toBe('inner-circle');
+      expect(plans.lowestTierWith('chat:general')).toBeNull();
+      expect(plans.isCatalogEntitlement('chat:general')).toBe(false);
+    });
+
+    it('should map configured Stripe prices to tiers', () => {
+      expect(plans.tierForPrice('price_sup_year')).toBe('supporter');
+      expect(plans.tierForPrice('price_inner')).toBe('inner-circle');
+      expect(plans.tierForPrice('price_unknown')).toBeNull();
+      expect(plans.priceIdsForTier('devotee')).toEqual([]);
+    });
+
+    it('should read trial lengths per tier', () => {
+      process.env.STRIPE_TRIAL_DAYS_INNER_CIRCLE = '3650';
+      process.env.STRIPE_TRIAL_DAYS_SUPPORTER = 'soon';
+
+      expect(plans.trialDaysForTier('inner-circle')).toBe(730);
+      expect(plans.trialDaysForTier('supporter')).toBe(0);
+      expect(plans.trialDaysForTier('devotee')).toBe(0);
+
+      delete process.env.STRIPE_TRIAL_DAYS_INNER_CIRCLE;
+      delete process.env.STRIPE_TRIAL_DAYS_SUPPORTER;
+    });
+
+    it('should list plans with amounts from Stripe', async () => {
+      mockStripe.prices.list.mockResolvedValue({
+        data: [
+          {
+            id: 'price_sup_month',
+            unit_amount: 500,
+            currency: 'usd',
+            recurring: { interval: 'month' },
+          },
+        ],
+      });
+
+      const listed = await plans.listPlans();
+
+      expect(listed.map(plan => plan.id)).toEqual([
+        'supporter',
+        'devotee',
+        'inner-circle',
+      ]);
+      expect(listed[0].prices).toEqual([
+        {
+          id: 'price_sup_month',
+          unitAmount: 500,
+          currency: 'usd',
+          interval: 'month',
+        },
+        {
+          id: 'price_sup_year',
+          unitAmount: null,
+          currency: null,
+          interval: null,
+        },
+      ]);
+    });
+  });
+
+  describe('resolvePlan', () => {
+    /**
+     * Customer whose only subscription uses the given price
+     */
+    function subscribedWith(customer, price) {
+      mockStripe.subscriptions.list.mockResolvedValue({
+        data: [
+          {
+            id: `sub_${price}`,
+            customer,
+            status: 'active',
+            items: { data: [{ price: { id: price } }] },
+          },
+        ],
+      });
+    }
+
+    it('should resolve the tier of the subscribed price', async () => {
+      const user = await userRepository.create({
+        email: 'plans-sub@example.com',
+        name: 'Subscriber',
+        stripeCustomerId: 'cus_plans_inner',
+      });
+      subscribedWith('cus_plans_inner', 'price_inner');
+
+      const access = await plans.resolvePlan({ userId: user.id });
+
+      expect(access).toMatchObject({
+        tier: 'inner-circle',
+        source: 'subscription',
+      });
+      expect(access.plan.entitlements).toContain('video:hd');
+    });
+
+    it('should keep prices missing from the catalog on the lowest tier', async () => {
+      const user = await userRepository.create({
+        email: 'plans-legacy@example.com',
+        name: 'Legacy',
+        stripeCustomerId: 'cus_plans_legacy',
+      });
+      subscribedWith('cus_plans_legacy', 'price_legacy');
+
+      expect((await plans.resolvePlan({ userId: user.id })).tier).toBe(
+        'supporter'
+      );
+    });
+
+    it('should prefer the higher of complimentary and paid tiers', async () => {
+      const user = await userRepository.create({
+        email: 'plans-both@example.com',
+        name: 'Both',
+        stripeCustomerId: 'cus_plans_both',
+        complimentaryTier: 'devotee',
+      });
+      subscribedWith('cus_plans_both', 'price_sup_month');
+
+      expect(await plans.resolvePlan({ userId: user.id })).toMatchObject({
+        tier: 'devotee',
+        source: 'complimentary',
+      });
+    });
+
+    it('should take the highest tier of several subscriptions', async () => {
+      const user = await userRepository.create({
+        email: 'plans-addon@example.com',
+        name: 'Add-on',
+        stripeCustomerId: 'cus_plans_addon',
+      });
+      mockStripe.subscriptions.list.mockResolvedValue({
+        data: [
+          {
+            id: 'sub_main',
+            customer: 'cus_plans_addon',
+            status: 'active',
+            items: {
+              data: [
+                {
+                  price: { id: 'price_inner' },
+                  current_period_end: 1900000000,
+                },
+              ],
+            },
+          },
+          {
+            id: 'sub_addon',
+            customer: 'cus_plans_addon',
+            status: 'active',
+            items: {
+              data: [
+                {
+                  price: { id: 'price_sup_month' },
+                  current_period_end: 1950000000,
+                },
+              ],
+            },
+          },
+        ],
+      });
+
+      expect(await plans.resolvePlan({ userId: user.id })).toMatchObject({
+        tier: 'inner-circle',
+        subscription: { id: 'sub_main' },
+      });
+    });
+
+    it('should return null without any access', async () => {
+      const user = await userRepository.create({
+        email: 'plans-none@example.com',
+        name: 'Nobody',
+      });
+
+      expect(await plans.resolvePlan({ userId: user.id })).toBeNull();
+    });
+  });
+});
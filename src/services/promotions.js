@@ -0,0 +1,145 @@
+/**
+ * Checkout offers: free trials and promotion codes
+ * Trials (configured per tier, see plans.js) are only offered to customers
+ * who have never subscribed. Promotion codes are checked here before a
+ * Checkout session is created, so users learn why a code does not apply
+ * instead of being turned away on Stripe's hosted page.
+ */
+
+import Stripe from 'stripe';
+import { trialDaysForTier } from './plans.js';
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+
+/**
+ * Whether a customer has ever had a subscription (trials are one per customer)
+ * @param {string} customerId
+ * @returns {Promise<boolean>}
+ */
+export async function hasSubscribedBefore(customerId) {
+  const subscriptions = await stripe.subscriptions.list({
+    customer: customerId,
+    status: 'all',
+    limit: 1,
+  });
+  return subscriptions.data.length > 0;
+}
+
+/**
+ * Trial to offer a customer subscribing to a tier
+ * @param {string} [customerId]
+ * @param {string} tier
+ * @returns {Promise<number>} Days, 0 for no trial
+ */
+export async function trialDaysFor(customerId, tier) {
+  const days = trialDaysForTier(tier);
+  if (!days || (customerId && (await hasSubscribedBefore(customerId)))) {
+    return 0;
+  }
+  return days;
+}
+
+/**
+ * Whether a customer has paid for anything yet
+ */
+async function hasPaidBefore(customerId) {
+  const invoices = await stripe.invoices.list({
+    customer: customerId,
+    status: 'paid',
+    limit: 1,
+  });
+  return invoices.data.length > 0;
+}
+
+/**
+ * Discount a coupon gives, for display
+ */
+function toDiscount(coupon) {
+  return {
+    name: coupon.name,
+    percentOff: coupon.percent_off,
+    amountOff: coupon.amount_off,
+    currency: coupon.currency,
+    duration: coupon.duration,
+    durationInMonths: coupon.duration_in_months,
+  };
+}
+
+/**
+ * Check that a promotion code can be redeemed by a customer for a price
+ * @param {string} code - As entered by the user
+ * @param {object} context
+ * @param {string} [context.customerId] - Redeeming Stripe customer
+ * @param {string} [context.priceId] - Plan price it would apply to
+ * @returns {Promise<object>} { valid: true, promotionCode: { id, code },
+ *   discount } or { valid: false, reason }
+ */
+export async function validatePromotionCode(code, { customerId, priceId }) {
+  const { data } = await stripe.promotionCodes.list({
+    code,
+    active: true,
+    limit: 1,
+    expand: ['data.promotion.coupon.applies_to'],
+  });
+  const promotionCode = data[0];
+  const coupon = promotionCode?.promotion?.coupon;
+
+  if (!promotionCode || !coupon?.valid) {
+    return { valid: false, reason: 'Unknown or expired promotion code' };
+  }
+
+  if (promotionCode.customer && promotionCode.customer !== customerId) {
+    return {
+      valid: false,
+      reason: 'This promotion code is not available for your account',
+    };
+  }
+
+  const { restrictions } = promotionCode;
+  if (
+    restrictions?.first_time_transaction &&
+    customerId &&
+    (await hasPaidBefore(customerId))
+  ) {
+    return {
+      valid: false,
+      reason: 'This promotion code is only for first-time purchases',
+    };
+  }
+
+  if (priceId) {
+    const price = await stripe.prices.retrieve(priceId);
+    const products = coupon.applies_to?.products;
+
+    if (products?.length && !products.includes(price.product)) {
+      return {
+        valid: false,
+        reason: 'This promotion code does not apply to this plan',
+      };
+    }
+
+    if (coupon.amount_off && coupon.currency !== price.currency) {
+      return {
+        valid: false,
+        reason: 'This promotion code is for another currency',
+      };
+    }
+
+    if (
+      restrictions?.minimum_amount &&
+      restrictions.minimum_amount_currency === price.currency &&
+      price.unit_amount < restrictions.minimum_amount
+    ) {
+      return {
+        valid: false,
+        reason: 'This plan does not meet the promotion code minimum',
+      };
+    }
+  }
+
+  return {
+    valid: true,
+    promotionCode: { id: promotionCode.id, code: promotionCode.code },
+    discount: toDiscount(coupon),
+  };
+}
@@ -0,0 +1,173 @@
+/**
+ * Tests for Checkout Offers
+ * Verifies trial eligibility and server-side promotion code checks
+ */
+
+import { jest } from '@jest/globals';
+
+const mockStripe = {
+  subscriptions: {
+    list: jest.fn(),
+  },
+  invoices: {
+    list: jest.fn(),
+  },
+  promotionCodes: {
+    list: jest.fn(),
+  },
+  prices: {
+    retrieve: jest.fn(),
+  },
+};
+
+jest.unstable_mockModule('stripe', () => ({
+  default: jest.fn(() => mockStripe),
+}));
+
+describe('Checkout Offers', () => {
+  let trialDaysFor, validatePromotionCode;
+
+  /**
+   * Promotion code whose coupon has the given fields
+   */
+  function promotionCode(coupon = {}, overrides = {}) {
+    return {
+      id: 'promo_1',
+      code: 'WELCOME',
+      customer: null,
+      restrictions: { first_time_transaction: false, minimum_amount: null },
+      promotion: {
+        type: 'coupon',
+        coupon: {
+          valid: true,
+          percent_off: 20,
+          amount_off: null,
+          currency: null,
+          duration: 'once',
+          duration_in_months: null,
+          ...coupon,
+        },
+      },
+      ...overrides,
+    };
+  }
+
+  beforeAll(async () => {
+    process.env.STRIPE_TRIAL_DAYS_DEVOTEE = '7';
+    ({ trialDaysFor, validatePromotionCode } = await import('./promotions.js'));
+  });
+
+  afterAll(() => {
+    delete process.env.STRIPE_TRIAL_DAYS_DEVOTEE;
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockStripe.prices.retrieve.mockResolvedValue({
+      id: 'price_devotee',
+      product: 'prod_devotee',
+      currency: 'usd',
+      unit_amount: 1500,
+    });
+  });
+
+  describe('trialDaysFor', () => {
+    it("should offer the tier's trial to new subscribers", async () => {
+      mockStripe.subscriptions.list.mockResolvedValue({ data: [] });
+
+      expect(await trialDaysFor('cus_new', 'devotee')).toBe(7);
+      expect(await trialDaysFor('cus_new', 'supporter')).toBe(0);
+    });
+
+    it('should not offer a second trial', async () => {
+      mockStripe.subscriptions.list.mockResolvedValue({
+        data: [{ id: 'sub_old', status: 'canceled' }],
+      });
+
+      expect(await trialDaysFor('cus_returning', 'devotee')).toBe(0);
+    });
+  });
+
+  describe('validatePromotionCode', () => {
+    it('should accept a valid code and describe its discount', async () => {
+      mockStripe.promotionCodes.list.mockResolvedValue({
+        data: [promotionCode()],
+      });
+
+      const check = await validatePromotionCode('WELCOME', {
+        customerId: 'cus_1',
+        priceId: 'price_devotee',
+      });
+
+      expect(check).toEqual({
+        valid: true,
+        promotionCode: { id: 'promo_1', code: 'WELCOME' },
+        discount: expect.objectContaining({ percentOff: 20 }),
+      });
+      expect(mockStripe.promotionCodes.list).toHaveBeenCalledWith(
+        expect.objectContaining({ code: 'WELCOME', active: true })
+      );
+    });
+
+    it('should reject unknown codes', async () => {
+      mockStripe.promotionCodes.list.mockResolvedValue({ data: [] });
+
+      expect(await validatePromotionCode('NOPE', {})).toMatchObject({
+        valid: false,
+      });
+    });
+
+    it('should reject codes issued to another customer', async () => {
+      mockStripe.promotionCodes.list.mockResolvedValue({
+        data: [promotionCode({}, { customer: 'cus_other' })],
+      });
+
+      expect(
+        (await validatePromotionCode('WELCOME', { customerId: 'cus_1' })).valid
+      ).toBe(false);
+    });
+
+    it('should reject codes for other products', async () => {
+      mockStripe.promotionCodes.list.mockResolvedValue({
+        data: [promotionCode({ applies_to: { products: ['prod_inner'] } })],
+      });
+
+      const check = await validatePromotionCode('WELCOME', {
+        priceId: 'price_devotee',
+      });
+
+      expect(check.valid).toBe(false);
+      expect(check.reason).toMatch(/does not apply to this plan/);
+    });
+
+    it('should reject first-time codes for paying customers', async () => {
+      mockStripe.promotionCodes.list.mockResolvedValue({
+        data: [
+          promotionCode({}, { restrictions: { first_time_transaction: true } }),
+        ],
+      });
+      mockStripe.invoices.list.mockResolvedValue({ data: [{ id: 'in_1' }] });
+
+      expect(
+        (await validatePromotionCode('WELCOME', { customerId: 'cus_1' })).valid
+      ).toBe(false);
+    });
+
+    it('should reject fixed-amount codes in another currency', async () => {
+      mockStripe.promotionCodes.list.mockResolvedValue({
+        data: [
+          promotionCode({
+            percent_off: null,
+            amount_off: 500,
+            currency: 'eur',
+          }),
+        ],
+      });
+
+      expect(
+        (await validatePromotionCode('WELCOME', { priceId: 'price_devotee' }))
+          .valid
+      ).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * Role-based access control
+ * Roles follow the agent authority hierarchy (COMMANDER > SUPERVISOR >
+ * OPERATOR > OBSERVER); each role inherits the permissions of the roles
+ * below it.
+ */
+
+import { userRepository } from './user-repository.js';
+import { logger } from './telemetry.js';
+
+export const Roles = Object.freeze({
+  COMMANDER: 'COMMANDER',
+  SUPERVISOR: 'SUPERVISOR',
+  OPERATOR: 'OPERATOR',
+  OBSERVER: 'OBSERVER',
+});
+
+export const DEFAULT_ROLE = Roles.OBSERVER;
+
+/// Permissions granted by each role, lowest to highest
+/// (billing:read and billing:write cover the caller's own billing;
+/// billing:manage is billing administration)
+const ROLE_GRANTS = [
+  [
+    Roles.OBSERVER,
+    ['content:read', 'video:stream', 'billing:read', 'billing:write'],
+  ],
+  [Roles.OPERATOR, ['video:upload', 'markdown:write']],
+  [Roles.SUPERVISOR, ['content:manage', 'users:read']],
+  [Roles.COMMANDER, ['users:manage', 'roles:assign', 'billing:manage']],
+];
+
+/**
+ * Expanded permission map (role -> every permission it holds)
+ */
+export const PERMISSIONS = Object.freeze(
+  Object.fromEntries(
+    ROLE_GRANTS.map(([role], index) => [
+      role,
+      Object.freeze(
+        ROLE_GRANTS.slice(0, index + 1).flatMap(([, grants]) => grants)
+      ),
+    ])
+  )
+);
+
+/**
+ * Check whether a role is known
+ * @param {string} role
+ * @returns {boolean}
+ */
+export function isValidRole(role) {
+  return Object.hasOwn(PERMISSIONS, role);
+}
+
+/**
+ * Check whether a role grants a permission
+ * @param {string} role
+ * @param {string} permission - e.g. 'video:upload'
+ * @returns {boolean}
+ */
+export function hasPermission(role, permission) {
+  return isValidRole(role) && PERMISSIONS[role].includes(permission);
+}
+
+/**
+ * Promote the accounts listed in ADMIN_EMAILS to COMMANDER
+ * Only verified addresses are promoted, so the list cannot be claimed by
+ * registering someone else's email first.
+ * @returns {Promise<number>} Number of accounts promoted
+ */
+export async function bootstrapAdmins(emails = process.env.ADMIN_EMAILS) {
+  const addresses = String(emails || '')
+    .split(',')
+    .map(email => email.trim())
+    .filter(Boolean);
+
+  let promoted = 0;
+  for (const email of addresses) {
+    const user = await userRepository.findByEmail(email);
+    if (user?.emailVerifiedAt && user.role !== Roles.COMMANDER) {
+      await userRepository.update(user.id, { role: Roles.COMMANDER });
+      logger.warn('Bootstrap admin promoted', { userId: user.id });
+      promoted++;
+    }
+  }
+
+  return promoted;
+}
@@ -0,0 +1,82 @@
+/**
+ * Tests for RBAC Service
+ * Verifies the role hierarchy, permission checks, and admin bootstrap
+ */
+
+import {
+  Roles,
+  PERMISSIONS,
+  DEFAULT_ROLE,
+  hasPermission,
+  isValidRole,
+  bootstrapAdmins,
+} from './rbac.js';
+import { userRepository } from './user-repository.js';
+
+describe('RBAC Service', () => {
+  describe('hasPermission', () => {
+    it('should grant base permissions to every role', () => {
+      for (const role of Object.values(Roles)) {
+        expect(hasPermission(role, 'content:read')).toBe(true);
+      }
+    });
+
+    it('should inherit permissions from lower roles', () => {
+      expect(hasPermission(Roles.OPERATOR, 'video:upload')).toBe(true);
+      expect(hasPermission(Roles.SUPERVISOR, 'video:upload')).toBe(true);
+      expect(hasPermission(Roles.COMMANDER, 'roles:assign')).toBe(true);
+    });
+
+    it('should not grant permissions from higher roles', () => {
+      expect(hasPermission(Roles.OBSERVER, 'video:upload')).toBe(false);
+      expect(hasPermission(Roles.SUPERVISOR, 'roles:assign')).toBe(false);
+    });
+
+    it('should reject unknown roles', () => {
+      expect(isValidRole('admin')).toBe(false);
+      expect(hasPermission('admin', 'content:read')).toBe(false);
+      expect(hasPermission(undefined, 'content:read')).toBe(false);
+    });
+
+    it('should expose a permission map for every role', () => {
+      expect(Object.keys(PERMISSIONS).sort()).toEqual(
+        Object.values(Roles).sort()
+      );
+    });
+  });
+
+  describe('bootstrapAdmins', () => {
+    it('should give new users the default role', async () => {
+      const user = await userRepository.create({
+        email: 'observer@example.com',
+        name: 'Observer',
+      });
+
+      expect(user.role).toBe(DEFAULT_ROLE);
+    });
+
+    it('should only promote verified accounts', async () => {
+      const verified = await userRepository.create({
+        email: 'commander@example.com',
+        name: 'Commander',
+        emailVerifiedAt: new Date().toISOString(),
+      });
+      const unverified = await userRepository.create({
+        email: 'squatter@example.com',
+        name: 'Squatter',
+      });
+
+      const promoted = await bootstrapAdmins(
+        'commander@example.com, squatter@example.com'
+      );
+
+      expect(promoted).toBe(1);
+      expect((await userRepository.findById(verified.id)).role).toBe(
+        Roles.COMMANDER
+      );
+      expect((await userRepository.findById(unverified.id)).role).toBe(
+        DEFAULT_ROLE
+      );
+    });
+  });
+});
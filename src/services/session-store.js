@@ -0,0 +1,233 @@
+/**
+ * Persistent express-session store backed by SQLite
+ * Sessions survive restarts and are shared by every cluster worker, and
+ * each row records the owning user so people can review and end their
+ * other logins.
+ */
+
+import { randomUUID } from 'crypto';
+import session from 'express-session';
+import { getDatabase } from './database.js';
+import { logger } from './telemetry.js';
+
+const DEFAULT_TTL_MS = 24 * 3600000;
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * Expiry timestamp for a session
+ */
+function expiresAt(sess) {
+  const expires = sess?.cookie?.expires;
+  return expires ? new Date(expires).getTime() : Date.now() + DEFAULT_TTL_MS;
+}
+
+/**
+ * express-session Store implementation
+ */
+export class SqliteSessionStore extends session.Store {
+  /**
+   * @param {object} [options]
+   * @param {Function} [options.connect] - Returns an open better-sqlite3 connection
+   */
+  constructor({ connect = getDatabase } = {}) {
+    super();
+    this.connect = connect;
+  }
+
+  get db() {
+    return this.connect();
+  }
+
+  get(sid, callback) {
+    try {
+      const row = this.db
+        .prepare('SELECT data, expires_at FROM sessions WHERE sid = ?')
+        .get(sid);
+
+      if (!row) {
+        return callback(null, null);
+      }
+
+      if (row.expires_at <= Date.now()) {
+        this.db.prepare('DELETE FROM sessions WHERE sid = ?').run(sid);
+        return callback(null, null);
+      }
+
+      callback(null, JSON.parse(row.data));
+    } catch (error) {
+      callback(error);
+    }
+  }
+
+  set(sid, sess, callback = () => {}) {
+    try {
+      const now = Date.now();
+      this.db
+        .prepare(
+          `INSERT INTO sessions (sid, id, user_id, data, expires_at, created_at, last_seen_at)
+           VALUES (@sid, @id, @userId, @data, @expiresAt, @now, @now)
+           ON CONFLICT (sid) DO UPDATE SET
+             user_id = excluded.user_id,
+             data = excluded.data,
+             expires_at = excluded.expires_at,
+             last_seen_at = excluded.last_seen_at`
+        )
+        .run({
+          sid,
+          id: randomUUID(),
+          userId: sess.user?.id ?? null,
+          data: JSON.stringify(sess),
+          expiresAt: expiresAt(sess),
+          now,
+        });
+      this.db.prepare('DELETE FROM sessions WHERE expires_at <= ?').run(now);
+      callback(null);
+    } catch (error) {
+      callback(error);
+    }
+  }
+
+  /**
+   * Refresh expiry and last-seen time (throttled to one write a minute)
+   */
+  touch(sid, sess, callback = () => {}) {
+    try {
+      const now = Date.now();
+      this.db
+        .prepare(
+          'UPDATE sessions SET expires_at = ?, last_seen_at = ? WHERE sid = ? AND last_seen_at < ?'
+        )
+        .run(expiresAt(sess), now, sid, now - LAST_SEEN_RESOLUTION_MS);
+      callback(null);
+    } catch (error) {
+      callback(error);
+    }
+  }
+
+  destroy(sid, callback = () => {}) {
+    try {
+      this.db.prepare('DELETE FROM sessions WHERE sid = ?').run(sid);
+      callback(null);
+    } catch (error) {
+      callback(error);
+    }
+  }
+
+  length(callback) {
+    try {
+      callback(
+        null,
+        this.db
+          .prepare(
+            'SELECT COUNT(*) AS count FROM sessions WHERE expires_at > ?'
+          )
+          .get(Date.now()).count
+      );
+    } catch (error) {
+      callback(error);
+    }
+  }
+
+  clear(callback = () => {}) {
+    try {
+      this.db.prepare('DELETE FROM sessions').run();
+      callback(null);
+    } catch (error) {
+      callback(error);
+    }
+  }
+}
+
+/**
+ * Human-readable device label from a User-Agent header
+ * @param {string} userAgent
+ * @returns {string} e.g. "Firefox on Windows"
+ */
+export function describeUserAgent(userAgent = '') {
+  const browsers = [
+    [/Edg\//, 'Edge'],
+    [/OPR\/|Opera/, 'Opera'],
+    [/Firefox\//, 'Firefox'],
+    [/Chrome\//, 'Chrome'],
+    [/Safari\//, 'Safari'],
+  ];
+  const systems = [
+    [/Windows/, 'Windows'],
+    [/iPhone|iPad|iPod/, 'iOS'],
+    [/Mac OS X|Macintosh/, 'macOS'],
+    [/Android/, 'Android'],
+    [/Linux/, 'Linux'],
+  ];
+
+  const match = list => list.find(([pattern]) => pattern.test(userAgent))?.[1];
+  const browser = match(browsers);
+  const system = match(systems);
+
+  if (browser && system) return `${browser} on ${system}`;
+  return browser || system || 'Unknown device';
+}
+
+/**
+ * Device details for the request behind a session
+ * @param {object} req - Express request
+ * @returns {{label: string, userAgent: string, ip: string}}
+ */
+export function sessionDevice(req) {
+  const userAgent = req.get('user-agent') || '';
+  return { label: describeUserAgent(userAgent), userAgent, ip: req.ip };
+}
+
+/**
+ * List a user's active sessions
+ * @param {string} userId
+ * @param {string} [currentSid] - Session ID of the caller, flagged as current
+ * @returns {Promise<object[]>}
+ */
+export async function listUserSessions(userId, currentSid) {
+  const rows = getDatabase()
+    .prepare(
+      `SELECT sid, id, data, created_at, last_seen_at FROM sessions
+       WHERE user_id = ? AND expires_at > ? ORDER BY last_seen_at DESC`
+    )
+    .all(userId, Date.now());
+
+  return rows.map(row => {
+    const { device = {} } = JSON.parse(row.data);
+    return {
+      id: row.id,
+      device: device.label || 'Unknown device',
+      userAgent: device.userAgent || null,
+      ip: device.ip || null,
+      createdAt: new Date(row.created_at).toISOString(),
+      lastSeenAt: new Date(row.last_seen_at).toISOString(),
+      current: row.sid === currentSid,
+    };
+  });
+}
+
+/**
+ * End one of a user's sessions
+ * @param {string} userId
+ * @param {string} id - Public session id (from listUserSessions)
+ * @returns {Promise<boolean>} False if no such session belongs to the user
+ */
+export async function destroyUserSession(userId, id) {
+  const result = getDatabase()
+    .prepare('DELETE FROM sessions WHERE user_id = ? AND id = ?')
+    .run(userId, id);
+  return result.changes > 0;
+}
+
+/**
+ * End every session belonging to a user
+ * @param {string} userId
+ * @returns {Promise<number>} Number of sessions ended
+ */
+export async function destroyUserSessions(userId) {
+  const { changes } = getDatabase()
+    .prepare('DELETE FROM sessions WHERE user_id = ?')
+    .run(userId);
+
+  logger.info('User sessions destroyed', { userId, count: changes });
+  return changes;
+}
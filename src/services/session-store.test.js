@@ -0,0 +1,116 @@
+/**
+ * Tests for Session Store
+ * Verifies persistence, expiry, and per-user session management
+ */
+
+import { promisify } from 'util';
+import {
+  SqliteSessionStore,
+  describeUserAgent,
+  listUserSessions,
+  destroyUserSession,
+  destroyUserSessions,
+} from './session-store.js';
+import { userRepository } from './user-repository.js';
+
+describe('Session Store', () => {
+  let store, get, set, destroy, user;
+
+  /**
+   * Build session data as express-session would
+   */
+  function sessionData(overrides = {}) {
+    return {
+      cookie: { expires: new Date(Date.now() + 60000).toISOString() },
+      user: { id: user.id },
+      device: { label: 'Firefox on Linux', userAgent: 'UA', ip: '10.0.0.1' },
+      ...overrides,
+    };
+  }
+
+  beforeAll(async () => {
+    store = new SqliteSessionStore();
+    get = promisify(store.get.bind(store));
+    set = promisify(store.set.bind(store));
+    destroy = promisify(store.destroy.bind(store));
+    user = await userRepository.create({
+      email: 'sessions@example.com',
+      name: 'Session Bambi',
+    });
+  });
+
+  describe('express-session store', () => {
+    it('should save and load sessions', async () => {
+      await set('sid-1', sessionData());
+
+      expect(await get('sid-1')).toMatchObject({ user: { id: user.id } });
+    });
+
+    it('should forget destroyed sessions', async () => {
+      await set('sid-2', sessionData());
+      await destroy('sid-2');
+
+      expect(await get('sid-2')).toBeNull();
+    });
+
+    it('should not load expired sessions', async () => {
+      await set(
+        'sid-expired',
+        sessionData({
+          cookie: { expires: new Date(Date.now() - 1000).toISOString() },
+        })
+      );
+
+      expect(await get('sid-expired')).toBeNull();
+    });
+  });
+
+  describe('user sessions', () => {
+    it('should list sessions with device details', async () => {
+      await set('sid-a', sessionData());
+      await set('sid-b', sessionData());
+
+      const sessions = await listUserSessions(user.id, 'sid-a');
+      const current = sessions.find(entry => entry.current);
+
+      expect(sessions.length).toBeGreaterThanOrEqual(2);
+      expect(current.device).toBe('Firefox on Linux');
+      expect(current.ip).toBe('10.0.0.1');
+      expect(current.id).not.toBe('sid-a');
+    });
+
+    it('should only end sessions owned by the user', async () => {
+      const [session] = await listUserSessions(user.id);
+
+      expect(await destroyUserSession('someone-else', session.id)).toBe(false);
+      expect(await destroyUserSession(user.id, session.id)).toBe(true);
+    });
+
+    it('should end every session for a user', async () => {
+      await destroyUserSessions(user.id);
+
+      expect(await listUserSessions(user.id)).toHaveLength(0);
+      expect(await get('sid-a')).toBeNull();
+    });
+  });
+
+  describe('describeUserAgent', () => {
+    it('should name common browsers and systems', () => {
+      expect(
+        describeUserAgent(
+          'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:128.0) Gecko/20100101 Firefox/128.0'
+        )
+      ).toBe('Firefox on Windows');
+      expect(
+        describeUserAgent(
+          'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1'
+        )
+      ).toBe('Safari on iOS');
+    });
+
+    it('should fall back for unknown agents', () => {
+      expect(describeUserAgent('curl/8.0')).toBe('Unknown device');
+      expect(describeUserAgent()).toBe('Unknown device');
+    });
+  });
+});
@@ -0,0 +1,206 @@
+/**
+ * Handlers for verified Stripe webhook events, keyed by event type
+ * Each runs at most once per successfully processed event (see
+ * stripe-webhooks.js), so metrics incremented here are not double-counted
+ * when Stripe redelivers. A handler that throws is retried with backoff.
+ */
+
+import {
+  logger,
+  trackStripeWebhook,
+  trackSecurityEvent,
+  stripeSubscriptionsActive,
+  stripePaymentValue,
+} from './telemetry.js';
+import { recordSubscription } from './entitlements.js';
+import { userRepository } from './user-repository.js';
+import { sendMail } from './mailer.js';
+import { sendToUser } from './websocket.js';
+import {
+  completeDonation,
+  expireDonation,
+  failDonation,
+  refundDonation,
+} from './donations.js';
+import {
+  recordPaymentFailure,
+  recordPaymentSuccess,
+  recordSubscriptionStatus,
+} from './dunning.js';
+
+/**
+ * Keep the local entitlement cache in step with a subscription event
+ */
+async function syncSubscription(event) {
+  await recordSubscription(event.data.object, event.created * 1000);
+}
+
+async function paymentIntentSucceeded(event) {
+  const paymentIntent = event.data.object;
+  trackStripeWebhook('payment_intent.succeeded', 'success');
+  stripePaymentValue.inc(
+    { currency: paymentIntent.currency },
+    paymentIntent.amount / 100
+  );
+  logger.info('PaymentIntent succeeded', {
+    paymentIntentId: paymentIntent.id,
+    customer: paymentIntent.customer,
+    amount: paymentIntent.amount / 100,
+    currency: paymentIntent.currency.toUpperCase(),
+  });
+}
+
+async function subscriptionChanged(event) {
+  const subscription = event.data.object;
+  await syncSubscription(event);
+  await recordSubscriptionStatus(subscription);
+  trackStripeWebhook(event.type, 'success');
+  if (event.type === 'customer.subscription.created') {
+    stripeSubscriptionsActive.inc();
+  }
+  logger.info(`Subscription ${event.type}`, {
+    subscriptionId: subscription.id,
+    customer: subscription.customer,
+    status: subscription.status,
+    planId: subscription.items?.data[0]?.price.id,
+  });
+}
+
+/**
+ * Warn the subscriber (by email, and live if connected) that their trial is
+ * about to convert to a paid plan; Stripe sends this three days ahead
+ */
+async function subscriptionTrialWillEnd(event) {
+  const subscription = event.data.object;
+  await syncSubscription(event);
+
+  const customerId = String(subscription.customer?.id ?? subscription.customer);
+  const user = await userRepository.findByStripeCustomerId(customerId);
+  if (!user) {
+    logger.warn('Trial ending for unknown customer', {
+      subscriptionId: subscription.id,
+      customer: customerId,
+    });
+    return;
+  }
+
+  const trialEnd = new Date(subscription.trial_end * 1000);
+  const publicUrl = process.env.PUBLIC_URL || 'http://localhost:3000';
+
+  await sendMail({
+    to: user.email,
+    subject: 'Your BambiSleep Church trial ends soon',
+    text: `Hello ${user.name},\n\nYour free trial ends on ${trialEnd.toUTCString()}. Your subscription then continues as a paid plan${subscription.cancel_at_period_end ? ', but you have already canceled it, so you will not be charged' : ' and your card will be charged'}.\n\nYou can change or cancel your plan any time from your account at ${publicUrl}.`,
+  });
+
+  sendToUser(user.id, {
+    type: 'trial_will_end',
+    subscriptionId: subscription.id,
+    trialEnd: trialEnd.toISOString(),
+  });
+
+  trackStripeWebhook(event.type, 'success');
+  logger.info('Trial ending notice sent', {
+    subscriptionId: subscription.id,
+    userId: user.id,
+    trialEnd: trialEnd.toISOString(),
+  });
+}
+
+async function subscriptionDeleted(event) {
+  const deletedSubscription = event.data.object;
+  await syncSubscription(event);
+  await recordSubscriptionStatus(deletedSubscription);
+  trackStripeWebhook('customer.subscription.deleted', 'success');
+  stripeSubscriptionsActive.dec();
+  logger.warn('Subscription canceled', {
+    subscriptionId: deletedSubscription.id,
+    customer: deletedSubscription.customer,
+    canceledAt: new Date(deletedSubscription.canceled_at * 1000).toISOString(),
+  });
+}
+
+/**
+ * Also handles checkout.session.async_payment_succeeded, when a delayed
+ * payment method settles after the session completed unpaid
+ */
+async function checkoutSessionCompleted(event) {
+  const session = event.data.object;
+  if (session.mode !== 'payment') {
+    return;
+  }
+
+  const donation = await completeDonation(session);
+  if (donation) {
+    trackStripeWebhook(event.type, 'success');
+    logger.info('Donation completed', {
+      donationId: donation.id,
+      amount: donation.amount / 100,
+      currency: donation.currency.toUpperCase(),
+    });
+  }
+}
+
+async function checkoutSessionExpired(event) {
+  await expireDonation(event.data.object);
+}
+
+async function checkoutSessionAsyncPaymentFailed(event) {
+  const session = event.data.object;
+  if (await failDonation(session)) {
+    trackStripeWebhook('checkout.session.async_payment_failed', 'failed');
+    logger.warn('Donation payment failed', {
+      checkoutSessionId: session.id,
+      paymentIntentId: session.payment_intent,
+    });
+  }
+}
+
+async function chargeRefunded(event) {
+  const charge = event.data.object;
+  if (await refundDonation(charge)) {
+    logger.info('Donation refunded', {
+      chargeId: charge.id,
+      paymentIntentId: charge.payment_intent,
+    });
+  }
+}
+
+async function invoicePaymentFailed(event) {
+  const invoice = event.data.object;
+  await recordPaymentFailure(invoice);
+  trackStripeWebhook('invoice.payment_failed', 'failed');
+  trackSecurityEvent('stripe_payment_failure', 'medium', {
+    customerId: invoice.customer,
+    invoiceId: invoice.id,
+    attemptCount: invoice.attempt_count,
+    amount: invoice.amount_due / 100,
+  });
+  logger.error('Payment failed for invoice', {
+    invoiceId: invoice.id,
+    customer: invoice.customer,
+    attemptCount: invoice.attempt_count,
+    amountDue: invoice.amount_due / 100,
+  });
+}
+
+async function invoicePaid(event) {
+  await recordPaymentSuccess(event.data.object);
+}
+
+export const webhookHandlers = {
+  'payment_intent.succeeded': paymentIntentSucceeded,
+  'customer.subscription.created': subscriptionChanged,
+  'customer.subscription.updated': subscriptionChanged,
+  'customer.subscription.paused': syncSubscription,
+  'customer.subscription.resumed': syncSubscription,
+  'customer.subscription.trial_will_end': subscriptionTrialWillEnd,
+  'customer.subscription.deleted': subscriptionDeleted,
+  'invoice.payment_failed': invoicePaymentFailed,
+  'invoice.paid': invoicePaid,
+  'checkout.session.completed': checkoutSessionCompleted,
+  'checkout.session.async_payment_succeeded': checkoutSessionCompleted,
+  'checkout.session.async_payment_failed': checkoutSessionAsyncPaymentFailed,
+  'checkout.session.expired': checkoutSessionExpired,
+  'charge.refunded': chargeRefunded,
+};
@@ -0,0 +1,210 @@
+/**
+ * Tests for Stripe Webhook Handlers
+ * Verifies trial-ending notices reach the subscriber by email and WebSocket,
+ * that invoice events drive the dunning workflow, and that donations are
+ * recorded only once paid
+ */
+
+import { jest } from '@jest/globals';
+
+const mockSendToUser = jest.fn();
+
+jest.unstable_mockModule('./websocket.js', () => ({
+  sendToUser: mockSendToUser,
+  disconnectUser: jest.fn(),
+}));
+
+describe('Stripe Webhook Handlers', () => {
+  let webhookHandlers, userRepository;
+  const sent = [];
+
+  beforeAll(async () => {
+    const { registerMailTransport } = await import('./mailer.js');
+    registerMailTransport('memory', async message => {
+      sent.push(message);
+      return { id: `memory-${sent.length}` };
+    });
+    process.env.MAIL_TRANSPORT = 'memory';
+
+    ({ webhookHandlers } = await import('./stripe-webhook-handlers.js'));
+    ({ userRepository } = await import('./user-repository.js'));
+  });
+
+  afterAll(() => {
+    delete process.env.MAIL_TRANSPORT;
+  });
+
+  describe('customer.subscription.trial_will_end', () => {
+    const handle = event =>
+      webhookHandlers['customer.subscription.trial_will_end'](event);
+
+    /**
+     * trial_will_end event for a customer's subscription
+     */
+    function trialEvent(customer) {
+      return {
+        id: `evt_trial_${customer}`,
+        type: 'customer.subscription.trial_will_end',
+        created: Math.floor(Date.now() / 1000),
+        data: {
+          object: {
+            id: `sub_trial_${customer}`,
+            customer,
+            status: 'trialing',
+            trial_end: 1900000000,
+            cancel_at_period_end: false,
+            items: { data: [{ price: { id: 'price_devotee' } }] },
+          },
+        },
+      };
+    }
+
+    it('should email and notify the subscriber', async () => {
+      const user = await userRepository.create({
+        email: 'trial@example.com',
+        name: 'Trial Bambi',
+        stripeCustomerId: 'cus_trial',
+      });
+
+      await handle(trialEvent('cus_trial'));
+
+      expect(sent.at(-1)).toMatchObject({
+        to: 'trial@example.com',
+        subject: 'Your BambiSleep Church trial ends soon',
+      });
+      expect(sent.at(-1).text).toContain(new Date(1900000000000).toUTCString());
+      expect(mockSendToUser).toHaveBeenCalledWith(user.id, {
+        type: 'trial_will_end',
+        subscriptionId: 'sub_trial_cus_trial',
+        trialEnd: new Date(1900000000000).toISOString(),
+      });
+    });
+
+    it('should skip customers without an account', async () => {
+      const before = sent.length;
+
+      await handle(trialEvent('cus_unknown'));
+
+      expect(sent).toHaveLength(before);
+    });
+  });
+
+  describe('invoice events', () => {
+    /**
+     * Invoice event for a subscription renewal
+     */
+    function invoiceEvent(type) {
+      return {
+        id: `evt_${type}`,
+        type,
+        created: Math.floor(Date.now() / 1000),
+        data: {
+          object: {
+            id: 'in_renewal',
+            customer: 'cus_renewal',
+            attempt_count: 1,
+            amount_due: 999,
+            parent: { subscription_details: { subscription: 'sub_renewal' } },
+          },
+        },
+      };
+    }
+
+    it('should open and close a dunning case', async () => {
+      const { getOpenCase } = await import('./dunning.js');
+      await userRepository.create({
+        email: 'renewal@example.com',
+        name: 'Renewal Bambi',
+        stripeCustomerId: 'cus_renewal',
+      });
+
+      await webhookHandlers['invoice.payment_failed'](
+        invoiceEvent('invoice.payment_failed')
+      );
+      await expect(getOpenCase('cus_renewal')).resolves.toMatchObject({
+        subscriptionId: 'sub_renewal',
+        state: 'grace',
+      });
+
+      await webhookHandlers['invoice.paid'](invoiceEvent('invoice.paid'));
+      await expect(getOpenCase('cus_renewal')).resolves.toBeNull();
+      expect(sent.at(-1).subject).toBe(
+        'Your BambiSleep Church payment went through'
+      );
+    });
+  });
+
+  describe('checkout events', () => {
+    let getDatabase;
+
+    /**
+     * Pending donation for a Checkout session, and its status
+     */
+    function pendingDonation(sessionId) {
+      const db = getDatabase();
+      db.prepare(
+        `INSERT INTO donations (id, checkout_session_id, amount, currency, status, created_at)
+         VALUES (?, ?, 500, 'eur', 'pending', ?)`
+      ).run(`don_${sessionId}`, sessionId, Date.now());
+      return () =>
+        db
+          .prepare('SELECT status FROM donations WHERE checkout_session_id = ?')
+          .get(sessionId).status;
+    }
+
+    /**
+     * Checkout event for a donation session
+     */
+    function checkoutEvent(type, id, paymentStatus) {
+      return {
+        id: `evt_${type}_${id}`,
+        type,
+        data: {
+          object: {
+            id,
+            mode: 'payment',
+            payment_intent: `pi_${id}`,
+            payment_status: paymentStatus,
+            amount_total: 500,
+          },
+        },
+      };
+    }
+
+    beforeAll(async () => {
+      ({ getDatabase } = await import('./database.js'));
+    });
+
+    it('should record a delayed donation once the payment succeeds', async () => {
+      const status = pendingDonation('cs_delayed');
+
+      await webhookHandlers['checkout.session.completed'](
+        checkoutEvent('checkout.session.completed', 'cs_delayed', 'unpaid')
+      );
+      expect(status()).toBe('pending');
+
+      await webhookHandlers['checkout.session.async_payment_succeeded'](
+        checkoutEvent(
+          'checkout.session.async_payment_succeeded',
+          'cs_delayed',
+          'paid'
+        )
+      );
+      expect(status()).toBe('completed');
+    });
+
+    it('should mark a donation failed when the payment fails', async () => {
+      const status = pendingDonation('cs_bounced');
+
+      await webhookHandlers['checkout.session.async_payment_failed'](
+        checkoutEvent(
+          'checkout.session.async_payment_failed',
+          'cs_bounced',
+          'unpaid'
+        )
+      );
+
+      expect(status()).toBe('failed');
+    });
+  });
+});
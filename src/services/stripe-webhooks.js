@@ -0,0 +1,272 @@
+/**
+ * Persisted, idempotent Stripe webhook processing
+ * Every verified event is stored by its Stripe id before it is handled, so
+ * redeliveries are recognised and skipped. Failed handlers are retried with
+ * exponential backoff; after STRIPE_WEBHOOK_MAX_ATTEMPTS the event is
+ * dead-lettered until an administrator replays it.
+ */
+
+import { getDatabase } from './database.js';
+import { logger, stripeWebhooksTotal } from './telemetry.js';
+import { webhookHandlers } from './stripe-webhook-handlers.js';
+
+export const WebhookEventStatus = Object.freeze({
+  RECEIVED: 'received',
+  PROCESSING: 'processing',
+  PROCESSED: 'processed',
+  IGNORED: 'ignored',
+  FAILED: 'failed',
+  DEAD: 'dead',
+});
+
+const MAX_ATTEMPTS = parseInt(process.env.STRIPE_WEBHOOK_MAX_ATTEMPTS, 10) || 5;
+const RETRY_BASE_MS = 60 * 1000;
+/// How long a worker may hold an event before another may take it over
+const PROCESSING_LEASE_MS = 5 * 60 * 1000;
+const RETRY_INTERVAL_MS = 30 * 1000;
+
+const handlers = new Map(Object.entries(webhookHandlers));
+let retryTimer = null;
+
+/**
+ * Register (or replace) the handler for an event type
+ * @param {string} type - e.g. 'invoice.paid'
+ * @param {Function} handler - async (event) => void
+ */
+export function registerWebhookHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+/**
+ * Event details for administrators (without the payload)
+ */
+function toSummary(row) {
+  const iso = value => (value ? new Date(value).toISOString() : null);
+  return {
+    id: row.id,
+    type: row.type,
+    status: row.status,
+    attempts: row.attempts,
+    lastError: row.last_error,
+    nextAttemptAt: row.status === 'failed' ? iso(row.next_attempt_at) : null,
+    receivedAt: iso(row.received_at),
+    processedAt: iso(row.processed_at),
+  };
+}
+
+/**
+ * Store a verified event
+ * @param {object} event - Stripe event
+ * @returns {Promise<{duplicate: boolean}>} Whether it had already been received
+ */
+export async function recordWebhookEvent(event) {
+  const now = Date.now();
+  const { changes } = getDatabase()
+    .prepare(
+      `INSERT OR IGNORE INTO stripe_events (id, type, payload, status, next_attempt_at, received_at)
+       VALUES (?, ?, ?, ?, ?, ?)`
+    )
+    .run(
+      event.id,
+      event.type,
+      JSON.stringify(event),
+      WebhookEventStatus.RECEIVED,
+      now,
+      now
+    );
+  return { duplicate: changes === 0 };
+}
+
+/**
+ * Take an event for processing (atomic, so two workers cannot both run it)
+ */
+function claimEvent(id, now) {
+  return getDatabase()
+    .prepare(
+      `UPDATE stripe_events
+       SET status = 'processing', attempts = attempts + 1, next_attempt_at = ?
+       WHERE id = ? AND (status IN ('received', 'failed')
+         OR (status = 'processing' AND next_attempt_at <= ?))
+       RETURNING *`
+    )
+    .get(now + PROCESSING_LEASE_MS, id, now);
+}
+
+/**
+ * Run the handler for a stored event
+ * Never throws: handler failures are recorded and scheduled for retry, and
+ * an event the database could not update stays stored for retryDueEvents.
+ * @param {string} id - Stripe event id
+ * @returns {Promise<object|null>} The event's summary, or null if it is not
+ *   waiting to be processed (or could not be)
+ */
+export async function processWebhookEvent(id) {
+  try {
+    return await runWebhookEvent(id);
+  } catch (error) {
+    logger.error('Webhook event processing failed', {
+      error: error.message,
+      eventId: id,
+    });
+    return null;
+  }
+}
+
+/**
+ * Claim a stored event, run its handler and record the outcome
+ */
+async function runWebhookEvent(id) {
+  const now = Date.now();
+  const row = claimEvent(id, now);
+  if (!row) {
+    return null;
+  }
+
+  const db = getDatabase();
+  const handler = handlers.get(row.type);
+
+  try {
+    if (handler) {
+      await handler(JSON.parse(row.payload));
+    } else {
+      stripeWebhooksTotal.inc({ event_type: row.type, status: 'unhandled' });
+      logger.warn('Unhandled webhook event', {
+        eventType: row.type,
+        eventId: row.id,
+      });
+    }
+
+    db.prepare(
+      `UPDATE stripe_events
+       SET status = ?, last_error = NULL, next_attempt_at = NULL, processed_at = ?
+       WHERE id = ?`
+    ).run(
+      handler ? WebhookEventStatus.PROCESSED : WebhookEventStatus.IGNORED,
+      Date.now(),
+      id
+    );
+  } catch (error) {
+    const dead = row.attempts >= MAX_ATTEMPTS;
+    const retryAt = now + RETRY_BASE_MS * 2 ** (row.attempts - 1);
+
+    db.prepare(
+      `UPDATE stripe_events SET status = ?, last_error = ?, next_attempt_at = ?
+       WHERE id = ?`
+    ).run(
+      dead ? WebhookEventStatus.DEAD : WebhookEventStatus.FAILED,
+      error.message,
+      dead ? null : retryAt,
+      id
+    );
+
+    stripeWebhooksTotal.inc({
+      event_type: row.type,
+      status: dead ? 'dead_letter' : 'retry_scheduled',
+    });
+    logger.error('Webhook handler failed', {
+      error: error.message,
+      eventId: id,
+      eventType: row.type,
+      attempts: row.attempts,
+      deadLettered: dead,
+    });
+  }
+
+  return getWebhookEvent(id);
+}
+
+/**
+ * Retry failed events whose backoff has elapsed (and events left behind by a
+ * worker that stopped mid-processing)
+ * @returns {Promise<number>} Number of events attempted
+ */
+export async function retryDueEvents() {
+  const due = getDatabase()
+    .prepare(
+      `SELECT id FROM stripe_events
+       WHERE status IN ('received', 'failed', 'processing') AND next_attempt_at <= ?
+       ORDER BY received_at LIMIT 100`
+    )
+    .all(Date.now());
+
+  for (const { id } of due) {
+    await processWebhookEvent(id);
+  }
+  return due.length;
+}
+
+/**
+ * Look up a stored event
+ * @returns {Promise<object|null>}
+ */
+export async function getWebhookEvent(id) {
+  const row = getDatabase()
+    .prepare('SELECT * FROM stripe_events WHERE id = ?')
+    .get(id);
+  return row ? toSummary(row) : null;
+}
+
+/**
+ * List stored events, newest first
+ * @param {object} [options]
+ * @param {string} [options.status] - One of WebhookEventStatus
+ * @param {number} [options.limit]
+ * @returns {Promise<object[]>}
+ */
+export async function listWebhookEvents({ status, limit = 50 } = {}) {
+  const db = getDatabase();
+  const rows = status
+    ? db
+        .prepare(
+          'SELECT * FROM stripe_events WHERE status = ? ORDER BY received_at DESC LIMIT ?'
+        )
+        .all(status, limit)
+    : db
+        .prepare(
+          'SELECT * FROM stripe_events ORDER BY received_at DESC LIMIT ?'
+        )
+        .all(limit);
+  return rows.map(toSummary);
+}
+
+/**
+ * Process a failed or dead-lettered event again now
+ * @param {string} id
+ * @returns {Promise<object|null>} The event after the attempt, or null if it
+ *   is not in a replayable state
+ */
+export async function replayWebhookEvent(id) {
+  const { changes } = getDatabase()
+    .prepare(
+      `UPDATE stripe_events SET status = 'received', next_attempt_at = ?
+       WHERE id = ? AND status IN ('failed', 'dead')`
+    )
+    .run(Date.now(), id);
+  if (changes === 0) {
+    return null;
+  }
+
+  logger.info('Replaying webhook event', { eventId: id });
+  return processWebhookEvent(id);
+}
+
+/**
+ * Start retrying due events in the background
+ */
+export function startWebhookRetries() {
+  if (retryTimer) return;
+  retryTimer = setInterval(() => {
+    retryDueEvents().catch(error => {
+      logger.error('Webhook retry sweep failed', { error: error.message });
+    });
+  }, RETRY_INTERVAL_MS);
+  retryTimer.unref();
+}
+
+/**
+ * Stop the background retries
+ */
+export function stopWebhookRetries() {
+  clearInterval(retryTimer);
+  retryTimer = null;
+}
@@ -0,0 +1,146 @@
+/**
+ * Tests for Stripe Webhook Processing
+ * Verifies deduplication, retry with backoff, dead-lettering and replay
+ */
+
+import { jest } from '@jest/globals';
+import {
+  WebhookEventStatus,
+  registerWebhookHandler,
+  recordWebhookEvent,
+  processWebhookEvent,
+  retryDueEvents,
+  listWebhookEvents,
+  replayWebhookEvent,
+} from './stripe-webhooks.js';
+import { getDatabase } from './database.js';
+
+describe('Stripe Webhook Processing', () => {
+  let sequence = 0;
+
+  /**
+   * A Stripe-shaped event of the given type
+   */
+  function makeEvent(type) {
+    sequence += 1;
+    return {
+      id: `evt_test_${sequence}`,
+      type,
+      created: Math.floor(Date.now() / 1000),
+      data: { object: { id: `obj_${sequence}` } },
+    };
+  }
+
+  /**
+   * Make a failed event due for retry now
+   */
+  function makeDue(id) {
+    getDatabase()
+      .prepare('UPDATE stripe_events SET next_attempt_at = 0 WHERE id = ?')
+      .run(id);
+  }
+
+  it('should run the handler once and skip redeliveries', async () => {
+    const handler = jest.fn();
+    registerWebhookHandler('test.once', handler);
+    const event = makeEvent('test.once');
+
+    expect(await recordWebhookEvent(event)).toEqual({ duplicate: false });
+    const processed = await processWebhookEvent(event.id);
+    expect(await recordWebhookEvent(event)).toEqual({ duplicate: true });
+    expect(await processWebhookEvent(event.id)).toBeNull();
+
+    expect(processed).toMatchObject({
+      status: WebhookEventStatus.PROCESSED,
+      attempts: 1,
+    });
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(handler).toHaveBeenCalledWith(event);
+  });
+
+  it('should mark events without a handler as ignored', async () => {
+    const event = makeEvent('test.unknown');
+    await recordWebhookEvent(event);
+
+    expect((await processWebhookEvent(event.id)).status).toBe(
+      WebhookEventStatus.IGNORED
+    );
+  });
+
+  it('should leave the event for retry when the database fails', async () => {
+    const handler = jest.fn();
+    registerWebhookHandler('test.locked', handler);
+    const event = makeEvent('test.locked');
+    await recordWebhookEvent(event);
+    const prepare = jest
+      .spyOn(getDatabase(), 'prepare')
+      .mockImplementationOnce(() => {
+        throw new Error('database is locked');
+      });
+
+    await expect(processWebhookEvent(event.id)).resolves.toBeNull();
+    prepare.mockRestore();
+
+    await retryDueEvents();
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it('should schedule failed handlers for retry with backoff', async () => {
+    const handler = jest
+      .fn()
+      .mockRejectedValueOnce(new Error('database busy'))
+      .mockResolvedValue();
+    registerWebhookHandler('test.flaky', handler);
+    const event = makeEvent('test.flaky');
+    await recordWebhookEvent(event);
+
+    const failed = await processWebhookEvent(event.id);
+    expect(failed).toMatchObject({
+      status: WebhookEventStatus.FAILED,
+      attempts: 1,
+      lastError: 'database busy',
+    });
+    expect(Date.parse(failed.nextAttemptAt)).toBeGreaterThan(Date.now());
+
+    // Not due yet
+    await retryDueEvents();
+    expect(handler).toHaveBeenCalledTimes(1);
+
+    makeDue(event.id);
+    await retryDueEvents();
+    expect(handler).toHaveBeenCalledTimes(2);
+    expect(
+      (await listWebhookEvents()).find(e => e.id === event.id)
+    ).toMatchObject({
+      status: WebhookEventStatus.PROCESSED,
+      attempts: 2,
+      lastError: null,
+    });
+  });
+
+  it('should dead-letter events that keep failing and allow replay', async () => {
+    let broken = true;
+    registerWebhookHandler('test.broken', async () => {
+      if (broken) throw new Error('handler bug');
+    });
+    const event = makeEvent('test.broken');
+    await recordWebhookEvent(event);
+
+    await processWebhookEvent(event.id);
+    for (let attempt = 2; attempt <= 5; attempt++) {
+      makeDue(event.id);
+      await retryDueEvents();
+    }
+
+    const dead = await listWebhookEvents({ status: WebhookEventStatus.DEAD });
+    expect(dead.map(e => e.id)).toContain(event.id);
+    expect(dead.find(e => e.id === event.id).attempts).toBe(5);
+
+    broken = false;
+    const replayed = await replayWebhookEvent(event.id);
+    expect(replayed.status).toBe(WebhookEventStatus.PROCESSED);
+
+    // Processed events cannot be replayed (that would double-count)
+    expect(await replayWebhookEvent(event.id)).toBeNull();
+  });
+});
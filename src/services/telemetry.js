@@ -93,7 +93,7 @@ export const httpRequestsInFlight = new Gauge({
 export const authAttemptsTotal = new Counter({
   name: 'auth_attempts_total',
   help: 'Total authentication attempts',
-  labelNames: ['type', 'status'],
+  labelNames: ['method', 'outcome'],
   registers: [promRegistry],
 });
 
@@ -141,7 +141,7 @@ export const websocketConnectionsActive = new Gauge({
 export const websocketMessagesTotal = new Counter({
   name: 'websocket_messages_total',
   help: 'Total WebSocket messages',
-  labelNames: ['type', 'direction'],
+  labelNames: ['message_type', 'direction'],
   registers: [promRegistry],
 });
 
@@ -149,7 +149,7 @@ export const websocketMessagesTotal = new Counter({
 export const videoStreamsTotal = new Counter({
   name: 'video_streams_total',
   help: 'Total video stream requests',
-  labelNames: ['video_id', 'status'],
+  labelNames: ['video_id', 'quality'],
   registers: [promRegistry],
 });
 
@@ -203,7 +203,7 @@ export const securityEventsTotal = new Counter({
 export const rateLimitHitsTotal = new Counter({
   name: 'rate_limit_hits_total',
   help: 'Number of rate limit violations',
-  labelNames: ['endpoint', 'ip'],
+  labelNames: ['route'],
   registers: [promRegistry],
 });
 
@@ -225,7 +225,7 @@ export const contentAccessTotal = new Counter({
 export const userRegistrations = new Counter({
   name: 'user_registrations_total',
   help: 'Total user registrations',
-  labelNames: ['source'],
+  labelNames: ['source', 'invite'],
   registers: [promRegistry],
 });
 
@@ -317,7 +317,7 @@ export function trackSecurityEvent(eventType, severity, metadata = {}) {
  * Track authentication attempt
  */
 export function trackAuthAttempt(type, status, userId = null) {
-  authAttemptsTotal.inc({ type, status });
+  authAttemptsTotal.inc({ method: type, outcome: status });
 
   logger.info('Authentication attempt', {
     type,
@@ -0,0 +1,250 @@
+/**
+ * API token lifecycle
+ * Short-lived JWT access tokens paired with rotating opaque refresh tokens.
+ * Every access token carries a jti that can be placed on the revocation list.
+ * Refresh tokens belong to a family; presenting a rotated (already revoked)
+ * refresh token revokes the whole family, since it indicates token theft.
+ */
+
+import { randomBytes, randomUUID } from 'crypto';
+import jwt from 'jsonwebtoken';
+import { getDatabase } from './database.js';
+import { hashToken } from './auth-tokens.js';
+import { logger, trackSecurityEvent } from './telemetry.js';
+
+export const ACCESS_TOKEN_TTL_SECONDS =
+  parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS, 10) || 15 * 60;
+const REFRESH_TOKEN_TTL_MS =
+  (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30) * 24 * 3600000;
+
+/**
+ * Key signing access tokens and login challenges
+ * Fails closed: without JWT_SECRET nothing is signed or accepted.
+ */
+export function jwtSecret() {
+  const secret = process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('JWT_SECRET is not configured');
+  }
+  return secret;
+}
+
+/**
+ * Put an access token id on the revocation list
+ */
+function revokeJti(db, jti, userId, reason, expiresAt) {
+  db.prepare(
+    `INSERT OR IGNORE INTO revoked_tokens (jti, user_id, reason, expires_at, revoked_at)
+     VALUES (?, ?, ?, ?, ?)`
+  ).run(jti, userId, reason, expiresAt, Date.now());
+}
+
+/**
+ * Revoke refresh tokens matching a WHERE clause, along with their access tokens
+ * @returns {number} Number of refresh tokens revoked
+ */
+function revokeRefreshRows(db, where, params, reason) {
+  const rows = db
+    .prepare(
+      `SELECT id, user_id, access_jti, access_expires_at FROM refresh_tokens
+       WHERE ${where} AND revoked_at IS NULL`
+    )
+    .all(...params);
+
+  const markRevoked = db.prepare(
+    'UPDATE refresh_tokens SET revoked_at = ? WHERE id = ?'
+  );
+  const now = Date.now();
+
+  for (const row of rows) {
+    markRevoked.run(now, row.id);
+    if (row.access_expires_at > now) {
+      revokeJti(db, row.access_jti, row.user_id, reason, row.access_expires_at);
+    }
+  }
+
+  return rows.length;
+}
+
+/**
+ * Issue an access token and a refresh token for a user
+ * @param {object} user
+ * @param {object} [options]
+ * @param {string} [options.familyId] - Refresh token family (set when rotating)
+ * @returns {Promise<{accessToken: string, refreshToken: string, expiresIn: number}>}
+ */
+export async function issueTokenPair(user, { familyId = randomUUID() } = {}) {
+  const db = getDatabase();
+  const jti = randomUUID();
+  const now = Date.now();
+
+  const accessToken = jwt.sign(
+    {
+      id: user.id,
+      email: user.email,
+      stripeCustomerId: user.stripeCustomerId,
+      role: user.role,
+    },
+    jwtSecret(),
+    { expiresIn: ACCESS_TOKEN_TTL_SECONDS, jwtid: jti }
+  );
+
+  const refreshToken = randomBytes(32).toString('base64url');
+
+  db.prepare(
+    `INSERT INTO refresh_tokens
+       (id, user_id, family_id, token_hash, access_jti, access_expires_at, expires_at, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+  ).run(
+    randomUUID(),
+    user.id,
+    familyId,
+    hashToken(refreshToken),
+    jti,
+    now + ACCESS_TOKEN_TTL_SECONDS * 1000,
+    now + REFRESH_TOKEN_TTL_MS,
+    now
+  );
+
+  return { accessToken, refreshToken, expiresIn: ACCESS_TOKEN_TTL_SECONDS };
+}
+
+/**
+ * Verify an access token's signature and expiry (no revocation check)
+ * @param {string} token
+ * @returns {object} Decoded payload
+ * @throws {Error} If the token is invalid, expired, or has no id
+ */
+export function decodeAccessToken(token) {
+  const decoded = jwt.verify(token, jwtSecret());
+
+  if (!decoded.jti) {
+    throw new Error('Token has no id');
+  }
+
+  return decoded;
+}
+
+/**
+ * Verify an access token signature, expiry, and revocation status
+ * @param {string} token
+ * @returns {Promise<object>} Decoded payload
+ * @throws {Error} If the token is invalid, expired, or revoked
+ */
+export async function verifyAccessToken(token) {
+  const decoded = decodeAccessToken(token);
+
+  if (await isTokenRevoked(decoded.jti)) {
+    throw new Error('Token has been revoked');
+  }
+
+  return decoded;
+}
+
+/**
+ * Check the revocation list
+ * @param {string} jti
+ * @returns {Promise<boolean>}
+ */
+export async function isTokenRevoked(jti) {
+  return Boolean(
+    getDatabase().prepare('SELECT 1 FROM revoked_tokens WHERE jti = ?').get(jti)
+  );
+}
+
+/**
+ * Exchange a refresh token for a new token pair (rotation)
+ * @param {string} refreshToken - Raw refresh token
+ * @returns {Promise<{userId: string, familyId: string}|null>} Null if invalid
+ */
+export async function consumeRefreshToken(refreshToken) {
+  if (typeof refreshToken !== 'string' || refreshToken.length === 0) {
+    return null;
+  }
+
+  const db = getDatabase();
+  const row = db
+    .prepare('SELECT * FROM refresh_tokens WHERE token_hash = ?')
+    .get(hashToken(refreshToken));
+
+  if (!row) {
+    return null;
+  }
+
+  if (row.revoked_at) {
+    // A rotated token was replayed: assume theft and kill the family
+    const revoked = db.transaction(() =>
+      revokeRefreshRows(db, 'family_id = ?', [row.family_id], 'reuse')
+    )();
+    trackSecurityEvent('refresh_token_reuse', 'high', {
+      userId: row.user_id,
+      familyId: row.family_id,
+      revoked,
+    });
+    return null;
+  }
+
+  if (row.expires_at <= Date.now()) {
+    return null;
+  }
+
+  db.transaction(() => revokeRefreshRows(db, 'id = ?', [row.id], 'rotated'))();
+
+  return { userId: row.user_id, familyId: row.family_id };
+}
+
+/**
+ * Revoke a single access token (e.g. on logout)
+ * @param {object} decoded - Verified JWT payload
+ * @param {string} reason
+ */
+export async function revokeAccessToken(decoded, reason) {
+  if (!decoded?.jti) return;
+
+  const db = getDatabase();
+  revokeJti(db, decoded.jti, decoded.id, reason, decoded.exp * 1000);
+  purgeExpiredRevocations(db);
+}
+
+/**
+ * Revoke a refresh token and every token in its family (e.g. on logout)
+ * @param {string} refreshToken - Raw refresh token
+ * @param {string} reason
+ * @returns {Promise<number>} Number of refresh tokens revoked
+ */
+export async function revokeRefreshTokenFamily(refreshToken, reason) {
+  const db = getDatabase();
+  const row = db
+    .prepare('SELECT family_id FROM refresh_tokens WHERE token_hash = ?')
+    .get(hashToken(String(refreshToken || '')));
+
+  if (!row) return 0;
+
+  return db.transaction(() =>
+    revokeRefreshRows(db, 'family_id = ?', [row.family_id], reason)
+  )();
+}
+
+/**
+ * Revoke every outstanding token for a user
+ * (password or email change, account deletion, "log out everywhere")
+ * @param {string} userId
+ * @param {string} reason
+ * @returns {Promise<number>} Number of refresh tokens revoked
+ */
+export async function revokeAllUserTokens(userId, reason) {
+  const db = getDatabase();
+  const revoked = db.transaction(() =>
+    revokeRefreshRows(db, 'user_id = ?', [userId], reason)
+  )();
+
+  logger.info('User tokens revoked', { userId, reason, revoked });
+  return revoked;
+}
+
+/**
+ * Drop revocation entries for tokens that have expired anyway
+ */
+function purgeExpiredRevocations(db) {
+  db.prepare('DELETE FROM revoked_tokens WHERE expires_at < ?').run(Date.now());
+}
@@ -0,0 +1,109 @@
+/**
+ * Tests for Token Service
+ * Verifies access token revocation and refresh token rotation
+ */
+
+describe('Token Service', () => {
+  let tokens, user;
+
+  beforeAll(async () => {
+    tokens = await import('./token-service.js');
+    const { userRepository } = await import('./user-repository.js');
+    user = await userRepository.create({
+      email: 'tokens@example.com',
+      name: 'Token Bambi',
+      stripeCustomerId: 'cus_tokens',
+    });
+  });
+
+  describe('issueTokenPair', () => {
+    it('should issue a short-lived access token with a jti', async () => {
+      const pair = await tokens.issueTokenPair(user);
+      const decoded = await tokens.verifyAccessToken(pair.accessToken);
+
+      expect(decoded.id).toBe(user.id);
+      expect(decoded.jti).toBeDefined();
+      expect(decoded.exp - decoded.iat).toBe(tokens.ACCESS_TOKEN_TTL_SECONDS);
+      expect(pair.refreshToken).toBeDefined();
+    });
+
+    it('should refuse to sign or verify without JWT_SECRET', async () => {
+      const pair = await tokens.issueTokenPair(user);
+      const secret = process.env.JWT_SECRET;
+      delete process.env.JWT_SECRET;
+
+      try {
+        await expect(tokens.issueTokenPair(user)).rejects.toThrow(
+          'JWT_SECRET is not configured'
+        );
+        expect(() => tokens.decodeAccessToken(pair.accessToken)).toThrow(
+          'JWT_SECRET is not configured'
+        );
+      } finally {
+        process.env.JWT_SECRET = secret;
+      }
+    });
+  });
+
+  describe('revocation', () => {
+    it('should reject revoked access tokens', async () => {
+      const pair = await tokens.issueTokenPair(user);
+      const decoded = tokens.decodeAccessToken(pair.accessToken);
+
+      await tokens.revokeAccessToken(decoded, 'logout');
+
+      await expect(tokens.verifyAccessToken(pair.accessToken)).rejects.toThrow(
+        'revoked'
+      );
+    });
+
+    it('should revoke all tokens for a user', async () => {
+      const first = await tokens.issueTokenPair(user);
+      const second = await tokens.issueTokenPair(user);
+
+      await tokens.revokeAllUserTokens(user.id, 'password_reset');
+
+      await expect(
+        tokens.verifyAccessToken(first.accessToken)
+      ).rejects.toThrow();
+      await expect(
+        tokens.verifyAccessToken(second.accessToken)
+      ).rejects.toThrow();
+      expect(await tokens.consumeRefreshToken(second.refreshToken)).toBeNull();
+    });
+  });
+
+  describe('consumeRefreshToken', () => {
+    it('should rotate refresh tokens within a family', async () => {
+      const pair = await tokens.issueTokenPair(user);
+      const record = await tokens.consumeRefreshToken(pair.refreshToken);
+
+      expect(record.userId).toBe(user.id);
+      expect(record.familyId).toBeDefined();
+
+      // Previous access token is retired with its refresh token
+      await expect(
+        tokens.verifyAccessToken(pair.accessToken)
+      ).rejects.toThrow();
+    });
+
+    it('should revoke the family when a rotated token is reused', async () => {
+      const first = await tokens.issueTokenPair(user);
+      const record = await tokens.consumeRefreshToken(first.refreshToken);
+      const second = await tokens.issueTokenPair(user, {
+        familyId: record.familyId,
+      });
+
+      expect(await tokens.consumeRefreshToken(first.refreshToken)).toBeNull();
+      expect(await tokens.consumeRefreshToken(second.refreshToken)).toBeNull();
+      await expect(
+        tokens.verifyAccessToken(second.accessToken)
+      ).rejects.toThrow();
+    });
+
+    it('should reject unknown refresh tokens', async () => {
+      expect(await tokens.consumeRefreshToken('unknown')).toBeNull();
+      expect(await tokens.consumeRefreshToken(undefined)).toBeNull();
+    });
+  });
+});
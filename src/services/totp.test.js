@@ -0,0 +1,98 @@
+/**
+ * Tests for TOTP Service
+ * Verifies RFC 6238 codes, drift/replay handling, and secret sealing
+ */
+
+import {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateCode,
+  verifyCode,
+  currentStep,
+  buildOtpauthUri,
+  sealSecret,
+  openSecret,
+} from './totp.js';
+
+// RFC 6238 Appendix B shared secret ("12345678901234567890")
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('TOTP Service', () => {
+  describe('base32', () => {
+    it('should round-trip arbitrary bytes', () => {
+      const bytes = Buffer.from('BambiSleep Church');
+      expect(base32Decode(base32Encode(bytes))).toEqual(bytes);
+    });
+
+    it('should generate 32-character secrets', () => {
+      expect(generateSecret()).toMatch(/^[A-Z2-7]{32}$/);
+    });
+  });
+
+  describe('generateCode', () => {
+    it('should match RFC 6238 SHA1 test vectors', () => {
+      expect(generateCode(RFC_SECRET, currentStep(59 * 1000))).toBe('287082');
+      expect(generateCode(RFC_SECRET, currentStep(1111111109 * 1000))).toBe(
+        '081804'
+      );
+      expect(generateCode(RFC_SECRET, currentStep(1234567890 * 1000))).toBe(
+        '005924'
+      );
+    });
+  });
+
+  describe('verifyCode', () => {
+    it('should accept the current code', () => {
+      const secret = generateSecret();
+      const step = currentStep();
+
+      expect(verifyCode(secret, generateCode(secret, step))).toBe(step);
+    });
+
+    it('should accept one step of clock drift', () => {
+      const secret = generateSecret();
+      const step = currentStep() - 1;
+
+      expect(verifyCode(secret, generateCode(secret, step))).toBe(step);
+    });
+
+    it('should reject replayed steps', () => {
+      const secret = generateSecret();
+      const step = currentStep();
+
+      expect(
+        verifyCode(secret, generateCode(secret, step), { afterStep: step })
+      ).toBeNull();
+    });
+
+    it('should reject malformed codes', () => {
+      expect(verifyCode(generateSecret(), 'abc123')).toBeNull();
+      expect(verifyCode(generateSecret(), '')).toBeNull();
+    });
+  });
+
+  describe('buildOtpauthUri', () => {
+    it('should include issuer, account, and secret', () => {
+      const uri = buildOtpauthUri({
+        secret: 'ABCDEF',
+        account: 'bambi@example.com',
+        issuer: 'BambiSleep Church',
+      });
+
+      expect(uri).toMatch(/^otpauth:\/\/totp\//);
+      expect(uri).toContain('secret=ABCDEF');
+      expect(uri).toContain('bambi%40example.com');
+    });
+  });
+
+  describe('secret sealing', () => {
+    it('should encrypt and decrypt secrets', () => {
+      const secret = generateSecret();
+      const sealed = sealSecret(secret);
+
+      expect(sealed).not.toContain(secret);
+      expect(openSecret(sealed)).toBe(secret);
+    });
+  });
+});
@@ -0,0 +1,180 @@
+/**
+ * Two-factor authentication (TOTP + recovery codes)
+ * Enrollment is two-step: a pending secret is stored on setup and only
+ * becomes active once the user proves their authenticator with a code.
+ */
+
+import { randomBytes, randomUUID } from 'crypto';
+import QRCode from 'qrcode';
+import { getDatabase } from './database.js';
+import { userRepository } from './user-repository.js';
+import { hashToken } from './auth-tokens.js';
+import {
+  generateSecret,
+  verifyCode,
+  buildOtpauthUri,
+  sealSecret,
+  openSecret,
+} from './totp.js';
+
+const ISSUER = process.env.TOTP_ISSUER || 'BambiSleep Church';
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Generate human-friendly recovery codes (xxxxx-xxxxx)
+ */
+function generateRecoveryCodes() {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+}
+
+/**
+ * Normalize recovery code input (case, spacing, optional dash)
+ */
+function normalizeRecoveryCode(code) {
+  const compact = String(code || '')
+    .toLowerCase()
+    .replace(/[^0-9a-f]/g, '');
+  return `${compact.slice(0, 5)}-${compact.slice(5)}`;
+}
+
+/**
+ * Replace a user's recovery codes
+ */
+function storeRecoveryCodes(userId, codes) {
+  const db = getDatabase();
+  const insert = db.prepare(
+    'INSERT INTO recovery_codes (id, user_id, code_hash, created_at) VALUES (?, ?, ?, ?)'
+  );
+
+  db.transaction(() => {
+    db.prepare('DELETE FROM recovery_codes WHERE user_id = ?').run(userId);
+    const now = Date.now();
+    for (const code of codes) {
+      insert.run(randomUUID(), userId, hashToken(code), now);
+    }
+  })();
+}
+
+/**
+ * Start enrollment: create a pending secret
+ * @param {object} user
+ * @returns {Promise<{secret: string, otpauthUri: string, qrCode: string}>}
+ */
+export async function beginEnrollment(user) {
+  const secret = generateSecret();
+  await userRepository.update(user.id, {
+    totpSecret: sealSecret(secret),
+    totpEnabledAt: null,
+    totpLastStep: null,
+  });
+
+  const otpauthUri = buildOtpauthUri({
+    secret,
+    account: user.email,
+    issuer: ISSUER,
+  });
+
+  return {
+    secret,
+    otpauthUri,
+    qrCode: await QRCode.toDataURL(otpauthUri),
+  };
+}
+
+/**
+ * Confirm enrollment with a code from the authenticator
+ * @returns {Promise<string[]|null>} Recovery codes, or null if the code is wrong
+ */
+export async function confirmEnrollment(userId, code) {
+  const user = await userRepository.findById(userId);
+  if (!user?.totpSecret || user.totpEnabledAt) {
+    return null;
+  }
+
+  const step = verifyCode(openSecret(user.totpSecret), code);
+  if (step === null) {
+    return null;
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+  storeRecoveryCodes(userId, recoveryCodes);
+  await userRepository.update(userId, {
+    totpEnabledAt: new Date().toISOString(),
+    totpLastStep: step,
+  });
+
+  return recoveryCodes;
+}
+
+/**
+ * Verify a second factor for login or sensitive actions
+ * @param {object} user
+ * @param {object} factor - { code } or { recoveryCode }
+ * @returns {Promise<'totp'|'recovery_code'|null>} Method used, or null
+ */
+export async function verifySecondFactor(user, { code, recoveryCode }) {
+  if (!user?.totpEnabledAt) {
+    return null;
+  }
+
+  if (code) {
+    const step = verifyCode(openSecret(user.totpSecret), code, {
+      afterStep: user.totpLastStep,
+    });
+    if (step === null) {
+      return null;
+    }
+    await userRepository.update(user.id, { totpLastStep: step });
+    return 'totp';
+  }
+
+  if (recoveryCode) {
+    const result = getDatabase()
+      .prepare(
+        'UPDATE recovery_codes SET used_at = ? WHERE user_id = ? AND code_hash = ? AND used_at IS NULL'
+      )
+      .run(Date.now(), user.id, hashToken(normalizeRecoveryCode(recoveryCode)));
+    return result.changes > 0 ? 'recovery_code' : null;
+  }
+
+  return null;
+}
+
+/**
+ * Issue a fresh set of recovery codes (invalidates the old set)
+ * @returns {Promise<string[]>}
+ */
+export async function regenerateRecoveryCodes(userId) {
+  const recoveryCodes = generateRecoveryCodes();
+  storeRecoveryCodes(userId, recoveryCodes);
+  return recoveryCodes;
+}
+
+/**
+ * Count unused recovery codes
+ * @returns {Promise<number>}
+ */
+export async function countRecoveryCodes(userId) {
+  return getDatabase()
+    .prepare(
+      'SELECT COUNT(*) AS count FROM recovery_codes WHERE user_id = ? AND used_at IS NULL'
+    )
+    .get(userId).count;
+}
+
+/**
+ * Turn off two-factor authentication
+ */
+export async function disableTwoFactor(userId) {
+  getDatabase()
+    .prepare('DELETE FROM recovery_codes WHERE user_id = ?')
+    .run(userId);
+  await userRepository.update(userId, {
+    totpSecret: null,
+    totpEnabledAt: null,
+    totpLastStep: null,
+  });
+}
@@ -0,0 +1,209 @@
+/**
+ * User repository
+ * Storage-agnostic interface for account records used by the auth routes.
+ * SQLite is the default driver; other drivers (e.g. Postgres) implement the
+ * same async methods and are selected with USER_STORE_DRIVER.
+ */
+
+import { randomUUID } from 'crypto';
+import { getDatabase } from './database.js';
+
+/// Map of user object properties to table columns
+const COLUMNS = {
+  id: 'id',
+  email: 'email',
+  name: 'name',
+  passwordHash: 'password_hash',
+  stripeCustomerId: 'stripe_customer_id',
+  sessionVersion: 'session_version',
+  emailVerifiedAt: 'email_verified_at',
+  totpSecret: 'totp_secret',
+  totpEnabledAt: 'totp_enabled_at',
+  totpLastStep: 'totp_last_step',
+  role: 'role',
+  failedLoginCount: 'failed_login_count',
+  lockedUntil: 'locked_until',
+  inviteId: 'invite_id',
+  complimentaryTier: 'complimentary_tier',
+  complimentaryUntil: 'complimentary_until',
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+};
+
+/**
+ * Convert a database row into a user object
+ */
+function toUser(row) {
+  if (!row) return null;
+
+  const user = {};
+  for (const [property, column] of Object.entries(COLUMNS)) {
+    user[property] = row[column] ?? null;
+  }
+  return user;
+}
+
+/**
+ * SQLite-backed user repository
+ */
+export class SqliteUserRepository {
+  /**
+   * @param {Function} [connect] - Returns an open better-sqlite3 connection
+   */
+  constructor(connect = getDatabase) {
+    this.connect = connect;
+  }
+
+  get db() {
+    return this.connect();
+  }
+
+  /**
+   * Find user by ID
+   * @param {string} id
+   * @returns {Promise<object|null>}
+   */
+  async findById(id) {
+    return toUser(this.db.prepare('SELECT * FROM users WHERE id = ?').get(id));
+  }
+
+  /**
+   * Find user by email (case-insensitive)
+   * @param {string} email
+   * @returns {Promise<object|null>}
+   */
+  async findByEmail(email) {
+    return toUser(
+      this.db.prepare('SELECT * FROM users WHERE email = ?').get(email)
+    );
+  }
+
+  /**
+   * Find user by Stripe customer ID
+   * @param {string} stripeCustomerId
+   * @returns {Promise<object|null>}
+   */
+  async findByStripeCustomerId(stripeCustomerId) {
+    return toUser(
+      this.db
+        .prepare('SELECT * FROM users WHERE stripe_customer_id = ?')
+        .get(stripeCustomerId)
+    );
+  }
+
+  /**
+   * Create a new user
+   * @param {object} data - email, name, passwordHash, stripeCustomerId
+   * @returns {Promise<object>} Created user
+   */
+  async create(data) {
+    return this.findById(this.insert(data));
+  }
+
+  /**
+   * Insert a user row (synchronous, so it can run inside db.transaction)
+   * @param {object} data - As for create()
+   * @returns {string} The new user's ID
+   */
+  insert(data) {
+    const now = new Date().toISOString();
+    const user = {
+      ...data,
+      id: data.id || randomUUID(),
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    const properties = Object.keys(user).filter(key => key in COLUMNS);
+    const columns = properties.map(key => COLUMNS[key]);
+    const placeholders = properties.map(key => `@${key}`);
+
+    this.db
+      .prepare(
+        `INSERT INTO users (${columns.join(', ')}) VALUES (${placeholders.join(', ')})`
+      )
+      .run(Object.fromEntries(properties.map(key => [key, user[key] ?? null])));
+
+    return user.id;
+  }
+
+  /**
+   * Update user fields
+   * @param {string} id
+   * @param {object} changes - Partial user object
+   * @returns {Promise<object|null>} Updated user
+   */
+  async update(id, changes) {
+    const properties = Object.keys(changes).filter(
+      key => key in COLUMNS && key !== 'id' && key !== 'createdAt'
+    );
+
+    if (properties.length === 0) {
+      return this.findById(id);
+    }
+
+    const values = { id, updatedAt: new Date().toISOString() };
+    for (const key of properties) {
+      values[key] = changes[key] ?? null;
+    }
+
+    const assignments = properties
+      .filter(key => key !== 'updatedAt')
+      .map(key => `${COLUMNS[key]} = @${key}`);
+    assignments.push('updated_at = @updatedAt');
+
+    this.db
+      .prepare(`UPDATE users SET ${assignments.join(', ')} WHERE id = @id`)
+      .run(values);
+
+    return this.findById(id);
+  }
+
+  /**
+   * Increment the session version, invalidating every existing login
+   * @param {string} id
+   * @returns {Promise<number|null>} New session version
+   */
+  async bumpSessionVersion(id) {
+    this.db
+      .prepare(
+        'UPDATE users SET session_version = session_version + 1, updated_at = ? WHERE id = ?'
+      )
+      .run(new Date().toISOString(), id);
+
+    const user = await this.findById(id);
+    return user ? user.sessionVersion : null;
+  }
+
+  /**
+   * Delete user by ID
+   * @param {string} id
+   * @returns {Promise<boolean>} True if a row was removed
+   */
+  async delete(id) {
+    const result = this.db.prepare('DELETE FROM users WHERE id = ?').run(id);
+    return result.changes > 0;
+  }
+}
+
+/// Registered storage drivers
+const drivers = {
+  sqlite: () => new SqliteUserRepository(),
+};
+
+/**
+ * Create a user repository for the configured driver
+ * @param {string} [driver] - Storage driver name (defaults to USER_STORE_DRIVER or sqlite)
+ * @returns {SqliteUserRepository}
+ */
+export function createUserRepository(
+  driver = process.env.USER_STORE_DRIVER || 'sqlite'
+) {
+  const factory = drivers[driver];
+  if (!factory) {
+    throw new Error(`Unsupported user store driver: ${driver}`);
+  }
+  return factory();
+}
+
+export const userRepository = createUserRepository();
@@ -0,0 +1,131 @@
+/**
+ * Tests for User Repository
+ * Verifies SQLite persistence, migrations, and driver selection
+ */
+
+import Database from 'better-sqlite3';
+
+describe('User Repository', () => {
+  let SqliteUserRepository, createUserRepository, runMigrations;
+  let db, repository;
+
+  beforeAll(async () => {
+    ({ SqliteUserRepository, createUserRepository } = await import(
+      './user-repository.js'
+    ));
+    ({ runMigrations } = await import('./database.js'));
+  });
+
+  beforeEach(() => {
+    db = new Database(':memory:');
+    runMigrations(db);
+    repository = new SqliteUserRepository(() => db);
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  describe('runMigrations', () => {
+    it('should record applied migrations', () => {
+      const versions = db
+        .prepare('SELECT version FROM schema_migrations')
+        .all()
+        .map(row => row.version);
+
+      expect(versions).toContain(1);
+    });
+
+    it('should not reapply migrations', () => {
+      expect(runMigrations(db)).toBe(0);
+    });
+  });
+
+  describe('create', () => {
+    it('should create user with generated ID and timestamps', async () => {
+      const user = await repository.create({
+        email: 'bambi@example.com',
+        name: 'Bambi',
+        passwordHash: 'hash',
+        stripeCustomerId: 'cus_123',
+      });
+
+      expect(user.id).toBeDefined();
+      expect(user.email).toBe('bambi@example.com');
+      expect(user.passwordHash).toBe('hash');
+      expect(user.stripeCustomerId).toBe('cus_123');
+      expect(user.createdAt).toBeDefined();
+    });
+
+    it('should reject duplicate emails', async () => {
+      await repository.create({ email: 'dup@example.com', name: 'One' });
+
+      await expect(
+        repository.create({ email: 'DUP@example.com', name: 'Two' })
+      ).rejects.toMatchObject({ code: 'SQLITE_CONSTRAINT_UNIQUE' });
+    });
+  });
+
+  describe('lookups', () => {
+    it('should find users by email case-insensitively', async () => {
+      const created = await repository.create({
+        email: 'Case@Example.com',
+        name: 'Case',
+      });
+
+      const found = await repository.findByEmail('case@example.com');
+      expect(found.id).toBe(created.id);
+    });
+
+    it('should find users by Stripe customer ID', async () => {
+      const created = await repository.create({
+        email: 'stripe@example.com',
+        name: 'Stripe',
+        stripeCustomerId: 'cus_456',
+      });
+
+      const found = await repository.findByStripeCustomerId('cus_456');
+      expect(found.id).toBe(created.id);
+    });
+
+    it('should return null for unknown users', async () => {
+      expect(await repository.findById('missing')).toBeNull();
+      expect(await repository.findByEmail('missing@example.com')).toBeNull();
+    });
+  });
+
+  describe('update and delete', () => {
+    it('should update allowed fields only', async () => {
+      const created = await repository.create({
+        email: 'update@example.com',
+        name: 'Before',
+      });
+
+      const updated = await repository.update(created.id, {
+        name: 'After',
+        unknownField: 'ignored',
+      });
+
+      expect(updated.name).toBe('After');
+      expect(updated.unknownField).toBeUndefined();
+    });
+
+    it('should delete users', async () => {
+      const created = await repository.create({
+        email: 'delete@example.com',
+        name: 'Delete',
+      });
+
+      expect(await repository.delete(created.id)).toBe(true);
+      expect(await repository.findById(created.id)).toBeNull();
+    });
+  });
+
+  describe('createUserRepository', () => {
+    it('should reject unsupported drivers', () => {
+      expect(() => createUserRepository('mongodb')).toThrow(
+        'Unsupported user store driver'
+      );
+    });
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Concurrent video stream limits
+ * Every video access token opens a stream lease, and the lease stays active
+ * while the player keeps fetching ranges. A plan's concurrentStreams caps
+ * how many leases a user has active at once. Leases live in SQLite so the
+ * limit holds across workers.
+ */
+
+import { randomUUID } from 'crypto';
+import { getDatabase } from './database.js';
+import { logger } from './telemetry.js';
+
+/// A lease the player has not used for this long no longer counts
+const STREAM_IDLE_MS = 2 * 60 * 1000;
+
+/**
+ * Leases of a user still counting towards the limit
+ */
+function countActive(db, userId, now, exceptId = null) {
+  return db
+    .prepare(
+      `SELECT COUNT(*) AS count FROM video_streams
+       WHERE user_id = ? AND id IS NOT ? AND last_seen_at > ? AND expires_at > ?`
+    )
+    .get(userId, exceptId, now - STREAM_IDLE_MS, now).count;
+}
+
+/**
+ * Open a stream lease if the user is below their plan's limit
+ * @param {string} userId
+ * @param {string} videoId
+ * @param {object} options
+ * @param {number} options.limit - The plan's concurrentStreams
+ * @param {number} options.expiresAt - When the access token expires (ms)
+ * @returns {string|null} Lease ID, or null at the limit
+ */
+export function openStream(userId, videoId, { limit, expiresAt }) {
+  const db = getDatabase();
+  const now = Date.now();
+
+  return db.transaction(() => {
+    db.prepare(
+      'DELETE FROM video_streams WHERE user_id = ? AND expires_at <= ?'
+    ).run(userId, now);
+
+    if (countActive(db, userId, now) >= limit) {
+      logger.info('Video stream limit reached', { userId, videoId, limit });
+      return null;
+    }
+
+    const id = randomUUID();
+    db.prepare(
+      `INSERT INTO video_streams (id, user_id, video_id, started_at, last_seen_at, expires_at)
+       VALUES (?, ?, ?, ?, ?, ?)`
+    ).run(id, userId, videoId, now, now, expiresAt);
+    return id;
+  })();
+}
+
+/**
+ * Keep a lease active for another range request
+ * A lease that went idle (e.g. a paused player) is taken up again only if
+ * the user is still below the limit, so old tokens cannot exceed it.
+ * @param {string} streamId
+ * @param {string} userId
+ * @param {number} limit
+ * @returns {boolean} False if the user is at the limit or the lease has
+ *   expired
+ */
+export function touchStream(streamId, userId, limit) {
+  const db = getDatabase();
+  const now = Date.now();
+
+  return db.transaction(() => {
+    const lease = db
+      .prepare('SELECT * FROM video_streams WHERE id = ? AND user_id = ?')
+      .get(streamId, userId);
+
+    if (!lease || lease.expires_at <= now) {
+      return false;
+    }
+
+    const idle = lease.last_seen_at <= now - STREAM_IDLE_MS;
+    if (idle && countActive(db, userId, now, streamId) >= limit) {
+      return false;
+    }
+
+    db.prepare('UPDATE video_streams SET last_seen_at = ? WHERE id = ?').run(
+      now,
+      streamId
+    );
+    return true;
+  })();
+}
@@ -0,0 +1,342 @@
+/**
+ * Passkeys (WebAuthn)
+ * Stores credential public keys and signature counters per user. Passkeys
+ * can be used on their own to log in, or as the second factor after a
+ * password when two-factor authentication is enabled. Challenges are kept
+ * in the database so every cluster worker can verify them.
+ */
+
+import {
+  generateRegistrationOptions,
+  verifyRegistrationResponse,
+  generateAuthenticationOptions,
+  verifyAuthenticationResponse,
+} from '@simplewebauthn/server';
+import {
+  decodeClientDataJSON,
+  isoUint8Array,
+} from '@simplewebauthn/server/helpers';
+import { getDatabase } from './database.js';
+import { logger, trackSecurityEvent } from './telemetry.js';
+
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+const MAX_NAME_LENGTH = 64;
+
+/// Challenge purposes
+const Purpose = {
+  REGISTRATION: 'registration',
+  LOGIN: 'login',
+  SECOND_FACTOR: 'second_factor',
+};
+
+/**
+ * Relying party settings, derived from PUBLIC_URL unless overridden
+ * @returns {{name: string, id: string, origin: string}}
+ */
+export function relyingParty() {
+  const publicUrl = new URL(process.env.PUBLIC_URL || 'http://localhost:3000');
+  return {
+    name: process.env.WEBAUTHN_RP_NAME || 'BambiSleep Church',
+    id: process.env.WEBAUTHN_RP_ID || publicUrl.hostname,
+    origin: process.env.WEBAUTHN_ORIGIN || publicUrl.origin,
+  };
+}
+
+/**
+ * Remember a challenge until it is answered or expires
+ */
+function storeChallenge(challenge, purpose, userId = null) {
+  const db = getDatabase();
+  const now = Date.now();
+  db.prepare('DELETE FROM webauthn_challenges WHERE expires_at <= ?').run(now);
+  db.prepare(
+    'INSERT INTO webauthn_challenges (challenge, purpose, user_id, expires_at) VALUES (?, ?, ?, ?)'
+  ).run(challenge, purpose, userId, now + CHALLENGE_TTL_MS);
+}
+
+/**
+ * Take the challenge a response answers (single use)
+ * @returns {{challenge: string, userId: string|null}|null}
+ */
+function consumeChallenge(response, purpose) {
+  let challenge;
+  try {
+    ({ challenge } = decodeClientDataJSON(response.response.clientDataJSON));
+  } catch {
+    return null;
+  }
+
+  const row = getDatabase()
+    .prepare(
+      'DELETE FROM webauthn_challenges WHERE challenge = ? AND purpose = ? RETURNING user_id, expires_at'
+    )
+    .get(challenge, purpose);
+
+  if (!row || row.expires_at <= Date.now()) {
+    return null;
+  }
+  return { challenge, userId: row.user_id };
+}
+
+/**
+ * Credential in the shape the verification library expects
+ */
+function toCredential(row) {
+  return {
+    id: row.id,
+    publicKey: new Uint8Array(row.public_key),
+    counter: row.counter,
+    transports: row.transports ? JSON.parse(row.transports) : undefined,
+  };
+}
+
+/**
+ * Credential details safe to show the user
+ */
+function toSummary(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    transports: row.transports ? JSON.parse(row.transports) : [],
+    createdAt: new Date(row.created_at).toISOString(),
+    lastUsedAt: row.last_used_at
+      ? new Date(row.last_used_at).toISOString()
+      : null,
+  };
+}
+
+function credentialRows(userId) {
+  return getDatabase()
+    .prepare(
+      'SELECT * FROM webauthn_credentials WHERE user_id = ? ORDER BY created_at'
+    )
+    .all(userId);
+}
+
+/**
+ * List a user's passkeys
+ * @param {string} userId
+ * @returns {Promise<object[]>}
+ */
+export async function listCredentials(userId) {
+  return credentialRows(userId).map(toSummary);
+}
+
+/**
+ * Count a user's passkeys
+ * @param {string} userId
+ * @returns {Promise<number>}
+ */
+export async function countCredentials(userId) {
+  return getDatabase()
+    .prepare(
+      'SELECT COUNT(*) AS count FROM webauthn_credentials WHERE user_id = ?'
+    )
+    .get(userId).count;
+}
+
+/**
+ * Start passkey registration for a logged-in user
+ * @param {object} user
+ * @returns {Promise<object>} Options for navigator.credentials.create()
+ */
+export async function registrationOptions(user) {
+  const rp = relyingParty();
+  const options = await generateRegistrationOptions({
+    rpName: rp.name,
+    rpID: rp.id,
+    userID: isoUint8Array.fromUTF8String(user.id),
+    userName: user.email,
+    userDisplayName: user.name,
+    attestationType: 'none',
+    excludeCredentials: credentialRows(user.id).map(row => ({
+      id: row.id,
+      transports: toCredential(row).transports,
+    })),
+    authenticatorSelection: {
+      residentKey: 'preferred',
+      userVerification: 'preferred',
+    },
+  });
+
+  storeChallenge(options.challenge, Purpose.REGISTRATION, user.id);
+  return options;
+}
+
+/**
+ * Finish passkey registration
+ * @param {object} user
+ * @param {object} response - RegistrationResponseJSON from the browser
+ * @param {string} [name] - Label chosen by the user
+ * @returns {Promise<object|null>} The new credential, or null if rejected
+ */
+export async function verifyRegistration(user, response, name) {
+  const challenge = consumeChallenge(response, Purpose.REGISTRATION);
+  if (!challenge || challenge.userId !== user.id) {
+    return null;
+  }
+
+  const rp = relyingParty();
+  let verification;
+  try {
+    verification = await verifyRegistrationResponse({
+      response,
+      expectedChallenge: challenge.challenge,
+      expectedOrigin: rp.origin,
+      expectedRPID: rp.id,
+      requireUserVerification: false,
+    });
+  } catch (error) {
+    logger.warn('Passkey registration rejected', {
+      error: error.message,
+      userId: user.id,
+    });
+    return null;
+  }
+
+  if (!verification.verified) {
+    return null;
+  }
+
+  const { credential } = verification.registrationInfo;
+  const db = getDatabase();
+  const label =
+    String(name || '')
+      .trim()
+      .slice(0, MAX_NAME_LENGTH) ||
+    `Passkey ${(await countCredentials(user.id)) + 1}`;
+
+  const { changes } = db
+    .prepare(
+      `INSERT OR IGNORE INTO webauthn_credentials
+         (id, user_id, public_key, counter, transports, name, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`
+    )
+    .run(
+      credential.id,
+      user.id,
+      Buffer.from(credential.publicKey),
+      credential.counter,
+      credential.transports ? JSON.stringify(credential.transports) : null,
+      label,
+      Date.now()
+    );
+
+  // Credential IDs are globally unique; a repeat means it is already registered
+  if (!changes) {
+    return null;
+  }
+
+  return toSummary(
+    db
+      .prepare('SELECT * FROM webauthn_credentials WHERE id = ?')
+      .get(credential.id)
+  );
+}
+
+/**
+ * Start a passkey assertion
+ * Without a user the browser offers any discoverable passkey for this site
+ * (passwordless login); with one, only that user's passkeys are allowed and
+ * the assertion serves as their second factor.
+ * @param {object} [options]
+ * @param {object} [options.user]
+ * @returns {Promise<object>} Options for navigator.credentials.get()
+ */
+export async function authenticationOptions({ user } = {}) {
+  const options = await generateAuthenticationOptions({
+    rpID: relyingParty().id,
+    userVerification: user ? 'preferred' : 'required',
+    allowCredentials: user
+      ? credentialRows(user.id).map(row => ({
+          id: row.id,
+          transports: toCredential(row).transports,
+        }))
+      : undefined,
+  });
+
+  storeChallenge(
+    options.challenge,
+    user ? Purpose.SECOND_FACTOR : Purpose.LOGIN,
+    user?.id
+  );
+  return options;
+}
+
+/**
+ * Verify a passkey assertion and advance the credential's sign counter
+ * @param {object} response - AuthenticationResponseJSON from the browser
+ * @param {object} [options]
+ * @param {object} [options.user] - Set when verifying a second factor
+ * @returns {Promise<{userId: string, credentialId: string}|null>}
+ */
+export async function verifyAuthentication(response, { user } = {}) {
+  const challenge = consumeChallenge(
+    response,
+    user ? Purpose.SECOND_FACTOR : Purpose.LOGIN
+  );
+  if (!challenge || (user && challenge.userId !== user.id)) {
+    return null;
+  }
+
+  const db = getDatabase();
+  const row = db
+    .prepare('SELECT * FROM webauthn_credentials WHERE id = ?')
+    .get(String(response.id));
+  if (!row || (user && row.user_id !== user.id)) {
+    return null;
+  }
+
+  const rp = relyingParty();
+  const credential = toCredential(row);
+  let verification;
+  try {
+    verification = await verifyAuthenticationResponse({
+      response,
+      expectedChallenge: challenge.challenge,
+      expectedOrigin: rp.origin,
+      expectedRPID: rp.id,
+      credential,
+      // Passwordless logins must prove who is holding the authenticator
+      requireUserVerification: !user,
+    });
+  } catch (error) {
+    if (/counter value/.test(error.message)) {
+      // A counter that went backwards suggests a cloned authenticator
+      trackSecurityEvent('webauthn_counter_regression', 'high', {
+        userId: row.user_id,
+        credentialId: row.id,
+        storedCounter: row.counter,
+      });
+    } else {
+      logger.warn('Passkey assertion rejected', {
+        error: error.message,
+        userId: row.user_id,
+      });
+    }
+    return null;
+  }
+
+  if (!verification.verified) {
+    return null;
+  }
+
+  db.prepare(
+    'UPDATE webauthn_credentials SET counter = ?, last_used_at = ? WHERE id = ?'
+  ).run(verification.authenticationInfo.newCounter, Date.now(), row.id);
+
+  return { userId: row.user_id, credentialId: row.id };
+}
+
+/**
+ * Remove one of a user's passkeys
+ * @param {string} userId
+ * @param {string} id - Credential ID
+ * @returns {Promise<boolean>} False if no such passkey belongs to the user
+ */
+export async function deleteCredential(userId, id) {
+  const { changes } = getDatabase()
+    .prepare('DELETE FROM webauthn_credentials WHERE user_id = ? AND id = ?')
+    .run(userId, id);
+  return changes > 0;
+}
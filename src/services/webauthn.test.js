@@ -0,0 +1,205 @@
+/**
+ * Tests for WebAuthn Service
+ * Verifies passkey registration, assertions, and sign counter handling
+ * against a software authenticator
+ */
+
+import { jest } from '@jest/globals';
+import { createSoftwareAuthenticator } from '../__tests__/software-authenticator.js';
+
+const mockTrackSecurityEvent = jest.fn();
+
+jest.unstable_mockModule('./telemetry.js', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+  trackSecurityEvent: mockTrackSecurityEvent,
+}));
+
+describe('WebAuthn Service', () => {
+  const origin = 'https://church.example';
+  let webauthn, userRepository, user;
+
+  /**
+   * Register a fresh software authenticator for a user
+   */
+  async function registerPasskey(owner, name) {
+    const authenticator = createSoftwareAuthenticator({ origin });
+    const options = await webauthn.registrationOptions(owner);
+    const credential = await webauthn.verifyRegistration(
+      owner,
+      authenticator.register(options),
+      name
+    );
+    return { authenticator, credential };
+  }
+
+  beforeAll(async () => {
+    process.env.PUBLIC_URL = origin;
+    webauthn = await import('./webauthn.js');
+    ({ userRepository } = await import('./user-repository.js'));
+    user = await userRepository.create({
+      email: 'passkey@example.com',
+      name: 'Passkey Bambi',
+    });
+  });
+
+  afterAll(() => {
+    delete process.env.PUBLIC_URL;
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should derive the relying party from PUBLIC_URL', () => {
+    expect(webauthn.relyingParty()).toEqual({
+      name: 'BambiSleep Church',
+      id: 'church.example',
+      origin,
+    });
+  });
+
+  it('should register a passkey and store its public key', async () => {
+    const { authenticator, credential } = await registerPasskey(user, 'Laptop');
+
+    expect(credential).toMatchObject({
+      id: authenticator.id,
+      name: 'Laptop',
+      transports: ['internal'],
+      lastUsedAt: null,
+    });
+    expect(await webauthn.listCredentials(user.id)).toHaveLength(1);
+  });
+
+  it('should exclude existing passkeys from new registrations', async () => {
+    const options = await webauthn.registrationOptions(user);
+
+    expect(options.rp.id).toBe('church.example');
+    expect(options.excludeCredentials).toHaveLength(1);
+  });
+
+  it('should reject a registration response replayed or for another user', async () => {
+    const other = await userRepository.create({
+      email: 'passkey-other@example.com',
+      name: 'Other Bambi',
+    });
+    const authenticator = createSoftwareAuthenticator({ origin });
+    const response = authenticator.register(
+      await webauthn.registrationOptions(user)
+    );
+
+    expect(await webauthn.verifyRegistration(other, response)).toBeNull();
+    // The challenge was consumed by the failed attempt
+    expect(await webauthn.verifyRegistration(user, response)).toBeNull();
+  });
+
+  it('should reject responses from another origin', async () => {
+    const authenticator = createSoftwareAuthenticator({
+      origin: 'https://phish.example',
+    });
+    const response = authenticator.register(
+      await webauthn.registrationOptions(user)
+    );
+
+    expect(await webauthn.verifyRegistration(user, response)).toBeNull();
+  });
+
+  it('should log in with a discoverable passkey and advance the counter', async () => {
+    const owner = await userRepository.create({
+      email: 'passkey-login@example.com',
+      name: 'Login Bambi',
+    });
+    const { authenticator } = await registerPasskey(owner);
+
+    const options = await webauthn.authenticationOptions();
+    expect(options.allowCredentials).toBeUndefined();
+    expect(options.userVerification).toBe('required');
+
+    const result = await webauthn.verifyAuthentication(
+      authenticator.authenticate(options)
+    );
+
+    expect(result).toEqual({
+      userId: owner.id,
+      credentialId: authenticator.id,
+    });
+    const [stored] = await webauthn.listCredentials(owner.id);
+    expect(stored.lastUsedAt).not.toBeNull();
+  });
+
+  it('should require user verification for passwordless login', async () => {
+    const owner = await userRepository.create({
+      email: 'passkey-uv@example.com',
+      name: 'Presence Bambi',
+    });
+    const authenticator = createSoftwareAuthenticator({
+      origin,
+      userVerified: false,
+    });
+    await webauthn.verifyRegistration(
+      owner,
+      authenticator.register(await webauthn.registrationOptions(owner))
+    );
+
+    const asLogin = authenticator.authenticate(
+      await webauthn.authenticationOptions()
+    );
+    expect(await webauthn.verifyAuthentication(asLogin)).toBeNull();
+
+    // Presence is enough when the passkey is a second factor
+    const asSecondFactor = authenticator.authenticate(
+      await webauthn.authenticationOptions({ user: owner })
+    );
+    expect(
+      await webauthn.verifyAuthentication(asSecondFactor, { user: owner })
+    ).toEqual({ userId: owner.id, credentialId: authenticator.id });
+  });
+
+  it("should reject another user's passkey as a second factor", async () => {
+    const owner = await userRepository.create({
+      email: 'passkey-2fa@example.com',
+      name: 'Second Bambi',
+    });
+    const { authenticator } = await registerPasskey(owner);
+
+    const options = await webauthn.authenticationOptions({ user });
+    expect(
+      await webauthn.verifyAuthentication(authenticator.authenticate(options), {
+        user,
+      })
+    ).toBeNull();
+  });
+
+  it('should reject and report a sign counter that went backwards', async () => {
+    const owner = await userRepository.create({
+      email: 'passkey-clone@example.com',
+      name: 'Clone Bambi',
+    });
+    const { authenticator } = await registerPasskey(owner);
+
+    await webauthn.verifyAuthentication(
+      authenticator.authenticate(await webauthn.authenticationOptions())
+    );
+    authenticator.counter = 0;
+
+    const cloned = authenticator.authenticate(
+      await webauthn.authenticationOptions()
+    );
+    expect(await webauthn.verifyAuthentication(cloned)).toBeNull();
+    expect(mockTrackSecurityEvent).toHaveBeenCalledWith(
+      'webauthn_counter_regression',
+      'high',
+      expect.objectContaining({ userId: owner.id })
+    );
+  });
+
+  it("should delete only the owner's passkeys", async () => {
+    const [credential] = await webauthn.listCredentials(user.id);
+    const other = await userRepository.findByEmail('passkey-other@example.com');
+
+    expect(await webauthn.deleteCredential(other.id, credential.id)).toBe(
+      false
+    );
+    expect(await webauthn.deleteCredential(user.id, credential.id)).toBe(true);
+    expect(await webauthn.countCredentials(user.id)).toBe(0);
+  });
+});
@@ -3,7 +3,6 @@
  * Handles live updates, avatar interactions, notifications
  */
 
-import jwt from 'jsonwebtoken';
 import {
   logger,
   trackAuthAttempt,
@@ -12,6 +11,8 @@ import {
   websocketConnectionsActive,
   websocketMessagesTotal,
 } from './telemetry.js';
+import { verifyAccessToken } from './token-service.js';
+import { isCatalogEntitlement, resolvePlan } from './plans.js';
 
 const clients = new Map();
 
@@ -149,9 +150,19 @@ function handleMessage(clientId, data) {
       break;
 
     case 'chat':
-      // Broadcast chat message to all authenticated clients
-      broadcastToAuthenticated({
+      // Chat stays in the sender's room (tier rooms are checked on joining)
+      if (!client.room) {
+        ws.send(
+          JSON.stringify({
+            type: 'error',
+            error: 'Join a room before chatting',
+          })
+        );
+        break;
+      }
+      broadcastToRoom(client.room, {
         type: 'chat',
+        room: client.room,
         from: client.userId || 'anonymous',
         message: data.message,
         timestamp: new Date().toISOString(),
@@ -176,16 +187,13 @@ function handleMessage(clientId, data) {
 /**
  * Authenticate WebSocket client
  */
-function handleAuth(clientId, token) {
+async function handleAuth(clientId, token) {
   const client = clients.get(clientId);
   if (!client) return;
 
   try {
-    // Verify JWT token
-    const decoded = jwt.verify(
-      token,
-      process.env.JWT_SECRET || 'change-this-secret'
-    );
+    // Verify JWT token (signature, expiry, and revocation list)
+    const decoded = await verifyAccessToken(token);
 
     client.authenticated = true;
     client.userId = decoded.id || decoded.userId;
@@ -259,11 +267,36 @@ function handleAvatarAction(clientId, action) {
 
 /**
  * Handle room subscription
+ * Tier chat rooms (chat:<room> in the plan catalog) need a plan granting them
  */
-function handleRoomSubscription(clientId, room) {
+async function handleRoomSubscription(clientId, room) {
   const client = clients.get(clientId);
   if (!client) return;
 
+  const entitlement = `chat:${room}`;
+  if (isCatalogEntitlement(entitlement)) {
+    const access = client.authenticated
+      ? await resolvePlan({ userId: client.userId }).catch(error => {
+          logger.error('WebSocket plan lookup error', {
+            clientId,
+            error: error.message,
+          });
+          return null;
+        })
+      : null;
+
+    if (!access?.plan.entitlements.includes(entitlement)) {
+      client.ws.send(
+        JSON.stringify({
+          type: 'error',
+          error: 'Your plan does not include this room',
+          room,
+        })
+      );
+      return;
+    }
+  }
+
   client.room = room;
 
   client.ws.send(
@@ -315,6 +348,57 @@ export function sendToClient(clientId, message) {
   }
 }
 
+/**
+ * Send a message to every WebSocket client authenticated as a user
+ * @param {string} userId
+ * @param {object} message
+ * @returns {number} Number of clients reached
+ */
+export function sendToUser(userId, message) {
+  let count = 0;
+
+  clients.forEach((client, clientId) => {
+    if (
+      client.authenticated &&
+      client.userId === userId &&
+      client.ws.readyState === 1
+    ) {
+      sendToClient(clientId, message);
+      count++;
+    }
+  });
+
+  return count;
+}
+
+/**
+ * Disconnect every WebSocket client authenticated as a user
+ * Used when the user logs out everywhere or loses access
+ * @param {string} userId
+ * @param {string} [reason]
+ * @returns {number} Number of clients disconnected
+ */
+export function disconnectUser(userId, reason = 'Session revoked') {
+  let count = 0;
+
+  clients.forEach(client => {
+    if (client.authenticated && client.userId === userId) {
+      if (client.ws.readyState === 1) {
+        client.ws.send(JSON.stringify({ type: 'session_revoked', reason }));
+      }
+      client.ws.close(4001, reason);
+      client.authenticated = false;
+      count++;
+    }
+  });
+
+  if (count > 0) {
+    logger.info('WebSocket clients disconnected', { userId, count, reason });
+  }
+
+  return count;
+}
+
 /**
  * Generate unique client ID
  */
@@ -271,6 +271,109 @@ describe('WebSocket Service', () => {
     });
   });
 
+  describe('Chat', () => {
+    /**
+     * Connect a mock client and record what it receives
+     */
+    function connect(wss) {
+      const ws = new EventEmitter();
+      ws.received = [];
+      ws.send = jest.fn(data => ws.received.push(JSON.parse(data)));
+      ws.isAlive = true;
+      ws.readyState = 1;
+      wss.emit('connection', ws, { socket: { remoteAddress: '10.0.0.1' } });
+      return ws;
+    }
+
+    /**
+     * Send a message and wait for a reply of the given type
+     */
+    async function exchange(ws, message, replyType) {
+      const before = ws.received.length;
+      ws.emit('message', JSON.stringify(message));
+      for (let i = 0; i < 100; i++) {
+        const reply = ws.received
+          .slice(before)
+          .find(msg => msg.type === replyType);
+        if (reply) return reply;
+        await new Promise(resolve => setTimeout(resolve, 5));
+      }
+      throw new Error(`No ${replyType} reply`);
+    }
+
+    /**
+     * Connected client authenticated as a user on a complimentary tier
+     */
+    async function member(wss, email, tier) {
+      const { userRepository } = await import('./user-repository.js');
+      const { issueTokenPair } = await import('./token-service.js');
+      const user = await userRepository.create({
+        email,
+        name: tier,
+        complimentaryTier: tier,
+      });
+      const { accessToken } = await issueTokenPair(user);
+
+      const ws = connect(wss);
+      await exchange(ws, { type: 'auth', token: accessToken }, 'auth_success');
+      return ws;
+    }
+
+    it('should only deliver chat to the sender room', async () => {
+      const mockWss = new EventEmitter();
+      mockWss.clients = new Set();
+      setupWebSocket(mockWss);
+
+      const supporter = await member(
+        mockWss,
+        'chat-supporter@example.com',
+        'supporter'
+      );
+      const inner = await member(
+        mockWss,
+        'chat-inner@example.com',
+        'inner-circle'
+      );
+      await exchange(
+        supporter,
+        { type: 'subscribe_room', room: 'sanctuary' },
+        'room_joined'
+      );
+      await exchange(
+        inner,
+        { type: 'subscribe_room', room: 'inner-circle' },
+        'room_joined'
+      );
+
+      const chat = await exchange(
+        inner,
+        { type: 'chat', message: 'Inner circle only' },
+        'chat'
+      );
+
+      expect(chat).toMatchObject({
+        room: 'inner-circle',
+        message: 'Inner circle only',
+      });
+      expect(supporter.received.map(msg => msg.type)).not.toContain('chat');
+    });
+
+    it('should reject chat from clients without a room', async () => {
+      const mockWss = new EventEmitter();
+      mockWss.clients = new Set();
+      setupWebSocket(mockWss);
+      const ws = connect(mockWss);
+
+      const reply = await exchange(
+        ws,
+        { type: 'chat', message: 'Hello?' },
+        'error'
+      );
+
+      expect(reply.error).toBe('Join a room before chatting');
+    });
+  });
+
   describe('broadcastToRoom', () => {
     it('should export broadcastToRoom function', () => {
       expect(broadcastToRoom).toBeDefined();